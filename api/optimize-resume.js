@@ -1,4 +1,68 @@
-// Vercel serverless function for resume optimization using HuggingFace API
+// Vercel serverless function for resume optimization using the configured LLM provider
+// Requests with `Accept: text/event-stream` (or `"stream": true` in the body) get Server-Sent Events:
+//   event: token   data: { text, attempt }   each piece of the model's reply as it is generated
+//   event: retry   data: { attempt }         the reply was unusable; the model is asked again
+//   event: result  data: { success, ... }    same body as the JSON response
+//   event: error   data: { error, message }  same body as the JSON error responses
+// Closing the connection aborts the upstream model request.
+import { createLLMProvider, llmConfigFromEnv } from '../src/utils/llmProviders.js';
+import { requestOptimization, toSuggestions } from '../src/utils/optimizerSuggestions.js';
+
+// Provider errors (see src/utils/llmProviders.js) -> [status, body]
+function errorResponse(error) {
+  if (error.code === 'auth') {
+    return [500, { 
+      error: 'API authentication failed',
+      message: 'Invalid API key configuration'
+    }];
+  }
+
+  if (error.code === 'rate-limit') {
+    return [429, { 
+      error: 'Rate limit exceeded',
+      message: 'Too many requests. Please try again later.'
+    }];
+  }
+
+  if (error.code === 'unavailable') {
+    return [503, { 
+      error: 'Service unavailable',
+      message: error.message
+    }];
+  }
+  
+  if (error.code === 'timeout') {
+    return [504, { 
+      error: 'Request timeout',
+      message: 'API request timed out. Please try again.'
+    }];
+  }
+
+  if (error.code === 'bad-response') {
+    return [500, { 
+      error: 'Unexpected response format',
+      message: 'Unable to parse API response'
+    }];
+  }
+
+  if (error.code === 'invalid-output') {
+    return [502, { 
+      error: 'Unexpected response format',
+      message: error.message,
+      details: error.errors
+    }];
+  }
+  
+  // Generic error response
+  return [500, { 
+    error: 'Internal server error',
+    message: 'An unexpected error occurred while processing your request'
+  }];
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
 
 export default async function handler(req, res) {
   // Set CORS headers
@@ -19,8 +83,11 @@ export default async function handler(req, res) {
     });
   }
 
+  const streaming = req.body?.stream === true || /text\/event-stream/.test(req.headers?.accept || '');
+  const upstream = new AbortController();
+
   try {
-    const { resumeText, jobDescription } = req.body;
+    const { resumeText, jobDescription, missingKeywords } = req.body;
 
     // Validate input
     if (!resumeText || !jobDescription) {
@@ -30,118 +97,71 @@ export default async function handler(req, res) {
       });
     }
 
-    // Validate environment variable
-    const apiKey = process.env.HUGGINGFACE_API_KEY;
-    if (!apiKey) {
-      console.error('HUGGINGFACE_API_KEY not configured');
+    // Backend selected by LLM_PROVIDER / LLM_MODEL / LLM_BASE_URL / LLM_API_KEY (HuggingFace by default)
+    let provider;
+    try {
+      provider = createLLMProvider(llmConfigFromEnv(process.env));
+    } catch (error) {
+      console.error('LLM provider not configured:', error.message);
       return res.status(500).json({ 
         error: 'Server configuration error',
-        message: 'API key not configured. Please set HUGGINGFACE_API_KEY environment variable.'
+        message: `${error.message}. Set the LLM_* environment variables (or HUGGINGFACE_API_KEY).`
       });
     }
 
-    // Create optimization prompt
-    const prompt = `Optimize the following resume for the given job description. Provide specific suggestions for improvements, keyword optimization, and alignment with job requirements.
-
-Job Description:
-${jobDescription}
-
-Resume:
-${resumeText}
-
-Provide detailed optimization suggestions:`;
-
-    // Call HuggingFace API
-    const response = await fetch(
-      'https://api-inference.huggingface.co/models/mistralai/Mistral-7B-Instruct-v0.2',
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          inputs: prompt,
-          parameters: {
-            max_new_tokens: 1000,
-            temperature: 0.7,
-            top_p: 0.95,
-            return_full_text: false
-          }
-        }),
-      }
-    );
-
-    if (!response.ok) {
-      const errorData = await response.text();
-      console.error('HuggingFace API error:', response.status, errorData);
-      
-      if (response.status === 401) {
-        return res.status(500).json({ 
-          error: 'API authentication failed',
-          message: 'Invalid API key configuration'
-        });
-      }
-      
-      if (response.status === 429) {
-        return res.status(429).json({ 
-          error: 'Rate limit exceeded',
-          message: 'Too many requests. Please try again later.'
-        });
-      }
-      
-      return res.status(500).json({ 
-        error: 'API request failed',
-        message: `HuggingFace API error: ${response.status}`
-      });
+    if (streaming) {
+      res.status(200);
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache, no-transform');
+      res.setHeader('Connection', 'keep-alive');
+      res.flushHeaders?.();
     }
+    // Client went away before the reply finished: stop generating
+    res.on('close', () => {
+      if (!res.writableEnded) upstream.abort();
+    });
 
-    const data = await response.json();
-    
-    // Extract suggestions from response
-    let suggestions = '';
-    if (Array.isArray(data) && data.length > 0 && data[0].generated_text) {
-      suggestions = data[0].generated_text;
-    } else if (data.generated_text) {
-      suggestions = data.generated_text;
-    } else {
-      console.error('Unexpected API response format:', data);
-      return res.status(500).json({ 
-        error: 'Unexpected response format',
-        message: 'Unable to parse API response'
-      });
-    }
+    // Structured suggestions (see src/utils/optimizerSuggestions.js): repaired or re-prompted if malformed
+    const { result, warnings, repaired, attempts } = await requestOptimization(provider, resumeText, jobDescription, {
+      missingKeywords: Array.isArray(missingKeywords) ? missingKeywords : [],
+      maxTokens: 1500,
+      signal: upstream.signal,
+      onToken: streaming ? (delta, { text, attempt }) => {
+        if (attempt > 1 && text === delta) sendEvent(res, 'retry', { attempt });
+        sendEvent(res, 'token', { text: delta, attempt });
+      } : undefined
+    });
 
-    // Return success response
-    return res.status(200).json({
+    const body = {
       success: true,
-      suggestions: suggestions.trim(),
+      result,
+      suggestions: toSuggestions(result),
+      warnings,
+      repaired,
+      attempts,
+      provider: provider.name,
+      model: provider.model,
       timestamp: new Date().toISOString()
-    });
+    };
+
+    // Return success response
+    if (streaming) {
+      sendEvent(res, 'result', body);
+      return res.end();
+    }
+    return res.status(200).json(body);
 
   } catch (error) {
-    console.error('Error in optimize-resume handler:', error);
-    
-    // Handle network errors
-    if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-      return res.status(503).json({ 
-        error: 'Service unavailable',
-        message: 'Unable to connect to HuggingFace API'
-      });
+    if (error.code === 'aborted') {
+      // The client disconnected; nobody is left to answer
+      return res.end();
     }
-    
-    // Handle timeout errors
-    if (error.code === 'ETIMEDOUT') {
-      return res.status(504).json({ 
-        error: 'Request timeout',
-        message: 'API request timed out. Please try again.'
-      });
+    console.error('Error in optimize-resume handler:', error);
+    const [status, body] = errorResponse(error);
+    if (streaming && res.headersSent) {
+      sendEvent(res, 'error', body);
+      return res.end();
     }
-    
-    // Generic error response
-    return res.status(500).json({ 
-      error: 'Internal server error',
-      message: 'An unexpected error occurred while processing your request'
-    });
+    return res.status(status).json(body);
   }
 }
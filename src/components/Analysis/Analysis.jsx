@@ -1,4 +1,10 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { analyzeResumeAsync } from '../../utils/analysisAdapter';
+import { listScoringProfiles } from '../../utils/scoringProfiles';
+import { LOCALES } from '../../utils/locales';
+import { getScoringClient } from '../../utils/scoringClient';
+import { applySuggestions } from '../../utils/optimizerSuggestions';
+import Suggestions from '../Suggestions/Suggestions';
 import './Analysis.css';
 
 /*
@@ -8,15 +14,36 @@ import './Analysis.css';
     * pdfjs-dist (Web): const pdf = await getDocument(url|Uint8Array).promise; iterate pages and page.getTextContent()
     * Fallbacks below attempt to sanitize when PDFs were incorrectly parsed as XML/gibberish
   - This component is UI + client logic. Pass already-extracted resumeText/jdText via props.
+  - When no `result` prop is given, the component scores resumeText/jdText itself through
+    utils/analysisAdapter (scoreResume in the scoring Web Worker) and reports back via onComplete/onError.
+    While resumeText changes quickly, stale requests are superseded and the last result stays on screen.
+    onComplete fires once per mount (an explicit run), not for the live re-scores that follow edits.
+  - Missing keywords show the projected score gain of adding each to Skills (utils/scoreSimulator);
+    ticking several previews their combined effect.
+  - The Timeline card lists employment red flags (gaps, job hopping, overlaps, date errors) from utils/timeline.
+  - The Contact card shows the validated contact details and links from utils/contactInfo, marking any that
+    only exist in a page header/footer or behind a hyperlink.
+  - onOptimize gets the raw resumeText (not the sanitized copy) so suggested bullet rewrites quote the
+    same lines they are applied to.
+  - When onOptimize resolves to an optimizeResume result (utils/aiService), the Optimize modal lists its
+    suggestions to accept or reject one by one; "Apply accepted" writes them into resumeText
+    (utils/optimizerSuggestions applySuggestions) and hands the new text to onApplySuggestions.
+  - onOptimize and onGenerateCoverLetter receive { signal, onProgress }: progress updates render as they
+    stream in, and Cancel (or closing the modal) aborts the signal.
 
   Props:
     - loading (bool)
-    - result ({ score, coverage, matchedKeywords, missingKeywords, insights, requiredKeywords, optionalKeywords, sectionScores, experienceMatch })
+    - result ({ score, matchedKeywords, missingKeywords, partialKeywords, aliasMatches, insights, evidence, hardRequirements, bullets, timeline, contact, rules, requiredKeywords, optionalKeywords, sectionScores, experienceMatch, summary }) optional
     - resumeText (string)
     - jdText (string)
+    - companyName (string) optional, pre-fills the cover letter's company (e.g. from an imported job posting)
     - error (string)
-    - onOptimize (function(text): void) optional
-    - onGenerateCoverLetter (function({resumeText, jdText}): void) optional
+    - onOptimize (function(text, { missingKeywords, signal, onProgress({ suggestions }) }): void | Promise<{ success, suggestions, warnings, error, code }>) optional
+    - onApplySuggestions (function(text, { applied, skipped }): void) optional, receives the resume with accepted suggestions
+    - onGenerateCoverLetter (function({resumeText, jdText, companyName}, { signal, onProgress({ text }) }): void | Promise<{ success, coverLetter, error, code }>) optional
+    - onComplete (function(result): void) optional, fired after the first internal score of a run
+    - onError (function(message): void) optional, fired when internal scoring fails
+    - options (object) optional, forwarded to scoreResume; options.profile sets the initially selected ATS profile
 
   Accessibility:
     - Landmarks, ARIA labels, keyboard trap safe modals, focus management
@@ -27,14 +54,16 @@ const sanitizeExtractedText = (raw) => {
   let text = raw
     // Remove XML/HTML tags if pdf got dumped as XML
     .replace(/<[^>]+>/g, ' ')
-    // Remove excessive unicode control chars
-    .replace(/[\u0000-\u001F\u007F-\u009F]+/g, ' ')
+    // Remove excessive unicode control chars, keeping line breaks: the parser works line by line
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u0000-\u0009\u000B-\u001F\u007F-\u009F]+/g, ' ')
     // Collapse multiple spaces/newlines
     .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
     .replace(/\n{3,}/g, '\n\n')
     .trim();
   // If words are broken with spaces between letters, attempt simple fix: "E x p e r i e n c e" -> "Experience"
-  text = text.replace(/(?:\b(?:[A-Za-z]\s){2,}[A-Za-z]\b)/g, (m) => m.replace(/\s/g, ''));
+  text = text.replace(/(?:\b(?:[A-Za-z] ){2,}[A-Za-z]\b)/g, (m) => m.replace(/ /g, ''));
   return text;
 };
 
@@ -82,15 +111,19 @@ const usePersistentHistory = (result) => {
 
   useEffect(() => {
     if (!result) return;
-    const computed = computeATSScore(result);
-    // Keep compact history of last 10 entries
+    const computed = typeof result.score === 'number' ? result.score : computeATSScore(result);
+    // Keep compact history of last 10 entries; live re-scores that change nothing are not new entries
     setHistory((prev) => {
+      const head = prev[0];
+      const matched = result?.matchedKeywords?.length || 0;
+      const missing = result?.missingKeywords?.length || 0;
+      if (head && head.score === computed && head.matched === matched && head.missing === missing) return prev;
       const next = [
         {
           ts: Date.now(),
           score: computed,
-          matched: result?.matchedKeywords?.length || 0,
-          missing: result?.missingKeywords?.length || 0,
+          matched,
+          missing,
         },
         ...prev,
       ].slice(0, 10);
@@ -160,30 +193,313 @@ const Section = ({ title, subtitle, right, children, ariaLabel }) => (
   </section>
 );
 
+const HARD_REQUIREMENT_ICONS = { pass: '✅', fail: '❌', unknown: '❔' };
+
+const STATUS_ICONS = { exact: '✅', alias: '✅', found: '✅', met: '✅', stem: '🟡', partial: '🟡', missing: '❌' };
+
+// "Why is my score X": per-category points with the resume line behind each item
+const ScoreExplanation = ({ evidence, onShowLine }) => (
+  <div className="explanation">
+    {Object.entries(evidence).map(([category, detail]) => (
+      <details key={category} className="explanation__category">
+        <summary>
+          <span className="explanation__name">{detail.label || category.charAt(0).toUpperCase() + category.slice(1)}</span>
+          <span className="explanation__points">{detail.points} / {detail.maxPoints} pts</span>
+        </summary>
+        <ul className="explanation__items" role="list">
+          {detail.items.map((item, idx) => (
+            <li key={`${category}-${idx}`} className={`explanation__item explanation__item--${item.status}`} role="listitem">
+              <span aria-hidden="true">{STATUS_ICONS[item.status] || '•'}</span>
+              <span className="explanation__label">{item.label}</span>
+              <span className="explanation__value">{item.points} / {item.maxPoints}</span>
+              {item.jd?.text && <span className="explanation__jd" title={item.jd.text}>JD line {item.jd.line + 1}</span>}
+              {item.resume && (
+                <button className="btn btn--ghost btn--small" onClick={() => onShowLine(item.resume.line)} title={item.resume.text}>
+                  Resume line {item.resume.line + 1}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      </details>
+    ))}
+  </div>
+);
+
+const TIMELINE_ICONS = { high: '🚩', medium: '⚠️', low: 'ℹ️' };
+
+const CONTACT_SOURCES = { link: 'hyperlink only', 'header-footer': 'header/footer only' };
+
+// Validated contact details and links, then the problems found with them
+const ContactReport = ({ contact }) => {
+  const rows = [
+    ['Name', contact.name ? { value: contact.name, valid: true, source: 'text' } : null],
+    ['Email', contact.email],
+    ['Phone', contact.phone && { ...contact.phone, value: contact.phone.e164 && contact.phone.valid ? `${contact.phone.value} → ${contact.phone.e164}` : contact.phone.value }],
+    ['Location', contact.location ? { value: contact.location, valid: true, source: 'text' } : null],
+    ['LinkedIn', contact.linkedin && { ...contact.linkedin, value: contact.linkedin.url }],
+    ['GitHub', contact.github && { ...contact.github, value: contact.github.url }],
+    ['Portfolio', contact.portfolio && { ...contact.portfolio, value: contact.portfolio.url }],
+    ...contact.urls.map((u) => ['Link', { ...u, value: u.url }]),
+  ];
+  return (
+    <>
+      <ul className="contact-fields" role="list">
+        {rows.map(([label, field], idx) => (
+          <li key={`${label}-${idx}`} className="contact-field" role="listitem">
+            <span aria-hidden="true">{!field ? '⬜' : field.valid && field.source === 'text' ? '✅' : '⚠️'}</span>
+            <strong>{label}:</strong> <span className="contact-field__value">{field ? field.value : 'not found'}</span>
+            {field && CONTACT_SOURCES[field.source] && <span className="contact-field__source">{CONTACT_SOURCES[field.source]}</span>}
+            {field && !field.valid && <span className="contact-field__source">invalid</span>}
+          </li>
+        ))}
+      </ul>
+      {!!contact.issues.length && (
+        <ul className="knockouts" role="list">
+          {contact.issues.map((issue, idx) => (
+            <li key={`${issue.field}-${idx}`} className={`knockout timeline-flag timeline-flag--${issue.severity}`} role="listitem">
+              <span aria-hidden="true">{TIMELINE_ICONS[issue.severity]}</span> {issue.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+};
+
+// Employment timeline red flags with a suggestion each and a jump to the role's resume line
+const TimelineReport = ({ timeline, onShowLine }) => (
+  timeline.flags.length ? (
+    <ul className="knockouts" role="list">
+      {timeline.flags.map((f, idx) => (
+        <li key={`${f.type}-${idx}`} className={`knockout timeline-flag timeline-flag--${f.severity}`} role="listitem">
+          <div className="timeline-flag__head">
+            <span aria-hidden="true">{TIMELINE_ICONS[f.severity]}</span> <strong>{f.message}</strong>
+            {[...new Set(f.lines)].map((line) => (
+              <button key={line} className="btn btn--ghost btn--small" onClick={() => onShowLine(line)}>Resume line {line + 1}</button>
+            ))}
+          </div>
+          <div className="knockout__detail">{f.suggestion}</div>
+        </li>
+      ))}
+    </ul>
+  ) : (
+    <p className="card__subtitle">✅ No gaps, overlaps or date problems across {timeline.positions.length} dated role{timeline.positions.length === 1 ? '' : 's'}</p>
+  )
+);
+
+const BULLETS_COLLAPSED = 8;
+
+// Per-bullet impact report, worst-first, with a jump to each bullet's resume line
+const BulletReport = ({ report, onShowLine }) => {
+  const [expanded, setExpanded] = useState(false);
+  const visible = expanded ? report.bullets : report.bullets.slice(0, BULLETS_COLLAPSED);
+  return (
+    <>
+      <ul className="bullets" role="list">
+        {visible.map((b) => (
+          <li key={b.line} className="bullet-report" role="listitem">
+            <div className="bullet-report__head">
+              <span className={`bullet-report__score bullet-report__score--${b.score >= 75 ? 'good' : b.score >= 50 ? 'fair' : 'poor'}`}>{b.score}</span>
+              <span className="bullet-report__text">{b.text}</span>
+              <button className="btn btn--ghost btn--small" onClick={() => onShowLine(b.line)}>Resume line {b.line + 1}</button>
+            </div>
+            {!!b.issues.length && (
+              <ul className="bullet-report__issues" role="list">
+                {b.issues.map((issue) => <li key={issue} role="listitem">{issue}</li>)}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+      {report.bullets.length > BULLETS_COLLAPSED && (
+        <button className="btn btn--ghost btn--small" onClick={() => setExpanded((v) => !v)}>
+          {expanded ? 'Show fewer' : `Show all ${report.bullets.length} bullets`}
+        </button>
+      )}
+    </>
+  );
+};
+
+const formatDelta = (delta) => (delta > 0 ? `+${delta}` : `${delta}`);
+
+// Missing keywords with their projected gain; ticking several previews the combined score
+const KeywordGains = ({ gains, resumeText, jdText, options }) => {
+  const [selected, setSelected] = useState([]);
+  const [combined, setCombined] = useState(null);
+  useEffect(() => setSelected([]), [gains]);
+  useEffect(() => {
+    let active = true;
+    if (!selected.length) {
+      setCombined(null);
+      return undefined;
+    }
+    const edits = gains.filter((g) => selected.includes(g.keyword)).map((g) => g.edit);
+    getScoringClient()
+      .simulate(resumeText, jdText, edits, options, { channel: 'what-if-combined' })
+      .then((simulation) => active && setCombined(simulation.combined))
+      .catch((err) => !err.superseded && console.error('What-if simulation error:', err));
+    return () => {
+      active = false;
+    };
+  }, [selected, gains, resumeText, jdText, options]);
+  const toggle = (keyword) => setSelected((prev) => (prev.includes(keyword) ? prev.filter((k) => k !== keyword) : [...prev, keyword]));
+
+  return (
+    <>
+      <ul className="chips chips--warning what-if" role="list" aria-label="Missing keywords with projected score gain">
+        {gains.map((g) => (
+          <li key={g.keyword} className="chip" role="listitem">
+            <label title={`Adding "${g.keyword}" to Skills: ${formatDelta(g.delta)} points`}>
+              <input type="checkbox" checked={selected.includes(g.keyword)} onChange={() => toggle(g.keyword)} />{' '}
+              {g.keyword} <span className={`what-if__gain${g.delta > 0 ? ' what-if__gain--positive' : ''}`}>{formatDelta(g.delta)}</span>
+            </label>
+          </li>
+        ))}
+      </ul>
+      {combined && (
+        <p className="what-if__combined" role="status">
+          Adding {selected.length} keyword{selected.length === 1 ? '' : 's'} to Skills: {combined.score - combined.delta} → {combined.score} ({formatDelta(combined.delta)} points)
+          <button className="btn btn--ghost btn--small" onClick={() => setSelected([])}>Clear</button>
+        </p>
+      )}
+    </>
+  );
+};
+
+// Projected gain per missing keyword, computed in the scoring worker after the main result
+const useKeywordGains = (enabled, resumeText, jdText, options) => {
+  const [gains, setGains] = useState(null);
+  useEffect(() => {
+    let active = true;
+    if (!enabled || !resumeText || !jdText) {
+      setGains(null);
+      return undefined;
+    }
+    getScoringClient()
+      .suggestions(resumeText, jdText, options)
+      .then((next) => active && setGains(next))
+      .catch((err) => !err.superseded && console.error('What-if simulation error:', err));
+    return () => {
+      active = false;
+    };
+  }, [enabled, resumeText, jdText, options]);
+  return gains;
+};
+
 const Progress = ({ value }) => (
   <div className="progress" role="progressbar" aria-valuenow={value} aria-valuemin={0} aria-valuemax={100} aria-label="ATS score">
     <div className="progress__bar" style={{ width: `${Math.max(0, Math.min(100, value))}%` }} />
   </div>
 );
 
-const Analysis = ({ loading, result, resumeText, jdText, error, onOptimize, onGenerateCoverLetter }) => {
+// Runs the scoring pipeline when the parent did not supply a precomputed result
+const useScoredResult = (enabled, resumeText, jdText, options, onComplete, onError) => {
+  const [state, setState] = useState({ loading: false, result: null, error: null });
+  const callbacks = useRef({ onComplete, onError });
+  callbacks.current = { onComplete, onError };
+  // onComplete reports the run's first result only, not each live re-score while editing
+  const completed = useRef(false);
+  const optionsKey = JSON.stringify(options || {});
+
+  useEffect(() => {
+    if (!enabled || !resumeText || !jdText) {
+      completed.current = false;
+      setState({ loading: false, result: null, error: null });
+      return undefined;
+    }
+    let active = true;
+    // Keep the previous result visible while re-scoring so live edits do not flash a spinner
+    setState((prev) => ({ loading: !prev.result, result: prev.result, error: null }));
+    analyzeResumeAsync(resumeText, jdText, JSON.parse(optionsKey))
+      .then((scored) => {
+        if (!active) return;
+        setState({ loading: false, result: scored, error: null });
+        if (completed.current) return;
+        completed.current = true;
+        callbacks.current.onComplete?.(scored);
+      })
+      .catch((err) => {
+        if (!active || err?.superseded) return;
+        console.error('Analysis error:', err);
+        const message = err?.message || 'Analysis failed';
+        setState({ loading: false, result: null, error: message });
+        callbacks.current.onError?.(message);
+      });
+    return () => {
+      active = false;
+    };
+  }, [enabled, resumeText, jdText, optionsKey]);
+
+  return state;
+};
+
+const Analysis = ({ loading: loadingProp, result: resultProp, resumeText, jdText, companyName, error: errorProp, options, onOptimize, onApplySuggestions, onGenerateCoverLetter, onComplete, onError }) => {
   const [showPreview, setShowPreview] = useState(false);
   const [previewType, setPreviewType] = useState('resume'); // 'resume' | 'jd'
   const [optOpen, setOptOpen] = useState(false);
+  const [optimization, setOptimization] = useState({ loading: false, error: null, reply: null, partial: [] });
+  const [decisions, setDecisions] = useState({});
+  const [coverLetter, setCoverLetter] = useState({ loading: false, error: null, text: '' });
+  const generationRef = useRef(null); // AbortController of the optimize/cover letter request in flight
   const [coverOpen, setCoverOpen] = useState(false);
+  const [coverCompany, setCoverCompany] = useState(companyName || '');
+  const [highlightLine, setHighlightLine] = useState(null);
+  const previewRef = useRef(null);
+  const profiles = useMemo(() => listScoringProfiles(), []);
+  const [profileId, setProfileId] = useState(() => (typeof options?.profile === 'string' ? options.profile : 'default'));
+  const scoringOptions = useMemo(() => ({ ...(options || {}), profile: profileId }), [options, profileId]);
 
   const cleanResume = useMemo(() => sanitizeExtractedText(resumeText), [resumeText]);
   const cleanJD = useMemo(() => sanitizeExtractedText(jdText), [jdText]);
 
-  const computedScore = useMemo(() => (result?.score ? Number(result.score) : computeATSScore(result)), [result]);
-  const history = usePersistentHistory(result ? { ...result, score: computedScore } : null);
+  const scored = useScoredResult(resultProp === undefined, cleanResume, cleanJD, scoringOptions, onComplete, onError);
+  const result = resultProp === undefined ? scored.result : resultProp;
+  const loading = loadingProp || scored.loading;
+  const error = errorProp || scored.error;
+  const keywordGains = useKeywordGains(!!result && !loading && !error, cleanResume, cleanJD, scoringOptions);
+
+  const computedScore = useMemo(() => (typeof result?.score === 'number' ? result.score : computeATSScore(result)), [result]);
+  const historyEntry = useMemo(() => (result ? { ...result, score: computedScore } : null), [result, computedScore]);
+  const history = usePersistentHistory(historyEntry);
+
+  // Start a streamed request, superseding any in flight; null when it was cancelled
+  const startGeneration = async (run) => {
+    generationRef.current?.abort();
+    const controller = new AbortController();
+    generationRef.current = controller;
+    try {
+      const reply = await run(controller.signal);
+      return controller.signal.aborted || reply?.code === 'aborted' ? null : reply;
+    } finally {
+      if (generationRef.current === controller) generationRef.current = null;
+    }
+  };
+  const cancelGeneration = () => generationRef.current?.abort();
+  useEffect(() => cancelGeneration, []);
+
+  const closeOptimize = () => {
+    cancelGeneration();
+    setOptimization((prev) => ({ ...prev, loading: false, partial: [] }));
+    setOptOpen(false);
+  };
+
+  const closeCover = () => {
+    cancelGeneration();
+    setCoverLetter((prev) => ({ ...prev, loading: false }));
+    setCoverOpen(false);
+  };
 
   const actionableTips = useMemo(() => {
     const tips = [];
     const missing = result?.missingKeywords || [];
+    const partial = result?.partialKeywords || [];
     const required = result?.requiredKeywords || [];
     const sections = result?.sectionScores || {};
 
+    // Engine insights first: they are derived from the full score breakdown
+    (result?.insights || []).forEach((t) => tips.push(t));
+
     // Keyword guidance
     missing.forEach((kw) => {
       // Custom per keyword
@@ -191,6 +507,9 @@ const Analysis = ({ loading, result, resumeText, jdText, error, onOptimize, onGe
       tips.push(`Place "${kw}" in both Summary and Experience sections to pass ATS term frequency checks.`);
     });
 
+    // Partial matches: the resume uses a variant of the term
+    partial.forEach((kw) => tips.push(`Use the exact wording "${kw}" — your resume only contains a variant of it.`));
+
     // Required keywords
     required
       .filter((kw) => !result?.matchedKeywords?.includes(kw))
@@ -211,6 +530,20 @@ const Analysis = ({ loading, result, resumeText, jdText, error, onOptimize, onGe
     return unique.slice(0, 20);
   }, [result]);
 
+  const showResumeLine = (line) => {
+    setPreviewType('resume');
+    setHighlightLine(line);
+    setShowPreview(true);
+  };
+
+  // A newly imported job posting brings its own company
+  useEffect(() => setCoverCompany(companyName || ''), [companyName]);
+
+  useEffect(() => {
+    if (!showPreview || highlightLine === null) return;
+    previewRef.current?.querySelector(`[data-line="${highlightLine}"]`)?.scrollIntoView({ block: 'center' });
+  }, [showPreview, highlightLine, previewType]);
+
   const downloadText = (name, text) => {
     try {
       if (!text) {
@@ -250,6 +583,16 @@ const Analysis = ({ loading, result, resumeText, jdText, error, onOptimize, onGe
           </div>
         </div>
         <div className="toolbar__right">
+          {resultProp === undefined && (
+            <label className="profile-select">
+              <span>ATS profile</span>
+              <select value={profileId} onChange={(e) => setProfileId(e.target.value)} aria-label="ATS scoring profile">
+                {profiles.map((p) => (
+                  <option key={p.id} value={p.id} title={p.description}>{p.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
           <button className="btn" onClick={() => setOptOpen(true)} aria-haspopup="dialog">Optimize Resume</button>
           <button className="btn btn--secondary" onClick={() => setCoverOpen(true)} aria-haspopup="dialog">Generate Cover Letter</button>
           <button
@@ -257,6 +600,7 @@ const Analysis = ({ loading, result, resumeText, jdText, error, onOptimize, onGe
             onClick={() => {
               setShowPreview(true);
               setPreviewType('resume');
+              setHighlightLine(null);
             }}
             aria-haspopup="dialog"
           >Preview</button>
@@ -281,7 +625,42 @@ const Analysis = ({ loading, result, resumeText, jdText, error, onOptimize, onGe
       {/* Grid Layout */}
       {!loading && !error && result && (
         <div className="grid">
-          <Section title="ATS Score" subtitle="Keyword coverage, sections, experience" right={<Progress value={computedScore} />} ariaLabel="ATS score">
+          {result?.language?.mismatch && (
+            <div className="card language-warning" role="status">
+              <span aria-hidden="true">🌐</span>{' '}
+              Your resume looks {LOCALES[result.language.resume].name}, but the job description is {LOCALES[result.language.job].name}.
+              ATS keyword matching is language-specific, so matches and the score may be understated.
+            </div>
+          )}
+
+          {!!result?.hardRequirements?.results?.length && (
+            <section
+              className={`card hard-requirements${result.hardRequirements.passed ? '' : ' hard-requirements--failed'}`}
+              role={result.hardRequirements.passed ? 'region' : 'alert'}
+              aria-label="Hard requirements"
+            >
+              <header className="card__header">
+                <div>
+                  <h2 className="card__title">
+                    {result.hardRequirements.passed ? 'Hard requirements' : `⚠️ ${result.hardRequirements.failed.length} hard requirement${result.hardRequirements.failed.length === 1 ? '' : 's'} not met`}
+                  </h2>
+                  <p className="card__subtitle">Knockout criteria from the job description — reported separately from the score</p>
+                </div>
+              </header>
+              <ul className="knockouts" role="list">
+                {[...result.hardRequirements.results]
+                  .sort((a, b) => ['fail', 'unknown', 'pass'].indexOf(a.status) - ['fail', 'unknown', 'pass'].indexOf(b.status))
+                  .map((r) => (
+                    <li key={r.id} className={`knockout knockout--${r.status}`} role="listitem">
+                      <span aria-hidden="true">{HARD_REQUIREMENT_ICONS[r.status]}</span> <strong>{r.label}</strong>
+                      {r.detail && <span className="knockout__detail"> — {r.detail}</span>}
+                    </li>
+                  ))}
+              </ul>
+            </section>
+          )}
+
+          <Section title="ATS Score" subtitle={result?.profile ? `${result.profile.name} profile` : 'Keyword coverage, sections, experience'} right={<Progress value={computedScore} />} ariaLabel="ATS score">
             <div className="score-sections">
               <div className="score-row">
                 <span>Keywords</span>
@@ -295,17 +674,116 @@ const Analysis = ({ loading, result, resumeText, jdText, error, onOptimize, onGe
                 <span>Experience alignment</span>
                 <span>{Math.round((Number(result?.experienceMatch || 0)) * 100)}%</span>
               </div>
+              {result?.experience && (
+                <div className="score-row">
+                  <span>Dated experience</span>
+                  <span>{result.experience.totalYears} yrs</span>
+                </div>
+              )}
             </div>
           </Section>
 
+          {!!result?.knockouts?.results?.length && (
+            <Section
+              title="Knockout Checks"
+              subtitle={result.knockouts.capped ? `Score capped at ${computedScore} (would be ${result.knockouts.uncappedScore})` : 'Hard minimums this ATS screens on'}
+              ariaLabel="Knockout checks"
+            >
+              <ul className="knockouts" role="list">
+                {result.knockouts.results.map((k) => (
+                  <li key={k.id} className={`knockout knockout--${k.passed ? 'pass' : 'fail'}`} role="listitem">
+                    <span aria-hidden="true">{k.passed ? '✅' : '❌'}</span> {k.label}
+                  </li>
+                ))}
+              </ul>
+            </Section>
+          )}
+
+          {result?.evidence && (
+            <Section title={`Why ${computedScore}?`} subtitle="Points per category and the resume lines behind them" ariaLabel="Score explanation">
+              <ScoreExplanation evidence={result.evidence} onShowLine={showResumeLine} />
+            </Section>
+          )}
+
+          {!!result?.rules?.length && (
+            <Section title="House Rules" subtitle="Custom scoring rules applied on top of the built-in checks" ariaLabel="Custom scoring rules">
+              <ul className="knockouts" role="list">
+                {result.rules.map((r) => (
+                  <li key={r.id} className={`knockout${r.error ? ' knockout--unknown' : r.points < 50 ? ' knockout--fail' : ''}`} role="listitem">
+                    <strong>{r.name}</strong>{' '}
+                    {r.error ? (
+                      <span className="knockout__detail">— rule failed: {r.error}</span>
+                    ) : (
+                      <span className="knockout__detail">— {r.points}/100 ({Math.round(r.weight * 100)}% of the score)</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </Section>
+          )}
+
           <Section title="Matched Keywords" subtitle="What your resume already covers" ariaLabel="Matched keywords">
             <Chips items={result?.matchedKeywords || []} variant="success" ariaLabel="Matched keywords list" />
+            {!!result?.aliasMatches?.length && (
+              <>
+                <p className="card__subtitle">Matched through a synonym or related skill</p>
+                <Chips
+                  items={result.aliasMatches.map((m) => `${m.keyword} ← ${m.matched}${m.relation === 'child' ? ` (${m.via})` : ''}`)}
+                  variant="info"
+                  ariaLabel="Keywords matched by alias"
+                />
+              </>
+            )}
           </Section>
 
-          <Section title="Missing Keywords" subtitle="Add these to improve your score" ariaLabel="Missing keywords">
-            <Chips items={result?.missingKeywords || []} variant="warning" ariaLabel="Missing keywords list" />
+          <Section
+            title="Missing Keywords"
+            subtitle={keywordGains?.length ? 'Projected points for adding each to Skills — tick several to preview them combined' : 'Add these to improve your score'}
+            ariaLabel="Missing keywords"
+          >
+            {keywordGains?.length ? (
+              <KeywordGains gains={keywordGains} resumeText={cleanResume} jdText={cleanJD} options={scoringOptions} />
+            ) : (
+              <Chips items={result?.missingKeywords || []} variant="warning" ariaLabel="Missing keywords list" />
+            )}
           </Section>
 
+          {!!result?.partialKeywords?.length && (
+            <Section title="Partial Matches" subtitle="Close variants — use the exact JD wording" ariaLabel="Partial keyword matches">
+              <Chips items={result.partialKeywords} variant="info" ariaLabel="Partial keyword matches list" />
+            </Section>
+          )}
+
+          {!!result?.bullets?.bullets?.length && (
+            <Section
+              title="Bullet Quality"
+              subtitle={`Average ${result.bullets.averageScore}/100 — weakest bullets first`}
+              ariaLabel="Bullet quality"
+            >
+              <BulletReport report={result.bullets} onShowLine={showResumeLine} />
+            </Section>
+          )}
+
+          {!!result?.contact && (
+            <Section
+              title="Contact"
+              subtitle={result.contact.issues.some((i) => i.severity !== 'low') ? 'Contact details an ATS may miss or misread' : 'Contact details as an ATS reads them'}
+              ariaLabel="Contact details"
+            >
+              <ContactReport contact={result.contact} />
+            </Section>
+          )}
+
+          {!!result?.timeline?.positions?.length && (
+            <Section
+              title="Timeline"
+              subtitle={result.timeline.flags.length ? `${result.timeline.flags.length} red flag${result.timeline.flags.length === 1 ? '' : 's'} a recruiter may ask about` : 'Employment history dates'}
+              ariaLabel="Employment timeline"
+            >
+              <TimelineReport timeline={result.timeline} onShowLine={showResumeLine} />
+            </Section>
+          )}
+
           <Section title="Actionable Insights" subtitle="Smart suggestions based on gaps" ariaLabel="Actionable insights">
             {actionableTips.length ? (
               <ul className="insights" role="list">
@@ -345,4 +823,148 @@ const Analysis = ({ loading, result, resumeText, jdText, error, onOptimize, onGe
       {/* Empty state */}
       {!loading && !result && !error && (
         <div className="empty" role="status">
-          <div className="empty__icon" aria-hidden>
+          <div className="empty__icon" aria-hidden>📄</div>
+          <p>Provide a resume and job description to see your ATS analysis.</p>
+        </div>
+      )}
+
+      {/* Preview modal */}
+      <Modal open={showPreview} title={previewType === 'resume' ? 'Resume preview' : 'Job description preview'} onClose={() => { setShowPreview(false); setHighlightLine(null); }}>
+        <div className="segmented" role="tablist" aria-label="Preview source">
+          <button className={previewType === 'resume' ? 'seg active' : 'seg'} role="tab" aria-selected={previewType === 'resume'} onClick={() => setPreviewType('resume')}>Resume</button>
+          <button className={previewType === 'jd' ? 'seg active' : 'seg'} role="tab" aria-selected={previewType === 'jd'} onClick={() => setPreviewType('jd')}>Job Description</button>
+        </div>
+        <pre className="preview-text" ref={previewRef}>
+          {((previewType === 'resume' ? cleanResume : cleanJD) || 'No content available.').split('\n').map((line, i) => (
+            <div
+              key={i}
+              data-line={i}
+              className={previewType === 'resume' && i === highlightLine ? 'preview-line preview-line--active' : 'preview-line'}
+            >{line || ' '}</div>
+          ))}
+        </pre>
+      </Modal>
+
+      {/* Optimize modal */}
+      <Modal open={optOpen} title="Optimize Resume" onClose={closeOptimize}>
+        {!optimization.reply && !optimization.loading && <p>Send your resume to the optimizer using the gaps found in this analysis.</p>}
+        {optimization.loading && (
+          <div className="state state--loading" role="status" aria-live="polite">
+            <div className="spinner" aria-hidden="true" />
+            Optimizing… {optimization.partial.length > 0 && `${optimization.partial.length} suggestion${optimization.partial.length === 1 ? '' : 's'} so far`}
+          </div>
+        )}
+        {optimization.loading && optimization.partial.length > 0 && <Suggestions suggestions={optimization.partial} />}
+        {optimization.error && (
+          <div className="state state--error" role="alert">
+            <span className="state__icon" aria-hidden>⚠️</span>
+            {optimization.error}
+          </div>
+        )}
+        {optimization.reply && (
+          <Suggestions
+            suggestions={optimization.reply.suggestions}
+            decisions={decisions}
+            onDecide={(id, decision) => setDecisions((prev) => {
+              const next = { ...prev };
+              if (decision) next[id] = decision;
+              else delete next[id];
+              return next;
+            })}
+            onDecideAll={(decision) => setDecisions(Object.fromEntries(optimization.reply.suggestions.map((s) => [s.id, decision])))}
+          />
+        )}
+        <div className="modal__actions">
+          {optimization.reply ? (
+            <button
+              className="btn"
+              disabled={!onApplySuggestions || !optimization.reply.suggestions.some((s) => s.applicable && decisions[s.id] === 'accepted')}
+              onClick={() => {
+                const accepted = optimization.reply.suggestions.filter((s) => s.applicable && decisions[s.id] === 'accepted');
+                const { text, applied, skipped } = applySuggestions(resumeText, accepted);
+                onApplySuggestions?.(text, { applied, skipped });
+                setOptimization({ loading: false, error: null, reply: null, partial: [] });
+                setOptOpen(false);
+              }}
+            >Apply accepted</button>
+          ) : optimization.loading ? (
+            <button className="btn" onClick={cancelGeneration}>Stop</button>
+          ) : (
+            <button
+              className="btn"
+              disabled={!cleanResume || !onOptimize}
+              onClick={async () => {
+                setOptimization({ loading: true, error: null, reply: null, partial: [] });
+                setDecisions({});
+                try {
+                  const reply = await startGeneration((signal) => onOptimize?.(resumeText, {
+                    missingKeywords: result?.missingKeywords || [],
+                    signal,
+                    onProgress: ({ suggestions }) => setOptimization((prev) => (prev.loading ? { ...prev, partial: suggestions } : prev)),
+                  }));
+                  // A parent that handles the optimization itself returns nothing
+                  if (reply === undefined) setOptOpen(false);
+                  setOptimization({ loading: false, error: reply?.success === false ? reply.error : null, reply: reply?.success ? reply : null, partial: [] });
+                } catch (e) {
+                  setOptimization({ loading: false, error: e?.message || 'Optimization failed', reply: null, partial: [] });
+                }
+              }}
+            >Optimize now</button>
+          )}
+          <button className="btn btn--ghost" onClick={closeOptimize}>{optimization.reply ? 'Close' : 'Cancel'}</button>
+        </div>
+      </Modal>
+
+      {/* Cover letter modal */}
+      <Modal open={coverOpen} title="Generate Cover Letter" onClose={closeCover}>
+        <p>Draft a cover letter tailored to this job description.</p>
+        <label className="profile-select">
+          <span>Company</span>
+          <input type="text" value={coverCompany} onChange={(e) => setCoverCompany(e.target.value)} aria-label="Company name for the cover letter" />
+        </label>
+        {coverLetter.error && (
+          <div className="state state--error" role="alert">
+            <span className="state__icon" aria-hidden>⚠️</span>
+            {coverLetter.error}
+          </div>
+        )}
+        {(coverLetter.loading || coverLetter.text) && (
+          <pre className="cover-letter" aria-live="polite" aria-busy={coverLetter.loading}>
+            {coverLetter.text || 'Writing…'}
+          </pre>
+        )}
+        <div className="modal__actions">
+          {coverLetter.loading ? (
+            <button className="btn" onClick={cancelGeneration}>Stop</button>
+          ) : (
+            <button
+              className="btn"
+              disabled={!cleanResume || !cleanJD || !coverCompany.trim() || !onGenerateCoverLetter}
+              onClick={async () => {
+                setCoverLetter({ loading: true, error: null, text: '' });
+                try {
+                  const reply = await startGeneration((signal) => onGenerateCoverLetter?.(
+                    { resumeText: cleanResume, jdText: cleanJD, companyName: coverCompany.trim() },
+                    { signal, onProgress: ({ text }) => setCoverLetter((prev) => (prev.loading ? { ...prev, text } : prev)) }
+                  ));
+                  // A parent that handles the letter itself returns nothing
+                  if (reply === undefined) setCoverOpen(false);
+                  // Cancelled: keep what was written so far
+                  setCoverLetter((prev) => ({ loading: false, error: reply?.success === false ? reply.error : null, text: reply?.success ? reply.coverLetter : reply === null ? prev.text : '' }));
+                } catch (e) {
+                  setCoverLetter({ loading: false, error: e?.message || 'Cover letter generation failed', text: '' });
+                }
+              }}
+            >{coverLetter.text ? 'Regenerate' : 'Generate'}</button>
+          )}
+          {coverLetter.text && !coverLetter.loading && (
+            <button className="btn btn--secondary" onClick={() => navigator.clipboard?.writeText(coverLetter.text)}>Copy</button>
+          )}
+          <button className="btn btn--ghost" onClick={closeCover}>{coverLetter.text ? 'Close' : 'Cancel'}</button>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+export default Analysis;
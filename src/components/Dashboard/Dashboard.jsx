@@ -2,16 +2,32 @@ import React, { useEffect, useMemo, useState } from 'react';
 import { useAuth } from '../../context/AuthContext';
 import Upload from '../Upload/Upload';
 import Analysis from '../Analysis/Analysis';
+import ParseReport from '../ParseReport/ParseReport';
+import { extractDocument } from '../../utils/textExtraction';
+import { importJobPosting } from '../../utils/jobImport';
+import { analyzeParseFidelity } from '../../utils/parseFidelity';
+import { generateCoverLetter, optimizeResume } from '../../utils/aiService';
 import './Dashboard.css';
 
-// Utility: safe file reader
-const readFile = (file) =>
-  new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => resolve(reader.result?.toString() || '');
-    reader.onerror = reject;
-    reader.readAsText(file);
-  });
+// Utility: uploaded file -> { text, pageCount, parseReport, links, headerFooterText, model, source } (extracted in the browser);
+// model is the structured resume of a JSON Resume or LinkedIn profile import
+const readFile = async (file) => {
+  const document = await extractDocument(file);
+  return {
+    text: document.text,
+    pageCount: document.pageCount,
+    parseReport: analyzeParseFidelity(document),
+    links: document.links || [],
+    headerFooterText: document.headerFooterText || [],
+    model: document.model || null,
+    source: document.source || null,
+  };
+};
+
+const IMPORT_SOURCES = { 'json-resume': 'JSON Resume', linkedin: 'LinkedIn profile' };
+
+// Extraction errors carry a user-facing message and a code; anything else gets the fallback
+const uploadError = (e, fallback) => (e?.code ? e.message : fallback);
 
 const STORAGE_KEYS = {
   resume: 'ats-resume',
@@ -23,9 +39,10 @@ const Dashboard = () => {
   const { user, logout } = useAuth();
 
   // Data state
-  const [resumeData, setResumeData] = useState(null); // { fileName, text }
-  const [jobDescriptionData, setJobDescriptionData] = useState({ mode: 'text', text: '', fileName: '' });
+  const [resumeData, setResumeData] = useState(null); // { fileName, text, pageCount, parseReport, links, headerFooterText, model }
+  const [jobDescriptionData, setJobDescriptionData] = useState({ mode: 'text', text: '', fileName: '', company: '' });
   const [currentView, setCurrentView] = useState('upload'); // upload | analysis | history
+  const [analysisRun, setAnalysisRun] = useState(0); // remounts Analysis so each explicit run is reported once
   const [history, setHistory] = useState([]);
 
   // UI state
@@ -63,6 +80,21 @@ const Dashboard = () => {
 
   // Derived flags
   const canAnalyze = useMemo(() => !!(resumeData?.text && jobDescriptionData?.text), [resumeData, jobDescriptionData]);
+  // Source document facts: page count for page-based rules, parse fidelity for the formatting score,
+  // hyperlink targets and header/footer text for contact extraction, the imported structured resume if any
+  const scoringOptions = useMemo(() => {
+    if (!resumeData?.pageCount && !resumeData?.parseReport) return undefined;
+    const { plainText, ...fidelity } = resumeData.parseReport || {};
+    return {
+      document: {
+        pageCount: resumeData.pageCount || null,
+        fidelity: resumeData.parseReport ? fidelity : undefined,
+        links: resumeData.links || [],
+        headerFooterText: resumeData.headerFooterText || [],
+        model: resumeData.model || undefined,
+      },
+    };
+  }, [resumeData?.pageCount, resumeData?.parseReport, resumeData?.links, resumeData?.headerFooterText, resumeData?.model]);
 
   // Handlers: Resume
   const onResumeFile = async (file) => {
@@ -70,27 +102,29 @@ const Dashboard = () => {
     setError(null);
     setLoading(true);
     try {
-      const text = await readFile(file);
-      setResumeData({ fileName: file.name, text });
-      setSuccess('Resume loaded successfully');
+      const { text, pageCount, parseReport, links, headerFooterText, model, source } = await readFile(file);
+      setResumeData({ fileName: file.name, text, pageCount, parseReport, links, headerFooterText, model });
+      if (source) setSuccess(`Imported ${IMPORT_SOURCES[source]}: ${model.positions.length} position${model.positions.length === 1 ? '' : 's'}, ${model.skills.length} skill${model.skills.length === 1 ? '' : 's'}`);
+      else setSuccess(pageCount ? `Resume loaded (${pageCount} page${pageCount === 1 ? '' : 's'})` : 'Resume loaded successfully');
     } catch (e) {
-      setError('Failed to read resume file');
+      setError(uploadError(e, 'Failed to read resume file'));
     } finally {
       setLoading(false);
     }
   };
 
-  // Handlers: JD (toggle text/file but always show textarea)
+  // Handlers: JD (toggle text/file but always show textarea); saved job pages and JSON exports keep their company
   const onJDFile = async (file) => {
     if (!file) return;
     setError(null);
     setLoading(true);
     try {
-      const text = await readFile(file);
-      setJobDescriptionData({ mode: 'file', fileName: file.name, text });
-      setSuccess('Job description loaded from file');
+      const { text, title, company, source } = await importJobPosting(file);
+      setJobDescriptionData({ mode: 'file', fileName: file.name, text, company: company || '' });
+      const found = [title, company].filter(Boolean).join(' at ');
+      setSuccess(source === 'document' || !found ? 'Job description loaded from file' : `Imported job posting: ${found}`);
     } catch (e) {
-      setError('Failed to read job description file');
+      setError(uploadError(e, 'Failed to read job description file'));
     } finally {
       setLoading(false);
     }
@@ -109,6 +143,7 @@ const Dashboard = () => {
     setError(null);
     setSuccess(null);
     setCurrentView('analysis');
+    setAnalysisRun((n) => n + 1);
   };
 
   // Add to history
@@ -162,7 +197,8 @@ const Dashboard = () => {
             <div className="card-body">
               <div className="stack gap-md">
                 {/* Resume uploader (reuse Upload component for alignment with main branch) */}
-                <Upload label="Resume" fileName={resumeData?.fileName} onFileSelected={onResumeFile} />
+                <Upload kind="resume" resumeFileName={resumeData?.fileName} onResumeUpload={onResumeFile} invalidFeedback={setError} />
+                <ParseReport report={resumeData?.parseReport} />
 
                 {/* JD Input: always show textarea with file/text toggle */}
                 <div className="jd-input">
@@ -193,10 +229,20 @@ const Dashboard = () => {
                     rows={8}
                   />
 
+                  <label className="label" htmlFor="jd-company">Company (for cover letters)</label>
+                  <input
+                    id="jd-company"
+                    className="input"
+                    type="text"
+                    placeholder="Filled in from imported job pages"
+                    value={jobDescriptionData.company || ''}
+                    onChange={(e) => setJobDescriptionData((p) => ({ ...p, company: e.target.value }))}
+                  />
+
                   {/* Optional file if in file mode */}
                   {jobDescriptionData.mode === 'file' && (
                     <div className="file-inline">
-                      <Upload compact label="JD File" fileName={jobDescriptionData?.fileName} onFileSelected={onJDFile} />
+                      <Upload kind="job description" jdFileName={jobDescriptionData?.fileName} onJobDescriptionUpload={onJDFile} invalidFeedback={setError} />
                     </div>
                   )}
                 </div>
@@ -218,8 +264,18 @@ const Dashboard = () => {
             <div className="card-body analysis-area">
               {currentView === 'analysis' && canAnalyze ? (
                 <Analysis
+                  key={analysisRun}
                   resumeText={resumeData.text}
                   jdText={jobDescriptionData.text}
+                  companyName={jobDescriptionData.company}
+                  options={scoringOptions}
+                  onOptimize={(text, { missingKeywords, signal, onProgress }) => optimizeResume(text, jobDescriptionData.text, undefined, { missingKeywords, signal, onProgress })}
+                  onApplySuggestions={(text, { applied }) => {
+                    // The edited text no longer matches an imported structured resume
+                    setResumeData((prev) => ({ ...prev, text, model: undefined }));
+                    setSuccess(`Applied ${applied.length} suggestion${applied.length === 1 ? '' : 's'} to your resume`);
+                  }}
+                  onGenerateCoverLetter={({ resumeText, jdText, companyName }, { signal, onProgress }) => generateCoverLetter(resumeText, jdText, companyName, undefined, { signal, onProgress })}
                   onComplete={(result) => {
                     setSuccess('Analysis completed');
                     pushHistory({ type: 'analysis', date: new Date().toISOString(), resume: resumeData?.fileName, jd: jobDescriptionData?.fileName || 'Text', resultSummary: result?.summary || '' });
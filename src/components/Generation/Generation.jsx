@@ -1,61 +1,83 @@
-import React, { useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { optimizeResume } from '../../utils/aiService';
+import { applySuggestions } from '../../utils/optimizerSuggestions';
+import Suggestions from '../Suggestions/Suggestions';
 import './Generation.css';
 
-const Generation = ({ analysisData, resumeData }) => {
-  const [optimizedContent, setOptimizedContent] = useState('');
+/*
+  Generation — AI resume optimizer
+  Asks utils/aiService optimizeResume for structured suggestions and lists them to accept
+  or reject one by one; the optimized resume is the original with the accepted ones applied
+  (utils/optimizerSuggestions applySuggestions). Suggestions appear as the reply streams in,
+  and Cancel aborts the request to the model.
+
+  Props:
+    - analysisData ({ missingKeywords, jdText }) ATS analysis, its gaps steer the optimizer
+    - resumeData ({ text })
+    - jdText (string) optional, defaults to analysisData.jdText
+    - onApply (function(text): void) optional, receives the optimized resume
+*/
+const Generation = ({ analysisData, resumeData, jdText, onApply }) => {
+  const [reply, setReply] = useState(null);
+  const [decisions, setDecisions] = useState({});
   const [generating, setGenerating] = useState(false);
   const [error, setError] = useState('');
-  const [improvements, setImprovements] = useState([]);
+  const [partial, setPartial] = useState([]);
+  const abortRef = useRef(null);
+  const jobDescription = jdText || analysisData?.jdText || '';
+
+  const accepted = useMemo(
+    () => (reply?.suggestions || []).filter((s) => s.applicable && decisions[s.id] === 'accepted'),
+    [reply, decisions]
+  );
+  const optimizedContent = useMemo(
+    () => (reply ? applySuggestions(resumeData?.text || '', accepted).text : ''),
+    [reply, accepted, resumeData?.text]
+  );
 
   const generateOptimizedResume = async () => {
-    if (!resumeData || !analysisData) {
+    if (!resumeData?.text || !jobDescription) {
       setError('Please upload resume and job description first');
       return;
     }
 
+    const controller = new AbortController();
+    abortRef.current = controller;
     setGenerating(true);
     setError('');
-
-    try {
-      // Simulate AI optimization process
-      await new Promise(resolve => setTimeout(resolve, 2000));
-
-      const optimizations = [
-        'Added relevant keywords from job description',
-        'Improved action verbs and quantifiable metrics',
-        'Reorganized experience section for better ATS parsing',
-        'Enhanced skills section with technical keywords',
-        'Optimized formatting for ATS compatibility'
-      ];
-
-      const optimized = applyOptimizations(resumeData.text, analysisData);
-      
-      setOptimizedContent(optimized);
-      setImprovements(optimizations);
-    } catch (err) {
-      setError('Failed to generate optimized resume: ' + err.message);
-    } finally {
-      setGenerating(false);
+    setPartial([]);
+
+    const response = await optimizeResume(resumeData.text, jobDescription, undefined, {
+      missingKeywords: analysisData?.missingKeywords || [],
+      signal: controller.signal,
+      onProgress: ({ suggestions }) => setPartial(suggestions),
+    });
+    if (abortRef.current !== controller) return; // unmounted or superseded
+    abortRef.current = null;
+    if (response.success) {
+      setReply(response);
+      setDecisions({});
+    } else if (response.code !== 'aborted') {
+      setError('Failed to generate optimized resume: ' + response.error);
     }
+    setGenerating(false);
   };
 
-  const applyOptimizations = (resumeText, analysis) => {
-    // Simulate AI optimization
-    let optimized = resumeText;
+  const cancelGeneration = () => abortRef.current?.abort();
 
-    // Add missing keywords
-    if (analysis.missingKeywords && analysis.missingKeywords.length > 0) {
-      const keywordsToAdd = analysis.missingKeywords.slice(0, 5).join(', ');
-      optimized += `\n\nKEY SKILLS: ${keywordsToAdd}`;
-    }
-
-    // Add section headers if missing
-    if (!resumeText.toLowerCase().includes('professional summary')) {
-      optimized = 'PROFESSIONAL SUMMARY\nExperienced professional with proven track record.\n\n' + optimized;
-    }
+  // Leaving the page stops the request
+  useEffect(() => () => {
+    const controller = abortRef.current;
+    abortRef.current = null;
+    controller?.abort();
+  }, []);
 
-    return optimized;
-  };
+  const decide = (id, decision) => setDecisions((prev) => {
+    const next = { ...prev };
+    if (decision) next[id] = decision;
+    else delete next[id];
+    return next;
+  });
 
   const handleCopy = () => {
     navigator.clipboard.writeText(optimizedContent);
@@ -63,11 +85,8 @@ const Generation = ({ analysisData, resumeData }) => {
   };
 
   const handleApply = () => {
-    // Apply the optimized content back to resume
-    if (resumeData) {
-      resumeData.text = optimizedContent;
-      alert('Optimizations applied to your resume!');
-    }
+    onApply?.(optimizedContent);
+    alert(`${accepted.length} suggestion${accepted.length === 1 ? '' : 's'} applied to your resume!`);
   };
 
   return (
@@ -76,12 +95,12 @@ const Generation = ({ analysisData, resumeData }) => {
       
       {error && <div className="error-message">{error}</div>}
 
-      {!optimizedContent && (
+      {!reply && (
         <div className="generate-section">
           <p>Use AI to optimize your resume for better ATS scores</p>
           <button
             onClick={generateOptimizedResume}
-            disabled={generating || !resumeData || !analysisData}
+            disabled={generating || !resumeData?.text || !jobDescription}
             className="generate-btn"
           >
             {generating ? 'Generating...' : 'Generate Optimized Resume'}
@@ -92,27 +111,28 @@ const Generation = ({ analysisData, resumeData }) => {
       {generating && (
         <div className="loading-state">
           <div className="spinner"></div>
-          <p>AI is analyzing and optimizing your resume...</p>
-          <div className="progress-steps">
-            <div className="step">Analyzing keywords</div>
-            <div className="step">Improving content</div>
-            <div className="step">Formatting for ATS</div>
-          </div>
+          <p>
+            AI is analyzing and optimizing your resume...
+            {partial.length > 0 && ` ${partial.length} suggestion${partial.length === 1 ? '' : 's'} so far`}
+          </p>
+          {partial.length > 0 && <Suggestions suggestions={partial} />}
+          <button onClick={cancelGeneration} className="regenerate-btn">
+            Cancel
+          </button>
         </div>
       )}
 
-      {optimizedContent && (
+      {reply && (
         <div className="optimization-results">
           <div className="improvements-panel">
-            <h3>Applied Improvements</h3>
-            <ul>
-              {improvements.map((improvement, index) => (
-                <li key={index}>
-                  <span className="check-icon">✓</span>
-                  {improvement}
-                </li>
-              ))}
-            </ul>
+            <h3>Suggested Improvements</h3>
+            {reply.warnings?.length > 0 && <p className="suggestions__count">{reply.warnings.join(' · ')}</p>}
+            <Suggestions
+              suggestions={reply.suggestions}
+              decisions={decisions}
+              onDecide={decide}
+              onDecideAll={(decision) => setDecisions(Object.fromEntries(reply.suggestions.map((s) => [s.id, decision])))}
+            />
           </div>
 
           <div className="content-comparison">
@@ -135,14 +155,15 @@ const Generation = ({ analysisData, resumeData }) => {
             <button onClick={handleCopy} className="copy-btn">
               Copy Optimized Resume
             </button>
-            <button onClick={handleApply} className="apply-btn">
+            <button onClick={handleApply} className="apply-btn" disabled={!onApply || !accepted.length}>
               Apply Changes
             </button>
             <button
               onClick={generateOptimizedResume}
               className="regenerate-btn"
+              disabled={generating}
             >
-              Regenerate
+              {generating ? 'Generating...' : 'Regenerate'}
             </button>
           </div>
         </div>
@@ -0,0 +1,46 @@
+import React from 'react';
+import './ParseReport.css';
+
+/*
+  ParseReport — "What the ATS sees" for an uploaded resume
+  Shows the parse-fidelity score (utils/parseFidelity), the problems found in the
+  file with a fix for each, and the plain text a straight-across ATS parser would ingest.
+
+  Props:
+    - report ({ score, plainText, problems, stats }) output of analyzeParseFidelity
+*/
+
+const SEVERITY_ICONS = { high: '🚩', medium: '⚠️', low: 'ℹ️' };
+
+const ParseReport = ({ report }) => {
+  if (!report) return null;
+  const tone = report.score >= 85 ? 'good' : report.score >= 60 ? 'fair' : 'poor';
+  return (
+    <section className="parse-report" aria-label="What the ATS sees">
+      <header className="parse-report__header">
+        <strong>What the ATS sees</strong>
+        <span className={`parse-report__score parse-report__score--${tone}`} title="Parse fidelity">
+          {report.score}/100
+        </span>
+      </header>
+      {report.problems.length ? (
+        <ul className="parse-report__problems" role="list">
+          {report.problems.map((p) => (
+            <li key={p.id} className={`parse-report__problem parse-report__problem--${p.severity}`} role="listitem">
+              <span aria-hidden="true">{SEVERITY_ICONS[p.severity]}</span> <strong>{p.label}</strong>
+              <div className="parse-report__fix">{p.suggestion}</div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="parse-report__ok">✅ No parsing problems found — this file should read cleanly.</p>
+      )}
+      <details className="parse-report__text">
+        <summary>Plain-text view</summary>
+        <pre>{report.plainText}</pre>
+      </details>
+    </section>
+  );
+};
+
+export default ParseReport;
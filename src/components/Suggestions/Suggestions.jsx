@@ -0,0 +1,72 @@
+import React from 'react';
+import './Suggestions.css';
+
+/*
+  Suggestions — optimizer output as individual accept/reject items
+  Renders the list from utils/optimizerSuggestions toSuggestions(): keywords to add,
+  bullet rewrites (before → after), a summary rewrite, and format issues (advice only,
+  nothing is written into the resume for them). Decisions are owned by the parent.
+
+  Props:
+    - suggestions (Array<{ id, type, title, before, after, reason, applicable }>)
+    - decisions ({ [id]: 'accepted' | 'rejected' }) undecided items are absent
+    - onDecide (function(id, decision | null): void) optional, null clears the decision; without it the
+      list is read-only (e.g. while suggestions are still streaming in)
+    - onDecideAll (function(decision): void) optional, shows Accept all / Reject all
+*/
+
+const TYPE_LABELS = { keyword: 'Keyword', bullet: 'Bullet', summary: 'Summary', format: 'Format' };
+
+const Suggestions = ({ suggestions, decisions = {}, onDecide, onDecideAll }) => {
+  if (!suggestions?.length) return <p className="suggestions__empty">No suggestions — the optimizer found nothing to change.</p>;
+  const accepted = suggestions.filter((s) => decisions[s.id] === 'accepted').length;
+  return (
+    <section className="suggestions" aria-label="Optimizer suggestions">
+      <header className="suggestions__header">
+        <strong>{suggestions.length} suggestion{suggestions.length === 1 ? '' : 's'}</strong>
+        {onDecide && <span className="suggestions__count">{accepted} accepted</span>}
+        {onDecide && onDecideAll && (
+          <span className="suggestions__bulk">
+            <button type="button" className="btn btn--ghost" onClick={() => onDecideAll('accepted')}>Accept all</button>
+            <button type="button" className="btn btn--ghost" onClick={() => onDecideAll('rejected')}>Reject all</button>
+          </span>
+        )}
+      </header>
+      <ul className="suggestions__list" role="list">
+        {suggestions.map((s) => {
+          const decision = decisions[s.id] || null;
+          return (
+            <li key={s.id} className={`suggestion suggestion--${s.type}${decision ? ` suggestion--${decision}` : ''}`} role="listitem">
+              <div className="suggestion__head">
+                <span className="suggestion__type">{TYPE_LABELS[s.type]}</span>
+                <strong className="suggestion__title">{s.title}</strong>
+              </div>
+              {s.before && s.type === 'bullet' && <del className="suggestion__before">{s.before}</del>}
+              {s.after && s.type !== 'keyword' && <div className="suggestion__after">{s.type === 'format' ? `Fix: ${s.after}` : s.after}</div>}
+              {s.reason && <div className="suggestion__reason">{s.reason}</div>}
+              {!s.applicable && <div className="suggestion__reason">Fix this by hand in your document.</div>}
+              {onDecide && (
+                <div className="suggestion__actions">
+                  <button
+                    type="button"
+                    className={decision === 'accepted' ? 'btn' : 'btn btn--ghost'}
+                    aria-pressed={decision === 'accepted'}
+                    onClick={() => onDecide(s.id, decision === 'accepted' ? null : 'accepted')}
+                  >{s.applicable ? 'Accept' : 'Done'}</button>
+                  <button
+                    type="button"
+                    className={decision === 'rejected' ? 'btn' : 'btn btn--ghost'}
+                    aria-pressed={decision === 'rejected'}
+                    onClick={() => onDecide(s.id, decision === 'rejected' ? null : 'rejected')}
+                  >{s.applicable ? 'Reject' : 'Dismiss'}</button>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+};
+
+export default Suggestions;
@@ -8,9 +8,11 @@ import './Upload.css';
     - resumeFileName (string)
     - jdFileName (string)
     - invalidFeedback(msg)
+    - kind ('resume' | 'job description') optional, renders only that picker (the job description one
+      without the paste-text tab) for pages that lay out the two inputs themselves
 */
 
-const Upload = ({ onResumeUpload, onJobDescriptionUpload, resumeFileName, jdFileName, invalidFeedback }) => {
+const Upload = ({ onResumeUpload, onJobDescriptionUpload, resumeFileName, jdFileName, invalidFeedback, kind: only }) => {
   const resumeInputRef = useRef(null);
   const jdInputRef = useRef(null);
   const [dragOver, setDragOver] = useState(false);
@@ -25,16 +27,38 @@ const Upload = ({ onResumeUpload, onJobDescriptionUpload, resumeFileName, jdFile
     'application/pdf',
     'application/msword',
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.oasis.opendocument.text',
+    'application/rtf',
+    'text/rtf',
+    'text/html',
     'text/plain',
     'text/markdown',
   ];
+  const allowedExtensions = ['pdf', 'doc', 'docx', 'odt', 'rtf', 'html', 'htm', 'txt', 'md'];
+  // Resumes may also be a JSON Resume file; job descriptions a saved web archive or a JSON export of the posting
+  const jsonTypes = ['application/json'];
+  const jsonExtensions = ['json'];
+  const jdTypes = ['multipart/related', 'message/rfc822'];
+  const jdExtensions = ['mhtml', 'mht'];
+
+  // Browsers often report an empty or generic type (.md, .rtf); the extractor sniffs the real format from the bytes
+  const isAllowed = (file, kind) => {
+    const ext = (file.name.match(/\.([a-z0-9]+)$/i) || [])[1]?.toLowerCase();
+    if (jsonTypes.includes(file.type) || jsonExtensions.includes(ext)) return true;
+    if (kind !== 'resume' && (jdTypes.includes(file.type) || jdExtensions.includes(ext))) return true;
+    return allowedTypes.includes(file.type) || allowedExtensions.includes(ext);
+  };
+
+  const formatList = (kind) => (kind === 'resume'
+    ? 'PDF, DOC, DOCX, ODT, RTF, HTML, Markdown, TXT or JSON Resume'
+    : 'PDF, DOC, DOCX, ODT, RTF, HTML, MHTML, JSON, Markdown or TXT');
 
   const handleFilePick = async (e, kind) => {
     const file = e.target?.files?.[0];
     if (!file) return;
 
-    if (!allowedTypes.includes(file.type)) {
-      invalidFeedback?.(`Unsupported ${kind} format. Upload PDF, DOC, DOCX, or TXT.`);
+    if (!isAllowed(file, kind)) {
+      invalidFeedback?.(`Unsupported ${kind} format. Upload ${formatList(kind)}.`);
       e.target.value = '';
       return;
     }
@@ -72,8 +96,8 @@ const Upload = ({ onResumeUpload, onJobDescriptionUpload, resumeFileName, jdFile
     const droppedFile = e.dataTransfer?.files?.[0];
     if (!droppedFile) return;
 
-    if (!allowedTypes.includes(droppedFile.type)) {
-      invalidFeedback?.(`Unsupported ${kind} format. Upload PDF, DOC, DOCX, or TXT.`);
+    if (!isAllowed(droppedFile, kind)) {
+      invalidFeedback?.(`Unsupported ${kind} format. Upload ${formatList(kind)}.`);
       return;
     }
 
@@ -102,115 +126,131 @@ const Upload = ({ onResumeUpload, onJobDescriptionUpload, resumeFileName, jdFile
     onJobDescriptionUpload?.(jdText);
   };
 
+  const showResume = !only || only === 'resume';
+  const showJd = !only || only === 'job description';
+  const jdMode = only ? 'file' : jdInputMode;
+
   return (
     <div className="upload" role="region" aria-label="File Upload Section">
       {/* Resume Upload Section */}
-      <div className="upload__group">
-        <label className="upload__label">Resume</label>
-        <div
-          className={`dropzone ${dragOver ? 'is-over' : ''}`}
-          onDragOver={onDragOver}
-          onDragLeave={onDragLeave}
-          onDrop={(e) => onDrop(e, 'resume')}
-          role="button"
-          tabIndex={0}
-          onKeyDown={(e) => { if (e.key === 'Enter') resumeInputRef.current?.click(); }}
-        >
-          <p>{resumeFileName ? `Selected: ${resumeFileName}` : 'Drag & drop resume here or click to browse'}</p>
-          <button type="button" className="btn btn--small" onClick={() => resumeInputRef.current?.click()}>
-            Choose file
-          </button>
-          <input
-            ref={resumeInputRef}
-            type="file"
-            accept=".pdf,.doc,.docx,.txt,.md"
-            onChange={(e) => handleFilePick(e, 'resume')}
-            hidden
-          />
-        </div>
-      </div>
-
-      {/* Job Description Section with Toggle */}
-      <div className="upload__group">
-        <label className="upload__label">Job Description</label>
-        
-        {/* Mode Toggle Tabs */}
-        <div className="jd-mode-toggle" role="tablist" aria-label="Job Description Input Mode">
-          <button
-            type="button"
-            role="tab"
-            aria-selected={jdInputMode === 'file'}
-            aria-controls="jd-file-panel"
-            className={`jd-mode-tab ${jdInputMode === 'file' ? 'active' : ''}`}
-            onClick={() => setJdInputMode('file')}
-          >
-            📁 Upload File
-          </button>
-          <button
-            type="button"
-            role="tab"
-            aria-selected={jdInputMode === 'text'}
-            aria-controls="jd-text-panel"
-            className={`jd-mode-tab ${jdInputMode === 'text' ? 'active' : ''}`}
-            onClick={() => setJdInputMode('text')}
-          >
-            📝 Paste Text
-          </button>
-        </div>
-
-        {/* File Upload Panel */}
-        {jdInputMode === 'file' && (
+      {showResume && (
+        <div className="upload__group">
+          <label className="upload__label">Resume</label>
           <div
-            id="jd-file-panel"
-            role="tabpanel"
-            aria-labelledby="jd-file-tab"
             className={`dropzone ${dragOver ? 'is-over' : ''}`}
             onDragOver={onDragOver}
             onDragLeave={onDragLeave}
-            onDrop={(e) => onDrop(e, 'job description')}
+            onDrop={(e) => onDrop(e, 'resume')}
+            role="button"
             tabIndex={0}
-            onKeyDown={(e) => { if (e.key === 'Enter') jdInputRef.current?.click(); }}
+            onKeyDown={(e) => { if (e.key === 'Enter') resumeInputRef.current?.click(); }}
           >
-            <p>{jdFileName ? `Selected: ${jdFileName}` : 'Drag & drop JD here or click to browse'}</p>
-            <button type="button" className="btn btn--small" onClick={() => jdInputRef.current?.click()}>
+            <p>{resumeFileName ? `Selected: ${resumeFileName}` : 'Drag & drop resume here or click to browse'}</p>
+            <button type="button" className="btn btn--small" onClick={() => resumeInputRef.current?.click()}>
               Choose file
             </button>
             <input
-              ref={jdInputRef}
+              ref={resumeInputRef}
               type="file"
-              accept=".pdf,.doc,.docx,.txt,.md"
-              onChange={(e) => handleFilePick(e, 'job description')}
+              accept=".pdf,.doc,.docx,.odt,.rtf,.html,.htm,.txt,.md,.json"
+              onChange={(e) => handleFilePick(e, 'resume')}
               hidden
             />
           </div>
-        )}
-
-        {/* Text Input Panel */}
-        {jdInputMode === 'text' && (
-          <div id="jd-text-panel" role="tabpanel" aria-labelledby="jd-text-tab" className="jd-text-input-panel">
-            <textarea
-              className="jd-textarea"
-              placeholder="Paste the job description text here...\n\nInclude:\n• Job title\n• Required skills and qualifications\n• Responsibilities\n• Experience requirements\n• Any other relevant details"
-              value={jdText}
-              onChange={handleJdTextChange}
-              rows={12}
-              aria-label="Job Description Text Input"
-            />
-            <button
-              type="button"
-              className="btn btn--primary btn--jd-submit"
-              onClick={handleJdTextSubmit}
-              disabled={!jdText.trim()}
+        </div>
+      )}
+
+      {/* Job Description Section with Toggle */}
+      {showJd && (
+        <div className="upload__group">
+          <label className="upload__label">Job Description</label>
+        
+          {/* Mode Toggle Tabs */}
+          {!only && (
+            <div className="jd-mode-toggle" role="tablist" aria-label="Job Description Input Mode">
+              <button
+                type="button"
+                role="tab"
+                aria-selected={jdInputMode === 'file'}
+                aria-controls="jd-file-panel"
+                className={`jd-mode-tab ${jdInputMode === 'file' ? 'active' : ''}`}
+                onClick={() => setJdInputMode('file')}
+              >
+                📁 Upload File
+              </button>
+              <button
+                type="button"
+                role="tab"
+                aria-selected={jdInputMode === 'text'}
+                aria-controls="jd-text-panel"
+                className={`jd-mode-tab ${jdInputMode === 'text' ? 'active' : ''}`}
+                onClick={() => setJdInputMode('text')}
+              >
+                📝 Paste Text
+              </button>
+            </div>
+          )}
+
+          {/* File Upload Panel */}
+          {jdMode === 'file' && (
+            <div
+              id="jd-file-panel"
+              role="tabpanel"
+              aria-labelledby="jd-file-tab"
+              className={`dropzone ${dragOver ? 'is-over' : ''}`}
+              onDragOver={onDragOver}
+              onDragLeave={onDragLeave}
+              onDrop={(e) => onDrop(e, 'job description')}
+              tabIndex={0}
+              onKeyDown={(e) => { if (e.key === 'Enter') jdInputRef.current?.click(); }}
             >
-              Use This Job Description
-            </button>
-          </div>
-        )}
-      </div>
+              <p>{jdFileName ? `Selected: ${jdFileName}` : 'Drag & drop JD here or click to browse'}</p>
+              <button type="button" className="btn btn--small" onClick={() => jdInputRef.current?.click()}>
+                Choose file
+              </button>
+              <input
+                ref={jdInputRef}
+                type="file"
+                accept=".pdf,.doc,.docx,.odt,.rtf,.html,.htm,.mhtml,.mht,.json,.txt,.md"
+                onChange={(e) => handleFilePick(e, 'job description')}
+                hidden
+              />
+            </div>
+          )}
 
-      <div className="upload__help">
-        Supported: PDF, DOC, DOCX, TXT. Max 5MB each. Or paste job description text directly.
-      </div>
+          {/* Text Input Panel */}
+          {jdMode === 'text' && (
+            <div id="jd-text-panel" role="tabpanel" aria-labelledby="jd-text-tab" className="jd-text-input-panel">
+              <textarea
+                className="jd-textarea"
+                placeholder="Paste the job description text here...\n\nInclude:\n• Job title\n• Required skills and qualifications\n• Responsibilities\n• Experience requirements\n• Any other relevant details"
+                value={jdText}
+                onChange={handleJdTextChange}
+                rows={12}
+                aria-label="Job Description Text Input"
+              />
+              <button
+                type="button"
+                className="btn btn--primary btn--jd-submit"
+                onClick={handleJdTextSubmit}
+                disabled={!jdText.trim()}
+              >
+                Use This Job Description
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {only ? (
+        <div className="upload__help">Supported: {formatList(only)}. Max 5MB.</div>
+      ) : (
+        <div className="upload__help">
+          Supported: PDF, DOC, DOCX, ODT, RTF, HTML, Markdown, TXT. Resumes can also be a JSON Resume file or a LinkedIn
+          profile saved as PDF; job descriptions a saved job page (HTML or MHTML) or a JSON export. Max 5MB each. Or paste
+          job description text directly.
+        </div>
+      )}
     </div>
   );
 };
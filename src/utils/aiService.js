@@ -1,87 +1,82 @@
 /**
  * AI Service for Resume Optimization and Cover Letter Generation
- * Uses HuggingFace Inference API
+ * Talks to the configured LLM backend through ./llmProviders.js: HuggingFace
+ * Inference by default, or an OpenAI-compatible server or a local Ollama model
+ * via VITE_LLM_PROVIDER / VITE_LLM_MODEL / VITE_LLM_BASE_URL / VITE_LLM_API_KEY.
+ *
+ * The backend argument of each function selects the backend: a HuggingFace API key
+ * (string), a provider config object (merged over the environment's), or a
+ * provider from createLLMProvider. Omitted, the environment configuration is used.
+ *
+ * optimizeResume and generateCoverLetter stream when given options.onProgress,
+ * which is called as text arrives; options.signal cancels the upstream request
+ * (the result then has code 'aborted').
  */
 
-const HUGGINGFACE_API_URL = 'https://api-inference.huggingface.co/models/';
-const DEFAULT_MODEL = 'mistralai/Mistral-7B-Instruct-v0.2';
+import { createLLMProvider, llmConfigFromEnv } from './llmProviders';
+import { parseOptimizerOutput, requestOptimization, toSuggestions } from './optimizerSuggestions';
+
+// Vite exposes VITE_* variables on import.meta.env; elsewhere (tests, SSR) there is none
+const ENV_CONFIG = llmConfigFromEnv(import.meta.env || {}, 'VITE_');
+
+function resolveProvider(backend) {
+  if (backend && typeof backend.generate === 'function') return backend;
+  if (typeof backend === 'string') return createLLMProvider({ ...ENV_CONFIG, provider: 'huggingface', apiKey: backend });
+  return createLLMProvider({ ...ENV_CONFIG, ...(backend || {}) });
+}
 
 /**
  * Optimize resume content for ATS compatibility
+ * The model answers in the JSON schema of ./optimizerSuggestions (keywords to
+ * add, bullet rewrites, a summary rewrite and format issues); malformed replies
+ * are repaired or re-prompted once before giving up with code 'invalid-output'.
  * @param {string} resumeText - Original resume text
  * @param {string} jobDescription - Target job description
- * @param {string} apiKey - HuggingFace API key
- * @returns {Promise<Object>} Optimized resume suggestions
+ * @param {string|Object} [backend] - HuggingFace API key, provider config or provider (see above)
+ * @param {Object} [options] - { missingKeywords, signal, onProgress({ text, attempt, suggestions }) } where
+ *   suggestions are those complete in the partial reply
+ * @returns {Promise<Object>} { success, result, suggestions (accept/reject items), warnings, ... }
  */
-export async function optimizeResume(resumeText, jobDescription, apiKey) {
+export async function optimizeResume(resumeText, jobDescription, backend, options = {}) {
   try {
     if (!resumeText || !jobDescription) {
       throw new Error('Resume text and job description are required');
     }
 
-    if (!apiKey) {
-      throw new Error('HuggingFace API key is required');
-    }
-
-    const prompt = `You are an ATS (Applicant Tracking System) expert. Analyze the following resume and job description, then provide specific suggestions to optimize the resume for ATS compatibility.
-
-Job Description:
-${jobDescription}
-
-Resume:
-${resumeText}
-
-Provide optimization suggestions in the following categories:
-1. Keywords to add
-2. Skills to highlight
-3. Format improvements
-4. Content enhancements
-
-Be specific and actionable.`;
-
-    const response = await fetch(`${HUGGINGFACE_API_URL}${DEFAULT_MODEL}`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        inputs: prompt,
-        parameters: {
-          max_new_tokens: 500,
-          temperature: 0.7,
-          top_p: 0.95,
-          return_full_text: false,
-        },
-      }),
+    const provider = resolveProvider(backend);
+    const { onProgress, ...settings } = options;
+    let suggestions = [];
+    const onToken = onProgress && ((delta, { text, attempt }) => {
+      // Re-parse only when a string, object or list may just have closed
+      if (/["}\]]/.test(delta)) {
+        const partial = parseOptimizerOutput(text, { resumeText });
+        if (partial.valid) suggestions = toSuggestions(partial.result);
+      }
+      onProgress({ text, attempt, suggestions });
     });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(
-        `HuggingFace API error: ${response.status} - ${errorData.error || response.statusText}`
-      );
-    }
-
-    const data = await response.json();
-    
-    if (!data || !data[0] || !data[0].generated_text) {
-      throw new Error('Invalid response from HuggingFace API');
-    }
+    const { result, warnings, repaired, attempts } = await requestOptimization(provider, resumeText, jobDescription, { ...settings, onToken });
 
     return {
       success: true,
-      suggestions: data[0].generated_text,
+      result,
+      suggestions: toSuggestions(result),
+      warnings,
+      repaired,
+      attempts,
+      provider: provider.name,
+      model: provider.model,
       originalResume: resumeText,
       jobDescription: jobDescription,
       timestamp: new Date().toISOString(),
     };
   } catch (error) {
-    console.error('Error in optimizeResume:', error);
+    if (error.code !== 'aborted') console.error('Error in optimizeResume:', error);
     return {
       success: false,
       error: error.message,
-      suggestions: null,
+      code: error.code || null,
+      result: null,
+      suggestions: [],
       timestamp: new Date().toISOString(),
     };
   }
@@ -92,18 +87,17 @@ Be specific and actionable.`;
  * @param {string} resumeText - User's resume text
  * @param {string} jobDescription - Target job description
  * @param {string} companyName - Company name
- * @param {string} apiKey - HuggingFace API key
+ * @param {string|Object} [backend] - HuggingFace API key, provider config or provider (see above)
+ * @param {Object} [options] - { signal, onProgress({ text }) } with the letter so far
  * @returns {Promise<Object>} Generated cover letter
  */
-export async function generateCoverLetter(resumeText, jobDescription, companyName, apiKey) {
+export async function generateCoverLetter(resumeText, jobDescription, companyName, backend, options = {}) {
   try {
     if (!resumeText || !jobDescription || !companyName) {
       throw new Error('Resume text, job description, and company name are required');
     }
 
-    if (!apiKey) {
-      throw new Error('HuggingFace API key is required');
-    }
+    const provider = resolveProvider(backend);
 
     const prompt = `You are a professional career coach. Write a compelling cover letter for the following job application.
 
@@ -124,47 +118,30 @@ Write a professional, personalized cover letter that:
 
 Cover Letter:`;
 
-    const response = await fetch(`${HUGGINGFACE_API_URL}${DEFAULT_MODEL}`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        inputs: prompt,
-        parameters: {
-          max_new_tokens: 600,
-          temperature: 0.8,
-          top_p: 0.95,
-          return_full_text: false,
-        },
-      }),
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(
-        `HuggingFace API error: ${response.status} - ${errorData.error || response.statusText}`
-      );
-    }
-
-    const data = await response.json();
-    
-    if (!data || !data[0] || !data[0].generated_text) {
-      throw new Error('Invalid response from HuggingFace API');
-    }
+    const settings = { maxTokens: 600, temperature: 0.8, topP: 0.95, signal: options.signal };
+    let text = '';
+    if (options.onProgress) {
+      for await (const delta of provider.stream(prompt, settings)) {
+        text += delta;
+        options.onProgress({ text: text.trimStart() });
+      }
+      text = text.trim();
+    } else ({ text } = await provider.generate(prompt, settings));
 
     return {
       success: true,
-      coverLetter: data[0].generated_text,
+      coverLetter: text,
       companyName: companyName,
+      provider: provider.name,
+      model: provider.model,
       timestamp: new Date().toISOString(),
     };
   } catch (error) {
-    console.error('Error in generateCoverLetter:', error);
+    if (error.code !== 'aborted') console.error('Error in generateCoverLetter:', error);
     return {
       success: false,
       error: error.message,
+      code: error.code || null,
       coverLetter: null,
       timestamp: new Date().toISOString(),
     };
@@ -172,34 +149,25 @@ Cover Letter:`;
 }
 
 /**
- * Validate HuggingFace API key
- * @param {string} apiKey - HuggingFace API key to validate
+ * Validate the API key and backend configuration (the provider's health check)
+ * @param {string|Object} [backend] - HuggingFace API key, provider config or provider (see above)
  * @returns {Promise<Object>} Validation result
  */
-export async function validateApiKey(apiKey) {
+export async function validateApiKey(backend) {
   try {
-    if (!apiKey) {
+    if (typeof backend === 'string' && !backend) {
       throw new Error('API key is required');
     }
 
-    const response = await fetch(`${HUGGINGFACE_API_URL}${DEFAULT_MODEL}`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        inputs: 'Test',
-        parameters: {
-          max_new_tokens: 10,
-        },
-      }),
-    });
+    const provider = resolveProvider(backend);
+    const health = await provider.health();
 
     return {
-      valid: response.ok,
-      status: response.status,
-      message: response.ok ? 'API key is valid' : 'API key is invalid',
+      valid: health.ok,
+      status: health.status,
+      message: health.ok ? 'API key is valid' : health.code === 'auth' ? 'API key is invalid' : health.message,
+      provider: provider.name,
+      model: provider.model,
     };
   } catch (error) {
     console.error('Error validating API key:', error);
@@ -0,0 +1,117 @@
+/**
+ * Analysis adapter
+ * Runs the ATS scoring engine and maps its output into the shape the
+ * Analysis view renders (matched/missing keywords, section scores, insights).
+ * analyzeResumeAsync scores in the scoring worker (./scoringClient.js).
+ */
+
+import { scoreResume } from './atsScoring';
+import { getScoringClient } from './scoringClient';
+
+const SECTION_LABELS = {
+  sections: 'Sections',
+  formatting: 'Formatting',
+  education: 'Education',
+  skills: 'Skills',
+  recency: 'Recency',
+};
+
+/**
+ * Build a one-line summary for history entries
+ * @param {Object} result - Adapted analysis result
+ * @returns {string} Summary text
+ */
+export function summarizeResult(result) {
+  if (!result) return '';
+  const matched = result.matchedKeywords.length;
+  const missing = result.missingKeywords.length;
+  const partial = result.partialKeywords.length;
+  const parts = [`ATS ${result.score}/100`, `${matched} matched`, `${missing} missing`];
+  if (partial) parts.push(`${partial} partial`);
+  if (result.profile && result.profile.id !== 'default') parts.push(result.profile.name);
+  if (result.hardRequirements && result.hardRequirements.failed.length) parts.push(`${result.hardRequirements.failed.length} hard requirement(s) unmet`);
+  if (result.knockouts && !result.knockouts.passed) parts.push('knockout failed');
+  if (result.timeline && result.timeline.flags.length) parts.push(`${result.timeline.flags.length} timeline flag(s)`);
+  if (result.contact && result.contact.issues.some((i) => i.severity === 'high')) parts.push('contact details need attention');
+  if (result.language && result.language.mismatch) parts.push(`language mismatch (${result.language.resume}/${result.language.job})`);
+  return parts.join(' • ');
+}
+
+/**
+ * Map a scoreResume() result into the Analysis view model
+ * @param {Object} engineResult - Output of scoreResume
+ * @returns {Object} Analysis view model
+ */
+export function toAnalysisResult(engineResult) {
+  if (!engineResult) return null;
+  const { score, breakdown = {}, keywordCoverage = {}, insights = [], evidence = null, resume = null, experience = null, profile = null, knockouts = null, hardRequirements = null, bullets = null, timeline = null, contact = null, language = null, rules = [], meta = {} } = engineResult;
+
+  const sectionScores = {};
+  Object.entries(SECTION_LABELS).forEach(([key, label]) => {
+    if (typeof breakdown[key] === 'number') sectionScores[label] = breakdown[key];
+  });
+
+  const result = {
+    score,
+    breakdown,
+    matchedKeywords: keywordCoverage.found || [],
+    missingKeywords: keywordCoverage.missing || [],
+    partialKeywords: keywordCoverage.partial || [],
+    aliasMatches: keywordCoverage.aliases || [],
+    requiredKeywords: keywordCoverage.required || [],
+    optionalKeywords: keywordCoverage.optional || [],
+    sectionScores,
+    experienceMatch: (breakdown.experience || 0) / 100,
+    experience,
+    insights,
+    evidence,
+    resume,
+    profile,
+    knockouts,
+    hardRequirements,
+    bullets,
+    timeline,
+    contact,
+    language,
+    rules,
+    meta,
+  };
+  result.summary = summarizeResult(result);
+  return result;
+}
+
+/**
+ * Score a resume against a job description and return the Analysis view model
+ * @param {string} resumeText - Extracted resume text
+ * @param {string} jobText - Job description text
+ * @param {Object} [options] - scoreResume options
+ * @returns {Object} Analysis view model
+ */
+export function analyzeResume(resumeText, jobText, options) {
+  if (!resumeText || !jobText) {
+    throw new Error('Resume text and job description are required');
+  }
+  return toAnalysisResult(scoreResume(resumeText, jobText, options));
+}
+
+/**
+ * Score off the main thread and return the Analysis view model
+ * @param {string} resumeText - Extracted resume text
+ * @param {string} jobText - Job description text
+ * @param {Object} [options] - scoreResume options
+ * @param {Object} [client] - Scoring client (defaults to the shared worker client)
+ * @returns {Promise<Object>} Analysis view model; rejects with error.superseded when a newer call replaced it
+ */
+export async function analyzeResumeAsync(resumeText, jobText, options, client = getScoringClient()) {
+  if (!resumeText || !jobText) {
+    throw new Error('Resume text and job description are required');
+  }
+  return toAnalysisResult(await client.score(resumeText, jobText, options));
+}
+
+export default {
+  analyzeResume,
+  analyzeResumeAsync,
+  toAnalysisResult,
+  summarizeResult,
+};
@@ -2,8 +2,62 @@
  * ATS Scoring Engine (src/utils/atsScoring.js)
  * Fully documented heuristic algorithm to score resume vs job description.
  * See header comments for API and structures.
+ * Keyword matching consults the skill ontology (./skillOntology.js) so aliases, acronyms and
+ * child skills count as matches; pass options.ontology or options.skillAliases to extend it.
+ * The resume is also parsed into a structured model (./resumeParser.js), returned as `resume`.
+ * Experience is computed from parsed employment ranges (./experience.js), returned as `experience`.
+ * The job description is parsed (./jobParser.js) and returned as `job`; its required/preferred
+ * bullets, seniority, years and degree requirements drive keyword, experience and education scoring.
+ * Each sub-score records per-item evidence; ./scoreEvidence.js turns it into the `evidence` trace
+ * (points per item, matching resume line/offset and JD phrase).
+ * options.profile selects an ATS emulation profile (./scoringProfiles.js): its weights, matching
+ * rules (alias/stem matching, partial credit), expected sections and knockout criteria. Failed
+ * knockouts cap the score and are reported under `knockouts`.
+ * Hard requirements in the JD (authorization, clearance, licenses, degree, years, certifications) are
+ * checked by ./hardRequirements.js and reported pass/fail under `hardRequirements`, outside the score.
+ * Experience bullets are scored individually by ./bulletQuality.js (`bullets`, worst-first); their
+ * average quality feeds the bullet component of the sections score.
+ * Keywords are ranked by BM25 specificity against a background corpus of generic postings
+ * (./keywordWeighting.js), so boilerplate n-grams never count as keywords.
+ * Resume and JD languages (en, de, es, fr) are detected separately (./locales.js) unless
+ * options.locale forces one; each is parsed with its localized section headers, degree keywords,
+ * stopwords and stemmer, and a mismatch is reported under `language` and in the insights.
+ * JD analysis (parse, language, keyword classification) is cached per JD text and locale, and
+ * bullet scores per bullet, so re-scoring an edited resume against the same JD only redoes the
+ * resume side; `meta.cache.job` tells whether the JD analysis was reused. clearScoringCache() resets both.
+ * Custom rules (./scoringRules.js) from options.rules and the profile's rules are evaluated on the parsed
+ * resume/JD; each takes its weight as a share of the final score (built-in weights shrink to make room),
+ * adds its points to `breakdown` under its id, its items to `evidence` and its tips to `insights`.
+ * options.document ({ pageCount, fidelity }) describes the source file: page count for rules, and the
+ * ./parseFidelity.js report of the uploaded file, whose score and image/glyph findings feed the formatting
+ * component (without one, the report is built from the resume text alone). It is returned as `parseFidelity`;
+ * its high and medium problems are repeated in the insights.
+ * Contact details come from ./contactInfo.js, which also reads options.document.links (hyperlink targets),
+ * .headerFooterText and .country (for national phone numbers; defaults from the resume language). Validated
+ * fields set the formatting component's contact share, fields found only in headers/footers or behind links
+ * count half, and the result is returned as `contact`; its high and medium issues replace the generic contact tip.
+ * options.document.model, a structured resume imported by ./resumeImport.js (JSON Resume, LinkedIn profile PDF),
+ * replaces the model parsed from the resume text.
+ * Employment timeline red flags (gaps, job hopping, overlaps, future or reversed dates, mixed date
+ * formats) come from ./timeline.js under `timeline`, outside the score; options.timeline tunes the
+ * thresholds. High-severity flags are repeated in the insights.
  */
 
+import { createSkillOntology, getDefaultOntology } from './skillOntology';
+import { parseResume, matchSectionHeader } from './resumeParser';
+import { extractContact, LOCALE_COUNTRIES } from './contactInfo';
+import { computeExperience } from './experience';
+import { parseJobDescription, detectDegreeLevel } from './jobParser';
+import { buildScoreEvidence } from './scoreEvidence';
+import { resolveScoringProfile } from './scoringProfiles';
+import { evaluateHardRequirements } from './hardRequirements';
+import { scoreBullets } from './bulletQuality';
+import { rankKeywords } from './keywordWeighting';
+import { resolveScoringRules, runScoringRules } from './scoringRules';
+import { analyzeTimeline } from './timeline';
+import { analyzeParseFidelity } from './parseFidelity';
+import { LOCALES, normalizeLocale, detectLanguage, stemmerFor, resumeHeadersFor, jobHeadersFor, degreeLevelsFor, experiencePhraseFor } from './locales';
+
 const DEFAULT_WEIGHTS = Object.freeze({
   keywords: 0.38,
   sections: 0.14,
@@ -15,36 +69,53 @@ const DEFAULT_WEIGHTS = Object.freeze({
 });
 const DEFAULT_KEYWORD_EXTRACTION = Object.freeze({ minLen: 2, maxLen: 32, maxPhrases: 50, includeBigrams: true, includeTrigrams: true });
 const DEFAULT_NORMALIZATION = Object.freeze({ clampMin: 0, clampMax: 100 });
-const REQUIRED_SECTIONS = Object.freeze(['summary','experience','work experience','professional experience','education','skills']);
-const OPTIONAL_SECTIONS = Object.freeze(['projects','certifications','licenses','awards','honors','publications']);
+// Section keys of ./resumeParser.js; a header name in a profile ("work experience") is scored as its key
+const REQUIRED_SECTIONS = Object.freeze(['summary','experience','education','skills']);
+const OPTIONAL_SECTIONS = Object.freeze(['projects','certifications','awards','publications']);
+const DEFAULT_MATCHING = Object.freeze({ aliases: true, stems: true, partialCredit: 0.5 });
+const JOB_CACHE_SIZE = 8;
 const DEGREE_KEYWORDS = Object.freeze(['bachelor','bachelors','b.sc','ba','bs','b.s','undergraduate','master','masters','m.sc','ms','m.s','ma','graduate','phd','ph.d','doctoral','associate']);
 
 function normalize(text){return (text||'').replace(/\u00A0/g,' ').replace(/[\r\t]+/g,' ').replace(/\s+\n/g,'\n').replace(/\n{3,}/g,'\n\n').replace(/\s{2,}/g,' ').trim()}
+const jobCache=new Map();let bulletCaches=new WeakMap();
 function toLines(t){return normalize(t).split(/\n+/g)}
-function toTokens(t){return normalize(t).toLowerCase().replace(/[^a-z0-9+.#\-\s]/g,' ').split(/\s+/g).filter(Boolean)}
+function toTokens(t){return normalize(t).toLowerCase().replace(/[^\p{L}\p{N}+.#\-\s]/gu,' ').split(/\s+/g).filter(Boolean)}
 function uniq(a){return Array.from(new Set(a))}
 function clamp(v,min,max){return Math.max(min,Math.min(max,v))}
+function withArticle(word){return `${/^[aeiou]/i.test(word)?'an':'a'} ${word}`}
 function nowIso(){try{return new Date().toISOString()}catch{return ''}}
 function stem(token){if(token.length<=3) return token;return token.replace(/(ing|ed|ly|es|s)$/i,'').replace(/(ization|isation)$/i,'ize').replace(/(ment|ness)$/i,'').replace(/(ers|er)$/i,'er')}
-function countYears(text){const years=[];const re=/(20\d{2}|19\d{2})/g;let m;while((m=re.exec(text))) years.push(parseInt(m[1],10));if(years.length<2) return {span:0,recentYear:Math.max(...years,0)};const minY=Math.min(...years);const maxY=Math.max(...years);return {span:Math.max(0,maxY-minY),recentYear:maxY}}
-function detectSections(lines){const sections={};for(let i=0;i<lines.length;i++){const l=lines[i].trim().toLowerCase();const clean=l.replace(/[^a-z\s]/g,'');if(!clean) continue;[...REQUIRED_SECTIONS,...OPTIONAL_SECTIONS].forEach(k=>{if(clean.includes(k)) sections[k]=i})}return sections}
+function stemmerOf(locale){return !locale||locale==='en'?stem:stemmerFor(locale)}
+function sectionsFromModel(model){const sections={};for(const s of model.sections){if(s.key==='header') continue;sections[s.key]=s.startLine;const h=s.header.toLowerCase().replace(/[^\p{L}\s]/gu,'').replace(/\s+/g,' ').trim();if(h) sections[h]=s.startLine}return sections}
+function detectSections(lines, names){const sections={};for(let i=0;i<lines.length;i++){const l=lines[i].trim().toLowerCase();const clean=l.replace(/[^\p{L}\s]/gu,'');if(!clean) continue;(names||[...REQUIRED_SECTIONS,...OPTIONAL_SECTIONS]).forEach(k=>{if(clean.includes(k)) sections[k]=i})}return sections}
+
+function extractKeywords(text, options){const cfg={...DEFAULT_KEYWORD_EXTRACTION,...(options||{})};return rankKeywords(normalize(text),cfg).map(k=>k.phrase)}
+function classifyKeywords(jobText, job, locale){const required=new Set();const optional=new Set();const fromBullets=(bullets,target)=>{for(const b of bullets) extractKeywords(b.text.toLowerCase(),{maxPhrases:8,includeTrigrams:false,locale}).forEach(k=>target.add(k))};if(job){fromBullets(job.required,required);fromBullets(job.preferred,optional)}else{const lines=toLines(jobText.toLowerCase());const reqMarkers=[/\brequired\b/,/\bmust\b/,/\bminimum\b/,/\bneed(ed)?\b/,/\bresponsibilities\b/];const optMarkers=[/\bnice to have\b/,/\bpreferred\b/,/\bplus\b/,/\bbonus\b/,/\boptional\b/];for(const line of lines){const kws=extractKeywords(line,{maxPhrases:8,includeTrigrams:false,locale});const isReq=reqMarkers.some(r=>r.test(line));const isOpt=optMarkers.some(r=>r.test(line));for(const k of kws){if(isReq) required.add(k); else if(isOpt) optional.add(k)}}}if(required.size===0&&job&&job.responsibilities.length){fromBullets(job.responsibilities,required)}if(required.size===0){extractKeywords(jobText,{maxPhrases:20,locale}).forEach(k=>required.add(k))}const trivial=new Set(['and','or','with','the','a','an','in','to','of','for']);const req=Array.from(required).filter(k=>!trivial.has(k));const opt=Array.from(optional).filter(k=>!trivial.has(k)&&!required.has(k));return {required:uniq(req),optional:uniq(opt)}}
+function scoreKeywordCoverage(resumeText, jobText, ontology, job, matching, locale, keywords){const rules={...DEFAULT_MATCHING,...(matching||{})};const pc=rules.partialCredit;const stem=stemmerOf(locale);const {required,optional}=keywords||classifyKeywords(jobText, job, locale);const resumeTokens=toTokens(resumeText);const resumeStems=new Set(resumeTokens.map(stem));const stemToken=new Map();resumeTokens.forEach(t=>{const s=stem(t);if(!stemToken.has(s)) stemToken.set(s,t)});const resumeTextLc=normalize(resumeText).toLowerCase();const matchSkill=(ontology||getDefaultOntology()).matcherFor(resumeText);const found=[];const missing=[];const partial=[];const aliases=[];const inResume=(phrase)=>{const p=phrase.toLowerCase();if(resumeTextLc.includes(p)) return 'exact';const skill=rules.aliases?matchSkill(p):null;if(skill){aliases.push({keyword:phrase,...skill});return 'alias'}const parts=p.split(' ');if(rules.stems&&parts.length===1){const s=stem(parts[0]);if(resumeStems.has(s)) return 'stem'}return false};const evidence=[];const rMax=required.length?0.65/required.length:0;const oMax=optional.length?0.25/optional.length:0;const matchedText=(k,m)=>m==='alias'?aliases[aliases.length-1].matched:m==='stem'?stemToken.get(stem(k)):m?k:null;for(const k of required){const m=inResume(k);if(m==='exact'||m==='alias') found.push(k); else if(m==='stem') partial.push(k); else missing.push(k);evidence.push({label:k,group:'required',status:m||'missing',share:m==='stem'?rMax*pc:m?rMax:0,max:rMax,jd:k,match:matchedText(k,m)})}for(const k of optional){const m=inResume(k);if(m) found.push(k);evidence.push({label:k,group:'optional',status:m||'missing',share:m?oMax:0,max:oMax,jd:k,match:matchedText(k,m)})}const requiredCoverage=required.length? (found.filter(k=>required.includes(k)).length + pc*partial.length)/required.length : 0;const optionalCoverage=optional.length? found.filter(k=>optional.includes(k)).length/optional.length : 0;const freq=(found.length+pc*partial.length)/Math.max(50,resumeTokens.length);const density=clamp(freq*5,0,1);const score=clamp(0.65*requiredCoverage+0.25*optionalCoverage+0.10*density,0,1);evidence.push({label:'Keyword density',group:'density',status:density>=1?'met':'partial',share:0.10*density,max:0.10});return {score,evidence,coverage:{required,optional,found:uniq(found),missing:uniq(missing),partial:uniq(partial),aliases}}}
+
+function sectionKey(name){const m=matchSectionHeader(name);return m?m.key:name}
+function scoreSections(resumeLines, model, expected, bulletReport){const REQ=uniq(((expected&&expected.required)||REQUIRED_SECTIONS).map(sectionKey));const OPT=uniq(((expected&&expected.optional)||OPTIONAL_SECTIONS).map(sectionKey)).filter(s=>!REQ.includes(s));const fromModel=!!(model&&model.sections.some(s=>s.key!=='header'));const sections=fromModel?sectionsFromModel(model):detectSections(resumeLines,[...REQ,...OPT]);const lineOf=(s)=>{const k=Object.keys(sections).find(k=>k.includes(s));return fromModel&&k?sections[k]:null};const text=resumeLines.join('\n').toLowerCase();const hasReq=REQ.map(s=>Object.keys(sections).some(k=>k.includes(s)));const reqCoverage=REQ.length?hasReq.filter(Boolean).length/REQ.length:1;const hasOpt=OPT.map(s=>Object.keys(sections).some(k=>k.includes(s)));const optCoverage=OPT.length?hasOpt.filter(Boolean).length/OPT.length:1;const bullets=(text.match(/[\u2022\-•]/g)||[]).length;const quality=bulletReport&&bulletReport.bullets.length?bulletReport.averageScore/100:null;const bulletScore=quality===null?clamp(bullets/15,0,1):clamp(0.5*clamp(bullets/15,0,1)+0.5*quality,0,1);const score=clamp(0.7*reqCoverage+0.2*optCoverage+0.1*bulletScore,0,1);const evidence=[...REQ.map((s,i)=>({label:s,group:'required',status:hasReq[i]?'found':'missing',share:hasReq[i]?0.7/REQ.length:0,max:0.7/REQ.length,line:hasReq[i]?lineOf(s):null,match:hasReq[i]?s:null})),...OPT.map((s,i)=>({label:s,group:'optional',status:hasOpt[i]?'found':'missing',share:hasOpt[i]?0.2/OPT.length:0,max:0.2/OPT.length,line:hasOpt[i]?lineOf(s):null,match:hasOpt[i]?s:null})),{label:quality===null?`${bullets} bullet points`:`${bullets} bullet points, average quality ${bulletReport.averageScore}/100`,group:'bullets',status:bulletScore>=1?'met':'partial',share:0.1*bulletScore,max:0.1}];return {score,evidence,reqCoverage,optCoverage,bulletScore,found:Object.keys(sections)}}
+function scoreExperience(resumeText, jobText, model, options){const xp=computeExperience(model,{text:resumeText,now:options&&options.now,ontology:options&&options.ontology,skills:options&&options.skills});const span=xp.totalYears;const recentYear=xp.mostRecentYear;const job=(options&&options.job)||parseJobDescription(jobText);const desired=job.seniorityRank||0;const yearsReq=job.yearsRequired.total||0;const spanScore=clamp(span/Math.max(1,yearsReq||8),0,1);const resLc=normalize(resumeText).toLowerCase();const senHit=[[1,/(intern|junior|entry)/],[2,/(mid|intermediate)/],[3,/(senior|lead|principal|staff)/]].map(([r,re])=>[r,re.exec(resLc)]).find(([,m])=>m);const resSen=senHit?senHit[0]:0;const seniorityMatch=desired===0?0.7:(1-Math.min(1,Math.abs(desired-resSen)/3));const currentYear=((options&&options.now)||new Date()).getFullYear();const yearsSince= currentYear - (recentYear||currentYear);const recencyScore=clamp(1 - yearsSince/6, 0, 1);const skillGaps=Object.entries(job.yearsRequired.perSkill).map(([skill,years])=>({skill,years,actual:xp.perSkill[skill]||0})).filter(g=>g.actual<g.years);const posMonths=xp.positions.reduce((a,p)=>a+p.months,0)||1;const evidence=[...xp.positions.map(p=>({label:`${[p.title,p.company].filter(Boolean).join(' · ')||'Dated role'} (${Math.round(p.months/12*10)/10} yrs)`,group:'span',status:'found',share:0.6*spanScore*p.months/posMonths,max:0.6*spanScore*p.months/posMonths,lines:p.lines})),{label:`Years of experience: ${span} of ${yearsReq||8} expected`,group:'span',status:spanScore>=1?'met':'missing',share:0,max:0.6*(1-spanScore),jd:yearsReq?(job.yearsRequired.mentions.find(m=>m.years===yearsReq)||{}).text:null},{label:`Seniority: job ${job.seniority||'unspecified'}, resume ${['unspecified','junior','mid','senior'][resSen]}`,group:'seniority',status:seniorityMatch>=0.8?'met':'partial',share:0.4*seniorityMatch,max:0.4,jd:job.title||null,match:senHit?senHit[1][0]:null}];const latest=xp.positions.find(p=>p.current)||xp.positions[0];const recencyEvidence=[{label:recentYear?`Most recent dated role: ${recentYear}`:'No dated roles found',group:'recency',status:recencyScore>=0.7?'met':'partial',share:recencyScore,max:1,lines:latest?latest.lines:null}];return {span,totalMonths:xp.totalMonths,perSkill:xp.perSkill,positions:xp.positions,source:xp.source,yearsReq,skillGaps,spanScore,seniorityMatch,recencyScore,evidence,recencyEvidence}}
+function scoreEducation(resumeText, jobText, job, model, degreeLevels){const resLc=normalize(resumeText).toLowerCase();const degree=(job||parseJobDescription(jobText)).degree;const resumeLevel=detectDegreeLevel(resumeText, degreeLevels);const hasDegree=!!resumeLevel||DEGREE_KEYWORDS.some(k=>new RegExp(`\\b${k.replace(/\./g,'\\.')}\\b`).test(resLc));const jdMentions=degree.rank!==null;let levelMatch=0;if(jdMentions&&hasDegree) levelMatch=(!resumeLevel||resumeLevel.rank>=degree.rank)?1:0.6; else if(!jdMentions&&hasDegree) levelMatch=0.7; else if(jdMentions&&!hasDegree) levelMatch=(degree.equivalentAccepted||!degree.required)?0.5:0.2; else levelMatch=0.7; const certHits=resLc.match(/certified|certificate|certification|license|licensed|aws certified|azure|gcp|pmp|scrum|csm|cka|rhce|cisco|ccna|ccnp/g)||[];const certifications=certHits.length;const certScore=clamp(certifications/3,0,1);const score=clamp(0.75*levelMatch+0.25*certScore,0,1);const school=model&&model.education[0];const evidence=[{label:`Degree: job ${degree.level||'unspecified'}, resume ${resumeLevel?resumeLevel.level:(hasDegree?'mentioned':'none')}`,group:'degree',status:levelMatch>=1?'met':levelMatch>=0.6?'partial':'missing',share:0.75*levelMatch,max:0.75,jd:degree.level?degree.level:null,lines:school?school.lines:null},{label:`${certifications} certification mentions`,group:'certifications',status:certScore>=1?'met':certifications?'partial':'missing',share:0.25*certScore,max:0.25,match:certHits[0]||null}];return {score,evidence,levelMatch,certScore,hasDegree,certifications,requiredDegree:degree.level}}
+function contactPoints(f){const weight=(field)=>field.source==='text'?1:0.5;return clamp(0.35*(f.email?(f.email.valid?weight(f.email):0.15):0)+0.25*(f.phone?(f.phone.valid?weight(f.phone):0.1):0)+0.2*(f.name?1:0)+0.1*Math.max(...[f.linkedin,f.github,f.portfolio].map(l=>l&&l.valid?weight(l):0))+0.1*(f.location?1:0),0,1)}
+function scoreFormatting(resumeText, fidelity, contactInfo){const txt=normalize(resumeText);const lines=toLines(resumeText);const avgLen=lines.length? (lines.join(' ').length/lines.length):0;const contact=contactInfo||extractContact(resumeText);const contactFound=[contact.email&&'email',contact.phone&&`phone${contact.phone.e164?` (${contact.phone.e164})`:''}`,contact.linkedin&&'LinkedIn',contact.github&&'GitHub',contact.portfolio&&'portfolio',contact.location&&'location'].filter(Boolean);const hasContact=!!(contact.email||contact.phone);const points=contactPoints(contact);const fid=fidelity||analyzeParseFidelity({text:resumeText});const noImages=!fid.problems.some(p=>['images','text-in-images','missing-text-layer'].includes(p.id));const fancyFonts=fid.problems.some(p=>['unusual-glyphs','ligatures','icon-bullets'].includes(p.id));const fidelityScore=fid.score/100;const fileLength=txt.length;const lengthScore=clamp( (fileLength>=800?1:fileLength/800) * (fileLength<=8000?1:8000/fileLength), 0,1);const lineScore=clamp( avgLen>=40&&avgLen<=180?1:0.5, 0,1);const contactScore=0.4+0.6*points;const score=clamp(0.4*lengthScore+0.15*lineScore+0.25*contactScore+0.2*fidelityScore,0,1);const evidence=[{label:`Length: ${fileLength} characters (800–8000 ideal)`,group:'length',status:lengthScore>=1?'met':'partial',share:0.4*lengthScore,max:0.4},{label:`Average line length: ${Math.round(avgLen)} characters (40–180 ideal)`,group:'lines',status:lineScore>=1?'met':'partial',share:0.15*lineScore,max:0.15},{label:contactFound.length?`Contact details: ${contactFound.join(', ')}${contact.issues.some(i=>i.severity!=='low')?` (${contact.issues.filter(i=>i.severity!=='low').length} problem${contact.issues.filter(i=>i.severity!=='low').length===1?'':'s'})`:''}`:'No contact details found',group:'contact',status:points>=1?'met':hasContact?'partial':'missing',share:0.25*contactScore,max:0.25,match:contact.email?contact.email.value:contact.phone?contact.phone.value:null},{label:`Parse fidelity: ${fid.score}/100${fid.problems.length?` (${fid.problems.map(p=>p.label).join('; ')})`:''}`,group:'fidelity',status:fid.score>=100?'met':fid.score>=60?'partial':'missing',share:0.2*fidelityScore,max:0.2}];return {score,evidence,lengthScore,lineScore,contactScore,fidelityScore,noImages,fancyFonts,fidelity:fid,contact}}
+function skillKeywords(jobText, job, locale){const body=job?[...job.required,...job.preferred,...job.responsibilities].map(b=>b.text).join('\n'):'';return extractKeywords(body||jobText,{maxPhrases:30,locale})}
+function scoreSkills(resumeText, jobText, ontology, matching, job, locale, jdKeywords){const rules={...DEFAULT_MATCHING,...(matching||{})};const stem=stemmerOf(locale);const jdKws=jdKeywords||skillKeywords(jobText, job, locale);const resTxt=normalize(resumeText).toLowerCase();const matchSkill=(ontology||getDefaultOntology()).matcherFor(resumeText);let matched=0;let synonyms=0;const evidence=[];const max=jdKws.length?1/jdKws.length:0;for(const k of jdKws){const alias=resTxt.includes(k.toLowerCase())||!rules.aliases?null:matchSkill(k);if(resTxt.includes(k.toLowerCase())||alias){matched++;evidence.push({label:k,status:alias?'alias':'exact',share:max,max,jd:k,match:alias?alias.matched:k})} else {const parts=k.split(' ');const s=rules.stems&&parts.length===1?stem(parts[0]):null;const variant=s?resTxt.split(/[^\p{L}\p{N}]+/u).find(t=>stem(t)===s):null;if(variant) synonyms++;evidence.push({label:k,status:variant?'stem':'missing',share:variant?max*rules.partialCredit:0,max,jd:k,match:variant||null})}}const base=jdKws.length? (matched + rules.partialCredit*synonyms)/jdKws.length : 0;return {score:clamp(base,0,1), evidence, matched, synonyms, total: jdKws.length}}
 
-function extractKeywords(text, options){const cfg={...DEFAULT_KEYWORD_EXTRACTION,...(options||{})};const tokens=toTokens(text).filter(t=>t.length>=cfg.minLen&&t.length<=cfg.maxLen);const freq=new Map();for(const t of tokens) freq.set(t,(freq.get(t)||0)+1);const candidates=[];for(const [t,c] of freq) candidates.push({phrase:t,score:c});const raw=normalize(text).toLowerCase().replace(/[^a-z0-9+.#\-\s]/g,' ');const words=raw.split(/\s+/g).filter(Boolean);if(cfg.includeBigrams){for(let i=0;i<words.length-1;i++){const p=`${words[i]} ${words[i+1]}`;if(p.length>=cfg.minLen&&p.length<=48) candidates.push({phrase:p,score:1})}}if(cfg.includeTrigrams){for(let i=0;i<words.length-2;i++){const p=`${words[i]} ${words[i+1]} ${words[i+2]}`;if(p.length>=cfg.minLen&&p.length<=64) candidates.push({phrase:p,score:1})}}const merged=new Map();for(const c of candidates){const key=c.phrase.trim();if(!key) continue;merged.set(key,(merged.get(key)||0)+c.score)}const ranked=Array.from(merged.entries()).map(([phrase,score])=>({phrase,score})).sort((a,b)=>b.score-a.score).filter(k=>k.phrase.length<=48);return ranked.slice(0,cfg.maxPhrases).map(k=>k.phrase)}
-function classifyKeywords(jobText){const lines=toLines(jobText.toLowerCase());const required=new Set();const optional=new Set();const reqMarkers=[/\brequired\b/,/\bmust\b/,/\bminimum\b/,/\bneed(ed)?\b/,/\bresponsibilities\b/];const optMarkers=[/\bnice to have\b/,/\bpreferred\b/,/\bplus\b/,/\bbonus\b/,/\boptional\b/];for(const line of lines){const kws=extractKeywords(line,{maxPhrases:8,includeTrigrams:false});const isReq=reqMarkers.some(r=>r.test(line));const isOpt=optMarkers.some(r=>r.test(line));for(const k of kws){if(isReq) required.add(k); else if(isOpt) optional.add(k)}}if(required.size===0){extractKeywords(jobText,{maxPhrases:20}).forEach(k=>required.add(k))}const trivial=new Set(['and','or','with','the','a','an','in','to','of','for']);const req=Array.from(required).filter(k=>!trivial.has(k));const opt=Array.from(optional).filter(k=>!trivial.has(k));return {required:uniq(req),optional:uniq(opt)}}
-function scoreKeywordCoverage(resumeText, jobText){const {required,optional}=classifyKeywords(jobText);const resumeTokens=toTokens(resumeText);const resumeStems=new Set(resumeTokens.map(stem));const resumeTextLc=normalize(resumeText).toLowerCase();const found=[];const missing=[];const partial=[];const inResume=(phrase)=>{const p=phrase.toLowerCase();if(resumeTextLc.includes(p)) return 'exact';const parts=p.split(' ');if(parts.length===1){const s=stem(parts[0]);if(resumeStems.has(s)) return 'stem'}return false};for(const k of required){const m=inResume(k);if(m==='exact') found.push(k); else if(m==='stem') partial.push(k); else missing.push(k)}for(const k of optional){const m=inResume(k);if(m) found.push(k)}const requiredCoverage=required.length? (found.filter(k=>required.includes(k)).length + 0.5*partial.length)/required.length : 0;const optionalCoverage=optional.length? found.filter(k=>optional.includes(k)).length/optional.length : 0;const freq=(found.length+0.5*partial.length)/Math.max(50,resumeTokens.length);const density=clamp(freq*5,0,1);const score=clamp(0.65*requiredCoverage+0.25*optionalCoverage+0.10*density,0,1);return {score,coverage:{required,optional,found:uniq(found),missing:uniq(missing),partial:uniq(partial)}}}
+function aggregateScores(resumeText, jobText, options, model, job){const weights={...DEFAULT_WEIGHTS,...((options&&options.weights)||{})};const matching=options&&options.matching;const lang=(options&&options.language)||{resume:'en',job:'en'};const jd=(options&&options.jobAnalysis)||{};const kw=scoreKeywordCoverage(resumeText, jobText, options&&options.ontology, job, matching, lang.job, jd.keywords);const lines=toLines(resumeText);const blt=scoreBullets(model,{keywords:[...kw.coverage.required,...kw.coverage.optional],ontology:(options&&options.ontology)||getDefaultOntology(),locale:lang.resume,cache:bulletCacheFor((options&&options.ontology)||getDefaultOntology())});const sec=scoreSections(lines, model, options&&options.profile&&options.profile.sections, blt);const exp=scoreExperience(resumeText, jobText, model, {now:options&&options.now,ontology:options&&options.ontology,job,skills:[...kw.coverage.required,...kw.coverage.optional,...Object.keys(job.yearsRequired.perSkill)]});const edu=scoreEducation(resumeText, jobText, job, model, degreeLevelsFor(lang.resume));const fmt=scoreFormatting(resumeText, options&&options.fidelity, options&&options.contact);const skl=scoreSkills(resumeText, jobText, options&&options.ontology, matching, job, lang.job, jd.skillKeywords);const rec=exp.recencyScore;const raw = (weights.keywords*kw.score + weights.sections*sec.score + weights.formatting*fmt.score + weights.experience*(0.6*exp.spanScore+0.4*exp.seniorityMatch) + weights.education*edu.score + weights.skills*skl.score + weights.recency*rec);return {raw, parts:{kw,sec,fmt,exp,edu,skl,rec,blt}}}
 
-function scoreSections(resumeLines){const sections=detectSections(resumeLines);const text=resumeLines.join('\n').toLowerCase();const hasReq=REQUIRED_SECTIONS.map(s=>Object.keys(sections).some(k=>k.includes(s)));const reqCoverage=hasReq.filter(Boolean).length/REQUIRED_SECTIONS.length;const hasOpt=OPTIONAL_SECTIONS.map(s=>Object.keys(sections).some(k=>k.includes(s)));const optCoverage=hasOpt.filter(Boolean).length/OPTIONAL_SECTIONS.length;const bullets=(text.match(/[\u2022\-•]/g)||[]).length;const bulletScore=clamp(bullets/15,0,1);const score=clamp(0.7*reqCoverage+0.2*optCoverage+0.1*bulletScore,0,1);return {score,reqCoverage,optCoverage,bulletScore}}
-function scoreExperience(resumeText, jobText){const {span,recentYear}=countYears(resumeText);const jd=normalize(jobText).toLowerCase();let desired=0;if(/\b(intern|junior|entry)\b/.test(jd)) desired=1; else if(/\b(mid|intermediate)\b/.test(jd)) desired=2; else if(/\b(senior|lead|principal|staff)\b/.test(jd)) desired=3;let yearsReq=0;const ym=jd.match(/(\d+)\+?\s*(?:years|yrs)/);if(ym) yearsReq=parseInt(ym[1],10)||0;const spanScore=clamp(span/Math.max(1,yearsReq||8),0,1);const resLc=normalize(resumeText).toLowerCase();let resSen=0;if(/(intern|junior|entry)/.test(resLc)) resSen=1; else if(/(mid|intermediate)/.test(resLc)) resSen=2; else if(/(senior|lead|principal|staff)/.test(resLc)) resSen=3;const seniorityMatch=desired===0?0.7:(1-Math.min(1,Math.abs(desired-resSen)/3));const currentYear=(new Date()).getFullYear? (new Date()).getFullYear():2025;const yearsSince= currentYear - (recentYear||currentYear);const recencyScore=clamp(1 - yearsSince/6, 0, 1);return {span,yearsReq,spanScore,seniorityMatch,recencyScore}}
-function scoreEducation(resumeText, jobText){const resLc=normalize(resumeText).toLowerCase();const jd=normalize(jobText).toLowerCase();const hasDegree=DEGREE_KEYWORDS.some(k=>resLc.includes(k));const jdMentions=DEGREE_KEYWORDS.some(k=>jd.includes(k));let levelMatch=0;if(jdMentions&&hasDegree) levelMatch=1; else if(!jdMentions&&hasDegree) levelMatch=0.7; else if(jdMentions&&!hasDegree) levelMatch=0.2; const certifications=(resLc.match(/certified|certificate|certification|license|licensed|aws certified|azure|gcp|pmp|scrum|csm|cka|rhce|cisco|ccna|ccnp/g)||[]).length;const certScore=clamp(certifications/3,0,1);const score=clamp(0.75*levelMatch+0.25*certScore,0,1);return {score,levelMatch,certScore,hasDegree,certifications}}
-function scoreFormatting(resumeText){const txt=normalize(resumeText);const lines=toLines(resumeText);const avgLen=lines.length? (lines.join(' ').length/lines.length):0;const hasContact=/@|linkedin\.com|github\.com|portfolio|phone|\b\d{3}[)\-\.\s]?\d{3}/i.test(txt);const noImages=true;const fancyFonts=false;const fileLength=txt.length;const lengthScore=clamp( (fileLength>=800?1:fileLength/800) * (fileLength<=8000?1:8000/fileLength), 0,1);const lineScore=clamp( avgLen>=40&&avgLen<=180?1:0.5, 0,1);const contactScore=hasContact?1:0.4;const score=clamp(0.5*lengthScore+0.2*lineScore+0.3*contactScore,0,1);return {score,lengthScore,lineScore,contactScore,noImages,fancyFonts}}
-function scoreSkills(resumeText, jobText){const jdKws=extractKeywords(jobText,{maxPhrases:30});const resTxt=normalize(resumeText).toLowerCase();let matched=0;let synonyms=0;for(const k of jdKws){if(resTxt.includes(k.toLowerCase())) matched++; else {const parts=k.split(' '); if(parts.length===1){const s=stem(parts[0]); if(resTxt.split(/\W+/).some(t=>stem(t)===s)) {synonyms++;}}}}const base=jdKws.length? (matched + 0.5*synonyms)/jdKws.length : 0;return {score:clamp(base,0,1), matched, synonyms, total: jdKws.length}}
+function evaluateKnockouts(rules, parts, job, hard){const ko=rules||{};const {kw,sec,exp,edu}=parts;const results=[];if(typeof ko.minRequiredCoverage==='number'&&kw.coverage.required.length){const hit=kw.coverage.required.filter(k=>kw.coverage.found.includes(k)).length/kw.coverage.required.length;results.push({id:'required-keywords',label:`Required keywords: ${Math.round(hit*100)}% covered (${Math.round(ko.minRequiredCoverage*100)}% needed)`,passed:hit>=ko.minRequiredCoverage})}if(typeof ko.minYearsRatio==='number'&&exp.yearsReq){const needed=Math.round(exp.yearsReq*ko.minYearsRatio*10)/10;results.push({id:'minimum-years',label:`Years of experience: ${exp.span} (${needed} needed)`,passed:exp.span>=needed})}if(ko.requireDegree&&job.degree.rank!==null&&job.degree.required&&!job.degree.equivalentAccepted){results.push({id:'degree',label:`Degree: ${job.degree.level} required`,passed:edu.hasDegree&&edu.levelMatch>=1})}(ko.requiredSections||[]).forEach(name=>results.push({id:`section:${name}`,label:`Section: ${name}`,passed:sec.found.some(k=>k.includes(sectionKey(name)))}));if(ko.hardRequirements&&hard) hard.failed.forEach(r=>results.push({id:`hard:${r.id}`,label:`Hard requirement: ${r.label}`,passed:false}));return results}
 
-function aggregateScores(resumeText, jobText, options){const weights={...DEFAULT_WEIGHTS,...((options&&options.weights)||{})};const kw=scoreKeywordCoverage(resumeText, jobText);const lines=toLines(resumeText);const sec=scoreSections(lines);const exp=scoreExperience(resumeText, jobText);const edu=scoreEducation(resumeText, jobText);const fmt=scoreFormatting(resumeText);const skl=scoreSkills(resumeText, jobText);const rec=exp.recencyScore;const raw = (weights.keywords*kw.score + weights.sections*sec.score + weights.formatting*fmt.score + weights.experience*(0.6*exp.spanScore+0.4*exp.seniorityMatch) + weights.education*edu.score + weights.skills*skl.score + weights.recency*rec);return {raw, parts:{kw,sec,fmt,exp,edu,skl,rec}}}
+function buildInsights(resumeText, jobText, parts, knockouts, hard, language){const tips=[];const {kw,sec,exp,edu,fmt,skl}=parts;if(language&&language.mismatch) tips.push(`Your resume appears to be in ${LOCALES[language.resume].name} but the job description is in ${LOCALES[language.job].name}; keyword matching is language-specific, so submit ${withArticle(LOCALES[language.job].name)} resume if the employer accepts one`);(hard?hard.failed:[]).forEach(r=>tips.push(`Hard requirement not met: ${r.label}${r.detail?` (${r.detail})`:''}. If you meet it, state it explicitly on your resume`));(hard?hard.unknown:[]).forEach(r=>tips.push(`Confirm you meet: ${r.label}`));(knockouts||[]).filter(k=>!k.passed).forEach(k=>tips.push(`Knockout failed — ${k.label}. This screen rejects the resume before ranking it`));const missingReq=kw.coverage.missing.slice(0,10);if(missingReq.length) tips.push(`Add missing required keywords: ${missingReq.join(', ')}`);if(kw.coverage.partial.length) tips.push(`Clarify partial matches with explicit terms: ${kw.coverage.partial.slice(0,10).join(', ')}`);if(sec.reqCoverage<1) tips.push('Ensure standard sections: Summary, Experience, Education, Skills');if(sec.optCoverage<0.5) tips.push('Consider adding Projects, Certifications, or Awards');const {blt}=parts;if(blt.bullets.length&&blt.averageScore<70){const n=blt.bullets.length;const unquantified=n-blt.counts.quantified;tips.push(`Strengthen experience bullets (average quality ${blt.averageScore}/100)${unquantified?`: ${unquantified} of ${n} have no measurable result`:''}`)}if(fmt.contact){const serious=fmt.contact.issues.filter(i=>i.severity!=='low');(serious.length?serious:fmt.contactScore<1?fmt.contact.issues:[]).forEach(i=>tips.push(i.message))}else if(fmt.contactScore<1) tips.push('Include clear contact details (email, LinkedIn, phone)');if(exp.source==='none') tips.push('Add start and end dates (e.g. "Jan 2019 – Present") to each role so experience can be counted'); else if(exp.spanScore<0.6) tips.push(exp.yearsReq?`Quantify total years of relevant experience (the job asks for ${exp.yearsReq}+, your dated roles add up to ${exp.span})`:'Quantify total years of relevant experience');exp.skillGaps.slice(0,3).forEach(g=>tips.push(`The job asks for ${g.years}+ years of ${g.skill}; your dated roles show ${g.actual}. Mention ${g.skill} in each role where you used it`));if(exp.seniorityMatch<0.8) tips.push('Align title/seniority wording with the job description');if(parts.rec<0.7) tips.push('Highlight recent, relevant work (last 2-3 years)');if(!edu.hasDegree) tips.push(edu.requiredDegree?`The job lists a ${edu.requiredDegree} degree; add your education details or equivalent experience`:'If applicable, add education details and relevant certifications');if(skl.score<0.6) tips.push('Expand skills section with role-specific tools and technologies');return uniq(tips)}
 
-function buildInsights(resumeText, jobText, parts){const tips=[];const {kw,sec,exp,edu,fmt,skl}=parts;const missingReq=kw.coverage.missing.slice(0,10);if(missingReq.length) tips.push(`Add missing required keywords: ${missingReq.join(', ')}`);if(kw.coverage.partial.length) tips.push(`Clarify partial matches with explicit terms: ${kw.coverage.partial.slice(0,10).join(', ')}`);if(sec.reqCoverage<1) tips.push('Ensure standard sections: Summary, Experience, Education, Skills');if(sec.optCoverage<0.5) tips.push('Consider adding Projects, Certifications, or Awards');if(fmt.contactScore<1) tips.push('Include clear contact details (email, LinkedIn, phone)');if(exp.spanScore<0.6) tips.push('Quantify total years of relevant experience');if(exp.seniorityMatch<0.8) tips.push('Align title/seniority wording with the job description');if(parts.rec<0.7) tips.push('Highlight recent, relevant work (last 2-3 years)');if(!edu.hasDegree) tips.push('If applicable, add education details and relevant certifications');if(skl.score<0.6) tips.push('Expand skills section with role-specific tools and technologies');return uniq(tips)}
+function resolveOptions(options){const normalization={...DEFAULT_NORMALIZATION,...((options&&options.normalization)||{})};const keywordExtraction={...DEFAULT_KEYWORD_EXTRACTION,...((options&&options.keywordExtraction)||{})};const profile=resolveScoringProfile(options&&options.profile);const weights={...DEFAULT_WEIGHTS,...profile.weights,...((options&&options.weights)||{})};const matching={...DEFAULT_MATCHING,...profile.matching,...((options&&options.matching)||{})};const ontology=(options&&options.ontology)||((options&&options.skillAliases)?createSkillOntology(undefined,options.skillAliases):getDefaultOntology());return {normalization,keywordExtraction,weights,matching,profile,ontology,now:(options&&options.now)||null,locale:(options&&options.locale)||'auto',rules:resolveScoringRules([...(profile.rules||[]),...((options&&options.rules)||[])]),document:(options&&options.document)||null,timeline:(options&&options.timeline)||{}}}
+function resolveLanguage(locale, resumeText, j){const r=detectLanguage(resumeText);const mismatch=r.locale!==j.locale&&r.confidence>0&&j.confidence>0;if(locale&&locale!=='auto'){const l=normalizeLocale(locale);return {resume:l,job:l,detected:{resume:r.locale,job:j.locale},mismatch}}return {resume:r.locale,job:j.locale,detected:{resume:r.locale,job:j.locale},mismatch}}
 
-function resolveOptions(options){const normalization={...DEFAULT_NORMALIZATION,...((options&&options.normalization)||{})};const keywordExtraction={...DEFAULT_KEYWORD_EXTRACTION,...((options&&options.keywordExtraction)||{})};const weights={...DEFAULT_WEIGHTS,...((options&&options.weights)||{})};return {normalization,keywordExtraction,weights,locale:(options&&options.locale)||'en'}}
+function lruGet(cache, key, size, compute){if(cache.has(key)){const value=cache.get(key);cache.delete(key);cache.set(key,value);return value}const value=compute();cache.set(key,value);if(cache.size>size) cache.delete(cache.keys().next().value);return value}
+function bulletCacheFor(ontology){if(!bulletCaches.has(ontology)) bulletCaches.set(ontology,new Map());return bulletCaches.get(ontology)}
+function analyzeJob(jobText, locale){const jobTxt=normalize(jobText);const detected=detectLanguage(jobTxt);const lang=locale&&locale!=='auto'?normalizeLocale(locale):detected.locale;const job=parseJobDescription(jobText,{headers:jobHeadersFor(lang),degreeLevels:degreeLevelsFor(lang),experiencePhrase:experiencePhraseFor(lang)});return {job,detected,locale:lang,keywords:classifyKeywords(jobTxt, job, lang),skillKeywords:skillKeywords(jobTxt, job, lang),extracted:extractKeywords(jobTxt,{maxPhrases:30,locale:lang})}}
+export function clearScoringCache(){jobCache.clear();bulletCaches=new WeakMap()}
 
-export function scoreResume(resumeText, jobText, options){const opt=resolveOptions(options||{});const resTxt=normalize(resumeText||'');const jobTxt=normalize(jobText||'');const {raw,parts}=aggregateScores(resTxt, jobTxt, opt);const score=clamp(Math.round(raw*100), opt.normalization.clampMin, opt.normalization.clampMax);const breakdown={keywords:Math.round(parts.kw.score*100),sections:Math.round(parts.sec.score*100),formatting:Math.round(parts.fmt.score*100),experience:Math.round((0.6*parts.exp.spanScore+0.4*parts.exp.seniorityMatch)*100),education:Math.round(parts.edu.score*100),skills:Math.round(parts.skl.score*100),recency:Math.round(parts.rec*100)};const insights=buildInsights(resTxt, jobTxt, parts);return {score,breakdown,keywordCoverage:parts.kw.coverage,insights,meta:{tokensResume:toTokens(resTxt).length,tokensJob:toTokens(jobTxt).length,extractedKeywords:extractKeywords(jobTxt,{maxPhrases:30}),timestamp:nowIso(),options:opt}}}
+export function scoreResume(resumeText, jobText, options){const opt=resolveOptions(options||{});const resTxt=normalize(resumeText||'');const jobTxt=normalize(jobText||'');const jobKey=`${opt.locale}\u0000${jobText||''}`;const jobCached=jobCache.has(jobKey);const jd=lruGet(jobCache, jobKey, JOB_CACHE_SIZE, ()=>analyzeJob(jobText||'', opt.locale));const language=resolveLanguage(opt.locale, resTxt, jd.detected);const doc=opt.document||{};const model=doc.model||parseResume(resumeText||'',{headers:resumeHeadersFor(language.resume)});const job=jd.job;const contact=extractContact(resumeText||'',{model,links:doc.links,headerFooterText:doc.headerFooterText,country:doc.country||LOCALE_COUNTRIES[language.resume],countryInferred:!doc.country});const {raw,parts}=aggregateScores(resTxt, jobTxt, {...opt,language,jobAnalysis:jd,fidelity:doc.fidelity,contact}, model, job);const hardRequirements=evaluateHardRequirements(job,{resumeText:resumeText||'',resume:model,totalYears:parts.exp.span,degreeLevels:degreeLevelsFor(language.resume)});const knockouts=evaluateKnockouts(opt.profile.knockouts, parts, job, hardRequirements);const failed=knockouts.filter(k=>!k.passed);const breakdown={keywords:Math.round(parts.kw.score*100),sections:Math.round(parts.sec.score*100),formatting:Math.round(parts.fmt.score*100),experience:Math.round((0.6*parts.exp.spanScore+0.4*parts.exp.seniorityMatch)*100),education:Math.round(parts.edu.score*100),skills:Math.round(parts.skl.score*100),recency:Math.round(parts.rec*100)};const rules=runScoringRules(opt.rules,{resume:model,job,resumeText:resumeText||'',jobText:jobText||'',language,keywordCoverage:parts.kw.coverage,experience:{totalYears:parts.exp.span,perSkill:parts.exp.perSkill,positions:parts.exp.positions},breakdown:{...breakdown},document:opt.document});const ruleWeight=rules.reduce((sum,r)=>sum+r.weight,0);const total=raw*(1-ruleWeight)+rules.reduce((sum,r)=>sum+r.weight*r.points/100,0);rules.filter(r=>!r.error).forEach(r=>{breakdown[r.id]=Math.round(r.points)});const weights={};Object.entries(opt.weights).forEach(([k,w])=>{weights[k]=w*(1-ruleWeight)});const uncapped=clamp(Math.round(total*100), opt.normalization.clampMin, opt.normalization.clampMax);const score=failed.length?Math.min(uncapped,opt.profile.knockouts.capScore):uncapped;const timeline=analyzeTimeline(model,{...opt.timeline,...(opt.now?{now:opt.now}:{})});const insights=uniq([...buildInsights(resTxt, jobTxt, parts, knockouts, hardRequirements, language),...rules.flatMap(r=>r.insights),...timeline.flags.filter(f=>f.severity==='high').map(f=>`${f.message}: ${f.suggestion}`),...parts.fmt.fidelity.problems.filter(p=>p.severity!=='low').map(p=>`${p.label}: ${p.suggestion}`)]);const {ontology,profile,...publicOpt}=opt;return {score,breakdown,profile:{id:profile.id,name:profile.name},knockouts:{passed:!failed.length,capped:score<uncapped,uncappedScore:uncapped,results:knockouts},hardRequirements,bullets:parts.blt,timeline,parseFidelity:{score:parts.fmt.fidelity.score,problems:parts.fmt.fidelity.problems,stats:parts.fmt.fidelity.stats},contact:parts.fmt.contact,language,rules:rules.map(({evidence,...r})=>r),keywordCoverage:parts.kw.coverage,insights,evidence:buildScoreEvidence({resumeText:resumeText||'',jobText:jobText||'',parts,weights,rules}),resume:model,job,experience:{totalYears:parts.exp.span,totalMonths:parts.exp.totalMonths,perSkill:parts.exp.perSkill,positions:parts.exp.positions,source:parts.exp.source},meta:{tokensResume:toTokens(resTxt).length,tokensJob:toTokens(jobTxt).length,extractedKeywords:jd.extracted,cache:{job:jobCached},timestamp:nowIso(),options:{...publicOpt,profile:profile.id,rules:opt.rules.map(r=>r.id),ontologySize:ontology.size}}}}
 
-export default { scoreResume };
+export default { scoreResume, clearScoringCache };
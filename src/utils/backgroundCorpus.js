@@ -0,0 +1,53 @@
+/**
+ * Background corpus of generic job-posting language
+ * Boilerplate from postings across many fields (healthcare, retail, finance,
+ * logistics, engineering, marketing, education...). Keyword weighting uses it
+ * for document frequencies: phrases that appear in most postings ("ability to",
+ * "fast-paced environment", "we are looking for") get a low weight, while
+ * role-specific terms that never appear here stay highly weighted.
+ *
+ * Keep entries generic — adding a real skill here lowers its weight everywhere.
+ */
+
+export const BACKGROUND_CORPUS = Object.freeze([
+  'We are looking for a motivated team player to join our growing team. The ideal candidate has excellent communication skills, strong attention to detail and the ability to work in a fast-paced environment. Competitive salary and benefits.',
+  'About the role: you will work closely with cross-functional teams to deliver results. Responsibilities include managing priorities, meeting deadlines and supporting the team. Requirements: a strong work ethic, a positive attitude and the ability to work independently.',
+  'Registered Nurse wanted for our busy hospital unit. Provide high quality patient care, collaborate with physicians and follow hospital policies. We offer health insurance, paid time off and a supportive work environment. Equal opportunity employer.',
+  'Retail Sales Associate: greet customers, maintain a clean and organized store, process transactions and meet sales goals. Must be able to stand for long periods and work flexible hours including weekends and holidays.',
+  'Staff Accountant responsible for month-end close, account reconciliations and financial reporting. Bachelor\'s degree in accounting or related field required. Strong analytical skills and attention to detail. Experience with spreadsheets preferred.',
+  'Warehouse Associate: pick, pack and ship orders accurately, operate equipment safely and keep the work area clean. Must be able to lift up to 50 pounds. Full-time and part-time positions available with competitive pay.',
+  'We are seeking a customer service representative with excellent written and verbal communication skills. You will answer customer inquiries, resolve issues and ensure customer satisfaction. Previous experience in a customer-facing role is a plus.',
+  'Marketing Coordinator to support campaigns, coordinate events and manage social media channels. The successful candidate is creative, organized and able to manage multiple projects at once. Bachelor\'s degree in marketing or a related field.',
+  'Join our mission-driven company and make an impact. We value diversity, equity and inclusion and are committed to building a diverse team. We offer a generous benefits package, 401(k) matching, professional development and a hybrid work model.',
+  'Project Manager responsible for planning, executing and closing projects on time and within budget. Work with stakeholders to define scope, manage risks and communicate status. Proven track record of successful project delivery required.',
+  'Software Engineer: design, develop and maintain software in a collaborative team. Write clean code, participate in code reviews and contribute to technical decisions. Bachelor\'s degree in computer science or equivalent experience.',
+  'Administrative Assistant to provide support to the office: answer phones, schedule meetings, manage calendars and prepare documents. Proficiency with office software and excellent organizational skills required.',
+  'Teacher position: plan and deliver lessons, assess student progress and communicate with parents. Valid teaching certificate required. Ability to create a positive learning environment for all students.',
+  'Financial Analyst to prepare forecasts, analyze financial data and support budgeting. Strong problem-solving skills and the ability to present findings to senior leadership. 3+ years of experience in a similar role preferred.',
+  'Our client, a leading company in the industry, is hiring a Sales Manager. You will lead a team of sales representatives, develop relationships with key accounts and drive revenue growth. Excellent leadership and interpersonal skills.',
+  'Data Entry Clerk: enter and update information accurately, verify data and maintain records. Strong typing skills and attention to detail. Must be reliable, punctual and able to work with minimal supervision.',
+  'Human Resources Generalist responsible for recruiting, onboarding, employee relations and benefits administration. Knowledge of employment laws and best practices. Strong interpersonal and communication skills required.',
+  'Operations Manager to oversee daily operations, improve processes and ensure quality standards are met. Must have strong leadership skills, a results-oriented mindset and the ability to motivate a team.',
+  'Why join us? Competitive compensation, comprehensive medical, dental and vision insurance, paid parental leave, flexible working hours and opportunities for career growth in a collaborative culture.',
+  'Mechanical Engineer to design and test mechanical components, prepare technical drawings and work with manufacturing teams. Bachelor\'s degree in engineering required. Excellent problem-solving skills.',
+  'Graphic Designer with a strong portfolio to create visual content for digital and print. Work closely with the marketing team, manage multiple deadlines and incorporate feedback. Creative thinking and attention to detail.',
+  'Truck Driver needed for local routes. Valid driver\'s license and clean driving record required. Inspect vehicles, deliver goods safely and on time and maintain accurate logs.',
+  'Business Analyst to gather requirements, document processes and work with stakeholders to identify improvements. Strong analytical and communication skills. Experience in a fast-paced environment is a plus.',
+  'Chef responsible for preparing high quality meals, managing kitchen staff and maintaining food safety standards. Previous experience in a similar role required. Ability to work evenings and weekends.',
+  'Research Assistant to collect and analyze data, conduct literature reviews and prepare reports. Master\'s degree preferred. Strong written communication skills and the ability to work independently and as part of a team.',
+  'We are an equal opportunity employer and value diversity. All qualified applicants will receive consideration for employment without regard to race, color, religion, sex, national origin, disability or veteran status.',
+  'Office Manager to manage office operations, vendors and supplies, support the leadership team and help create a great workplace. Highly organized self-starter with excellent multitasking skills.',
+  'Customer Success Manager to build strong relationships with customers, ensure adoption and drive renewals. Excellent communication and problem-solving skills. Experience in a customer-facing role required.',
+  'Electrician to install, maintain and repair electrical systems. Licensed electrician with several years of experience. Must follow safety regulations and be able to read blueprints.',
+  'Product Manager to define the product roadmap, work with engineering and design teams and communicate with stakeholders. Strong analytical skills, user empathy and the ability to prioritize in a fast-paced environment.',
+  'Pharmacy Technician to assist pharmacists, fill prescriptions accurately and provide excellent customer service. Certification required. Strong attention to detail and ability to work in a team environment.',
+  'Content Writer to produce clear, engaging articles and marketing copy. Excellent writing and editing skills, the ability to meet deadlines and a passion for storytelling. Bachelor\'s degree in English, journalism or related field.',
+  'The successful candidate will be a self-motivated, detail-oriented professional with strong organizational skills and the ability to manage multiple tasks. This is a full-time position with a competitive salary and benefits.',
+  'Responsibilities: perform other duties as assigned, follow company policies and procedures, maintain a safe work environment and communicate effectively with team members and management.',
+  'Qualifications: high school diploma or equivalent, 2+ years of relevant experience, excellent verbal and written communication skills, proficiency in common office tools and a willingness to learn.',
+  'Key responsibilities: own key deliverables, partner with internal and external stakeholders and represent the company professionally. Degree in a related field or equivalent professional experience. Travel may be required.',
+  'Minimum qualifications: degree in a relevant field or equivalent practical experience, professional certification is an advantage, key strengths in planning and follow-through, and a professional, customer-first approach.',
+  'What we offer: remote-friendly culture, learning and development budget, wellness programs, stock options, team events and the chance to work on meaningful problems with talented people.',
+]);
+
+export default BACKGROUND_CORPUS;
@@ -0,0 +1,214 @@
+/**
+ * Bullet-level impact and quality scoring
+ * Scores every experience bullet from the resume parser on the things recruiters
+ * and ATS rankers reward: an action-verb lead, quantified results, a readable
+ * length, active voice, no filler phrases, tense that matches the role's dates
+ * and relevance to the job description's keywords.
+ *
+ * Each bullet gets a 0-100 score, the result of every check and a list of
+ * issues; the report is sorted worst-first so the UI can list what to fix.
+ *
+ * The verb, voice, filler and tense checks are English-only: for other locales
+ * they are reported as null and left out of the score.
+ */
+
+const ACTION_VERBS = [
+  'accelerate', 'achieve', 'administer', 'analyze', 'architect', 'automate', 'boost', 'build', 'champion', 'coach',
+  'collaborate', 'consolidate', 'coordinate', 'create', 'cut', 'debug', 'decrease', 'define', 'deliver', 'deploy',
+  'design', 'develop', 'direct', 'drive', 'eliminate', 'enable', 'engineer', 'enhance', 'establish', 'execute',
+  'expand', 'facilitate', 'forecast', 'generate', 'grow', 'guide', 'identify', 'implement', 'improve', 'increase',
+  'initiate', 'innovate', 'install', 'instrument', 'integrate', 'introduce', 'launch', 'lead', 'maintain', 'manage',
+  'mentor', 'migrate', 'model', 'modernize', 'monitor', 'negotiate', 'optimize', 'orchestrate', 'organize', 'overhaul',
+  'oversee', 'own', 'pilot', 'plan', 'prioritize', 'produce', 'prototype', 'publish', 'rebuild', 'redesign',
+  'reduce', 'refactor', 'release', 'resolve', 'restructure', 'revamp', 'run', 'save', 'scale', 'secure',
+  'ship', 'simplify', 'spearhead', 'standardize', 'streamline', 'strengthen', 'supervise', 'teach', 'test', 'train',
+  'transform', 'triage', 'troubleshoot', 'unify', 'upgrade', 'win', 'write',
+];
+
+const IRREGULAR_PAST = {
+  build: 'built', cut: 'cut', drive: 'drove', grow: 'grew', lead: 'led', oversee: 'oversaw', plan: 'planned',
+  run: 'ran', ship: 'shipped', teach: 'taught', win: 'won', write: 'wrote', own: 'owned', pilot: 'piloted',
+};
+
+const WEAK_PHRASES = [
+  'responsible for', 'helped with', 'helped to', 'assisted with', 'assisted in', 'worked on', 'worked with',
+  'duties included', 'involved in', 'participated in', 'tasked with', 'in charge of', 'various', 'etc',
+  'familiar with', 'exposure to', 'tried to', 'attempted to',
+];
+
+const PASSIVE_RE = /\b(?:was|were|been|being|is|are|got)\s+(?:\w+ly\s+)?(\w+(?:ed|en|wn|lt|ught))\b/i;
+// A number only counts as a result with a unit: %, currency, a multiplier or a count noun. Years
+// ("since 2019") and versions ("Java 11", "v2.3") are removed first, see quantifiedText
+const COUNT_NOUNS = 'seconds?|minutes?|hours?|days?|weeks?|months?|users?|customers?|people|engineers?|developers?|clients?|requests?|members?|reports?|teams?|projects?|services?|countries|markets?|stores?|locations?|tickets?|transactions?|orders?|deployments?|releases?|servers?|sites?|accounts?|leads?|students?|patients?|employees?|hires?|partners?|vendors?|products?|features?|pages?|records?|queries|events?';
+const QUANTIFIED_RE = new RegExp(`(?:[$€£]\\s?\\d|\\d+(?:[.,]\\d+)*\\+?\\s?(?:%|percent\\b|x\\b|-?fold\\b|k\\b|m\\b|mm\\b|bn?\\b|ms\\b|(?:[a-z-]+\\s)?[a-z]*(?:${COUNT_NOUNS})\\b)|\\b(?:team|staff|group) of \\d|\\b(?:doubled|tripled|halved)\\b)`, 'i');
+const YEAR_RE = /(?<![\d.,$€£])(?:19|20)\d{2}\b(?!\s?%)/g;
+const VERSION_RE = /\bv\d+(?:\.\d+)*\b|\b\d+(?:\.\d+){2,}\b/gi;
+const TOKEN_NUMBER_RE = /([\p{L}][\p{L}\p{N}+#.]*)\s+(\d+(?:\.\d+)?)\b/gu;
+
+const ENGLISH_CHECKS = ['actionVerb', 'activeVoice', 'noWeakPhrases', 'tense'];
+
+// Bounded memo for scoreBullets(model, { cache }): unchanged bullets are not re-scored on edits
+const MAX_CACHED_BULLETS = 500;
+
+const CHECK_WEIGHTS = Object.freeze({
+  actionVerb: 0.2,
+  quantified: 0.25,
+  length: 0.1,
+  activeVoice: 0.1,
+  noWeakPhrases: 0.15,
+  tense: 0.05,
+  relevance: 0.15,
+});
+
+function pastOf(verb) {
+  if (IRREGULAR_PAST[verb]) return IRREGULAR_PAST[verb];
+  if (verb.endsWith('e')) return `${verb}d`;
+  if (/[^aeiou]y$/.test(verb)) return `${verb.slice(0, -1)}ied`;
+  return `${verb}ed`;
+}
+
+function presentOf(verb) {
+  if (/(s|sh|ch|x|z)$/.test(verb)) return `${verb}es`;
+  if (/[^aeiou]y$/.test(verb)) return `${verb.slice(0, -1)}ies`;
+  return `${verb}s`;
+}
+
+const VERB_FORMS = new Map();
+ACTION_VERBS.forEach((verb) => {
+  VERB_FORMS.set(verb, 'present');
+  VERB_FORMS.set(presentOf(verb), 'present');
+  VERB_FORMS.set(`${verb.replace(/e$/, '')}ing`, 'present');
+  VERB_FORMS.set(pastOf(verb), 'past');
+});
+
+// Bullet text with years, versions and numbers right after a technology name ("Java 11") blanked out
+function quantifiedText(text, matcher) {
+  const stripped = String(text || '').replace(YEAR_RE, ' ').replace(VERSION_RE, ' ');
+  if (!matcher) return stripped;
+  return stripped.replace(TOKEN_NUMBER_RE, (all, word) => (matcher(word)(word) ? `${word} ` : all));
+}
+
+function firstWord(text) {
+  const m = String(text || '').toLowerCase().match(/\p{L}[\p{L}-]*/u);
+  return m ? m[0] : '';
+}
+
+function wordCount(text) {
+  return String(text || '').split(/\s+/).filter(Boolean).length;
+}
+
+// Tense of the bullet's lead verb; unknown verbs ending in -ed are taken as past
+function leadTense(word) {
+  if (VERB_FORMS.has(word)) return VERB_FORMS.get(word);
+  if (/[a-z]{3,}ed$/.test(word)) return 'past';
+  return null;
+}
+
+/**
+ * Score a single bullet
+ * @param {string} text - Bullet text (without the bullet glyph)
+ * @param {Object} [context] - { current, keywords, matcher }
+ *   current: the bullet belongs to a role that runs to the present
+ *   keywords: JD keywords to test relevance against
+ *   matcher: ontology matcher factory (text) => (term) => match|null; also spots versions ("Java 11")
+ *   locale: resume language; non-English bullets skip the English-only checks
+ * @returns {Object} { score, checks, issues, keywords }
+ */
+export function scoreBullet(text, context = {}) {
+  const { current = false, keywords = [], matcher = null, locale = 'en' } = context;
+  const lower = String(text || '').toLowerCase();
+  const lead = firstWord(text);
+  const tense = leadTense(lead);
+  const words = wordCount(text);
+  const english = locale === 'en';
+  const issues = [];
+
+  const actionVerb = VERB_FORMS.has(lead) || tense === 'past';
+  if (english && !actionVerb) issues.push(`Start with a strong action verb instead of "${lead || text}"`);
+
+  const quantified = QUANTIFIED_RE.test(quantifiedText(text, matcher));
+  if (!quantified) issues.push('Quantify the result (numbers, %, $, time saved, users reached)');
+
+  let length = 1;
+  if (words < 5 || words > 40) length = 0;
+  else if (words < 8 || words > 30) length = 0.5;
+  if (length < 1) issues.push(words < 8 ? `Too short (${words} words) — add scope and outcome` : `Too long (${words} words) — split or tighten to under 30 words`);
+
+  const passive = PASSIVE_RE.exec(text);
+  const activeVoice = !passive;
+  if (english && passive) issues.push(`Passive voice ("${passive[0]}") — say what you did`);
+
+  const weak = WEAK_PHRASES.filter((p) => new RegExp(`\\b${p}\\b`).test(lower));
+  const noWeakPhrases = weak.length === 0;
+  if (english && weak.length) issues.push(`Replace weak phrasing: ${weak.map((p) => `"${p}"`).join(', ')}`);
+
+  let tenseOk = true;
+  if (english && tense === 'present' && !current && !lead.endsWith('ing')) {
+    tenseOk = false;
+    issues.push('Past role described in present tense — use past tense');
+  } else if (english && tense === 'past' && current) {
+    tenseOk = false;
+    issues.push('Current role described in past tense — present tense reads better for ongoing work');
+  }
+
+  const match = matcher ? matcher(text) : null;
+  const matchedKeywords = keywords.filter((k) => lower.includes(k.toLowerCase()) || (match && match(k)));
+  const relevance = Math.min(1, matchedKeywords.length / 2);
+  if (!matchedKeywords.length && keywords.length) issues.push('No job description keywords — tie this bullet to the role');
+
+  const checks = { actionVerb, quantified, length, activeVoice, noWeakPhrases, tense: tenseOk, relevance };
+  if (!english) ENGLISH_CHECKS.forEach((key) => { checks[key] = null; });
+  const applied = Object.entries(CHECK_WEIGHTS).filter(([key]) => checks[key] !== null);
+  const total = applied.reduce((sum, [, weight]) => sum + weight, 0);
+  const score = Math.round((applied.reduce((sum, [key, weight]) => sum + weight * Number(checks[key]), 0) / total) * 100);
+  return { score, checks, issues, keywords: matchedKeywords };
+}
+
+/**
+ * Score every experience bullet of a parsed resume
+ * @param {Object} model - Output of parseResume
+ * @param {Object} [options] - { keywords, ontology, locale, cache }
+ *   cache: Map reused across calls; bullets whose text, role state, keywords and locale are unchanged are not re-scored
+ * @returns {{bullets:Array, averageScore:number, counts:Object}} Report, bullets sorted worst-first
+ */
+export function scoreBullets(model, options = {}) {
+  const { keywords = [], ontology = null, locale = 'en', cache = null } = options;
+  const matcher = ontology ? (text) => ontology.matcherFor(text) : null;
+  const keywordKey = keywords.join('|');
+  const score = (text, current) => {
+    if (!cache) return scoreBullet(text, { current, keywords, matcher, locale });
+    const key = `${locale}\u0000${current ? 1 : 0}\u0000${keywordKey}\u0000${text}`;
+    if (!cache.has(key)) {
+      cache.set(key, scoreBullet(text, { current, keywords, matcher, locale }));
+      if (cache.size > MAX_CACHED_BULLETS) cache.delete(cache.keys().next().value);
+    }
+    return cache.get(key);
+  };
+  const bullets = [];
+  (model?.positions || []).forEach((position) => {
+    position.bullets.forEach((bullet) => {
+      bullets.push({
+        text: bullet.text,
+        line: bullet.line,
+        position: { title: position.title, company: position.company },
+        ...score(bullet.text, !!position.current),
+      });
+    });
+  });
+  bullets.sort((a, b) => a.score - b.score || a.line - b.line);
+
+  const counts = Object.keys(CHECK_WEIGHTS).reduce((acc, key) => {
+    acc[key] = bullets.filter((b) => b.checks[key] === true || b.checks[key] === 1).length;
+    return acc;
+  }, {});
+  return {
+    bullets,
+    averageScore: bullets.length ? Math.round(bullets.reduce((sum, b) => sum + b.score, 0) / bullets.length) : 0,
+    counts,
+  };
+}
+
+export default {
+  scoreBullet,
+  scoreBullets,
+};
@@ -0,0 +1,307 @@
+/**
+ * Contact and link extraction with validation
+ * Finds the name, email, phone, location, LinkedIn, GitHub, portfolio and other
+ * URLs of a resume and checks each one: emails for syntax and common domain
+ * typos, phones by normalizing them to E.164, profile URLs by their path.
+ *
+ * Besides the text, it takes what textExtraction.extractDocument found outside
+ * the body: hyperlink targets (PDF link annotations, DOCX/ODT/RTF/HTML links),
+ * which an ATS never sees when the visible text is just "LinkedIn", and the
+ * page header/footer text, which many ATS parsers drop. Each field records
+ * where it was found ('text', 'link' or 'header-footer') and problems are
+ * reported as issues with a severity and a fix.
+ */
+
+import { parseResume } from './resumeParser';
+
+// Calling codes for national-format numbers, by resume country
+const CALLING_CODES = { US: '1', CA: '1', GB: '44', UK: '44', IE: '353', DE: '49', AT: '43', CH: '41', FR: '33', BE: '32', ES: '34', MX: '52', NL: '31', IN: '91', AU: '61' };
+
+// Default country for national numbers when the caller only knows the resume language
+export const LOCALE_COUNTRIES = Object.freeze({ en: 'US', de: 'DE', es: 'ES', fr: 'FR' });
+
+const EMAIL_RE = /[A-Za-z0-9._%+'-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const VALID_EMAIL_RE = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*@(?:[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?\.)+[A-Za-z]{2,24}$/;
+const PHONE_RE = /(?:\+|\b00|\(\+?)?\d[\d\s().\/-]{5,18}\d(?:\s*(?:x|ext\.?)\s*\d{1,5})?/gi;
+const URL_RE = /\b(?:https?:\/\/)?(?:www\.)?(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}(?::\d+)?(?:\/[^\s,;|<>()"']*)?/gi;
+// Bare domains in running text ("Node.js", "ASP.NET") are only taken as links with a common web TLD,
+// written in lower case and not the name of a technology
+const BARE_DOMAIN_RE = /^(?:[a-z0-9-]+\.)+(?:com|org|net|io|dev|me|co|ai|app|info|biz|edu|gov|tech|site|xyz|page|design|online|blog|cloud|us|uk|de|fr|es|ca|au|in|nl|ch|at|be|ie|eu|se|no|dk|fi|pl|it|pt|br|mx)(?:[:/]|$)/i;
+const TECH_DOMAINS = new Set(['asp.net', 'ado.net', 'vb.net', 'ml.net', 'socket.io', 'chart.io', 'pm2.io']);
+const PHONE_LABEL_RE = /\b(?:phone|tel|telephone|mobile|mob|cell|telefon|handy|móvil|movil|teléfono|telefono|portable|téléphone)\b/i;
+const WEBSITE_LABEL_RE = /\b(?:portfolio|website|web|site|homepage|blog|webseite|sitio|site web)\b/i;
+
+// Contact-like details, for deciding whether header/footer text matters (./pdfLayout.js, ./parseFidelity.js)
+const CONTACT_HINT_RE = /@|\+?\d[\d ().-]{7,}\d|linkedin|github/i;
+
+const SOCIAL_HOSTS = ['twitter.com', 'x.com', 'facebook.com', 'instagram.com', 'medium.com', 'stackoverflow.com', 'kaggle.com', 'gitlab.com', 'bitbucket.org', 'youtube.com', 'tiktok.com', 'xing.com', 'leetcode.com', 'researchgate.net', 'scholar.google.com', 'orcid.org'];
+const PORTFOLIO_HOSTS = ['github.io', 'gitlab.io', 'netlify.app', 'vercel.app', 'pages.dev', 'behance.net', 'dribbble.com', 'about.me', 'carrd.co', 'wixsite.com', 'squarespace.com', 'notion.site'];
+const GITHUB_RESERVED = new Set(['about', 'features', 'orgs', 'topics', 'pricing', 'login', 'join', 'marketplace', 'sponsors', 'settings', 'explore', 'enterprise', 'collections', 'trending', 'search']);
+const EMAIL_DOMAIN_TYPOS = {
+  'gmial.com': 'gmail.com', 'gmai.com': 'gmail.com', 'gamil.com': 'gmail.com', 'gmail.co': 'gmail.com', 'gmail.con': 'gmail.com', 'gmaill.com': 'gmail.com',
+  'hotmial.com': 'hotmail.com', 'hotmail.co': 'hotmail.com', 'hotmai.com': 'hotmail.com', 'yahooo.com': 'yahoo.com', 'yaho.com': 'yahoo.com',
+  'outlok.com': 'outlook.com', 'outlook.co': 'outlook.com', 'iclod.com': 'icloud.com', 'icloud.co': 'icloud.com',
+};
+
+/**
+ * Whether a piece of text holds contact-like details (email, phone number, LinkedIn or GitHub)
+ * @param {string} text - Text, e.g. a page header line
+ * @returns {boolean} True when it looks like contact details
+ */
+export function hasContactDetails(text) {
+  return CONTACT_HINT_RE.test(String(text || ''));
+}
+
+const hostMatches = (host, list) => list.some((h) => host === h || host.endsWith(`.${h}`));
+
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Validate an email address
+ * @param {string} email - Address
+ * @returns {{valid: boolean, suggestion: string|null}} Validity and, for a known domain typo, the likely address
+ */
+export function validateEmail(email) {
+  const value = String(email || '').trim();
+  const domain = value.split('@')[1]?.toLowerCase() || '';
+  const fixed = EMAIL_DOMAIN_TYPOS[domain];
+  if (fixed) return { valid: false, suggestion: `${value.split('@')[0]}@${fixed}` };
+  return { valid: VALID_EMAIL_RE.test(value) && value.length <= 254 && value.split('@')[0].length <= 64, suggestion: null };
+}
+
+/**
+ * Normalize a phone number to E.164
+ * Numbers with a + or 00 prefix keep their country code; national numbers get the calling code of
+ * options.country (trunk 0 dropped). North American numbers are checked against NANP area/exchange rules.
+ * @param {string} raw - Phone number as written
+ * @param {Object} [options] - { country: ISO code of the resume, default 'US' }
+ * @returns {{e164: string|null, valid: boolean}} E.164 form ("+14155551234") when it can be normalized
+ */
+export function normalizePhone(raw, options = {}) {
+  // "+44 (0)20 …": the bracketed trunk 0 is not dialled from abroad
+  const text = String(raw || '').replace(/\s*(?:x|ext\.?)\s*\d{1,5}$/i, '').replace(/\(0\)/g, '').trim();
+  let digits = text.replace(/\D/g, '');
+  let international = /^\(?\+/.test(text);
+  if (!international && digits.startsWith('00')) {
+    digits = digits.slice(2);
+    international = true;
+  }
+  if (!international) {
+    const code = CALLING_CODES[String(options.country || 'US').toUpperCase()] || '1';
+    if (code === '1') {
+      if (digits.length === 11 && digits[0] === '1') digits = digits.slice(1);
+      if (digits.length !== 10) return { e164: null, valid: false };
+    } else {
+      digits = digits.replace(/^0/, '');
+    }
+    digits = code + digits;
+  }
+  if (digits.length < 8 || digits.length > 15 || digits[0] === '0') return { e164: null, valid: false };
+  if (digits[0] === '1' && !/^1[2-9]\d{2}[2-9]\d{6}$/.test(digits)) return { e164: `+${digits}`, valid: false };
+  return { e164: `+${digits}`, valid: true };
+}
+
+/**
+ * Normalize and classify a URL
+ * @param {string} url - URL as written or as a link target ("linkedin.com/in/jane", "https://jane.dev/")
+ * @returns {{url: string, host: string, kind: 'linkedin'|'github'|'portfolio'|'social'|'other', valid: boolean, handle: string|null, issue: string|null}|null}
+ *   Normalized https URL (no trailing slash) and its kind; null for non-web links (mailto:, tel:, anchors)
+ */
+export function classifyUrl(url) {
+  const raw = String(url || '').trim().replace(/[.,;:!?)\]]+$/, '');
+  if (!raw || /^(?:mailto|tel|javascript|file|data):/i.test(raw) || raw.startsWith('#')) return null;
+  let parsed;
+  try {
+    parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `https://${raw}`);
+  } catch (error) {
+    return { url: raw, host: '', kind: 'other', valid: false, handle: null, issue: 'Not a valid web address' };
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return null;
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const path = parsed.pathname.replace(/\/+$/, '');
+  const normalized = `https://${host}${parsed.port ? `:${parsed.port}` : ''}${path}${parsed.search}`;
+  const segments = path.split('/').filter(Boolean).map(safeDecode);
+  const base = { url: normalized, host, handle: null, issue: null };
+  if (!/\.[a-z]{2,}$/.test(host)) return { ...base, kind: 'other', valid: false, issue: 'Not a valid web address' };
+
+  if (hostMatches(host, ['linkedin.com'])) {
+    if (segments[0] === 'in' && segments[1]) {
+      const valid = /^[\p{L}\p{N}_-]{3,100}$/u.test(segments[1]);
+      return { ...base, url: `https://linkedin.com/in/${segments[1]}`, kind: 'linkedin', valid, handle: segments[1], issue: valid ? null : 'LinkedIn profile name looks malformed' };
+    }
+    return { ...base, kind: 'linkedin', valid: false, issue: 'Not a LinkedIn profile URL (expected linkedin.com/in/your-name)' };
+  }
+  if (host === 'github.com') {
+    const user = segments[0];
+    const valid = !!user && /^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i.test(user) && !GITHUB_RESERVED.has(user.toLowerCase());
+    return { ...base, url: segments.length > 1 && valid ? normalized : `https://github.com/${user || ''}`.replace(/\/$/, ''), kind: 'github', valid, handle: valid ? user : null, issue: valid ? null : 'Not a GitHub profile URL (expected github.com/your-username)' };
+  }
+  if (hostMatches(host, PORTFOLIO_HOSTS)) return { ...base, kind: 'portfolio', valid: true };
+  if (hostMatches(host, SOCIAL_HOSTS)) return { ...base, kind: 'social', valid: true };
+  return { ...base, kind: 'other', valid: true };
+}
+
+function findEmails(text) {
+  return (String(text || '').match(EMAIL_RE) || []).map((e) => e.replace(/^[.'-]+|[.'-]+$/g, ''));
+}
+
+// Phone candidates from contact-like lines only, so date ranges and figures in the body are not mistaken for numbers
+function findPhones(lines) {
+  return lines.flatMap((line) => {
+    const text = line.replace(EMAIL_RE, ' ').replace(URL_RE, (u) => (/\//.test(u) || /[a-z]/i.test(u) ? ' ' : u));
+    return (text.match(PHONE_RE) || [])
+      .map((m) => m.trim())
+      .filter((m) => {
+        const digits = m.replace(/\D/g, '');
+        if (digits.length < 7 || digits.length > 17) return false;
+        // Year ranges ("2019 - 2021", "01/2019 – 03/2021") are dates, not numbers
+        return !/^(?:(?:0?[1-9]|1[0-2])[/.])?(?:19|20)\d{2}\s*[-–/]\s*(?:(?:0?[1-9]|1[0-2])[/.])?(?:19|20)\d{2}$/.test(m);
+      });
+  });
+}
+
+function findUrls(text) {
+  return (String(text || '').replace(EMAIL_RE, ' ').match(URL_RE) || [])
+    .filter((u) => /^(?:https?:\/\/|www\.)/i.test(u)
+      || (BARE_DOMAIN_RE.test(u) && u === u.toLowerCase() && !TECH_DOMAINS.has(u.split(/[:/]/)[0])));
+}
+
+/**
+ * Extract and validate contact details and links
+ * @param {string} text - Resume body text
+ * @param {Object} [options] - { links: [{ url }] hyperlink targets, headerFooterText: string[] page header/footer lines,
+ *   model: parseResume output (for name and location), country: ISO country for national phone numbers,
+ *   countryInferred: true when country is only a guess from the resume language (a phone number that does
+ *   not fit it is then reported as low severity, since "020 7946 0958" is fine in the UK) }
+ * @returns {{name, email, phone, location, linkedin, github, portfolio, urls: Array, issues: Array, headerFooterOnly: string[]}}
+ *   email { value, valid, suggestion, source }, phone { value, e164, valid, source }, linkedin/github { url, handle,
+ *   valid, source }, portfolio { url, valid, source } (each null when absent); urls: every other link { url, kind,
+ *   valid, source }; issues: [{ field, severity, message }] (worst first); headerFooterOnly: fields found only in headers/footers
+ */
+export function extractContact(text, options = {}) {
+  const body = String(text || '');
+  const bodyLines = body.split('\n').map((l) => l.trim()).filter(Boolean);
+  const headerFooter = (options.headerFooterText || []).map((t) => String(t).trim()).filter(Boolean);
+  const links = (options.links || []).filter((l) => l && l.url);
+  const model = options.model || parseResume(body);
+  const country = options.country || 'US';
+  const countryInferred = !options.country || !!options.countryInferred;
+
+  // Contact area: the top of the resume plus labelled lines anywhere
+  const top = bodyLines.slice(0, 10);
+  const websiteLines = bodyLines.filter((l) => WEBSITE_LABEL_RE.test(l));
+  const labelled = bodyLines.filter((l) => PHONE_LABEL_RE.test(l) || WEBSITE_LABEL_RE.test(l));
+  const contactLines = [...new Set([...top, ...labelled])];
+
+  // Candidates per source, in priority order: visible body text, then link targets, then headers/footers
+  const sources = [
+    { source: 'text', emails: findEmails(body), phones: findPhones(contactLines), urls: findUrls(body), contactUrls: findUrls(contactLines.join('\n')), websiteUrls: findUrls(websiteLines.join('\n')) },
+    {
+      source: 'link',
+      emails: links.filter((l) => /^mailto:/i.test(l.url)).map((l) => safeDecode(l.url.replace(/^mailto:/i, '').split('?')[0])),
+      phones: links.filter((l) => /^tel:/i.test(l.url)).map((l) => safeDecode(l.url.replace(/^tel:/i, ''))),
+      urls: links.map((l) => l.url),
+      contactUrls: links.map((l) => l.url),
+    },
+    { source: 'header-footer', emails: findEmails(headerFooter.join('\n')), phones: findPhones(headerFooter), urls: findUrls(headerFooter.join('\n')), contactUrls: findUrls(headerFooter.join('\n')) },
+  ];
+
+  let email = null;
+  let phone = null;
+  sources.forEach(({ source, emails, phones }) => {
+    if (!email && emails.length) {
+      const best = emails.find((e) => validateEmail(e).valid) || emails[0];
+      email = { value: best, ...validateEmail(best), source };
+    }
+    if (!phone) {
+      const candidates = phones.map((p) => ({ value: p.replace(/\s+/g, ' '), ...normalizePhone(p, { country }) }));
+      const best = candidates.find((c) => c.valid) || candidates[0];
+      if (best) phone = { ...best, source };
+    }
+  });
+
+  // Links: the first valid profile of each kind wins; the same URL seen in the text and as a link target counts as text
+  const seen = new Map();
+  sources.forEach(({ source, urls, contactUrls, websiteUrls = [] }) => {
+    urls.forEach((u) => {
+      const info = classifyUrl(u);
+      if (!info || seen.has(info.url)) return;
+      const inContactArea = contactUrls.includes(u);
+      seen.set(info.url, { ...info, source, inContactArea, onWebsiteLine: websiteUrls.includes(u) });
+    });
+  });
+  const all = [...seen.values()];
+  const pick = (kind) => {
+    const hits = all.filter((u) => u.kind === kind);
+    const best = hits.find((u) => u.valid) || hits[0];
+    return best ? { url: best.url, handle: best.handle, valid: best.valid, issue: best.issue, source: best.source } : null;
+  };
+  const linkedin = pick('linkedin');
+  const github = pick('github');
+  // Portfolio: a known portfolio host, then a domain on a "Website:"/"Portfolio:" line, then any domain in the contact area
+  const ownSite = (u) => u.kind === 'other' && u.valid && !(email && email.value.toLowerCase().endsWith(`@${u.host}`));
+  const portfolioHit = all.find((u) => u.kind === 'portfolio' && u.valid)
+    || all.find((u) => ownSite(u) && u.onWebsiteLine)
+    || all.find((u) => ownSite(u) && u.inContactArea);
+  const portfolio = portfolioHit ? { url: portfolioHit.url, valid: portfolioHit.valid, source: portfolioHit.source } : null;
+  const chosen = new Set([linkedin, github, portfolio].filter(Boolean).map((f) => f.url));
+  const urls = all.filter((u) => !chosen.has(u.url)).map(({ url, kind, valid, source }) => ({ url, kind, valid, source }));
+
+  const fields = { email, phone, linkedin, github, portfolio };
+  const headerFooterOnly = Object.keys(fields).filter((k) => fields[k] && fields[k].source === 'header-footer');
+  const labels = { email: 'Email', phone: 'Phone number', linkedin: 'LinkedIn URL', github: 'GitHub URL', portfolio: 'Portfolio URL' };
+
+  const issues = [];
+  const issue = (field, severity, message) => issues.push({ field, severity, message });
+  if (!model.contact.name) issue('name', 'medium', 'No name found at the top of the resume. Put your full name on the first line.');
+  if (!email) issue('email', 'high', 'No email address found. Add one at the top of the resume.');
+  else if (!email.valid) {
+    issue('email', 'high', email.suggestion
+      ? `Email "${email.value}" looks like a typo — did you mean ${email.suggestion}?`
+      : `Email "${email.value}" is not a valid address.`);
+  }
+  if (!phone) issue('phone', 'medium', 'No phone number found. Add one next to your email.');
+  else if (!phone.valid && countryInferred) issue('phone', 'low', `Phone "${phone.value}" is not a full ${country} number. If it is from another country, write it in international form (+country code) so an ATS can read it.`);
+  else if (!phone.valid) issue('phone', 'medium', `Phone "${phone.value}" could not be read as a full number. Write it with the area code, or in international form (+country code).`);
+  [linkedin, github].forEach((f, i) => {
+    if (f && !f.valid) issue(i ? 'github' : 'linkedin', 'low', `${f.url}: ${f.issue}.`);
+  });
+  if (!linkedin) issue('linkedin', 'low', 'No LinkedIn profile found. Most recruiters look for one.');
+  if (headerFooterOnly.length) {
+    issue('header-footer', 'high', `${headerFooterOnly.map((k) => labels[k]).join(', ')} only appear${headerFooterOnly.length === 1 ? 's' : ''} in the page header/footer, which many ATS parsers drop. Repeat ${headerFooterOnly.length === 1 ? 'it' : 'them'} in the body at the top of page 1.`);
+  }
+  const hidden = Object.keys(fields).filter((k) => fields[k] && fields[k].source === 'link');
+  if (hidden.length) {
+    issue('links', 'medium', `${hidden.map((k) => labels[k]).join(', ')} only exist${hidden.length === 1 ? 's' : ''} as a hyperlink behind other text. ATS parsers read the text, not the link — write the address out.`);
+  }
+  const order = ['high', 'medium', 'low'];
+  issues.sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+
+  return {
+    name: model.contact.name || '',
+    email,
+    phone,
+    location: model.contact.location || '',
+    linkedin,
+    github,
+    portfolio,
+    urls,
+    issues,
+    headerFooterOnly,
+  };
+}
+
+export default {
+  extractContact,
+  normalizePhone,
+  validateEmail,
+  classifyUrl,
+  hasContactDetails,
+  LOCALE_COUNTRIES,
+};
@@ -0,0 +1,638 @@
+/**
+ * Format detection and extractors for the less common resume formats
+ * sniffFormat identifies a file by its leading bytes (and, for text files, its
+ * content) rather than the browser-reported MIME type, which is often empty or
+ * wrong. Extractors cover RTF, ODT, HTML (and saved .mhtml pages), Markdown
+ * and legacy Word 97-2003 .doc; PDF and DOCX are handled by ./textExtraction.js,
+ * which dispatches here.
+ *
+ * Every extractor returns { text, structure, links, headerFooterText }: structure
+ * holds basic hints about the source ({ paragraphs, headings, lists, tables,
+ * images } counts), links the hyperlink targets ([{ url }], which may never appear
+ * in the text) and headerFooterText the lines of page headers and footers, which
+ * are left out of the text the way most ATS parsers leave them out.
+ * Failures throw errors with a `code`, like textExtraction ('encrypted',
+ * 'corrupt', 'no-text', 'unsupported').
+ */
+
+function formatError(code, message, cause) {
+  const error = new Error(message);
+  error.code = code;
+  if (cause) error.cause = cause;
+  return error;
+}
+
+const emptyStructure = () => ({ paragraphs: 0, headings: 0, lists: 0, tables: 0, images: 0 });
+
+const startsWith = (bytes, signature, offset = 0) => signature.every((byte, i) => bytes[offset + i] === byte);
+
+const ascii = (bytes, from, to) => String.fromCharCode(...bytes.subarray(from, Math.min(to, bytes.length)));
+
+let cp1252 = null;
+function decodeCp1252(bytes) {
+  cp1252 = cp1252 || new TextDecoder('windows-1252');
+  return cp1252.decode(bytes);
+}
+
+/**
+ * Decode text bytes: BOM-marked UTF-8/UTF-16, else UTF-8, else Windows-1252
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {string} Text
+ */
+export function decodeText(bytes) {
+  if (startsWith(bytes, [0xef, 0xbb, 0xbf])) return new TextDecoder('utf-8').decode(bytes.subarray(3));
+  if (startsWith(bytes, [0xff, 0xfe])) return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+  if (startsWith(bytes, [0xfe, 0xff])) return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (error) {
+    return decodeCp1252(bytes);
+  }
+}
+
+function looksLikeText(bytes) {
+  if (startsWith(bytes, [0xff, 0xfe]) || startsWith(bytes, [0xfe, 0xff])) return true;
+  const sample = bytes.subarray(0, 4096);
+  let control = 0;
+  for (const b of sample) {
+    if (b === 0) return false;
+    if (b < 0x09 || (b > 0x0d && b < 0x20)) control += 1;
+  }
+  return control <= sample.length * 0.02;
+}
+
+/**
+ * Identify a document by its bytes
+ * @param {Uint8Array} bytes - File bytes
+ * @param {Object} [hint] - { mimeType, fileName } only used to tell Markdown from plain text
+ * @returns {'pdf'|'docx'|'odt'|'doc'|'rtf'|'html'|'mhtml'|'json'|'markdown'|'text'|null} Format, null when unrecognized
+ */
+export function sniffFormat(bytes, hint = {}) {
+  if (!bytes || !bytes.length) return null;
+  if (ascii(bytes, 0, 1024).includes('%PDF-')) return 'pdf';
+  if (startsWith(bytes, [0x50, 0x4b, 0x03, 0x04])) {
+    // ODF stores an uncompressed "mimetype" entry first; OOXML lists word/document.xml
+    if (ascii(bytes, 30, 38) === 'mimetype' && ascii(bytes, 38, 80).startsWith('application/vnd.oasis.opendocument.text')) return 'odt';
+    // Entry names are stored uncompressed in the central directory at the end of the archive
+    const names = ascii(bytes, Math.max(0, bytes.length - 65536), bytes.length);
+    if (names.includes('word/document.xml') || names.includes('word/')) return 'docx';
+    if (names.includes('content.xml')) return 'odt';
+    return null;
+  }
+  if (startsWith(bytes, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) return 'doc';
+  if (/^(?:\xef\xbb\xbf)?\s*\{\\rtf/.test(ascii(bytes, 0, 16))) return 'rtf';
+  if (!looksLikeText(bytes)) return null;
+  const head = decodeText(bytes.subarray(0, 2048)).trimStart().toLowerCase();
+  // Saved web archives (.mhtml) start with mail-style headers and a multipart/related body
+  if (/^(?:from|subject|date|mime-version|content-type|snapshot-content-location):/.test(head) && head.includes('multipart/related')) return 'mhtml';
+  if (/^[{[]/.test(head)) {
+    try {
+      JSON.parse(decodeText(bytes));
+      return 'json';
+    } catch (error) {
+      // Not JSON after all; read it as text
+    }
+  }
+  if (/^(?:<!doctype html|<html[\s>]|<head[\s>]|<body[\s>])/.test(head) || /<(?:html|body)[\s>]/.test(head.slice(0, 512))) return 'html';
+  const ext = (String(hint.fileName || '').match(/\.([a-z0-9]+)$/i) || [])[1]?.toLowerCase();
+  if (hint.mimeType === 'text/markdown' || ['md', 'markdown', 'mdown', 'mkd'].includes(ext)) return 'markdown';
+  if (['html', 'htm', 'xhtml'].includes(ext) || hint.mimeType === 'text/html') return 'html';
+  return 'text';
+}
+
+// ---------------------------------------------------------------------------
+// Markup (HTML, ODF XML)
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', bull: '•', middot: '·',
+  hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', copy: '©', reg: '®', trade: '™', eacute: 'é', egrave: 'è',
+  uuml: 'ü', ouml: 'ö', auml: 'ä', szlig: 'ß', ntilde: 'ñ', ccedil: 'ç',
+};
+
+/**
+ * Decode HTML/XML character references
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+    }
+    return NAMED_ENTITIES[ref.toLowerCase()] ?? m;
+  });
+}
+
+function tidyLines(text) {
+  return text
+    .split('\n')
+    .map((l) => l.replace(/[ \u00a0]+/g, ' ').replace(/ *\t */g, '\t').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+const count = (text, re) => (text.match(re) || []).length;
+
+// Unique link targets from a markup attribute pattern; in-document anchors are skipped
+function collectLinks(markup, re) {
+  const urls = [...String(markup).matchAll(re)].map((m) => decodeEntities(m[1]).trim()).filter((u) => u && !u.startsWith('#'));
+  return [...new Set(urls)].map((url) => ({ url }));
+}
+
+const splitLines = (text) => text.split('\n').map((l) => l.trim()).filter(Boolean);
+
+/**
+ * Convert HTML to plain text, keeping block structure as line breaks
+ * @param {string} html - HTML document or fragment
+ * @returns {{text: string, structure: Object, links: Array, headerFooterText: string[]}} Text ("• " list items,
+ *   tab-separated table cells), structure hints and link targets; HTML has no page headers
+ */
+export function htmlToText(html) {
+  const body = String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|noscript|template|svg|iframe)\b[\s\S]*?<\/\1\s*>/gi, '');
+  const structure = {
+    paragraphs: count(body, /<p[\s>]/gi),
+    headings: count(body, /<h[1-6][\s>]/gi),
+    lists: count(body, /<li[\s>]/gi),
+    tables: count(body, /<table[\s>]/gi),
+    images: count(body, /<img[\s>]/gi),
+  };
+  const text = body
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n• ')
+    .replace(/<\/li\s*>/gi, '')
+    .replace(/<\/(?:td|th)\s*>/gi, '\t')
+    .replace(/<\/?(?:p|div|section|article|header|footer|main|aside|nav|h[1-6]|ul|ol|tr|table|blockquote|pre|dd|dt|dl|hr|address|figure|figcaption)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+  return { text: tidyLines(decodeEntities(text)), structure, links: collectLinks(body, /<a\b[^>]*?\bhref\s*=\s*["']([^"']+)["']/gi), headerFooterText: [] };
+}
+
+function decodeQuotedPrintable(text) {
+  const body = text.replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === '=' && /^[0-9a-f]{2}$/i.test(body.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(body.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(body.charCodeAt(i) & 0xff);
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Pull the main HTML document out of a saved web archive (.mhtml/.mht)
+ * @param {string} mhtml - Archive text (MIME multipart/related)
+ * @returns {{html: string, url: string|null}} The first text/html part, decoded, and the page's original URL
+ */
+export function mhtmlToHtml(mhtml) {
+  const source = String(mhtml || '');
+  const boundary = (source.match(/boundary\s*=\s*"?([^";\r\n]+)"?/i) || [])[1];
+  if (!boundary) throw formatError('corrupt', 'This web archive has no content parts. Save the page again as "Webpage, Single File" or "Webpage, HTML only".');
+  const parts = source.split(`--${boundary}`).slice(1).map((part) => {
+    const split = part.search(/\r?\n\r?\n/);
+    const headers = part.slice(0, split);
+    const header = (name) => (headers.match(new RegExp(`^${name}:\\s*([^\\r\\n;]+)(.*)$`, 'im')) || []).slice(1);
+    return { headers, body: part.slice(split).replace(/^\r?\n\r?\n/, ''), type: (header('content-type')[0] || '').toLowerCase(), header };
+  });
+  const page = parts.find((p) => p.type === 'text/html');
+  if (!page) throw formatError('no-text', 'This web archive does not contain an HTML page.');
+  const encoding = (page.header('content-transfer-encoding')[0] || '').trim().toLowerCase();
+  const charset = ((page.headers.match(/charset\s*=\s*"?([\w-]+)/i) || [])[1] || 'utf-8').toLowerCase();
+  let bytes;
+  if (encoding === 'quoted-printable') bytes = decodeQuotedPrintable(page.body);
+  else if (encoding === 'base64') bytes = Uint8Array.from(atob(page.body.replace(/\s+/g, '')), (c) => c.charCodeAt(0));
+  else bytes = Uint8Array.from(page.body, (c) => c.charCodeAt(0) & 0xff);
+  let html;
+  try {
+    html = new TextDecoder(charset).decode(bytes);
+  } catch (error) {
+    html = decodeText(bytes);
+  }
+  const location = (page.header('content-location')[0] || (source.match(/^snapshot-content-location:\s*(\S+)/im) || [])[1] || '').trim();
+  return { html, url: location || null };
+}
+
+/**
+ * Convert an ODF text document's content.xml to plain text
+ * @param {string} xml - content.xml (or a fragment, e.g. a style:header)
+ * @returns {{text: string, structure: Object, links: Array}} Text, structure hints and link targets
+ */
+export function odfXmlToText(xml) {
+  const body = String(xml || '').replace(/<office:annotation\b[\s\S]*?<\/office:annotation>/g, '');
+  const structure = {
+    paragraphs: count(body, /<text:p[\s>/]/g),
+    headings: count(body, /<text:h[\s>/]/g),
+    lists: count(body, /<text:list-item[\s>/]/g),
+    tables: count(body, /<table:table[\s>]/g),
+    images: count(body, /<draw:image[\s>/]/g),
+  };
+  const text = body
+    .replace(/<text:s\b[^>]*?(?:text:c="(\d+)")?[^>]*\/>/g, (m, n) => ' '.repeat(Number(n) || 1))
+    .replace(/<text:tab\b[^>]*\/>/g, '\t')
+    .replace(/<text:line-break\b[^>]*\/>/g, '\n')
+    .replace(/<text:list-item\b[^>]*>/g, '• ')
+    .replace(/(?:<\/text:p>\s*)?<\/table:table-cell>/g, '\t')
+    .replace(/<\/(?:text:p|text:h|table:table-row)>/g, '\n')
+    .replace(/<(?:text:p|text:h)\b[^>]*\/>/g, '\n')
+    .replace(/<[^>]+>/g, '');
+  return { text: tidyLines(decodeEntities(text)), structure, links: collectLinks(body, /<text:a\b[^>]*?\bxlink:href="([^"]+)"/g) };
+}
+
+/**
+ * Extract text from an OpenDocument text file (.odt)
+ * @param {Uint8Array} bytes - ODT file
+ * @returns {Promise<{text: string, structure: Object, links: Array, headerFooterText: string[]}>} Text, structure
+ *   hints, link targets and the page header/footer lines (kept in styles.xml)
+ */
+export async function extractODT(bytes) {
+  const { default: JSZip } = await import('jszip');
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(bytes);
+  } catch (error) {
+    throw formatError('corrupt', 'This OpenDocument file appears to be damaged and could not be read. Re-save it and upload again.', error);
+  }
+  const manifest = zip.file('META-INF/manifest.xml');
+  if (manifest && /<manifest:encryption-data/.test(await manifest.async('string'))) {
+    throw formatError('encrypted', 'This OpenDocument file is password-protected. Save a copy without a password and upload that instead.');
+  }
+  const content = zip.file('content.xml');
+  const xml = content ? await content.async('string') : '';
+  if (!/<office:document-content/.test(xml)) {
+    throw formatError('corrupt', 'This OpenDocument file appears to be damaged and could not be read. Re-save it and upload again.');
+  }
+  const styles = zip.file('styles.xml') ? await zip.file('styles.xml').async('string') : '';
+  const headerFooter = (styles.match(/<style:(header|footer)(-left|-first)?>[\s\S]*?<\/style:\1\2>/g) || []).map(odfXmlToText);
+  const { text, structure, links } = odfXmlToText(xml);
+  return {
+    text,
+    structure,
+    links: [...links, ...headerFooter.flatMap((h) => h.links)],
+    headerFooterText: headerFooter.flatMap((h) => splitLines(h.text)),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Markdown
+
+/**
+ * Strip Markdown syntax, keeping the text a reader would see
+ * @param {string} markdown - Markdown source
+ * @returns {{text: string, structure: Object, links: Array, headerFooterText: string[]}} Text ("- " list items,
+ *   " | " table cells), structure hints and link targets
+ */
+export function markdownToText(markdown) {
+  const source = String(markdown || '').replace(/\r\n?/g, '\n');
+  const structure = emptyStructure();
+  const lines = [];
+  const links = new Set();
+  let fenced = false;
+  let inTable = false;
+  source.split('\n').forEach((raw) => {
+    if (/^\s*(```|~~~)/.test(raw)) {
+      fenced = !fenced;
+      return;
+    }
+    if (fenced) {
+      lines.push(raw);
+      return;
+    }
+    // Backslash escapes are parked in the private-use area so the emphasis rules leave them alone
+    let line = raw.replace(/^\s{0,3}>\s?/, '').replace(/\\([\\`*_{}[\]()#+\-.!|>])/g, (m, c) => String.fromCharCode(0xf000 + c.charCodeAt(0)));
+    if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line) && inTable) return; // table separator row
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      lines.push('');
+      return;
+    }
+    if (/^\s*\|.*\|\s*$/.test(line)) {
+      if (!inTable) structure.tables += 1;
+      inTable = true;
+      line = line.trim().replace(/^\||\|$/g, '').split('|').map((c) => c.trim()).join(' | ');
+    } else {
+      inTable = false;
+    }
+    const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      structure.headings += 1;
+      line = heading[1];
+    } else if (/^\s*(?:[-*+]|\d+[.)])\s+/.test(line)) {
+      structure.lists += 1;
+      line = line.replace(/^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?/, '$1- ');
+    } else if (line.trim() && !inTable) {
+      structure.paragraphs += 1;
+    }
+    structure.images += count(line, /!\[[^\]]*\]\([^)]*\)/g);
+    line = line
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (m, label, url) => {
+        links.add(url);
+        return label === url || /^mailto:/i.test(url) ? label : `${label} (${url})`;
+      })
+      .replace(/<((?:https?:\/\/|mailto:)[^>]+)>/g, (m, url) => {
+        links.add(url);
+        return url.replace(/^mailto:/i, '');
+      })
+      .replace(/(\*\*|__)(.+?)\1/g, '$2')
+      .replace(/(^|[^\w*])([*_])(?!\s)(.+?)(?<!\s)\2(?![\w*])/g, '$1$3')
+      .replace(/~~(.+?)~~/g, '$1')
+      .replace(/`([^`]+)`/g, '$1')
+      .replace(/<[^>]+>/g, '')
+      .replace(/[\uf000-\uf07f]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0xf000));
+    lines.push(decodeEntities(line));
+  });
+  const linkList = [...links].filter((url) => !url.startsWith('#')).map((url) => ({ url }));
+  return { text: tidyLines(lines.join('\n')), structure, links: linkList, headerFooterText: [] };
+}
+
+// ---------------------------------------------------------------------------
+// RTF
+
+// Destinations whose content is not body text
+const RTF_SKIP = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'listtable', 'listoverridetable', 'rsidtbl', 'generator',
+  'xmlnstbl', 'themedata', 'colorschememapping', 'latentstyles', 'datastore', 'filetbl', 'revtbl', 'pgdsctbl', 'footnote', 'annotation',
+]);
+// Headers/footers are collected apart from the body, like most ATS leave them out
+const RTF_HEADER_FOOTER = new Set(['header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf']);
+
+const RTF_SYMBOLS = { bullet: '•', emdash: '—', endash: '–', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”', emspace: ' ', enspace: ' ' };
+
+/**
+ * Convert RTF to plain text
+ * @param {string} rtf - RTF source (8-bit characters as Latin-1/Windows-1252 code units)
+ * @returns {{text: string, structure: Object, links: Array, headerFooterText: string[]}} Text (tab-separated table
+ *   cells), structure hints, HYPERLINK field targets and header/footer lines
+ */
+export function rtfToText(rtf) {
+  const src = String(rtf || '');
+  if (!src.trimStart().startsWith('{\\rtf')) throw formatError('corrupt', 'This file is not a valid RTF document.');
+  const structure = emptyStructure();
+  const stack = [];
+  // state.capture routes text away from the body: 'headerFooter' or 'field' (a field instruction)
+  let state = { skip: false, capture: null, uc: 1, intbl: false };
+  const captured = { body: '', headerFooter: '' };
+  const fields = [];
+  let pendingSkip = 0;
+  let inTable = false;
+  const emit = (text) => {
+    if (pendingSkip > 0) {
+      pendingSkip -= 1;
+      return;
+    }
+    if (state.skip) return;
+    if (state.capture === 'field') fields[fields.length - 1] += text;
+    else captured[state.capture || 'body'] += text;
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (ch === '{') {
+      stack.push(state);
+      state = { ...state };
+    } else if (ch === '}') {
+      state = stack.pop() || state;
+    } else if (ch === '\\') {
+      const next = src[i + 1];
+      if (/[a-z]/i.test(next)) {
+        const m = /^([a-z]+)(-?\d+)? ?/i.exec(src.slice(i + 1, i + 40));
+        const [whole, word, param] = m;
+        i += whole.length;
+        const n = param === undefined ? null : Number(param);
+        if (RTF_SKIP.has(word)) {
+          if (word === 'pict') structure.images += 1;
+          state.skip = true;
+        } else if (RTF_HEADER_FOOTER.has(word)) {
+          Object.assign(state, { skip: false, capture: 'headerFooter' });
+        } else if (word === 'fldinst') {
+          fields.push('');
+          Object.assign(state, { skip: false, capture: 'field' });
+        } else if (word === 'par' || word === 'line' || word === 'sect' || word === 'page') {
+          if (word === 'par') {
+            structure.paragraphs += 1;
+            if (!state.intbl) inTable = false;
+          }
+          emit('\n');
+        } else if (word === 'tab') emit('\t');
+        else if (word === 'cell') emit('\t');
+        else if (word === 'row') emit('\n');
+        else if (word === 'trowd') {
+          if (!inTable) structure.tables += 1;
+          inTable = true;
+        } else if (word === 'intbl') state.intbl = true;
+        else if (word === 'pard') state.intbl = false;
+        else if (word === 'pntext' || word === 'listtext') structure.lists += 1;
+        else if (word === 'uc') state.uc = n ?? 1;
+        else if (word === 'u') {
+          emit(String.fromCharCode(n < 0 ? n + 65536 : n));
+          pendingSkip = state.uc;
+        } else if (RTF_SYMBOLS[word]) emit(RTF_SYMBOLS[word]);
+      } else if (next === '\'') {
+        const hex = src.slice(i + 2, i + 4);
+        i += 3;
+        emit(decodeCp1252(Uint8Array.of(parseInt(hex, 16) || 0x3f)));
+      } else {
+        i += 1;
+        if (next === '*') state.skip = true;
+        else if (next === '~') emit(' ');
+        else if (next === '_') emit('-');
+        else if (next === '\\' || next === '{' || next === '}') emit(next);
+        else if (next === '\n' || next === '\r') emit('\n');
+      }
+    } else if (ch !== '\n' && ch !== '\r') {
+      emit(ch);
+    }
+  }
+  const links = fields.map((f) => (f.match(/HYPERLINK\s+"([^"]+)"/) || [])[1]).filter(Boolean);
+  return {
+    text: tidyLines(captured.body),
+    structure,
+    links: [...new Set(links)].map((url) => ({ url })),
+    headerFooterText: splitLines(tidyLines(captured.headerFooter)),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Legacy Word 97-2003 (.doc): compound file (CFB) container + piece table
+
+const ENDOFCHAIN = 0xfffffffe;
+
+function readCompoundFile(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const sectorSize = 1 << view.getUint16(30, true);
+  const miniSectorSize = 1 << view.getUint16(32, true);
+  const miniCutoff = view.getUint32(56, true);
+  const sectorOffset = (id) => (id + 1) * sectorSize;
+
+  // FAT sector ids come from the 109 header DIFAT slots, then the DIFAT chain
+  const fatSectors = [];
+  for (let i = 0; i < 109; i++) {
+    const id = view.getUint32(76 + i * 4, true);
+    if (id < ENDOFCHAIN - 1) fatSectors.push(id);
+  }
+  let difat = view.getUint32(68, true);
+  for (let guard = 0; difat < ENDOFCHAIN - 1 && guard < 1000; guard++) {
+    const base = sectorOffset(difat);
+    for (let i = 0; i < sectorSize / 4 - 1; i++) {
+      const id = view.getUint32(base + i * 4, true);
+      if (id < ENDOFCHAIN - 1) fatSectors.push(id);
+    }
+    difat = view.getUint32(base + sectorSize - 4, true);
+  }
+  const fat = [];
+  fatSectors.forEach((id) => {
+    for (let i = 0; i < sectorSize / 4; i++) fat.push(view.getUint32(sectorOffset(id) + i * 4, true));
+  });
+
+  const chain = (start, table) => {
+    const ids = [];
+    for (let id = start; id < ENDOFCHAIN - 1 && ids.length <= table.length; id = table[id]) ids.push(id);
+    return ids;
+  };
+  const readChain = (start, size) => {
+    const out = new Uint8Array(Math.max(size, 0));
+    let pos = 0;
+    chain(start, fat).forEach((id) => {
+      if (pos >= size) return;
+      const part = bytes.subarray(sectorOffset(id), sectorOffset(id) + Math.min(sectorSize, size - pos));
+      out.set(part, pos);
+      pos += part.length;
+    });
+    return out;
+  };
+
+  const dirStart = view.getUint32(48, true);
+  const dir = readChain(dirStart, chain(dirStart, fat).length * sectorSize);
+  const dirView = new DataView(dir.buffer);
+  const entries = [];
+  for (let off = 0; off + 128 <= dir.length; off += 128) {
+    const nameLength = dirView.getUint16(off + 64, true);
+    if (!nameLength) continue;
+    const name = String.fromCharCode(...new Uint16Array(dir.slice(off, off + Math.max(0, nameLength - 2)).buffer));
+    entries.push({ name, type: dir[off + 66], start: dirView.getUint32(off + 116, true), size: dirView.getUint32(off + 120, true) });
+  }
+  const root = entries.find((e) => e.type === 5);
+  const miniFatStart = view.getUint32(60, true);
+  const miniFatBytes = miniFatStart < ENDOFCHAIN - 1 ? readChain(miniFatStart, chain(miniFatStart, fat).length * sectorSize) : new Uint8Array(0);
+  const miniFat = Array.from({ length: miniFatBytes.length / 4 }, (_, i) => new DataView(miniFatBytes.buffer).getUint32(i * 4, true));
+  const miniStream = root ? readChain(root.start, root.size) : new Uint8Array(0);
+
+  return {
+    names: entries.map((e) => e.name),
+    stream(name) {
+      const entry = entries.find((e) => e.name === name && e.type === 2);
+      if (!entry) return null;
+      if (entry.size >= miniCutoff) return readChain(entry.start, entry.size);
+      const out = new Uint8Array(entry.size);
+      let pos = 0;
+      chain(entry.start, miniFat).forEach((id) => {
+        if (pos >= entry.size) return;
+        const part = miniStream.subarray(id * miniSectorSize, id * miniSectorSize + Math.min(miniSectorSize, entry.size - pos));
+        out.set(part, pos);
+        pos += part.length;
+      });
+      return out;
+    },
+  };
+}
+
+// Word special characters -> plain text: fields keep their result, cell marks become tabs/newlines
+function wordStoryText(raw) {
+  return raw
+    .replace(/\x13[^\x13\x14\x15]*\x14([^\x15]*)\x15/g, '$1')
+    .replace(/\x13[^\x15]*\x15/g, '')
+    .replace(/\x07\x07/g, '\n')
+    .replace(/\x07/g, '\t')
+    .replace(/[\r\x0b\x0c]/g, '\n')
+    .replace(/[\x00-\x08\x0e-\x1f]/g, '');
+}
+
+/**
+ * Extract text from a legacy Word 97-2003 document (.doc)
+ * @param {Uint8Array} bytes - .doc file (compound file)
+ * @returns {{text: string, structure: Object, links: Array, headerFooterText: string[]}} Main document text (no headers,
+ *   footnotes or comments), structure hints, HYPERLINK field targets and the header/footer story lines
+ */
+export function extractDOC(bytes) {
+  let cfb;
+  try {
+    cfb = readCompoundFile(bytes);
+  } catch (error) {
+    throw formatError('corrupt', 'This Word file appears to be damaged and could not be read. Save it as .docx and upload again.', error);
+  }
+  if (cfb.names.includes('EncryptionInfo') || cfb.names.includes('EncryptedPackage')) {
+    throw formatError('encrypted', 'This Word file is password-protected. Save a copy without a password and upload that instead.');
+  }
+  const word = cfb.stream('WordDocument');
+  if (!word || word.length < 0x1aa) {
+    throw formatError('unsupported', 'This Office file is not a Word document. Upload the resume as PDF or .docx.');
+  }
+  const fib = new DataView(word.buffer, word.byteOffset, word.byteLength);
+  if (fib.getUint16(0, true) !== 0xa5ec) throw formatError('unsupported', 'This Word file predates Word 97 and cannot be read. Save it as .docx and upload again.');
+  const flags = fib.getUint16(10, true);
+  if (flags & 0x0100) throw formatError('encrypted', 'This Word file is password-protected. Save a copy without a password and upload that instead.');
+  const table = cfb.stream(flags & 0x0200 ? '1Table' : '0Table');
+  // Stories follow each other in CP order: main text, footnotes, headers/footers
+  const ccpText = fib.getUint32(76, true);
+  const ccpFtn = fib.getUint32(80, true);
+  const ccpHdd = fib.getUint32(84, true);
+  const ccpTotal = ccpText + ccpFtn + ccpHdd;
+  const fcClx = fib.getUint32(0x1a2, true);
+  const lcbClx = fib.getUint32(0x1a6, true);
+  if (!table || fcClx + lcbClx > table.length) throw formatError('corrupt', 'This Word file appears to be damaged and could not be read. Save it as .docx and upload again.');
+
+  // Clx: skip Prc blocks (0x01), then the piece table (0x02)
+  const clx = new DataView(table.buffer, table.byteOffset + fcClx, lcbClx);
+  let pos = 0;
+  while (pos < lcbClx && clx.getUint8(pos) === 0x01) pos += 3 + clx.getUint16(pos + 1, true);
+  if (clx.getUint8(pos) !== 0x02) throw formatError('corrupt', 'This Word file appears to be damaged and could not be read. Save it as .docx and upload again.');
+  const lcb = clx.getUint32(pos + 1, true);
+  const plc = pos + 5;
+  const pieces = (lcb - 4) / 12;
+  let raw = '';
+  for (let i = 0; i < pieces && raw.length < ccpTotal; i++) {
+    const cpStart = clx.getUint32(plc + i * 4, true);
+    const cpEnd = clx.getUint32(plc + (i + 1) * 4, true);
+    const pcd = plc + (pieces + 1) * 4 + i * 8;
+    const fc = clx.getUint32(pcd + 2, true);
+    const chars = Math.min(cpEnd - cpStart, ccpTotal - raw.length);
+    if (fc & 0x40000000) {
+      const offset = (fc & 0x3fffffff) / 2;
+      raw += decodeCp1252(word.subarray(offset, offset + chars));
+    } else {
+      raw += new TextDecoder('utf-16le').decode(word.subarray(fc, fc + chars * 2));
+    }
+  }
+
+  const main = raw.slice(0, ccpText);
+  const structure = emptyStructure();
+  structure.images = count(main, /[\x01\x08]/g);
+  // Cell marks (0x07) end cells and rows; consecutive cell paragraphs form one table
+  structure.tables = count(main.replace(/[^\r\x07]/g, '').replace(/\r+/g, '\r'), /\x07+/g);
+  const text = wordStoryText(main);
+  structure.paragraphs = count(text, /\n/g) + 1;
+  const links = [...raw.matchAll(/\x13\s*HYPERLINK\s+"([^"]+)"/g)].map((m) => m[1]);
+  return {
+    text: tidyLines(text),
+    structure,
+    links: [...new Set(links)].map((url) => ({ url })),
+    headerFooterText: splitLines(tidyLines(wordStoryText(raw.slice(ccpText + ccpFtn, ccpTotal)))),
+  };
+}
+
+export default {
+  sniffFormat,
+  decodeText,
+  decodeEntities,
+  htmlToText,
+  mhtmlToHtml,
+  odfXmlToText,
+  extractODT,
+  markdownToText,
+  rtfToText,
+  extractDOC,
+};
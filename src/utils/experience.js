@@ -0,0 +1,157 @@
+/**
+ * Experience calculation from employment date ranges
+ * Works on positions from the resume parser: overlapping jobs are merged,
+ * "Present" runs to the reference date and education is never counted.
+ *
+ * Month convention: dates are month indexes (year * 12 + month - 1). A range
+ * covers its end month, so "Jan 2019 – Jan 2019" is one month. Year-only dates
+ * ("2018 - 2021") are taken as mid-year and a year-only end month is not counted
+ * on top, so such ranges yield whole years (at least one month).
+ */
+
+import { findDateRanges } from './resumeParser';
+import { getDefaultOntology } from './skillOntology';
+
+const YEAR_ONLY_MONTH = 6;
+
+function toMonthIndex(date, fallbackMonth = YEAR_ONLY_MONTH) {
+  if (!date || !date.year) return null;
+  return date.year * 12 + ((date.month || fallbackMonth) - 1);
+}
+
+// Word-boundary test for skills the ontology does not know ("java" must not hit "javascript")
+function mentions(textLc, skill) {
+  const escaped = skill.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}+#])${escaped}(?=$|[^\\p{L}\\p{N}+#])`, 'u').test(textLc);
+}
+
+function nowIndex(now) {
+  const d = now instanceof Date ? now : new Date();
+  return d.getFullYear() * 12 + d.getMonth();
+}
+
+/**
+ * Convert a parsed range into a month interval
+ * @param {{startDate, endDate, current}} range - Position or range with parsed dates
+ * @param {Date} [now] - Reference date for "Present"
+ * @returns {{start:number, end:number}|null} Interval in month indexes, end exclusive
+ */
+export function toInterval(range, now) {
+  const start = toMonthIndex(range.startDate);
+  if (start === null) return null;
+  const end = range.current ? nowIndex(now) : toMonthIndex(range.endDate);
+  if (end === null || end < start) return null;
+  const inclusive = range.current || Boolean(range.endDate.month);
+  return { start, end: inclusive ? end + 1 : Math.max(end, start + 1) };
+}
+
+/**
+ * Merge overlapping or touching month intervals
+ * @param {Array<{start:number, end:number}>} intervals - Intervals
+ * @returns {Array<{start:number, end:number}>} Merged intervals, sorted
+ */
+export function mergeIntervals(intervals) {
+  const sorted = intervals.filter(Boolean).slice().sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) last.end = Math.max(last.end, interval.end);
+    else merged.push({ ...interval });
+  }
+  return merged;
+}
+
+function totalMonths(intervals) {
+  return mergeIntervals(intervals).reduce((sum, i) => sum + (i.end - i.start), 0);
+}
+
+function toYears(months) {
+  return Math.round((months / 12) * 10) / 10;
+}
+
+// Fallback for resumes without a recognizable experience section: take date
+// ranges from every line that is not inside the education section.
+function rangesFromText(text, model) {
+  const educationLines = new Set();
+  (model?.sections || []).filter((s) => s.key === 'education').forEach((s) => {
+    for (let i = s.startLine; i <= s.endLine; i++) educationLines.add(i);
+  });
+  return String(text || '')
+    .split('\n')
+    .flatMap((line, index) => (educationLines.has(index) ? [] : findDateRanges(line).map((r) => ({
+      title: '',
+      company: '',
+      startDate: r.start,
+      endDate: r.end,
+      current: r.current,
+      bullets: [],
+      lines: [index, index],
+    }))));
+}
+
+/**
+ * Compute total and per-skill experience from a parsed resume
+ * @param {Object} model - Output of parseResume
+ * @param {Object} [options] - { text, skills, now, ontology }
+ *   text: raw resume text, used when no dated positions were parsed
+ *   skills: candidate skill names to measure (defaults to the resume's skills list)
+ * @returns {Object} { totalMonths, totalYears, positions, intervals, perSkill, mostRecentYear, source }
+ */
+export function computeExperience(model, options = {}) {
+  const { text = '', now, ontology = getDefaultOntology() } = options;
+  let source = 'positions';
+  let positions = (model?.positions || []).filter((p) => p.startDate);
+  if (!positions.length) {
+    positions = rangesFromText(text, model);
+    source = positions.length ? 'text' : 'none';
+  }
+
+  const withIntervals = positions
+    .map((p) => ({ position: p, interval: toInterval(p, now) }))
+    .filter((p) => p.interval);
+  const intervals = mergeIntervals(withIntervals.map((p) => p.interval));
+  const months = totalMonths(intervals);
+
+  const candidates = Array.from(new Set([
+    ...(options.skills || []),
+    ...((model?.skills || []).map((s) => s.name)),
+  ].map((s) => String(s).toLowerCase().trim()).filter(Boolean)));
+
+  const perSkill = {};
+  for (const { position, interval } of withIntervals) {
+    const body = [position.title, position.company, ...position.bullets.map((b) => b.text)].join('\n');
+    const bodyLc = body.toLowerCase();
+    const match = ontology.matcherFor(body);
+    for (const skill of candidates) {
+      if (match(skill) || mentions(bodyLc, skill)) {
+        (perSkill[skill] = perSkill[skill] || []).push(interval);
+      }
+    }
+  }
+  Object.keys(perSkill).forEach((skill) => {
+    perSkill[skill] = toYears(totalMonths(perSkill[skill]));
+  });
+
+  const lastEnd = intervals.length ? intervals[intervals.length - 1].end - 1 : null;
+  return {
+    totalMonths: months,
+    totalYears: toYears(months),
+    positions: withIntervals.map(({ position, interval }) => ({
+      title: position.title,
+      company: position.company,
+      lines: position.lines,
+      months: interval.end - interval.start,
+      current: !!position.current,
+    })),
+    intervals,
+    perSkill,
+    mostRecentYear: lastEnd === null ? 0 : Math.floor(lastEnd / 12),
+    source,
+  };
+}
+
+export default {
+  computeExperience,
+  mergeIntervals,
+  toInterval,
+};
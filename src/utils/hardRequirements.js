@@ -0,0 +1,249 @@
+/**
+ * Hard requirement (knockout) detection
+ * Finds the requirements in a job description that an ATS or recruiter screens
+ * on before ranking — work authorization, security clearance, licenses, minimum
+ * degree, minimum years and required certifications — and checks each one
+ * against the resume. Results are pass / fail / unknown and are reported next
+ * to the score rather than blended into it.
+ *
+ * "unknown" means the resume cannot prove or disprove the requirement (work
+ * authorization is rarely stated on a resume); the candidate should confirm it.
+ */
+
+import { detectDegreeLevel } from './jobParser';
+
+const DEGREE_LABELS = { phd: 'PhD', master: "Master's degree", bachelor: "Bachelor's degree", associate: 'Associate degree', 'high school': 'High school diploma' };
+const PREFERRED_RE = /\b(nice to have|preferred|a plus|is a plus|bonus|optional|ideally|desirable)\b/i;
+// Outside requirement sections a license or certification only counts when the line asks for it:
+// "Manage software license renewals" is a duty, "Must hold a valid CPA license" a requirement
+const REQUIREMENT_CUE_RE = /\b(must|required|requires?|requirement|mandatory|need to (?:hold|have)|you (?:hold|have|possess)|hold(?:ing|s)?|possess(?:ing)?|valid|active)\b/i;
+
+const AUTHORIZATION_RE = /\b(authori[sz]ed to work|work authori[sz]ation|eligible to work|right to work|legally (?:authori[sz]ed|able) to work|(?:u\.?s\.?|us|eu|uk) citizen(?:ship)?|citizenship (?:is )?required|green card|permanent resident|(?:without|no|not (?:able to )?(?:provide|offer)|unable to (?:provide|offer)) (?:visa )?sponsorship|sponsorship (?:is )?not available|will not sponsor|cannot sponsor)\b/i;
+const NO_SPONSORSHIP_RE = /\b((?:without|no|not (?:able to )?(?:provide|offer)|unable to (?:provide|offer)) (?:visa )?sponsorship|sponsorship (?:is )?not available|will not sponsor|cannot sponsor)\b/i;
+const CITIZENSHIP_RE = /\b((?:u\.?s\.?|us) citizen(?:ship)?|citizenship (?:is )?required)\b/i;
+const RESUME_AUTHORIZED_RE = /\b(authori[sz]ed to work|work authori[sz]ation|eligible to work|right to work|citizen(?:ship)?|green card|permanent resident|no sponsorship required|does not require sponsorship)\b/i;
+// OPT/CPT only in a visa context: "opt in" and CPT (medical) codes are ordinary resume text
+const RESUME_NEEDS_SPONSOR_RE = /\b(requires? (?:visa )?sponsorship|need(?:s)? (?:visa )?sponsorship|h-?1b|f-?1\b[\s\w/-]{0,12}\b(?:opt|cpt)|stem[- ]opt|(?:opt|cpt)[\s/-]*(?:ead|visa|status|work permit|authori[sz]ation))\b/i;
+
+const CLEARANCE_LEVELS = [
+  { level: 'TS/SCI', rank: 4, re: /\b(ts\s*\/\s*sci|ts-sci|top secret\s*\/\s*sci|sci eligib)/i },
+  { level: 'Top Secret', rank: 3, re: /\b(top secret|\bts\b clearance|dv clearance|developed vetting)\b/i },
+  { level: 'Secret', rank: 2, re: /\b(secret clearance|secret level|active secret|\bsecret\b(?=.*\bclearance\b)|sc clearance|security check)\b/i },
+  { level: 'Public Trust', rank: 1, re: /\b(public trust|baseline clearance|bps)\b/i },
+  { level: 'Security clearance', rank: 1, re: /\b(security clearance|clearance required|clearable|active clearance)\b/i },
+];
+const POLYGRAPH_RE = /\b(full[- ]scope poly(?:graph)?|ci poly(?:graph)?|polygraph)\b/i;
+
+const LICENSE_RE = /\b((?:[A-Za-z'’]+\s+){1,2})licen[cs]e\b/i;
+const LICENSE_FILLER = /^(?:(?:a|an|the|must|hold|have|possess|with|valid|active|current|unrestricted)\s+)+/i;
+const KNOWN_LICENSES = [
+  { name: "Driver's license", re: /\bdriver'?s?'?\s+licen[cs]e\b/i, resume: /\bdriver'?s?'?\s+licen[cs]e\b|\bclean driving record\b/i },
+  { name: 'CPA', re: /\b(cpa|certified public accountant)\b/i, resume: /\b(cpa|certified public accountant)\b/i },
+  { name: 'Professional Engineer (PE)', re: /\b(p\.?e\.? licen[cs]e|professional engineer)\b/i, resume: /\b(p\.?e\.?|professional engineer)\b/ },
+  { name: 'Registered Nurse (RN)', re: /\b(rn licen[cs]e|registered nurse)\b/i, resume: /\b(rn|registered nurse)\b/ },
+  { name: 'Bar admission', re: /\b(bar admission|admitted to (?:the|practice)|member of the .* bar|licensed attorney)\b/i, resume: /\b(bar admission|admitted to|state bar|licensed attorney|member of the .* bar)\b/i },
+  { name: 'CDL', re: /\b(cdl|commercial driver'?s licen[cs]e)\b/i, resume: /\b(cdl|commercial driver'?s licen[cs]e)\b/i },
+  { name: 'FINRA Series license', re: /\bseries\s+(\d{1,2})\b/i, resume: /\bseries\s+\d{1,2}\b/i },
+];
+
+const KNOWN_CERTIFICATIONS = [
+  'aws certified [a-z -]+?(?= associate| professional| specialty|[,.;)]|$)(?: associate| professional| specialty)?',
+  'azure (?:administrator|developer|solutions architect|fundamentals)(?: associate| expert)?',
+  'google cloud (?:professional )?[a-z ]+? (?:engineer|architect)',
+  'cissp', 'cism', 'cisa', 'ceh', 'oscp', 'gsec', 'comptia security\\+', 'security\\+', 'network\\+', 'comptia a\\+',
+  'ccna', 'ccnp', 'ccie', 'cka', 'ckad', 'rhce', 'rhcsa', 'pmp', 'capm', 'csm', 'psm', 'safe agilist', 'itil',
+  'six sigma(?: green| black)?(?: belt)?', 'cfa', 'cma', 'shrm-cp', 'shrm-scp', 'phr', 'sphr',
+];
+const KNOWN_CERT_RE = new RegExp(`\\b(${KNOWN_CERTIFICATIONS.join('|')})`, 'gi');
+const HAS_KNOWN_CERT_RE = new RegExp(`\\b(${KNOWN_CERTIFICATIONS.join('|')})`, 'i');
+const GENERIC_CERT_RE = /\b((?:[A-Z][\w+/.-]*\s+){1,4})certifi(?:cation|ed)\b|\bcertified\s+((?:[A-Z][\w+/.-]*\s*){1,4})/g;
+
+function clean(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Lines that may state requirements: everything except preferred and benefits bullets.
+// `listed` marks requirement/qualification bullets and lines outside any section
+function requirementLines(job) {
+  return [
+    ...[...job.required, ...job.other].map((b) => ({ ...b, listed: true })),
+    ...[...job.about, ...job.responsibilities].map((b) => ({ ...b, listed: false })),
+  ]
+    .filter((b) => !PREFERRED_RE.test(b.text))
+    .sort((a, b) => a.line - b.line);
+}
+
+function clearanceLevel(text) {
+  const hit = CLEARANCE_LEVELS.find(({ re }) => re.test(text));
+  return hit ? { level: hit.level, rank: hit.rank } : null;
+}
+
+function certificationsIn(text) {
+  const names = [];
+  KNOWN_CERT_RE.lastIndex = 0;
+  let m;
+  while ((m = KNOWN_CERT_RE.exec(text))) names.push(clean(m[1]));
+  if (!names.length) {
+    GENERIC_CERT_RE.lastIndex = 0;
+    while ((m = GENERIC_CERT_RE.exec(text))) {
+      const name = clean(m[1] || m[2]).replace(/^(?:an?|the|relevant|active|current|valid)\s+/i, '');
+      if (name && !/^(?:is|are|be|must|required)$/i.test(name)) names.push(name);
+    }
+  }
+  return names;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Detect hard requirements in a parsed job description
+ * @param {Object} job - Output of parseJobDescription
+ * @returns {Array<Object>} Requirements: { id, type, label, text, line, ...type-specific fields }
+ */
+export function detectHardRequirements(job) {
+  if (!job) return [];
+  const requirements = [];
+  const seen = new Set();
+  const add = (req) => {
+    if (seen.has(req.id)) return;
+    seen.add(req.id);
+    requirements.push(req);
+  };
+
+  for (const { text, line, listed } of requirementLines(job)) {
+    const asked = listed || REQUIREMENT_CUE_RE.test(text);
+    if (AUTHORIZATION_RE.test(text)) {
+      const citizenship = CITIZENSHIP_RE.test(text);
+      const noSponsorship = NO_SPONSORSHIP_RE.test(text);
+      add({
+        id: 'authorization',
+        type: 'authorization',
+        label: citizenship ? 'Citizenship required' : noSponsorship ? 'Work authorization without visa sponsorship' : 'Work authorization',
+        text,
+        line,
+        citizenship,
+        noSponsorship,
+      });
+    }
+
+    const clearance = /\bclearance|\bclearable|\bsecret\b|\bpublic trust\b|\bpolygraph\b/i.test(text) ? clearanceLevel(text) : null;
+    if (clearance) {
+      const polygraph = POLYGRAPH_RE.test(text);
+      add({ id: 'clearance', type: 'clearance', label: `${clearance.level} clearance${polygraph ? ' with polygraph' : ''}`, text, line, level: clearance.level, rank: clearance.rank, polygraph });
+    }
+
+    if (asked) KNOWN_LICENSES.filter(({ re }) => re.test(text)).forEach(({ name, resume }) => {
+      add({ id: `license:${name.toLowerCase()}`, type: 'license', label: name, text, line, pattern: resume });
+    });
+    if (asked && /\blicen[cs]e(?:d|s)?\b/i.test(text) && !KNOWN_LICENSES.some(({ re }) => re.test(text))) {
+      const m = text.match(LICENSE_RE);
+      const name = clean(m && m[1]).replace(LICENSE_FILLER, '');
+      if (name && !/^(?:software|open[- ]source|mit|apache)$/i.test(name)) {
+        add({ id: `license:${name.toLowerCase()}`, type: 'license', label: `${name.charAt(0).toUpperCase()}${name.slice(1)} license`, text, line, pattern: new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i') });
+      }
+    }
+
+    if (asked && (/\bcertifi(?:ed|cation)s?\b/i.test(text) || HAS_KNOWN_CERT_RE.test(text))) {
+      certificationsIn(text).forEach((name) => add({ id: `certification:${name.toLowerCase()}`, type: 'certification', label: name, text, line, name }));
+    }
+  }
+
+  const { degree } = job;
+  if (degree && degree.rank !== null && degree.required && !degree.equivalentAccepted) {
+    add({ id: 'degree', type: 'degree', label: `${DEGREE_LABELS[degree.level]} or higher`, text: '', line: null, level: degree.level, rank: degree.rank });
+  }
+
+  const lines = requirementLines(job);
+  const mention = job.yearsRequired.mentions.find((m) => m.years === job.yearsRequired.total);
+  const yearsLine = mention ? lines.find((b) => b.text.includes(mention.text)) : null;
+  if (job.yearsRequired.total && yearsLine && /\b(minimum|at least|required|must|\d+\+)/i.test(yearsLine.text)) {
+    add({ id: 'years', type: 'years', label: `${job.yearsRequired.total}+ years of experience`, text: yearsLine.text, line: yearsLine.line, years: job.yearsRequired.total });
+  }
+
+  return requirements;
+}
+
+/**
+ * Check detected hard requirements against a resume
+ * @param {Array<Object>} requirements - Output of detectHardRequirements
+ * @param {Object} context - { resumeText, resume (parseResume model), totalYears, degreeLevels (localized, see locales.js) }
+ * @returns {Array<Object>} Requirements with status 'pass' | 'fail' | 'unknown' and a detail string
+ */
+export function checkHardRequirements(requirements, { resumeText = '', resume = null, totalYears = 0, degreeLevels } = {}) {
+  const text = String(resumeText || '');
+  const certNames = ((resume && resume.certifications) || []).map((c) => c.name.toLowerCase());
+
+  return requirements.map((req) => {
+    let status = 'fail';
+    let detail = '';
+    switch (req.type) {
+      case 'authorization':
+        if (req.noSponsorship && RESUME_NEEDS_SPONSOR_RE.test(text)) {
+          detail = 'Resume indicates visa sponsorship is needed';
+        } else if (RESUME_AUTHORIZED_RE.test(text) && (!req.citizenship || /\bcitizen/i.test(text))) {
+          status = 'pass';
+          detail = clean(text.match(RESUME_AUTHORIZED_RE)[0]);
+        } else {
+          status = 'unknown';
+          detail = 'Not stated on the resume — confirm in the application';
+        }
+        break;
+      case 'clearance': {
+        const held = /\bclearance|\bsecret\b|\bpublic trust\b|\bts\s*\/\s*sci/i.test(text) ? clearanceLevel(text) : null;
+        const polygraphOk = !req.polygraph || POLYGRAPH_RE.test(text);
+        if (held && held.rank >= req.rank && polygraphOk) status = 'pass';
+        detail = held ? `Resume lists ${held.level}${polygraphOk ? '' : ' without polygraph'}` : 'No clearance on the resume';
+        break;
+      }
+      case 'license':
+        if (req.pattern.test(text)) status = 'pass';
+        detail = status === 'pass' ? 'Found on the resume' : 'Not found on the resume';
+        break;
+      case 'certification': {
+        const name = req.name.toLowerCase();
+        if (certNames.some((c) => c.includes(name)) || new RegExp(`(^|[^a-z0-9])${escapeRegExp(name)}(?![a-z0-9])`, 'i').test(text)) status = 'pass';
+        detail = status === 'pass' ? 'Found on the resume' : 'Not found on the resume';
+        break;
+      }
+      case 'degree': {
+        const held = detectDegreeLevel(text, degreeLevels);
+        if (held && held.rank >= req.rank) status = 'pass';
+        detail = held ? `Resume shows ${held.level}` : 'No degree found on the resume';
+        break;
+      }
+      case 'years':
+        if (totalYears >= req.years) status = 'pass';
+        detail = `Dated roles add up to ${totalYears} years`;
+        break;
+      default:
+        status = 'unknown';
+    }
+    const { pattern, ...rest } = req;
+    return { ...rest, status, detail };
+  });
+}
+
+/**
+ * Detect and check hard requirements in one step
+ * @param {Object} job - Output of parseJobDescription
+ * @param {Object} context - See checkHardRequirements
+ * @returns {{passed:boolean, failed:Array, unknown:Array, results:Array}} Knockout report
+ */
+export function evaluateHardRequirements(job, context) {
+  const results = checkHardRequirements(detectHardRequirements(job), context);
+  const failed = results.filter((r) => r.status === 'fail');
+  return {
+    passed: failed.length === 0,
+    failed,
+    unknown: results.filter((r) => r.status === 'unknown'),
+    results,
+  };
+}
+
+export default {
+  detectHardRequirements,
+  checkHardRequirements,
+  evaluateHardRequirements,
+};
@@ -0,0 +1,315 @@
+/**
+ * Job posting import
+ * Reads a job description from a saved job page (.html, or a single-file .mhtml/.mht
+ * web archive) or a JSON export. When the page carries schema.org JobPosting
+ * structured data (JSON-LD, which most job boards embed for search engines) the
+ * posting is rebuilt from it: title, hiring organization, location, employment
+ * type, description and qualifications. Otherwise the page's main content is
+ * extracted and navigation, cookie banners, sidebars and footers are dropped.
+ * Any other upload (PDF, Word, text, ...) goes through textExtraction.extractDocument.
+ *
+ * The result also names the company, so the cover letter can be pre-filled.
+ */
+
+import { extractDocument } from './textExtraction';
+import { sniffFormat, decodeText, decodeEntities, htmlToText, mhtmlToHtml } from './documentFormats';
+import { parseJobDescription } from './jobParser';
+
+const WEB_FORMATS = ['html', 'mhtml', 'json'];
+
+// Main content shorter than this is likely a teaser or an empty shell page
+const MIN_CONTENT_CHARS = 200;
+
+const JD_CONTAINER_RE = /\b(?:job[-_]?(?:description|details?|posting|body|content)|jobsearch-jobdescriptiontext|posting[-_]?(?:page|description)|description__text|vacancy[-_]?(?:description|details)|jd[-_]?(?:content|body))\b/i;
+// Page chrome around the posting: navigation, sidebars, forms and banners
+const CHROME_TAGS = ['nav', 'aside', 'form', 'footer', 'button', 'dialog'];
+const CHROME_CLASS_RE = /\b(?:cookie|consent|gdpr|newsletter|share|social|breadcrumbs?|similar-jobs|related-jobs)\b/i;
+
+const EMPLOYMENT_TYPES = {
+  FULL_TIME: 'Full-time',
+  PART_TIME: 'Part-time',
+  CONTRACTOR: 'Contract',
+  TEMPORARY: 'Temporary',
+  INTERN: 'Internship',
+  VOLUNTEER: 'Volunteer',
+  PER_DIEM: 'Per diem',
+  OTHER: 'Other',
+};
+
+const POSTING_SECTIONS = [
+  ['responsibilities', 'Responsibilities'],
+  ['qualifications', 'Qualifications'],
+  ['skills', 'Skills'],
+  ['experienceRequirements', 'Experience'],
+  ['educationRequirements', 'Education'],
+];
+
+function importError(code, message, cause) {
+  const error = new Error(message);
+  error.code = code;
+  if (cause) error.cause = cause;
+  return error;
+}
+
+const isType = (node, type) => [].concat(node?.['@type'] || []).some((t) => String(t).replace(/^.*[/#]/, '') === type);
+
+function walkJsonLd(node, out) {
+  if (Array.isArray(node)) node.forEach((n) => walkJsonLd(n, out));
+  else if (node && typeof node === 'object') {
+    if (isType(node, 'JobPosting')) out.push(node);
+    else if (node['@graph']) walkJsonLd(node['@graph'], out);
+    else if (node.mainEntity) walkJsonLd(node.mainEntity, out);
+  }
+  return out;
+}
+
+/**
+ * Find schema.org JobPosting objects
+ * @param {string|Object|Array} source - HTML (searched for <script type="application/ld+json"> blocks) or parsed JSON
+ * @returns {Object[]} JobPosting nodes, in document order; @graph and arrays are searched
+ */
+export function findJobPostings(source) {
+  if (typeof source !== 'string') return walkJsonLd(source, []);
+  const postings = [];
+  for (const [, json] of source.matchAll(/<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script\s*>/gi)) {
+    try {
+      // Some CMSs wrap the block in a CDATA section or leave raw control characters in strings
+      walkJsonLd(JSON.parse(json.replace(/^\s*(?:<!\[CDATA\[|\/\/\s*<!\[CDATA\[)|(?:\]\]>|\/\/\s*\]\]>)\s*$/g, '').replace(/[\u0000-\u001f]+/g, ' ')), postings);
+    } catch (error) {
+      // Malformed blocks are common; skip them and fall back to the page content
+    }
+  }
+  return postings;
+}
+
+// Schema.org text fields may be plain text, escaped HTML or HTML
+function richText(value) {
+  if (value == null) return '';
+  if (Array.isArray(value)) return value.map(richText).filter(Boolean).join('\n');
+  if (typeof value === 'object') return richText(value.description || value.name || value.text || '');
+  let text = String(value);
+  if (/&lt;\/?[a-z]/i.test(text)) text = decodeEntities(text);
+  return /<\/?[a-z][^>]*>/i.test(text) ? htmlToText(text).text : decodeEntities(text).trim();
+}
+
+const orgName = (org) => decodeEntities(typeof org === 'string' ? org : org?.name || org?.legalName || '').trim() || null;
+
+function placeName(place) {
+  if (!place) return '';
+  if (typeof place === 'string') return place;
+  const address = place.address || place;
+  if (typeof address === 'string') return address;
+  const country = typeof address.addressCountry === 'object' ? address.addressCountry?.name : address.addressCountry;
+  return [address.addressLocality, address.addressRegion, country].filter(Boolean).join(', ') || place.name || '';
+}
+
+/**
+ * Describe a JobPosting's location
+ * @param {Object} posting - schema.org JobPosting
+ * @returns {string} e.g. "Berlin, DE", "Remote (US)" or "Remote or London, GB"; empty when not given
+ */
+function postingLocation(posting) {
+  const places = [...new Set([].concat(posting.jobLocation || []).map(placeName).filter(Boolean))];
+  const remote = [].concat(posting.jobLocationType || []).some((t) => /TELECOMMUTE/i.test(t));
+  if (!remote) return places.join('; ');
+  const regions = [].concat(posting.applicantLocationRequirements || []).map(placeName).filter(Boolean);
+  const label = regions.length ? `Remote (${regions.join(', ')})` : 'Remote';
+  return places.length ? `${label} or ${places.join('; ')}` : label;
+}
+
+/**
+ * Render a JobPosting as job description text
+ * Labelled lines come first so jobParser picks up the title, company, location and employment type.
+ * @param {Object} posting - schema.org JobPosting
+ * @returns {string} Title, labelled facts, description, then any qualification sections the description lacks
+ */
+export function jobPostingToText(posting = {}) {
+  const company = orgName(posting.hiringOrganization);
+  const location = postingLocation(posting);
+  const employmentType = [].concat(posting.employmentType || [])
+    .flatMap((t) => String(t).split(/\s*,\s*/))
+    .map((t) => EMPLOYMENT_TYPES[t.toUpperCase().replace(/[\s-]+/g, '_')] || t)
+    .filter(Boolean)
+    .join(', ');
+  const description = richText(posting.description);
+  const lines = [
+    richText(posting.title),
+    company && `Company: ${company}`,
+    location && `Location: ${location}`,
+    employmentType && `Employment type: ${employmentType}`,
+  ].filter(Boolean);
+  lines.push('', description);
+  const descriptionLc = description.toLowerCase();
+  POSTING_SECTIONS.forEach(([key, heading]) => {
+    const body = richText(posting[key]);
+    // Job boards often repeat the qualifications inside the description; don't duplicate them
+    if (!body || descriptionLc.includes(body.slice(0, 80).toLowerCase())) return;
+    lines.push('', heading, body);
+  });
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Balanced-tag scan: every element with the given tag name (optionally filtered by its opening tag) as outer HTML
+function findElements(html, tag, test = () => true) {
+  const found = [];
+  const tagRe = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+  let depth = 0;
+  let start = -1;
+  let match;
+  while ((match = tagRe.exec(html))) {
+    if (match[0].endsWith('/>')) continue;
+    if (!match[1]) {
+      if (depth === 0) {
+        if (!test(match[0])) continue;
+        start = match.index;
+      }
+      depth += 1;
+    } else if (depth > 0) {
+      depth -= 1;
+      if (depth === 0) found.push(html.slice(start, tagRe.lastIndex));
+    }
+  }
+  return found;
+}
+
+const idAndClass = (openTag) => (openTag.match(/\b(?:id|class)\s*=\s*["'][^"']*["']/gi) || []).join(' ');
+
+function stripChrome(html) {
+  const chrome = [
+    ...CHROME_TAGS.flatMap((tag) => findElements(html, tag)),
+    ...['div', 'section'].flatMap((tag) => findElements(html, tag, (open) => CHROME_CLASS_RE.test(idAndClass(open)))),
+  ];
+  // Outermost first, so nested chrome goes with its parent
+  return chrome.sort((a, b) => b.length - a.length).reduce((out, el) => out.replace(el, '\n'), html);
+}
+
+function pageMeta(html, property) {
+  const re = new RegExp(`<meta\\b[^>]*(?:property|name)\\s*=\\s*["']${property}["'][^>]*>`, 'i');
+  const tag = (html.match(re) || [])[0];
+  const content = tag && (tag.match(/\bcontent\s*=\s*["']([^"']*)["']/i) || [])[1];
+  return content ? decodeEntities(content).trim() : null;
+}
+
+/**
+ * Extract the main content of a web page
+ * Candidates, in order: a job-description container (by id/class), <main>, [role=main], <article>, <body>;
+ * the first with enough text wins. Navigation, headers, footers, forms and sidebars inside it are dropped.
+ * @param {string} html - Page HTML
+ * @returns {{text: string, title: string|null, siteName: string|null}} Content text, page title and site name
+ */
+export function extractMainContent(html) {
+  const source = String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg)\b[\s\S]*?<\/\1\s*>/gi, '');
+  const containers = ['div', 'section', 'article']
+    .flatMap((tag) => findElements(source, tag, (open) => JD_CONTAINER_RE.test(idAndClass(open))));
+  const candidates = [
+    ...containers.map((el) => htmlToText(stripChrome(el)).text).sort((a, b) => b.length - a.length).slice(0, 1),
+    ...findElements(source, 'main').map((el) => htmlToText(stripChrome(el)).text),
+    ...['div', 'section'].flatMap((tag) => findElements(source, tag, (open) => /\brole\s*=\s*["']main["']/i.test(open))).map((el) => htmlToText(stripChrome(el)).text),
+    ...findElements(source, 'article').map((el) => htmlToText(stripChrome(el)).text),
+    htmlToText(stripChrome(findElements(source, 'body')[0] || source)).text,
+  ];
+  const text = candidates.find((c) => c.length >= MIN_CONTENT_CHARS) || candidates.sort((a, b) => b.length - a.length)[0] || '';
+  const heading = findElements(source, 'h1')[0];
+  const title = pageMeta(source, 'og:title')
+    || (heading && htmlToText(heading).text)
+    || decodeEntities((source.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i) || [])[1] || '').trim()
+    || null;
+  return { text, title, siteName: pageMeta(source, 'og:site_name') };
+}
+
+// JSON exports that aren't JSON-LD: look for the usual field names at the top level (or under "job"/"data")
+function genericJobJson(value) {
+  const node = [value, value?.job, value?.data, value?.posting].find((n) => n && typeof n === 'object' && !Array.isArray(n) && (n.description || n.jobDescription));
+  if (!node) return null;
+  return {
+    title: node.title || node.jobTitle || node.name || node.position,
+    hiringOrganization: node.hiringOrganization || node.company || node.companyName || node.employer,
+    description: node.description || node.jobDescription,
+    jobLocation: node.jobLocation || node.location,
+    employmentType: node.employmentType || node.type,
+    qualifications: node.qualifications || node.requirements,
+    responsibilities: node.responsibilities,
+    skills: node.skills,
+  };
+}
+
+/**
+ * Import a job description from an uploaded file
+ * @param {File|Blob|ArrayBuffer|Uint8Array} input - Uploaded file
+ * @param {Object} [options] - { fileName, mimeType } when the input is not a File
+ * @returns {Promise<{text: string, format: string, source: 'json-ld'|'json'|'main-content'|'document', title: string|null,
+ *   company: string|null, url: string|null, posting: Object|null, warnings: string[]}>} Job description text, where it
+ *   came from (structured data, a JSON export, the page content or a document), the title and company for the
+ *   cover letter, the page URL for web archives, the JobPosting object when found and any extraction warnings.
+ *   Errors are thrown with a user-facing message and a `code`, as in textExtraction.
+ */
+export async function importJobPosting(input, options = {}) {
+  const fileName = options.fileName ?? input?.name ?? '';
+  const mimeType = options.mimeType ?? input?.type ?? '';
+  let bytes;
+  if (input instanceof Uint8Array) bytes = input;
+  else if (input instanceof ArrayBuffer) bytes = new Uint8Array(input);
+  else if (input && typeof input.arrayBuffer === 'function') bytes = new Uint8Array(await input.arrayBuffer());
+  else throw new Error('Invalid file input');
+
+  const format = sniffFormat(bytes, { mimeType, fileName });
+  if (!WEB_FORMATS.includes(format)) {
+    const document = await extractDocument(bytes, { fileName, mimeType });
+    const job = parseJobDescription(document.text);
+    return { text: document.text, format: document.format, source: 'document', title: job.title, company: job.company, url: null, posting: null, warnings: document.warnings || [] };
+  }
+
+  let html = null;
+  let url = null;
+  let postings;
+  if (format === 'json') {
+    let value;
+    try {
+      value = JSON.parse(decodeText(bytes));
+    } catch (error) {
+      throw importError('corrupt', 'This JSON file could not be read. Check that it is valid JSON.', error);
+    }
+    postings = findJobPostings(value);
+    if (!postings.length) {
+      const generic = genericJobJson(value);
+      if (!generic) throw importError('unsupported', 'This JSON file does not contain a job posting. Expected schema.org JobPosting data or an object with a "description".');
+      postings = [generic];
+    }
+  } else {
+    ({ html, url } = format === 'mhtml' ? mhtmlToHtml(decodeText(bytes)) : { html: decodeText(bytes), url: null });
+    postings = findJobPostings(html);
+  }
+
+  const warnings = [];
+  const posting = postings.find((p) => p.description) || null;
+  if (postings.length > 1) warnings.push(`The page lists ${postings.length} job postings; imported "${richText(posting?.title) || 'the first'}".`);
+  let text;
+  let source;
+  let title = null;
+  let company = null;
+  if (posting) {
+    text = jobPostingToText(posting);
+    source = format === 'json' && !isType(posting, 'JobPosting') ? 'json' : 'json-ld';
+    title = richText(posting.title) || null;
+    company = orgName(posting.hiringOrganization);
+  } else {
+    const content = extractMainContent(html);
+    text = content.text;
+    source = 'main-content';
+    title = content.title;
+    company = content.siteName;
+    if (text.length < MIN_CONTENT_CHARS) warnings.push('Little text was found on this page. If the job description is missing, copy and paste it instead.');
+  }
+  if (!text.trim()) throw importError('no-text', 'No job description text was found in this file. Copy and paste the job description instead.');
+  const job = parseJobDescription(text);
+  return { text, format, source, title: title || job.title, company: company || job.company, url, posting, warnings };
+}
+
+export default {
+  importJobPosting,
+  findJobPostings,
+  jobPostingToText,
+  extractMainContent,
+};
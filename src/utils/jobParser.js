@@ -0,0 +1,269 @@
+/**
+ * Structured job description parser
+ * Extracts title, seniority, company, location/remote policy, years required per
+ * skill, degree requirements and the required / preferred / responsibilities /
+ * benefits bullets from a job posting, for the ATS engine to score against.
+ */
+
+export const JOB_SECTION_HEADERS = Object.freeze({
+  required: ['requirements', 'required qualifications', 'minimum qualifications', 'basic qualifications', 'qualifications', 'required skills', 'what you need', "what you'll need", 'what you will need', "what we're looking for", 'what we are looking for', 'must have', 'must-have', 'must haves', 'you have', 'who you are', 'your profile', 'skills and experience', "what you'll bring", 'what you bring', 'about you'],
+  preferred: ['preferred qualifications', 'preferred skills', 'preferred', 'nice to have', 'nice-to-have', 'nice to haves', 'bonus points', 'bonus', 'pluses', 'desired skills', 'desired qualifications', 'additional qualifications', "it's a plus", 'even better'],
+  responsibilities: ['responsibilities', 'key responsibilities', 'job responsibilities', "what you'll do", 'what you will do', 'the role', 'your role', 'role overview', 'duties', 'day to day', 'day-to-day', 'in this role', 'your mission', 'what you will be doing'],
+  benefits: ['benefits', 'perks', 'perks & benefits', 'perks and benefits', 'what we offer', 'we offer', 'compensation', 'compensation & benefits', 'why join us', 'why you will love working here'],
+  about: ['about us', 'about the company', 'who we are', 'company overview', 'overview', 'about the team', 'our company'],
+});
+
+const SENIORITY_LEVELS = [
+  { level: 'intern', rank: 1, re: /\b(intern|internship|trainee|apprentice)\b/i },
+  { level: 'junior', rank: 1, re: /\b(junior|jr\.?|entry[- ]level|associate)\b/i },
+  { level: 'principal', rank: 3, re: /\b(principal|distinguished)\b/i },
+  { level: 'staff', rank: 3, re: /\bstaff\b/i },
+  { level: 'lead', rank: 3, re: /\b(lead|tech lead|team lead)\b/i },
+  { level: 'senior', rank: 3, re: /\b(senior|sr\.?)\b/i },
+  { level: 'director', rank: 3, re: /\b(director|head of|vp|vice president)\b/i },
+  { level: 'mid', rank: 2, re: /\b(mid[- ]level|mid|intermediate)\b/i },
+];
+
+export const DEGREE_LEVELS = [
+  { level: 'phd', rank: 4, re: /\b(ph\.?\s?d|doctorate|doctoral)\b/i },
+  // Needs a degree context: "MS Office", "MS SQL" and "Scrum Master" are not degrees
+  { level: 'master', rank: 3, re: /\b(?:(?<!scrum\s)(?:master['’]?s\b|master\s+(?:of|in)\s+(?!data\b|the\b|it\b))|m\.\s?s\.|m\.?\s?sc\b|ms\s+(?:in|degree)\b|ms(?=,)|mba\b|m\.?\s?eng\b)(?!\s+(?:office|excel|word|sql|teams|project)\b)/i },
+  { level: 'bachelor', rank: 2, re: /\b(bachelor'?s?|b\.?s\.?c?|b\.?a|b\.?eng|undergraduate degree|4-year degree|four-year degree)\b/i },
+  { level: 'associate', rank: 1, re: /\bassociate'?s? degree\b/i },
+  { level: 'high school', rank: 0, re: /\b(high school|ged|secondary school)\b/i },
+];
+
+const TITLE_WORDS = /\b(engineer|developer|programmer|manager|analyst|designer|intern|director|lead|consultant|specialist|scientist|architect|administrator|coordinator|officer|associate|assistant|head|technician|representative|executive|accountant|editor|writer|researcher|strategist|recruiter|advisor)\b/i;
+const BULLET_RE = /^\s*(?:[•▪●◦‣⁃∙*·]|[-–—](?=\s)|\d{1,2}[.)](?=\s))\s*/;
+// English markers plus German, Spanish and French equivalents (no \b next to accented letters)
+const REQUIRED_MARKERS = [
+  /\brequired\b/i, /\bmust\b/i, /\bminimum\b/i, /\bneed(ed)?\b/i,
+  /\b(erforderlich|voraussetzung|zwingend)/i, /\b(imprescindible|requisito|necesario)/i, /\b(obligatoire|indispensable|exigé)/i,
+];
+const PREFERRED_MARKERS = [
+  /\bnice to have\b/i, /\bpreferred\b/i, /\bplus\b/i, /\bbonus\b/i, /\boptional\b/i, /\bideally\b/i,
+  /\b(wünschenswert|von vorteil|idealerweise)/i, /\b(deseable|valorable|se valorar)/i, /\b(un atout|souhait|apprécié)/i,
+];
+// "N years of experience with X and Y": filler before the skill, after it, and the words joining several skills
+export const EXPERIENCE_PHRASE = {
+  lead: /^(?:of\s+)?(?:(?:relevant|professional|industry|work|hands-on|related|overall|total|progressive|commercial|production|practical)\s+)*(?:experience|exp)?\s*(?:(?:with|in|using|of|building|developing|on|working with)\s+)?/i,
+  trail: /\s+(?:experience|exp)$/i,
+  conjunction: /\s*,\s*|\s+(?:and|or|&)\s+/i,
+};
+const YEARS_RE = /(\d{1,2})[ \t]*(?:\+|plus)?[ \t]*(?:-[ \t]*\d{1,2}[ \t]*)?(?:years?|yrs?|jahren?|años|anos|ans)(?:'|’)?[ \t]*((?:[\p{L}0-9+#./'’-]+[ \t]*){0,7}?)(?=[,;:()]|\.(?:[ \t]|$)|[ \t]+(?:and|or|is|are|in a|preferred|required)\b|$)/giu;
+
+function clean(line) {
+  return (line || '').replace(/\s+/g, ' ').trim();
+}
+
+function headerKey(line) {
+  return clean(line).toLowerCase().replace(/[:.!]+$/, '').replace(/[^\p{L}&'’\s-]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Classify a JD line as a section header
+ * @param {string} line - Line text
+ * @param {Object} [headers] - Header dictionary (defaults to JOB_SECTION_HEADERS; see locales.jobHeadersFor)
+ * @returns {string|null} Section key
+ */
+export function matchJobSectionHeader(line, headers = JOB_SECTION_HEADERS) {
+  const text = clean(line);
+  if (!text || text.length > 60 || BULLET_RE.test(line)) return null;
+  const key = headerKey(text);
+  if (!key || key.split(' ').length > 8) return null;
+  const looksLikeHeader = /:$/.test(text) || text === text.toUpperCase() || key.split(' ').length <= 4;
+  if (!looksLikeHeader) return null;
+  for (const [section, names] of Object.entries(headers)) {
+    if (names.includes(key)) return section;
+  }
+  for (const [section, names] of Object.entries(headers)) {
+    if (names.some((n) => n.split(' ').length > 1 && key.startsWith(n))) return section;
+  }
+  return null;
+}
+
+/**
+ * Detect the highest degree level mentioned in a text
+ * @param {string} text - Text to scan
+ * @param {Array} [levels] - Degree patterns, highest first (defaults to DEGREE_LEVELS; see locales.degreeLevelsFor)
+ * @returns {{level:string, rank:number}|null} Degree level
+ */
+export function detectDegreeLevel(text, levels = DEGREE_LEVELS) {
+  for (const { level, rank, re } of levels) {
+    if (re.test(text || '')) return { level, rank };
+  }
+  return null;
+}
+
+function detectSeniority(title, text) {
+  for (const source of [title, text]) {
+    if (!source) continue;
+    const hit = SENIORITY_LEVELS.find(({ re }) => re.test(source));
+    if (hit) return { level: hit.level, rank: hit.rank, fromTitle: source === title };
+  }
+  return { level: null, rank: 0, fromTitle: false };
+}
+
+function labelled(lines, labels) {
+  const re = new RegExp(`^(?:${labels.join('|')})\\s*[:\\-–]\\s*(.+)$`, 'i');
+  for (const line of lines) {
+    const m = clean(line).match(re);
+    if (m) return clean(m[1]);
+  }
+  return '';
+}
+
+function detectTitle(lines) {
+  const fromLabel = labelled(lines, ['job title', 'title', 'position', 'role']);
+  if (fromLabel) return { value: fromLabel, confidence: 0.95 };
+  const candidate = lines.slice(0, 5).map(clean).find((l) => l && l.split(' ').length <= 10 && TITLE_WORDS.test(l) && !/[.!?]$/.test(l));
+  return candidate ? { value: candidate.replace(/\s*[-–|@].*$/, ''), confidence: 0.7 } : { value: '', confidence: 0 };
+}
+
+function detectCompany(lines, text) {
+  const fromLabel = labelled(lines, ['company', 'employer', 'organization', 'hiring company']);
+  if (fromLabel) return { value: fromLabel, confidence: 0.95 };
+  const patterns = [
+    /\babout\s+([A-Z][\w&.-]*(?:\s+[A-Z][\w&.-]*){0,3})\s*:?\s*$/m,
+    /\bjoin\s+([A-Z][\w&.-]*(?:\s+[A-Z][\w&.-]*){0,3})(?=[\s,.!])/,
+    /\bat\s+([A-Z][\w&.-]*(?:\s+[A-Z][\w&.-]*){0,3}),?\s+(?:we|you|our)\b/,
+    /^([A-Z][\w&.-]*(?:\s+[A-Z][\w&.-]*){0,3})\s+is\s+(?:a|an|the|hiring|looking|seeking)\b/m,
+  ];
+  for (const re of patterns) {
+    const m = text.match(re);
+    if (m && !/^(the|our|us|you|this|we)$/i.test(m[1]) && !/^(the role|the team|us)$/i.test(m[1])) return { value: clean(m[1]), confidence: 0.6 };
+  }
+  return { value: '', confidence: 0 };
+}
+
+function detectLocation(lines, text) {
+  const location = labelled(lines, ['location', 'locations', 'based in', 'office']);
+  let remote = null;
+  if (/\b(fully remote|100% remote|remote[- ]first|remote only|work from anywhere|remote\s*\(|remote position|remote role|this role is remote|is a remote)\b/i.test(text)) remote = 'remote';
+  else if (/\bhybrid\b/i.test(text)) remote = 'hybrid';
+  else if (/\b(on[- ]?site|in[- ]office|in the office)\b/i.test(text)) remote = 'onsite';
+  else if (/\bremote\b/i.test(location || text)) remote = 'remote';
+  return { location, remote };
+}
+
+function detectEmploymentType(text) {
+  const types = [['full-time', /\bfull[- ]time\b/i], ['part-time', /\bpart[- ]time\b/i], ['contract', /\b(contract|contractor|freelance)\b/i], ['internship', /\binternship\b/i], ['temporary', /\b(temporary|temp)\b/i]];
+  const hit = types.find(([, re]) => re.test(text));
+  return hit ? hit[0] : '';
+}
+
+/**
+ * Extract "N+ years of X" requirements
+ * @param {string} text - JD text
+ * @param {Object} [phrase] - { lead, trail, conjunction } patterns (defaults to EXPERIENCE_PHRASE; see locales.experiencePhraseFor)
+ * @returns {{total:number, perSkill:Object<string,number>, mentions:Array}} Years required
+ */
+export function extractYearsRequired(text, phrase = EXPERIENCE_PHRASE) {
+  const mentions = [];
+  String(text || '').split('\n').forEach((line) => {
+    YEARS_RE.lastIndex = 0;
+    let m;
+    while ((m = YEARS_RE.exec(line))) {
+      const years = parseInt(m[1], 10);
+      if (!years || years > 30) continue;
+      const subject = clean(m[2]).replace(/[.,;:!?]+$/, '').replace(phrase.lead, '').replace(phrase.trail, '').toLowerCase();
+      // "JavaScript and React", "AWS or GCP": each skill needs the years
+      const skills = subject ? subject.split(phrase.conjunction).map((s) => s.replace(/[.,;:!?]+$/, '').trim()).filter(Boolean) : [''];
+      skills.forEach((skill) => mentions.push({ years, skill, text: clean(m[0]) }));
+    }
+  });
+  const perSkill = {};
+  mentions.filter((x) => x.skill).forEach(({ skill, years }) => {
+    perSkill[skill] = Math.max(perSkill[skill] || 0, years);
+  });
+  const generic = mentions.filter((x) => !x.skill).map((x) => x.years);
+  const total = generic.length ? Math.max(...generic) : mentions.length ? Math.max(...mentions.map((x) => x.years)) : 0;
+  return { total, perSkill, mentions };
+}
+
+function detectDegree(sections, text, levels) {
+  const requiredText = [...sections.required, ...sections.other].map((b) => b.text).join('\n');
+  const preferredText = sections.preferred.map((b) => b.text).join('\n');
+  const inRequired = detectDegreeLevel(requiredText, levels);
+  const inPreferred = detectDegreeLevel(preferredText, levels);
+  const found = inRequired || inPreferred || detectDegreeLevel(text, levels);
+  if (!found) return { level: null, rank: null, required: false, equivalentAccepted: false, fields: [] };
+  const line = String(text).split('\n').find((l) => levels.some(({ re }) => re.test(l))) || '';
+  const fieldsMatch = line.match(/\bin\s+([A-Z][A-Za-z ,/&]+?)(?:,?\s+or\s+(?:a\s+)?related(?:\s+\w+)?|\.|;|$)/);
+  return {
+    level: found.level,
+    rank: found.rank,
+    required: !!inRequired && !/\b(preferred|plus|nice to have)\b/i.test(line),
+    equivalentAccepted: /\bor\s+(?:equivalent|comparable)\b|\bequivalent (?:practical |work )?experience\b/i.test(text),
+    fields: fieldsMatch ? fieldsMatch[1].split(/\s*(?:,|\/|\bor\b|\band\b)\s*/).map(clean).filter(Boolean) : [],
+  };
+}
+
+/**
+ * Parse a job description into a structured object
+ * @param {string} text - Job description text
+ * @param {Object} [options] - { headers, degreeLevels, experiencePhrase } localized dictionaries (see locales.js)
+ * @returns {Object} { title, seniority, company, location, remote, employmentType, yearsRequired, degree, required, preferred, responsibilities, benefits, confidence }
+ */
+export function parseJobDescription(text, options = {}) {
+  const { headers = JOB_SECTION_HEADERS, degreeLevels = DEGREE_LEVELS, experiencePhrase = EXPERIENCE_PHRASE } = options;
+  const source = String(text || '');
+  const rawLines = source.split('\n');
+  const sections = { required: [], preferred: [], responsibilities: [], benefits: [], about: [], other: [] };
+  let current = 'other';
+  rawLines.forEach((raw, index) => {
+    const header = matchJobSectionHeader(raw, headers);
+    if (header) {
+      current = header;
+      return;
+    }
+    const textLine = clean(raw.replace(BULLET_RE, ''));
+    if (!textLine) return;
+    let bucket = current;
+    // Outside a recognised section, fall back to inline required/preferred markers
+    if (bucket === 'other' || bucket === 'about') {
+      if (PREFERRED_MARKERS.some((r) => r.test(textLine))) bucket = 'preferred';
+      else if (REQUIRED_MARKERS.some((r) => r.test(textLine))) bucket = 'required';
+    }
+    sections[bucket].push({ text: textLine, line: index });
+  });
+
+  const title = detectTitle(rawLines);
+  const company = detectCompany(rawLines, source);
+  const seniority = detectSeniority(title.value, source);
+  const { location, remote } = detectLocation(rawLines, source);
+
+  return {
+    title: title.value,
+    seniority: seniority.level,
+    seniorityRank: seniority.rank,
+    company: company.value,
+    location,
+    remote,
+    employmentType: detectEmploymentType(source),
+    yearsRequired: extractYearsRequired(source, experiencePhrase),
+    degree: detectDegree(sections, source, degreeLevels),
+    required: sections.required,
+    preferred: sections.preferred,
+    responsibilities: sections.responsibilities,
+    benefits: sections.benefits,
+    about: sections.about,
+    other: sections.other,
+    confidence: {
+      title: title.confidence,
+      company: company.confidence,
+      seniority: seniority.level ? (seniority.fromTitle ? 0.9 : 0.5) : 0,
+      location: location ? 0.9 : remote ? 0.6 : 0,
+    },
+  };
+}
+
+export default {
+  parseJobDescription,
+  matchJobSectionHeader,
+  extractYearsRequired,
+  detectDegreeLevel,
+  JOB_SECTION_HEADERS,
+  DEGREE_LEVELS,
+  EXPERIENCE_PHRASE,
+};
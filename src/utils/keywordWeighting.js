@@ -0,0 +1,212 @@
+/**
+ * Keyword weighting (BM25 against a background corpus)
+ * Ranks candidate keywords in a job description by how specific they are:
+ * term frequency in the text, saturated and length-normalised as in BM25,
+ * times an inverse document frequency taken from a bundled corpus of generic
+ * job-posting language (./backgroundCorpus.js). Boilerplate such as "ability to"
+ * or "fast-paced environment" scores near zero; role-specific skills score high.
+ *
+ * Candidates are unigrams, bigrams/trigrams that neither start nor end with a
+ * stopword and do not cross punctuation (",", ";", "/", "|", sentence ends), and
+ * noun phrases chunked by compromise. Stopwords come from natural.
+ *
+ * options.locale (de, es, fr) adds that language's stopwords and filler words to
+ * the English ones (JDs mix in English tech terms) and skips noun-phrase chunking,
+ * which compromise only supports for English. The background corpus is English,
+ * so localized boilerplate is caught by the filler lists rather than by IDF.
+ */
+
+import nlp from 'compromise';
+import { words as NATURAL_STOPWORDS } from 'natural/lib/natural/util/stopwords';
+import { BACKGROUND_CORPUS } from './backgroundCorpus';
+import { normalizeLocale, stopwordsFor } from './locales';
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Phrases found in more than this share of background postings are treated as boilerplate
+const MAX_DOC_SHARE = 0.1;
+const NOUN_PHRASE_BOOST = 1.3;
+
+// Job-posting filler that should never start or end a keyword phrase
+const EDGE_WORDS = [
+  'ability', 'able', 'strong', 'excellent', 'good', 'great', 'solid', 'proven', 'deep', 'working', 'plus', 'years', 'year',
+  'yrs', 'experience', 'including', 'etc', 'e.g', 'i.e', 'using', 'within', 'across', 'related', 'relevant', 'preferred',
+  'required', 'must', 'nice', 'ideal', 'ideally', 'least', 'minimum', 'knowledge', 'understanding', 'familiarity', 'skills',
+  'skill', 'new', 'well', "you'll", "we're", 'will', 'join', 'looking', 'seeking', 'role', 'team', 'someone', 'candidate',
+];
+// Work-authorization and clearance boilerplate ("authorized to work in the United States without
+// sponsorship", "active Secret clearance"): requirements, not skills; hardRequirements checks them
+const ELIGIBILITY_WORDS = [
+  'authorized', 'authorised', 'authorization', 'authorisation', 'eligible', 'eligibility', 'sponsor', 'sponsorship',
+  'sponsored', 'visa', 'without', 'united', 'states', 'u.s', 'usa', 'citizen', 'citizens', 'citizenship', 'permanent',
+  'resident', 'residents', 'clearance', 'clearances', 'active', 'secret', 'top', 'sci', 'polygraph',
+];
+// Localized job-posting filler, used on top of the English lists
+const LOCALE_EDGE_WORDS = {
+  de: [
+    'erfahrung', 'erfahrungen', 'kenntnisse', 'gute', 'guten', 'sehr', 'fundierte', 'mehrjährige', 'jahre', 'jahren',
+    'idealerweise', 'wünschenswert', 'vorteil', 'bereich', 'sowie', 'team', 'aufgaben', 'abgeschlossenes', 'abgeschlossene',
+    'mindestens', 'vergleichbare', 'vergleichbar', 'qualifikation', 'm', 'w', 'd', 'erforderlich', 'erforderliche',
+    'erforderlichen', 'voraussetzung', 'zwingend', 'studium', 'berufserfahrung',
+  ],
+  es: [
+    'experiencia', 'conocimientos', 'conocimiento', 'años', 'buen', 'buena', 'buenas', 'sólida', 'sólidos', 'valorable',
+    'deseable', 'imprescindible', 'equipo', 'capacidad', 'mínimo', 'trabajo', 'menos', 'avanzados', 'similar', 'valorará',
+    'requisito', 'necesario', 'necesaria', 'estudios',
+  ],
+  fr: [
+    'expérience', 'expériences', 'connaissances', 'connaissance', 'ans', 'bonne', 'bonnes', 'solide', 'solides', 'maîtrise',
+    'souhaitée', 'appréciée', 'équipe', 'capacité', 'minimum', 'travail', 'atout', 'moins', 'équivalent', 'similaire',
+    'requis', 'requise', 'obligatoire', 'indispensable', 'exigé', 'exigée', 'études',
+  ],
+};
+const STOPWORDS = new Set([...NATURAL_STOPWORDS.filter((w) => w.length > 1), 'you', 'we', 'our', 'your', 'us', 'a']);
+const EDGE_STOPWORDS = new Set([...STOPWORDS, ...EDGE_WORDS, ...ELIGIBILITY_WORDS]);
+const VOCABULARIES = new Map([['en', { stop: STOPWORDS, edge: EDGE_STOPWORDS }]]);
+
+// Stopwords and edge filler for a locale, English always included
+function vocabularyFor(locale) {
+  const id = normalizeLocale(locale);
+  if (!VOCABULARIES.has(id)) {
+    const stop = new Set([...STOPWORDS, ...stopwordsFor(id)]);
+    VOCABULARIES.set(id, { stop, edge: new Set([...stop, ...EDGE_WORDS, ...ELIGIBILITY_WORDS, ...(LOCALE_EDGE_WORDS[id] || [])]) });
+  }
+  return VOCABULARIES.get(id);
+}
+
+// Phrases never span list separators or sentences: "AWS, Kubernetes" is two skills, not a phrase
+const SEGMENT_BREAK = /\n|[,;/|•()]|[.!?:](?=\s|$)/;
+
+function normalizeText(text) {
+  return String(text || '').replace(/\u00A0/g, ' ').toLowerCase();
+}
+
+// Same character rules as the scoring engine's tokenizer, so phrases match its output
+function tokenize(text) {
+  return normalizeText(text).replace(/['’]s\b/g, '').replace(/[^\p{L}\p{N}+.#\-\s]/gu, ' ').split(/\s+/g)
+    .map((t) => t.replace(/^[.\-]+|[.\-]+$/g, ''))
+    .filter(Boolean);
+}
+
+let corpusIndex = null;
+
+function getCorpusIndex() {
+  if (!corpusIndex) {
+    const docs = BACKGROUND_CORPUS.map((doc) => ` ${tokenize(doc).join(' ')} `);
+    const avgLength = docs.reduce((sum, d) => sum + d.split(' ').length - 2, 0) / docs.length;
+    corpusIndex = { docs, avgLength, df: new Map() };
+  }
+  return corpusIndex;
+}
+
+/**
+ * Document frequency of a phrase in the background corpus
+ * @param {string} phrase - Normalised phrase
+ * @returns {number} Number of background postings containing it
+ */
+export function backgroundFrequency(phrase) {
+  const index = getCorpusIndex();
+  if (!index.df.has(phrase)) {
+    const needle = ` ${phrase} `;
+    index.df.set(phrase, index.docs.filter((d) => d.includes(needle)).length);
+  }
+  return index.df.get(phrase);
+}
+
+/**
+ * BM25 inverse document frequency of a phrase against the background corpus
+ * @param {string} phrase - Normalised phrase
+ * @returns {number} IDF (higher = more specific)
+ */
+export function inverseDocumentFrequency(phrase) {
+  const n = getCorpusIndex().docs.length;
+  const df = backgroundFrequency(phrase);
+  return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+}
+
+function isUsableToken(token, vocab) {
+  return !vocab.edge.has(token) && !/^\d+[+%]?$/.test(token);
+}
+
+// No filler at either edge, and only "of" inside ("bachelor of science", not "designers and backend")
+function isUsablePhrase(words, vocab) {
+  if (vocab.edge.has(words[0]) || vocab.edge.has(words[words.length - 1])) return false;
+  if (words.slice(1, -1).some((w) => w !== 'of' && vocab.stop.has(w))) return false;
+  return !words.every((w) => /^\d/.test(w));
+}
+
+// Noun phrases per line, split on commas / conjunctions and stripped of edge filler
+function nounPhrases(text, vocab) {
+  const phrases = [];
+  String(text || '').split(SEGMENT_BREAK).forEach((line) => {
+    const clean = line.replace(/^\s*(?:[•▪●◦‣⁃∙*·]|[-–—](?=\s))\s*/, '').trim();
+    if (!clean) return;
+    nlp(clean).match('(#Adjective|#Noun|#Acronym)+').not('#Pronoun').out('array').forEach((chunk) => {
+      chunk.split(/,|\band\b|\bor\b|\//i).forEach((part) => {
+        const words = tokenize(part);
+        while (words.length && vocab.edge.has(words[0])) words.shift();
+        while (words.length && vocab.edge.has(words[words.length - 1])) words.pop();
+        if (words.length && words.length <= 4 && isUsablePhrase(words, vocab)) phrases.push(words.join(' '));
+      });
+    });
+  });
+  return phrases;
+}
+
+/**
+ * Rank keyword candidates in a text by BM25 specificity
+ * @param {string} text - Job description (or any text)
+ * @param {Object} [options] - { minLen, maxLen, maxPhrases, includeBigrams, includeTrigrams, nounPhrases, locale }
+ * @returns {Array<{phrase:string, score:number, tf:number, df:number, nounPhrase:boolean}>} Ranked keywords
+ */
+export function rankKeywords(text, options = {}) {
+  const { minLen = 2, maxLen = 32, maxPhrases = 50, includeBigrams = true, includeTrigrams = true } = options;
+  const locale = normalizeLocale(options.locale);
+  const vocab = vocabularyFor(locale);
+  const useChunks = options.nounPhrases !== false && locale === 'en';
+  const lines = normalizeText(text).split(SEGMENT_BREAK).map(tokenize);
+  const docLength = lines.reduce((sum, l) => sum + l.length, 0);
+  if (!docLength) return [];
+
+  const tf = new Map();
+  const count = (phrase) => tf.set(phrase, (tf.get(phrase) || 0) + 1);
+  for (const words of lines) {
+    words.forEach((w) => {
+      if (w.length >= minLen && w.length <= maxLen && isUsableToken(w, vocab)) count(w);
+    });
+    const sizes = [includeBigrams && 2, includeTrigrams && 3].filter(Boolean);
+    for (const size of sizes) {
+      for (let i = 0; i + size <= words.length; i++) {
+        const gram = words.slice(i, i + size);
+        const phrase = gram.join(' ');
+        if (phrase.length <= 48 && isUsablePhrase(gram, vocab)) count(phrase);
+      }
+    }
+  }
+
+  const chunks = new Set(useChunks ? nounPhrases(text, vocab) : []);
+  chunks.forEach((phrase) => {
+    if (!tf.has(phrase) && phrase.length >= minLen && phrase.length <= 48) tf.set(phrase, 1);
+  });
+
+  const { avgLength, docs } = getCorpusIndex();
+  const norm = BM25_K1 * (1 - BM25_B + BM25_B * (docLength / avgLength));
+  const ranked = [];
+  for (const [phrase, freq] of tf) {
+    const df = backgroundFrequency(phrase);
+    if (df / docs.length > MAX_DOC_SHARE) continue;
+    const nounPhrase = chunks.has(phrase);
+    const idf = inverseDocumentFrequency(phrase);
+    const saturation = (freq * (BM25_K1 + 1)) / (freq + norm);
+    const score = idf * saturation * (nounPhrase ? NOUN_PHRASE_BOOST : 1);
+    ranked.push({ phrase, score: Math.round(score * 1000) / 1000, tf: freq, df, nounPhrase });
+  }
+  ranked.sort((a, b) => b.score - a.score || b.phrase.split(' ').length - a.phrase.split(' ').length || a.phrase.localeCompare(b.phrase));
+  return ranked.slice(0, maxPhrases);
+}
+
+export default {
+  rankKeywords,
+  inverseDocumentFrequency,
+  backgroundFrequency,
+};
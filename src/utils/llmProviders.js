@@ -0,0 +1,362 @@
+/**
+ * LLM provider abstraction
+ * One interface over the text-generation backends the app can talk to, picked
+ * by configuration so models can be swapped, or run fully offline, without
+ * code changes:
+ *
+ *   'huggingface'  HuggingFace Inference API (text-generation task)
+ *   'openai'       any OpenAI-compatible /v1/chat/completions endpoint: OpenAI,
+ *                  vLLM, llama.cpp's server, LM Studio, ...
+ *   'ollama'       a local Ollama server (/api/chat)
+ *
+ * createLLMProvider(config) returns { name, model, generate, stream, health }:
+ *   generate(input, options) -> Promise<{ text, finishReason, usage }>
+ *   stream(input, options)   -> async iterable of text deltas, returning { finishReason } when done
+ *   health()                 -> Promise<{ ok, status, message, models }>
+ * `input` is a prompt string or chat messages [{ role, content }]; options are
+ * { maxTokens, temperature, topP, stop, json, signal, timeoutMs }. `json: true`
+ * asks for a JSON object where the backend has a JSON mode (OpenAI's
+ * response_format, Ollama's format); HuggingFace relies on the prompt alone.
+ *
+ * No dependencies and no Node or DOM APIs beyond fetch, so it runs in the
+ * browser (src/utils/aiService.js) and in the serverless functions (api/).
+ * Failures throw an Error with a user-facing message, the provider name and a
+ * `code`:
+ *   'config'       missing API key, model or base URL
+ *   'auth'         the backend rejected the credentials (401/403)
+ *   'rate-limit'   too many requests (429)
+ *   'unavailable'  backend unreachable, overloaded or still loading the model
+ *   'timeout'      no response within timeoutMs
+ *   'aborted'      cancelled through options.signal
+ *   'bad-response' the backend answered with something unexpected
+ */
+
+export const LLM_PROVIDERS = Object.freeze({
+  huggingface: { label: 'HuggingFace Inference', baseUrl: 'https://api-inference.huggingface.co/models', model: 'mistralai/Mistral-7B-Instruct-v0.2', needsKey: true },
+  openai: { label: 'OpenAI-compatible API', baseUrl: 'https://api.openai.com/v1', model: null, needsKey: false },
+  ollama: { label: 'Ollama', baseUrl: 'http://localhost:11434', model: 'llama3.1', needsKey: false },
+});
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+const STATUS_CODES = { 401: 'auth', 403: 'auth', 429: 'rate-limit', 408: 'timeout', 504: 'timeout' };
+
+function llmError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  if (details.provider) error.provider = details.provider;
+  if (details.status) error.status = details.status;
+  if (details.cause) error.cause = details.cause;
+  return error;
+}
+
+/**
+ * Read provider configuration from environment variables
+ * LLM_PROVIDER, LLM_MODEL, LLM_BASE_URL, LLM_API_KEY and LLM_TIMEOUT_MS, each optionally prefixed (VITE_ for the
+ * browser build). HUGGINGFACE_API_KEY is still honoured for the HuggingFace provider.
+ * @param {Object} [env] - Environment (process.env, import.meta.env)
+ * @param {string} [prefix] - Variable name prefix, e.g. 'VITE_'
+ * @returns {{provider: string, model: string|undefined, baseUrl: string|undefined, apiKey: string|undefined, timeoutMs: number|undefined}}
+ */
+export function llmConfigFromEnv(env = {}, prefix = '') {
+  const read = (name) => {
+    const value = env[`${prefix}${name}`];
+    return value === undefined || value === '' ? undefined : String(value);
+  };
+  const provider = (read('LLM_PROVIDER') || 'huggingface').toLowerCase();
+  const timeout = Number(read('LLM_TIMEOUT_MS'));
+  return {
+    provider,
+    model: read('LLM_MODEL'),
+    baseUrl: read('LLM_BASE_URL'),
+    apiKey: read('LLM_API_KEY') || (provider === 'huggingface' ? read('HUGGINGFACE_API_KEY') : undefined),
+    timeoutMs: Number.isFinite(timeout) && timeout > 0 ? timeout : undefined,
+  };
+}
+
+const toMessages = (input) => (Array.isArray(input) ? input : [{ role: 'user', content: String(input ?? '') }]);
+
+// Text-generation endpoints take one prompt; plain prompts pass through unchanged
+const toPrompt = (input) => (Array.isArray(input) ? input.map((m) => m.content).join('\n\n') : String(input ?? ''));
+
+const trimSlash = (url) => String(url).replace(/\/+$/, '');
+
+// Combine the caller's signal with a timeout; `timedOut` tells the two apart afterwards
+function withTimeout(signal, timeoutMs) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = timeoutMs ? setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs) : null;
+  const onAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+  }
+  return {
+    signal: controller.signal,
+    timedOut: () => timedOut,
+    done: () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    },
+  };
+}
+
+/**
+ * Create a provider for the configured backend
+ * @param {Object} config - { provider: 'huggingface'|'openai'|'ollama', model, baseUrl, apiKey, timeoutMs, headers, fetch }
+ *   baseUrl and model default per provider (see LLM_PROVIDERS); `fetch` overrides the global fetch
+ * @returns {{name: string, label: string, model: string, generate: Function, stream: Function, health: Function}} Provider
+ */
+export function createLLMProvider(config = {}) {
+  const name = String(config.provider || 'huggingface').toLowerCase();
+  const defaults = LLM_PROVIDERS[name];
+  if (!defaults) {
+    throw llmError('config', `Unknown LLM provider "${config.provider}". Use one of: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+  }
+  const model = config.model || defaults.model;
+  const baseUrl = trimSlash(config.baseUrl || defaults.baseUrl);
+  const apiKey = config.apiKey || '';
+  if (defaults.needsKey && !apiKey) throw llmError('config', `${defaults.label} API key is required`, { provider: name });
+  if (!model) throw llmError('config', `No model configured for the ${defaults.label} provider`, { provider: name });
+  const fetchImpl = config.fetch || ((...args) => fetch(...args));
+  const timeoutMs = config.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+    ...(config.headers || {}),
+  };
+
+  async function request(url, { method = 'POST', body, signal, timeout = timeoutMs } = {}) {
+    const guard = withTimeout(signal, timeout);
+    let response;
+    try {
+      response = await fetchImpl(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body), signal: guard.signal });
+    } catch (error) {
+      guard.done();
+      if (guard.timedOut()) throw llmError('timeout', `${defaults.label} did not respond within ${Math.ceil(timeout / 1000)}s`, { provider: name, cause: error });
+      if (signal?.aborted) throw llmError('aborted', 'Request cancelled', { provider: name, cause: error });
+      throw llmError('unavailable', `Unable to connect to ${defaults.label} at ${baseUrl}`, { provider: name, cause: error });
+    }
+    if (!response.ok) {
+      guard.done();
+      const detail = await response.text().catch(() => '');
+      let message = detail;
+      try {
+        const data = JSON.parse(detail);
+        message = data.error?.message || data.error || data.message || detail;
+      } catch (error) {
+        // Plain-text error body
+      }
+      const code = STATUS_CODES[response.status] || (response.status >= 500 ? 'unavailable' : 'bad-response');
+      throw llmError(code, `${defaults.label} error: ${response.status}${message ? ` - ${String(message).slice(0, 300)}` : ''}`, { provider: name, status: response.status });
+    }
+    // The caller reads the body (JSON or a stream) before the guard is released
+    return { response, guard, signal };
+  }
+
+  async function readJson({ response, guard, signal }) {
+    try {
+      return await response.json();
+    } catch (error) {
+      if (guard.timedOut()) throw llmError('timeout', `${defaults.label} did not respond in time`, { provider: name, cause: error });
+      if (signal?.aborted) throw llmError('aborted', 'Request cancelled', { provider: name, cause: error });
+      throw llmError('bad-response', `Invalid response from ${defaults.label}`, { provider: name, cause: error });
+    } finally {
+      guard.done();
+    }
+  }
+
+  // Yields the body as lines: server-sent events for HuggingFace/OpenAI, NDJSON for Ollama
+  async function* readLines({ response, guard, signal }) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        for (const line of lines) if (line.trim()) yield line;
+      }
+      if (buffer.trim()) yield buffer;
+    } catch (error) {
+      if (guard.timedOut()) throw llmError('timeout', `${defaults.label} stopped responding`, { provider: name, cause: error });
+      if (signal?.aborted) throw llmError('aborted', 'Request cancelled', { provider: name, cause: error });
+      throw llmError('unavailable', `Connection to ${defaults.label} was interrupted`, { provider: name, cause: error });
+    } finally {
+      guard.done();
+      reader.cancel().catch(() => {});
+    }
+  }
+
+  const parseEvent = (line) => {
+    if (!line.startsWith('data:')) return null;
+    const data = line.slice(5).trim();
+    if (data === '[DONE]') return { done: true };
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      throw llmError('bad-response', `Invalid stream event from ${defaults.label}`, { provider: name, cause: error });
+    }
+  };
+
+  const adapters = {
+    huggingface: {
+      body: (input, o, streaming) => ({
+        inputs: toPrompt(input),
+        parameters: {
+          max_new_tokens: o.maxTokens ?? 500,
+          temperature: o.temperature ?? 0.7,
+          top_p: o.topP ?? 0.95,
+          ...(o.stop ? { stop: [].concat(o.stop) } : {}),
+          return_full_text: false,
+        },
+        ...(streaming ? { stream: true } : {}),
+      }),
+      url: () => `${baseUrl}/${model}`,
+      result(data) {
+        const item = Array.isArray(data) ? data[0] : data;
+        if (!item || typeof item.generated_text !== 'string') throw llmError('bad-response', `Invalid response from ${defaults.label}`, { provider: name });
+        return { text: item.generated_text, finishReason: item.details?.finish_reason || null, usage: null };
+      },
+      delta(line) {
+        const event = parseEvent(line);
+        if (!event || event.done) return event;
+        if (event.error) throw llmError('unavailable', `${defaults.label} error: ${event.error}`, { provider: name });
+        return { text: event.token?.special ? '' : event.token?.text || '', done: event.generated_text != null, finishReason: event.details?.finish_reason || null };
+      },
+    },
+    openai: {
+      body: (input, o, streaming) => ({
+        model,
+        messages: toMessages(input),
+        max_tokens: o.maxTokens ?? 500,
+        temperature: o.temperature ?? 0.7,
+        top_p: o.topP ?? 0.95,
+        ...(o.stop ? { stop: [].concat(o.stop) } : {}),
+        ...(o.json ? { response_format: { type: 'json_object' } } : {}),
+        stream: !!streaming,
+      }),
+      url: () => `${baseUrl}/chat/completions`,
+      result(data) {
+        const choice = data?.choices?.[0];
+        const text = choice?.message?.content ?? choice?.text;
+        if (typeof text !== 'string') throw llmError('bad-response', `Invalid response from ${defaults.label}`, { provider: name });
+        return { text, finishReason: choice.finish_reason || null, usage: data.usage || null };
+      },
+      delta(line) {
+        const event = parseEvent(line);
+        if (!event || event.done) return event;
+        if (event.error) throw llmError('unavailable', `${defaults.label} error: ${event.error.message || event.error}`, { provider: name });
+        const choice = event.choices?.[0];
+        return { text: choice?.delta?.content || choice?.text || '', done: !!choice?.finish_reason, finishReason: choice?.finish_reason || null };
+      },
+    },
+    ollama: {
+      body: (input, o, streaming) => ({
+        model,
+        messages: toMessages(input),
+        stream: !!streaming,
+        ...(o.json ? { format: 'json' } : {}),
+        options: {
+          num_predict: o.maxTokens ?? 500,
+          temperature: o.temperature ?? 0.7,
+          top_p: o.topP ?? 0.95,
+          ...(o.stop ? { stop: [].concat(o.stop) } : {}),
+        },
+      }),
+      url: () => `${baseUrl}/api/chat`,
+      result(data) {
+        const text = data?.message?.content;
+        if (typeof text !== 'string') throw llmError('bad-response', `Invalid response from ${defaults.label}`, { provider: name });
+        return { text, finishReason: data.done_reason || null, usage: data.eval_count != null ? { prompt_tokens: data.prompt_eval_count, completion_tokens: data.eval_count } : null };
+      },
+      delta(line) {
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch (error) {
+          throw llmError('bad-response', `Invalid stream event from ${defaults.label}`, { provider: name, cause: error });
+        }
+        if (event.error) throw llmError('unavailable', `${defaults.label} error: ${event.error}`, { provider: name });
+        return { text: event.message?.content || '', done: !!event.done, finishReason: event.done_reason || null };
+      },
+    },
+  };
+  const adapter = adapters[name];
+
+  return {
+    name,
+    label: defaults.label,
+    model,
+
+    /**
+     * Generate a completion
+     * @param {string|Array<{role: string, content: string}>} input - Prompt or chat messages
+     * @param {Object} [options] - { maxTokens, temperature, topP, stop, json, signal, timeoutMs }
+     * @returns {Promise<{text: string, finishReason: string|null, usage: Object|null}>} Generated text (trimmed)
+     */
+    async generate(input, options = {}) {
+      const reply = await request(adapter.url(), { body: adapter.body(input, options, false), signal: options.signal, timeout: options.timeoutMs ?? timeoutMs });
+      const result = adapter.result(await readJson(reply));
+      return { ...result, text: result.text.trim() };
+    },
+
+    /**
+     * Stream a completion as it is generated
+     * timeoutMs bounds the whole stream; cancel it through options.signal or by breaking out of the loop.
+     * The generator's return value carries the finish reason ("length" when maxTokens cut the reply),
+     * which for await discards; iterate with next() to read it.
+     * @param {string|Array<{role: string, content: string}>} input - Prompt or chat messages
+     * @param {Object} [options] - { maxTokens, temperature, topP, stop, json, signal, timeoutMs }
+     * @returns {AsyncGenerator<string, {finishReason: string|null}>} Text deltas
+     */
+    async* stream(input, options = {}) {
+      const reply = await request(adapter.url(), { body: adapter.body(input, options, true), signal: options.signal, timeout: options.timeoutMs ?? timeoutMs });
+      let finishReason = null;
+      for await (const line of readLines(reply)) {
+        const delta = adapter.delta(line);
+        if (!delta) continue;
+        finishReason = delta.finishReason || finishReason;
+        if (delta.text) yield delta.text;
+        if (delta.done) break;
+      }
+      return { finishReason };
+    },
+
+    /**
+     * Check that the backend is reachable, the credentials work and the model is available
+     * @returns {Promise<{ok: boolean, status: number|null, message: string, models: string[]|null, code?: string}>} Never
+     *   throws; failures carry the error code
+     */
+    async health() {
+      try {
+        if (name === 'huggingface') {
+          // The Inference API has no model listing; a one-token generation checks key and model together
+          await this.generate('Test', { maxTokens: 1, timeoutMs: 15000 });
+          return { ok: true, status: 200, message: `${defaults.label} is reachable and ${model} responds`, models: null };
+        }
+        const reply = await request(name === 'ollama' ? `${baseUrl}/api/tags` : `${baseUrl}/models`, { method: 'GET', timeout: 10000 });
+        const data = await readJson(reply);
+        const models = (name === 'ollama' ? data?.models?.map((m) => m.name) : data?.data?.map((m) => m.id)) || [];
+        const found = !models.length || models.some((m) => m === model || m === `${model}:latest`);
+        return {
+          ok: found,
+          status: reply.response.status,
+          message: found ? `${defaults.label} is reachable and serves ${model}` : `${defaults.label} is reachable but does not serve ${model}`,
+          models,
+        };
+      } catch (error) {
+        return { ok: false, status: error.status || null, message: error.message, code: error.code, models: null };
+      }
+    },
+  };
+}
+
+export default {
+  createLLMProvider,
+  llmConfigFromEnv,
+  LLM_PROVIDERS,
+};
@@ -0,0 +1,291 @@
+/**
+ * Locale support for scoring (en, de, es, fr)
+ * Unicode-aware tokenization plus, per language: stopwords, a stemmer, resume
+ * and job-description section headers ("Berufserfahrung", "Formación",
+ * "Compétences"), degree keywords and the wording of years-of-experience
+ * requirements ("5 Jahre Erfahrung mit Java und Python"). detectLanguage()
+ * guesses the language of a text from stopword hits so resume and JD can each use their own rules and
+ * a mismatch between them can be reported.
+ *
+ * Localized dictionaries extend the English ones rather than replacing them:
+ * resumes written in German often still use "Skills" or "Projects".
+ */
+
+import PorterStemmerEn from 'natural/lib/natural/stemmers/porter_stemmer';
+import PorterStemmerDe from 'natural/lib/natural/stemmers/porter_stemmer_de';
+import PorterStemmerEs from 'natural/lib/natural/stemmers/porter_stemmer_es';
+import PorterStemmerFr from 'natural/lib/natural/stemmers/porter_stemmer_fr';
+import { words as STOPWORDS_EN } from 'natural/lib/natural/util/stopwords';
+import { words as STOPWORDS_ES } from 'natural/lib/natural/util/stopwords_es';
+import { words as STOPWORDS_FR } from 'natural/lib/natural/util/stopwords_fr';
+import { SECTION_HEADERS } from './resumeParser';
+import { JOB_SECTION_HEADERS, DEGREE_LEVELS, EXPERIENCE_PHRASE } from './jobParser';
+
+export const DEFAULT_LOCALE = 'en';
+
+const STOPWORDS_DE = [
+  'aber', 'alle', 'allem', 'allen', 'aller', 'alles', 'als', 'also', 'am', 'an', 'andere', 'anderen', 'auch', 'auf', 'aus',
+  'bei', 'beim', 'bin', 'bis', 'bist', 'da', 'damit', 'dann', 'das', 'dass', 'dein', 'dem', 'den', 'denn', 'der', 'des',
+  'dich', 'die', 'dies', 'diese', 'diesem', 'diesen', 'dieser', 'dieses', 'dir', 'doch', 'dort', 'du', 'durch', 'ein',
+  'eine', 'einem', 'einen', 'einer', 'eines', 'er', 'es', 'euch', 'euer', 'für', 'gegen', 'hat', 'hatte', 'hier', 'ich',
+  'ihr', 'ihre', 'ihrem', 'ihren', 'ihrer', 'im', 'in', 'ist', 'ja', 'jede', 'jedem', 'jeden', 'jeder', 'kann', 'kein',
+  'keine', 'mit', 'muss', 'nach', 'nicht', 'noch', 'nur', 'ob', 'oder', 'ohne', 'sehr', 'sein', 'seine', 'sich', 'sie',
+  'sind', 'so', 'sowie', 'über', 'um', 'und', 'uns', 'unser', 'unsere', 'unter', 'vom', 'von', 'vor', 'war', 'waren',
+  'was', 'weil', 'wenn', 'wer', 'werden', 'wie', 'wir', 'wird', 'wo', 'zu', 'zum', 'zur', 'zwischen',
+];
+
+const RESUME_HEADERS = {
+  de: {
+    summary: ['profil', 'kurzprofil', 'zusammenfassung', 'über mich', 'persönliches profil', 'berufliches profil'],
+    experience: ['berufserfahrung', 'erfahrung', 'berufliche erfahrung', 'beruflicher werdegang', 'werdegang', 'praxiserfahrung', 'berufstätigkeit'],
+    education: ['ausbildung', 'bildung', 'bildungsweg', 'akademischer werdegang', 'studium', 'schulbildung', 'aus- und weiterbildung'],
+    skills: ['kenntnisse', 'fähigkeiten', 'kompetenzen', 'fachkenntnisse', 'it-kenntnisse', 'edv-kenntnisse', 'technische kenntnisse', 'fertigkeiten'],
+    certifications: ['zertifikate', 'zertifizierungen', 'weiterbildung', 'weiterbildungen', 'lizenzen'],
+    projects: ['projekte', 'projekterfahrung', 'ausgewählte projekte'],
+    awards: ['auszeichnungen', 'preise', 'erfolge'],
+    publications: ['publikationen', 'veröffentlichungen'],
+    volunteer: ['ehrenamt', 'ehrenamtliches engagement', 'engagement'],
+    languages: ['sprachen', 'sprachkenntnisse'],
+    interests: ['interessen', 'hobbys', 'hobbies'],
+  },
+  es: {
+    summary: ['perfil', 'perfil profesional', 'resumen', 'resumen profesional', 'sobre mí', 'extracto', 'objetivo profesional'],
+    experience: ['experiencia', 'experiencia laboral', 'experiencia profesional', 'trayectoria profesional', 'historial laboral'],
+    education: ['formación', 'formación académica', 'educación', 'estudios', 'formación complementaria'],
+    skills: ['habilidades', 'competencias', 'conocimientos', 'aptitudes', 'habilidades técnicas', 'conocimientos técnicos', 'conocimientos informáticos'],
+    certifications: ['certificaciones', 'certificados', 'licencias', 'cursos'],
+    projects: ['proyectos', 'proyectos destacados'],
+    awards: ['premios', 'logros', 'reconocimientos'],
+    publications: ['publicaciones'],
+    volunteer: ['voluntariado'],
+    languages: ['idiomas', 'lenguas'],
+    interests: ['intereses', 'aficiones'],
+  },
+  fr: {
+    summary: ['profil', 'profil professionnel', 'résumé', 'à propos', 'objectif', 'objectif professionnel', 'synthèse'],
+    experience: ['expérience', 'expériences', 'expérience professionnelle', 'expériences professionnelles', 'parcours professionnel'],
+    education: ['formation', 'formations', 'éducation', 'diplômes', 'études', 'cursus', 'formation académique'],
+    skills: ['compétences', 'compétences techniques', 'savoir-faire', 'connaissances', 'aptitudes', 'outils'],
+    certifications: ['certifications', 'certificats', 'habilitations'],
+    projects: ['projets', 'projets personnels'],
+    awards: ['distinctions', 'prix', 'réalisations'],
+    publications: ['publications'],
+    volunteer: ['bénévolat', 'engagement associatif'],
+    languages: ['langues'],
+    interests: ["centres d'intérêt", 'centres dintérêt', 'loisirs', 'intérêts'],
+  },
+};
+
+const JOB_HEADERS = {
+  de: {
+    required: ['ihr profil', 'dein profil', 'anforderungen', 'qualifikationen', 'das bringst du mit', 'das bringen sie mit', 'was du mitbringst', 'was sie mitbringen', 'voraussetzungen', 'profil'],
+    preferred: ['wünschenswert', 'von vorteil', 'pluspunkte', 'nice to have', 'idealerweise'],
+    responsibilities: ['ihre aufgaben', 'deine aufgaben', 'aufgaben', 'aufgabengebiet', 'das erwartet dich', 'das erwartet sie', 'tätigkeiten', 'ihre rolle'],
+    benefits: ['wir bieten', 'was wir bieten', 'unser angebot', 'benefits', 'vorteile', 'das bieten wir'],
+    about: ['über uns', 'wer wir sind', 'unternehmen'],
+  },
+  es: {
+    required: ['requisitos', 'requisitos mínimos', 'perfil', 'perfil buscado', 'qué buscamos', 'buscamos', 'requerimientos', 'imprescindible'],
+    preferred: ['se valorará', 'valorable', 'deseable', 'requisitos deseables', 'será un plus'],
+    responsibilities: ['responsabilidades', 'funciones', 'tus funciones', 'qué harás', 'tareas', 'misión'],
+    benefits: ['ofrecemos', 'qué ofrecemos', 'beneficios', 'te ofrecemos'],
+    about: ['sobre nosotros', 'quiénes somos', 'la empresa'],
+  },
+  fr: {
+    required: ['profil recherché', 'profil', 'compétences requises', 'prérequis', 'qualifications', 'votre profil', 'exigences'],
+    preferred: ['atouts', 'serait un plus', 'souhaité', 'apprécié', 'compétences appréciées'],
+    responsibilities: ['missions', 'vos missions', 'responsabilités', 'description du poste', 'le poste', 'vos responsabilités'],
+    benefits: ['nous offrons', 'nous vous offrons', 'avantages', 'ce que nous offrons', 'pourquoi nous rejoindre'],
+    about: ['qui sommes-nous', 'à propos de nous', "l'entreprise", 'entreprise'],
+  },
+};
+
+// Localized degree keywords, merged into jobParser's DEGREE_LEVELS by rank.
+// Patterns avoid \b around non-ASCII letters (JavaScript word boundaries are ASCII-only).
+const DEGREE_KEYWORDS = {
+  de: {
+    phd: /\b(promotion|promoviert|doktor(?:at|and)?|dr\.)(?![a-z])/i,
+    master: /\b(diplom(?!a)|magister|master(?:studium|abschluss)|staatsexamen)(?![a-z])/i,
+    bachelor: /\b(bachelor(?:studium|abschluss)?|hochschulabschluss|studium der|abgeschlossenes studium)(?![a-z])/i,
+    associate: /\b(abgeschlossene (?:berufs)?ausbildung|berufsausbildung|fachwirt|techniker)(?![a-z])/i,
+    'high school': /\b(abitur|fachabitur|mittlere reife|realschulabschluss)(?![a-z])/i,
+  },
+  es: {
+    phd: /\b(doctorado|doctor en)(?![a-z])/i,
+    master: /(^|[^a-zá-ú])(?<!scrum\s)(máster|master|maestría|ingeniero superior)(?![a-zá-ú])/i,
+    bachelor: /\b(licenciatura|licenciado|grado en|grado universitario|título universitario|ingeniería técnica)(?![a-z])/i,
+    associate: /\b(ciclo formativo|formación profesional|técnico superior)(?![a-z])/i,
+    'high school': /\b(bachillerato|educación secundaria obligatoria)(?![a-z])/i,
+  },
+  fr: {
+    phd: /\b(doctorat|docteur en|th[eè]se)(?![a-z])/i,
+    master: /(^|[^a-zà-ü])(?<!scrum\s)(master|bac\s*\+\s*5|dipl[oô]me d['’]ing[ée]nieur|grande [ée]cole|dea|dess)(?![a-zà-ü])/i,
+    bachelor: /(^|[^a-zà-ü])(licence(?: professionnelle| en)|bac\s*\+\s*3|bachelor)(?![a-zà-ü])/i,
+    associate: /(^|[^a-zà-ü])(bts|dut|bac\s*\+\s*2)(?![a-zà-ü])/i,
+    'high school': /(^|[^a-zà-ü])(baccalaur[ée]at|bac)(?!\s*\+)(?![a-zà-ü])/i,
+  },
+};
+
+// Localized "N years of experience with X" wording, merged into jobParser's EXPERIENCE_PHRASE
+// (lead is anchored by the merge; words end in \s+ rather than \b for the same reason as above)
+const EXPERIENCE_PHRASES = {
+  de: {
+    lead: /(?:(?:einschlägige|relevante|mehrjährige|langjährige|praktische|fundierte|nachweisbare|nachweisliche|berufliche|professionelle)\s+)*(?:berufserfahrung|praxiserfahrung|projekterfahrung|erfahrung(?:en)?)?\s*(?:(?:mit|in|im|als|bei|von)\s+)?(?:(?:der|dem|den|die|des)\s+)?/i,
+    trail: /(?:\s+|-)(?:berufs|praxis|projekt)?erfahrung(?:en)?$/i,
+    conjunction: /\s+(?:und|oder|sowie|bzw\.?)\s+/i,
+  },
+  es: {
+    lead: /(?:de\s+)?(?:experiencia(?:\s+(?:profesional|laboral|demostrable|previa|comprobable))*)?\s*(?:(?:en|con|como|de|trabajando con)\s+)?(?:(?:el|la|los|las)\s+)?/i,
+    trail: /\s+de\s+experiencia$/i,
+    conjunction: /\s+(?:y|e|o|u)\s+/i,
+  },
+  fr: {
+    lead: /(?:d['’]\s*)?(?:expériences?(?:\s+(?:professionnelles?|significatives?|réussies?|confirmées?))*)?\s*(?:(?:en|avec|sur|dans|de)\s+)?(?:(?:le|la|les)\s+|l['’]\s*)?/i,
+    trail: /\s+d['’]\s*expériences?$/i,
+    conjunction: /\s+(?:et|ou)\s+/i,
+  },
+};
+
+export const LOCALES = Object.freeze({
+  en: { id: 'en', name: 'English', stopwords: new Set(STOPWORDS_EN), stemmer: PorterStemmerEn },
+  de: { id: 'de', name: 'German', stopwords: new Set(STOPWORDS_DE), stemmer: PorterStemmerDe },
+  es: { id: 'es', name: 'Spanish', stopwords: new Set(STOPWORDS_ES), stemmer: PorterStemmerEs },
+  fr: { id: 'fr', name: 'French', stopwords: new Set(STOPWORDS_FR), stemmer: PorterStemmerFr },
+});
+
+// Words that are frequent in one language and rare in the others, for detection
+const MARKERS = {
+  en: ['the', 'and', 'with', 'for', 'of', 'you', 'we', 'our', 'experience', 'skills', 'years'],
+  de: ['und', 'der', 'die', 'das', 'mit', 'für', 'ihre', 'wir', 'sie', 'erfahrung', 'kenntnisse', 'jahre'],
+  es: ['y', 'el', 'los', 'las', 'con', 'para', 'del', 'experiencia', 'conocimientos', 'años'],
+  fr: ['et', 'le', 'les', 'des', 'avec', 'pour', 'vous', 'nous', 'expérience', 'compétences', 'ans'],
+};
+
+/**
+ * Normalize a locale id ("de-DE" -> "de"); unsupported locales fall back to English
+ * @param {string} locale - Locale id
+ * @returns {string} Supported locale id
+ */
+export function normalizeLocale(locale) {
+  const id = String(locale || '').toLowerCase().split(/[-_]/)[0];
+  return LOCALES[id] ? id : DEFAULT_LOCALE;
+}
+
+/**
+ * Unicode-aware tokenizer: keeps accented letters and non-Latin scripts
+ * @param {string} text - Text
+ * @returns {string[]} Lowercase tokens
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}+.#\-\s]/gu, ' ')
+    .split(/\s+/g)
+    .filter(Boolean);
+}
+
+/**
+ * Guess the language of a text from stopword frequency
+ * @param {string} text - Text
+ * @returns {{locale:string, confidence:number, scores:Object}} Detected locale (confidence 0 when undecidable)
+ */
+export function detectLanguage(text) {
+  const tokens = tokenize(text).map((t) => t.replace(/^[.\-]+|[.\-]+$/g, ''));
+  const scores = {};
+  Object.entries(MARKERS).forEach(([locale, markers]) => {
+    const set = new Set(markers);
+    scores[locale] = tokens.filter((t) => set.has(t)).length;
+  });
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [best, second] = ranked;
+  if (!best || best[1] < 3) return { locale: DEFAULT_LOCALE, confidence: 0, scores };
+  const confidence = Math.round((1 - (second ? second[1] : 0) / best[1]) * 100) / 100;
+  return { locale: best[0], confidence, scores };
+}
+
+/**
+ * Stopword set for a locale
+ * @param {string} locale - Locale id
+ * @returns {Set<string>} Stopwords
+ */
+export function stopwordsFor(locale) {
+  return LOCALES[normalizeLocale(locale)].stopwords;
+}
+
+/**
+ * Stemming function for a locale
+ * @param {string} locale - Locale id
+ * @returns {Function} (token) => stem
+ */
+export function stemmerFor(locale) {
+  const { stemmer } = LOCALES[normalizeLocale(locale)];
+  return (token) => stemmer.stem(token);
+}
+
+function mergeHeaders(base, extra) {
+  const merged = {};
+  Object.entries(base).forEach(([key, names]) => {
+    merged[key] = [...names, ...((extra && extra[key]) || [])];
+  });
+  return merged;
+}
+
+/**
+ * Resume section header dictionary for a locale (English headers included)
+ * @param {string} locale - Locale id
+ * @returns {Object} Header dictionary for parseResume
+ */
+export function resumeHeadersFor(locale) {
+  return mergeHeaders(SECTION_HEADERS, RESUME_HEADERS[normalizeLocale(locale)]);
+}
+
+/**
+ * Job description section header dictionary for a locale (English headers included)
+ * @param {string} locale - Locale id
+ * @returns {Object} Header dictionary for parseJobDescription
+ */
+export function jobHeadersFor(locale) {
+  return mergeHeaders(JOB_SECTION_HEADERS, JOB_HEADERS[normalizeLocale(locale)]);
+}
+
+/**
+ * Degree levels for a locale: the English patterns plus localized keywords
+ * @param {string} locale - Locale id
+ * @returns {Array<{level, rank, re}>} Degree levels, highest first
+ */
+export function degreeLevelsFor(locale) {
+  const extra = DEGREE_KEYWORDS[normalizeLocale(locale)];
+  if (!extra) return DEGREE_LEVELS;
+  return DEGREE_LEVELS.map((d) => (extra[d.level] ? { ...d, re: new RegExp(`${d.re.source}|${extra[d.level].source}`, 'i') } : d));
+}
+
+/**
+ * Years-of-experience wording for a locale: localized filler is stripped first, then the English
+ * @param {string} locale - Locale id
+ * @returns {{lead:RegExp, trail:RegExp, conjunction:RegExp}} Patterns for extractYearsRequired
+ */
+export function experiencePhraseFor(locale) {
+  const extra = EXPERIENCE_PHRASES[normalizeLocale(locale)];
+  if (!extra) return EXPERIENCE_PHRASE;
+  const body = (re) => re.source.replace(/^\^/, '').replace(/\$$/, '');
+  return {
+    lead: new RegExp(`^(?:${extra.lead.source})(?:${body(EXPERIENCE_PHRASE.lead)})`, 'i'),
+    trail: new RegExp(`(?:${body(extra.trail)}|${body(EXPERIENCE_PHRASE.trail)})$`, 'i'),
+    conjunction: new RegExp(`${EXPERIENCE_PHRASE.conjunction.source}|${extra.conjunction.source}`, 'i'),
+  };
+}
+
+export default {
+  LOCALES,
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  tokenize,
+  detectLanguage,
+  stopwordsFor,
+  stemmerFor,
+  resumeHeadersFor,
+  jobHeadersFor,
+  degreeLevelsFor,
+  experiencePhraseFor,
+};
@@ -0,0 +1,485 @@
+/**
+ * Structured resume-optimizer output
+ * The optimizer asks the model for one JSON object instead of free-form advice:
+ *
+ *   {
+ *     keywordsToAdd:  string[]                                   job keywords missing from the resume
+ *     bulletRewrites: [{ original, rewritten, reason }]          bullets copied verbatim, then improved
+ *     summaryRewrite: string | null                              replacement professional summary
+ *     formatIssues:   [{ issue, fix }]                           ATS formatting problems to fix by hand
+ *   }
+ *
+ * Models wrap JSON in code fences, leave trailing commas, get cut off at the
+ * token limit or invent bullets that are not in the resume, so the reply is
+ * extracted, repaired where that is mechanical, validated against the schema
+ * and, if still invalid, sent back once with the validation errors.
+ *
+ * toSuggestions() flattens a result into individual accept/reject items and
+ * applySuggestions() writes the accepted ones into the resume text.
+ *
+ * No imports: shared by src/utils/aiService.js and the serverless function in api/.
+ */
+
+export const OPTIMIZER_FIELDS = ['keywordsToAdd', 'bulletRewrites', 'summaryRewrite', 'formatIssues'];
+
+const SCHEMA_EXAMPLE = `{
+  "keywordsToAdd": ["keyword or skill from the job description that the resume lacks"],
+  "bulletRewrites": [
+    { "original": "a bullet copied exactly from the resume", "rewritten": "the improved bullet", "reason": "why it is better" }
+  ],
+  "summaryRewrite": "a rewritten 2-3 sentence professional summary, or null",
+  "formatIssues": [
+    { "issue": "an ATS formatting problem in the resume", "fix": "how to fix it" }
+  ]
+}`;
+
+function optimizerError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * Build the optimizer prompt
+ * @param {string} resumeText - Resume text
+ * @param {string} jobDescription - Target job description
+ * @param {Object} [options] - { missingKeywords } gaps already found by the ATS analysis
+ * @returns {string} Prompt asking for the JSON object above
+ */
+export function buildOptimizerPrompt(resumeText, jobDescription, options = {}) {
+  const gaps = (options.missingKeywords || []).map((k) => (typeof k === 'string' ? k : k?.keyword)).filter(Boolean);
+  return `You are an ATS (Applicant Tracking System) expert. Compare the resume with the job description and suggest concrete edits that improve the resume's ATS match without inventing experience.
+
+Job Description:
+${jobDescription}
+
+Resume:
+${resumeText}
+${gaps.length ? `\nKeywords the ATS analysis found missing: ${gaps.join(', ')}\n` : ''}
+Respond with a single JSON object and nothing else (no prose, no code fences) in exactly this shape:
+${SCHEMA_EXAMPLE}
+
+Rules:
+- "original" must be copied character for character from the resume.
+- Rewrite at most 8 bullets; favour strong action verbs, metrics and the job's keywords.
+- Only list keywords the candidate plausibly has but does not mention.
+- Use [] for lists with nothing to suggest and null for summaryRewrite if the summary is fine.`;
+}
+
+/**
+ * Follow-up prompt for a reply that failed validation
+ * @param {Array<string>} errors - Validation errors
+ * @returns {string} Prompt asking for a corrected JSON object
+ */
+export function buildRepairPrompt(errors) {
+  return `Your reply could not be used:
+${errors.slice(0, 10).map((e) => `- ${e}`).join('\n')}
+
+Reply again with only the corrected JSON object in this shape:
+${SCHEMA_EXAMPLE}`;
+}
+
+/**
+ * Cut the JSON object out of a model reply (code fences, leading prose, trailing chatter)
+ * @param {string} text - Model reply
+ * @returns {string|null} The object's source, unterminated if the reply was cut off
+ */
+export function extractJson(text) {
+  if (typeof text !== 'string') return null;
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+  const source = fenced && fenced[1].includes('{') ? fenced[1] : text;
+  const start = source.indexOf('{');
+  if (start === -1) return null;
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < source.length; i++) {
+    const ch = source[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') inString = true;
+    else if (ch === '{' || ch === '[') depth++;
+    else if ((ch === '}' || ch === ']') && --depth === 0) return source.slice(start, i + 1);
+  }
+  return source.slice(start).trim();
+}
+
+const LITERALS = { True: 'true', False: 'false', None: 'null' };
+
+/**
+ * Mechanically repair almost-JSON: comments, single-quoted strings, bare keys,
+ * Python literals, raw newlines in strings and trailing commas. Output cut off
+ * mid-reply is closed after dropping what was incomplete: the unterminated
+ * string (with its key), a key without a value, and an unfinished object in a list.
+ * @param {string} source - JSON-ish text
+ * @returns {string} Repaired text (not guaranteed to parse)
+ */
+export function repairJson(source) {
+  const text = String(source ?? '');
+  const stack = []; // open containers: { ch, start } with start their offset in `out`
+  let out = '';
+  let quote = null; // delimiter of the string being copied
+  let stringStart = 0;
+  let keyStart = null; // offset of the current object key, until its value starts
+  let keyPosition = false; // next token is an object key
+  const top = () => stack[stack.length - 1];
+  const trimEnd = (chars) => { out = out.replace(chars, ''); };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\' && i + 1 < text.length) {
+        const next = text[++i];
+        out += next === "'" ? "'" : `\\${next}`;
+      } else if (ch === quote) {
+        out += '"';
+        quote = null;
+      } else if (ch === '"') out += '\\"';
+      else if (ch === '\n') out += '\\n';
+      else if (ch === '\r') out += '\\r';
+      else if (ch === '\t') out += '\\t';
+      else out += ch;
+      continue;
+    }
+    if (ch === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      continue;
+    }
+    if (ch === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      out += ch;
+      continue;
+    }
+    if (keyPosition && ch !== '}') keyStart = out.length;
+    else if (keyStart !== null && ch !== ':') keyStart = null;
+    const wasKey = keyPosition;
+    keyPosition = false;
+    if (ch === '"' || ch === "'") {
+      quote = ch;
+      stringStart = out.length;
+      out += '"';
+    } else if (ch === '{' || ch === '[') {
+      stack.push({ ch, start: out.length });
+      out += ch;
+      keyPosition = ch === '{';
+    } else if (ch === '}' || ch === ']') {
+      trimEnd(/,\s*$/);
+      stack.pop();
+      out += ch;
+    } else if (ch === ',') {
+      out += ch;
+      keyPosition = top()?.ch === '{';
+    } else if (/[A-Za-z_$]/.test(ch)) {
+      const word = text.slice(i).match(/^[A-Za-z_$][\w$-]*/)[0];
+      i += word.length - 1;
+      out += wasKey ? `"${word}"` : LITERALS[word] || word;
+    } else out += ch;
+  }
+
+  if (!quote && !stack.length) return out;
+  // Cut off mid-reply
+  if (quote) out = out.slice(0, stringStart);
+  if (top()?.ch === '{' && keyStart !== null) out = out.slice(0, keyStart);
+  else if (quote && top()?.ch === '{') out = out.replace(/"(?:[^"\\]|\\.)*"\s*:\s*$/, '');
+  trimEnd(/[\s,:]+$/);
+  if (stack.length > 1 && top().ch === '{' && stack[stack.length - 2].ch === '[') {
+    out = out.slice(0, stack.pop().start);
+    trimEnd(/[\s,]+$/);
+  }
+  while (stack.length) {
+    trimEnd(/[\s,]+$/);
+    out += stack.pop().ch === '{' ? '}' : ']';
+  }
+  return out;
+}
+
+const canonicalKey = (key) => {
+  const flat = String(key).toLowerCase().replace(/[^a-z]/g, '');
+  return OPTIMIZER_FIELDS.find((f) => f.toLowerCase() === flat) || key;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const cleanText = (value) => String(value).replace(/\s+/g, ' ').trim();
+
+// Bullet markers are not part of the bullet: "• Led ..." and "Led ..." are the same line
+const MARKER = /^(?:[•·▪◦*\-–—]|\d+[.)])\s+/;
+const stripMarker = (value) => cleanText(value).replace(MARKER, '');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whitespace-insensitive pattern for a whole bullet line as it appears in the resume; group 1 is
+// the indent and marker, so "Built apps" does not match the start of "- Built apps for users"
+const bulletPattern = (bullet) => new RegExp(
+  `^([ \\t]*(?:(?:[•·▪◦*\\-–—]|\\d+[.)])[ \\t]*)?)${stripMarker(bullet).split(' ').map(escapeRegExp).join('\\s+')}[ \\t]*$`,
+  'm',
+);
+
+const mentions = (text, term) => new RegExp(`(^|[^\\w])${escapeRegExp(term)}(?=$|[^\\w])`, 'i').test(text);
+
+/**
+ * Validate a parsed reply against the schema and normalise it
+ * Wrong types and empty entries are errors; omitted lists, snake_case keys and
+ * comma-separated keyword strings are accepted with a warning. With resumeText,
+ * rewrites of bullets that are not in the resume and keywords it already
+ * contains are dropped (also with a warning).
+ * @param {*} value - Parsed JSON
+ * @param {Object} [options] - { resumeText }
+ * @returns {{valid: boolean, errors: Array<string>, warnings: Array<string>, result: Object|null}}
+ */
+export function validateOptimizerResult(value, options = {}) {
+  const errors = [];
+  const warnings = [];
+  if (!isPlainObject(value)) {
+    return { valid: false, errors: [`Expected a JSON object with ${OPTIMIZER_FIELDS.join(', ')}`], warnings, result: null };
+  }
+  const data = {};
+  for (const [key, field] of Object.entries(value)) {
+    const name = canonicalKey(key);
+    if (name !== key && OPTIMIZER_FIELDS.includes(name)) warnings.push(`Read "${key}" as "${name}"`);
+    data[name] = field;
+  }
+  if (!OPTIMIZER_FIELDS.some((f) => f in data)) {
+    return { valid: false, errors: [`None of ${OPTIMIZER_FIELDS.join(', ')} were present`], warnings, result: null };
+  }
+  const resumeText = options.resumeText || '';
+
+  const list = (field) => {
+    if (data[field] == null) {
+      warnings.push(`"${field}" was missing`);
+      return [];
+    }
+    if (!Array.isArray(data[field])) {
+      errors.push(`"${field}" must be an array`);
+      return [];
+    }
+    return data[field];
+  };
+
+  // keywordsToAdd
+  let keywordsRaw = data.keywordsToAdd;
+  if (typeof keywordsRaw === 'string') {
+    warnings.push('"keywordsToAdd" was a string, split on commas');
+    data.keywordsToAdd = keywordsRaw.split(/[,;\n]/).filter((k) => k.trim());
+  }
+  const keywordsToAdd = [];
+  const seen = new Set();
+  list('keywordsToAdd').forEach((keyword, i) => {
+    if (typeof keyword !== 'string' || !keyword.trim()) return errors.push(`keywordsToAdd[${i}] must be a non-empty string`);
+    const clean = cleanText(keyword);
+    if (seen.has(clean.toLowerCase())) return;
+    seen.add(clean.toLowerCase());
+    if (resumeText && mentions(resumeText, clean)) return warnings.push(`Dropped keyword "${clean}": already in the resume`);
+    keywordsToAdd.push(clean);
+  });
+
+  // bulletRewrites
+  const bulletRewrites = [];
+  list('bulletRewrites').forEach((item, i) => {
+    if (!isPlainObject(item)) return errors.push(`bulletRewrites[${i}] must be an object with "original" and "rewritten"`);
+    const bad = ['original', 'rewritten'].filter((k) => typeof item[k] !== 'string' || !stripMarker(item[k]));
+    if (bad.length) return bad.forEach((k) => errors.push(`bulletRewrites[${i}].${k} must be a non-empty string`));
+    const original = stripMarker(item.original);
+    const rewritten = stripMarker(item.rewritten);
+    if (original === rewritten) return warnings.push(`Dropped rewrite ${i + 1}: unchanged`);
+    if (resumeText && !bulletPattern(original).test(resumeText)) return warnings.push(`Dropped rewrite ${i + 1}: "${original.slice(0, 60)}" is not in the resume`);
+    bulletRewrites.push({ original, rewritten, reason: typeof item.reason === 'string' && item.reason.trim() ? cleanText(item.reason) : null });
+  });
+
+  // summaryRewrite
+  let summaryRewrite = null;
+  if (!('summaryRewrite' in data)) warnings.push('"summaryRewrite" was missing');
+  else if (typeof data.summaryRewrite === 'string') summaryRewrite = data.summaryRewrite.trim() || null;
+  else if (data.summaryRewrite != null) errors.push('"summaryRewrite" must be a string or null');
+
+  // formatIssues
+  const formatIssues = [];
+  list('formatIssues').forEach((item, i) => {
+    if (typeof item === 'string' && item.trim()) return formatIssues.push({ issue: cleanText(item), fix: null });
+    if (!isPlainObject(item) || typeof item.issue !== 'string' || !item.issue.trim()) return errors.push(`formatIssues[${i}].issue must be a non-empty string`);
+    formatIssues.push({ issue: cleanText(item.issue), fix: typeof item.fix === 'string' && item.fix.trim() ? cleanText(item.fix) : null });
+  });
+
+  if (errors.length) return { valid: false, errors, warnings, result: null };
+  return { valid: true, errors, warnings, result: { keywordsToAdd, bulletRewrites, summaryRewrite, formatIssues } };
+}
+
+/**
+ * Parse and validate a model reply
+ * @param {string} text - Model reply
+ * @param {Object} [options] - { resumeText }
+ * @returns {{valid: boolean, repaired: boolean, errors: Array<string>, warnings: Array<string>, result: Object|null}}
+ */
+export function parseOptimizerOutput(text, options = {}) {
+  const source = extractJson(text);
+  if (source === null) return { valid: false, repaired: false, errors: ['The reply contained no JSON object'], warnings: [], result: null };
+  let value;
+  let repaired = false;
+  try {
+    value = JSON.parse(source);
+  } catch (error) {
+    try {
+      value = JSON.parse(repairJson(source));
+      repaired = true;
+    } catch {
+      return { valid: false, repaired: false, errors: [`The reply is not valid JSON (${error.message})`], warnings: [], result: null };
+    }
+  }
+  return { ...validateOptimizerResult(value, options), repaired };
+}
+
+/**
+ * Ask a provider for structured suggestions: generate, repair, validate, and
+ * re-prompt with the validation errors while attempts remain
+ * With onToken the reply is streamed (provider.stream) and every delta reported
+ * with the attempt's text so far; parseOptimizerOutput on that partial text
+ * gives the suggestions complete so far.
+ * @param {Object} provider - From createLLMProvider (./llmProviders)
+ * @param {string} resumeText - Resume text
+ * @param {string} jobDescription - Target job description
+ * @param {Object} [options] - { missingKeywords, maxAttempts (2), maxTokens (1200), temperature (0.3), signal, timeoutMs, onToken(delta, { text, attempt }) }
+ * @returns {Promise<{result: Object, warnings: Array<string>, repaired: boolean, attempts: number, raw: string}>}
+ * @throws {Error} code 'invalid-output' (with .errors and .raw) when no attempt validates; provider errors as thrown
+ */
+export async function requestOptimization(provider, resumeText, jobDescription, options = {}) {
+  const { maxAttempts = 2, maxTokens = 1200, temperature = 0.3, signal, timeoutMs, onToken } = options;
+  const messages = [{ role: 'user', content: buildOptimizerPrompt(resumeText, jobDescription, options) }];
+  const settings = { maxTokens, temperature, topP: 0.95, json: true, signal, timeoutMs };
+  let last = null;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    let reply;
+    if (onToken) {
+      let streamed = '';
+      const deltas = provider.stream(messages, settings);
+      let step;
+      while (!(step = await deltas.next()).done) {
+        streamed += step.value;
+        onToken(step.value, { text: streamed, attempt });
+      }
+      reply = { text: streamed.trim(), finishReason: step.value?.finishReason || null };
+    } else reply = await provider.generate(messages, settings);
+    const { text, finishReason } = reply;
+    const parsed = parseOptimizerOutput(text, { resumeText });
+    if (parsed.valid) {
+      const warnings = finishReason === 'length' ? ['The reply hit the token limit; suggestions after the cut were lost', ...parsed.warnings] : parsed.warnings;
+      return { result: parsed.result, warnings, repaired: parsed.repaired, attempts: attempt, raw: text };
+    }
+    last = { ...parsed, raw: text };
+    messages.push({ role: 'assistant', content: text }, { role: 'user', content: buildRepairPrompt(parsed.errors) });
+  }
+  throw optimizerError('invalid-output', `The model did not return usable suggestions: ${last.errors[0]}`, { errors: last.errors, raw: last.raw });
+}
+
+/**
+ * Flatten a result into individual suggestions to accept or reject
+ * Format issues are advice only (applicable: false); the rest can be written
+ * into the resume by applySuggestions.
+ * @param {Object} result - Validated optimizer result
+ * @returns {Array<{id: string, type: 'keyword'|'bullet'|'summary'|'format', title: string, before: string|null, after: string|null, reason: string|null, applicable: boolean}>}
+ */
+export function toSuggestions(result) {
+  if (!result) return [];
+  return [
+    ...result.keywordsToAdd.map((keyword, i) => ({ id: `keyword-${i}`, type: 'keyword', title: keyword, before: null, after: keyword, reason: null, applicable: true })),
+    ...result.bulletRewrites.map((b, i) => ({ id: `bullet-${i}`, type: 'bullet', title: 'Rewrite bullet', before: b.original, after: b.rewritten, reason: b.reason, applicable: true })),
+    ...(result.summaryRewrite ? [{ id: 'summary', type: 'summary', title: 'Rewrite summary', before: null, after: result.summaryRewrite, reason: null, applicable: true }] : []),
+    ...result.formatIssues.map((f, i) => ({ id: `format-${i}`, type: 'format', title: f.issue, before: null, after: f.fix, reason: null, applicable: false })),
+  ];
+}
+
+const SUMMARY_HEADING = /^\s*(?:professional\s+|career\s+|executive\s+)?(?:summary|profile|objective)\s*:?\s*$/i;
+const SKILLS_HEADING = /^\s*(?:technical\s+|core\s+|key\s+)?(?:skills|competencies)(?:\s*(?:&|and)\s*\w+)?\s*:?\s*$/i;
+const INLINE_SKILLS = /^\s*(?:technical\s+|core\s+|key\s+)?skills\s*:\s*\S/i;
+const LIST_ITEM = /^\s*(?:[•·▪◦*\-–—]|\d+[.)])\s*/;
+// An ALL CAPS line or a common section name in any case
+const isSectionHeading = (line) => /^\s*[A-Z][A-Z &/]{2,}:?\s*$/.test(line)
+  || /^\s*(?:(?:work\s+|professional\s+)?experience|employment(?:\s+history)?|education|skills|projects|certifications)\s*:?\s*$/i.test(line);
+
+/**
+ * Write accepted suggestions into the resume text
+ * Bullets are replaced where they occur (keeping their marker), the summary
+ * paragraph under a Summary/Profile heading is replaced (or a SUMMARY section
+ * inserted before the first section), and keywords are appended to the Skills
+ * section, as a new bullet when it is a bulleted list (or a SKILLS section added
+ * at the end). A bullet only matches a whole line, so a prefix is never replaced.
+ * @param {string} resumeText - Resume text
+ * @param {Array<Object>} suggestions - Accepted items from toSuggestions
+ * @returns {{text: string, applied: Array<string>, skipped: Array<string>}} New text and the ids applied/skipped
+ */
+export function applySuggestions(resumeText, suggestions) {
+  let text = String(resumeText || '');
+  const applied = [];
+  const skipped = [];
+
+  for (const s of suggestions.filter((x) => x.type === 'bullet')) {
+    const pattern = bulletPattern(s.before);
+    if (pattern.test(text)) {
+      text = text.replace(pattern, (match, lead) => `${lead}${stripMarker(s.after)}`);
+      applied.push(s.id);
+    } else skipped.push(s.id);
+  }
+
+  const summary = suggestions.find((x) => x.type === 'summary');
+  if (summary) {
+    const lines = text.split('\n');
+    const heading = lines.findIndex((l) => SUMMARY_HEADING.test(l));
+    if (heading !== -1) {
+      let end = heading + 1;
+      while (end < lines.length && !lines[end].trim()) end++;
+      const start = end;
+      while (end < lines.length && lines[end].trim() && !isSectionHeading(lines[end])) end++;
+      lines.splice(start, end - start, summary.after);
+    } else {
+      // Before the first section, else after the contact block
+      const first = lines.findIndex((l, i) => i > 0 && isSectionHeading(l));
+      const blank = lines.indexOf('');
+      const at = first !== -1 ? first : blank !== -1 ? blank + 1 : Math.min(1, lines.length);
+      lines.splice(at, 0, 'SUMMARY', summary.after, '');
+    }
+    text = lines.join('\n');
+    applied.push(summary.id);
+  }
+
+  const keywords = suggestions.filter((x) => x.type === 'keyword');
+  if (keywords.length) {
+    const terms = keywords.map((k) => k.after).join(', ');
+    const lines = text.split('\n');
+    const inline = lines.findIndex((l) => INLINE_SKILLS.test(l));
+    const heading = lines.findIndex((l) => SKILLS_HEADING.test(l));
+    const next = heading === -1 ? -1 : lines.findIndex((l, i) => i > heading && l.trim());
+    const marker = next === -1 ? null : lines[next].match(LIST_ITEM);
+    if (inline !== -1) lines[inline] = `${lines[inline].replace(/[\s,;]+$/, '')}, ${terms}`;
+    else if (marker) {
+      // A bulleted skills list gets a new bullet after its last one rather than ", terms" on "- React"
+      let last = next;
+      while (last + 1 < lines.length && LIST_ITEM.test(lines[last + 1])) last++;
+      const number = marker[0].match(/\d+/);
+      const lead = number ? marker[0].replace(/\d+/, String(Number(lines[last].match(/\d+/)[0]) + 1)) : marker[0];
+      lines.splice(last + 1, 0, `${lead}${terms}`);
+    } else if (next !== -1 && !isSectionHeading(lines[next])) lines[next] = `${lines[next].replace(/[\s,;]+$/, '')}, ${terms}`;
+    else lines.push('', 'SKILLS', terms);
+    text = lines.join('\n');
+    applied.push(...keywords.map((k) => k.id));
+  }
+
+  skipped.push(...suggestions.filter((x) => x.type === 'format').map((x) => x.id));
+  return { text, applied, skipped };
+}
+
+export default {
+  OPTIMIZER_FIELDS,
+  buildOptimizerPrompt,
+  buildRepairPrompt,
+  extractJson,
+  repairJson,
+  validateOptimizerResult,
+  parseOptimizerOutput,
+  requestOptimization,
+  toSuggestions,
+  applySuggestions,
+};
@@ -0,0 +1,159 @@
+/**
+ * "What the ATS sees" parse-fidelity report
+ * Judges how much of a resume survives a plain ATS text parser. Works on the
+ * output of textExtraction.extractDocument (layout report and per-page stats
+ * for PDFs) and, for pasted text, on the text alone.
+ *
+ * Problems: text in images, missing text layer, columns, sidebars, tables,
+ * contact details in headers/footers, unusual glyphs (icon fonts, emoji,
+ * unmapped characters), ligatures and icons used as bullets. Each problem costs
+ * a fixed number of points off 100; the result is the parse-fidelity score that
+ * atsScoring's formatting component uses for its image and font checks.
+ */
+
+import { hasContactDetails } from './contactInfo';
+
+const PENALTIES = Object.freeze({
+  'missing-text-layer': 30,
+  'text-in-images': 25,
+  images: 5,
+  columns: 15,
+  sidebar: 12,
+  tables: 10,
+  'header-footer-contact': 12,
+  'icon-bullets': 6,
+  'unusual-glyphs': 8,
+  ligatures: 5,
+});
+
+// Text-heavy pages carry well over this many characters; less plus images suggests text rendered as pictures
+const IMAGE_PAGE_MIN_CHARS = 200;
+
+const STANDARD_BULLET_RE = /^[•◦▪▫‣⁃∙·○●■□◆◇–—\-*>]/u;
+// Private-use (icon fonts, Wingdings bullets), replacement char, misc symbols/dingbats, emoji, unmapped PDF glyphs
+const UNUSUAL_GLYPH_RE = /[\uE000-\uF8FF\uFFFD\u2600-\u27BF\u{1F300}-\u{1FAFF}]|\(cid:\d+\)/gu;
+const ICON_RE = new RegExp(UNUSUAL_GLYPH_RE.source, 'u');
+const LIGATURE_RE = /[\uFB00-\uFB06]/g;
+
+const PROBLEM_TEXT = {
+  'missing-text-layer': (n, total) => ({
+    severity: 'high',
+    label: `${n} of ${total} page${total === 1 ? ' has' : 's have'} no text layer`,
+    suggestion: 'Export the PDF from the original document (not a scan or "print to image") so every page has selectable text.',
+  }),
+  'text-in-images': (n) => ({
+    severity: 'high',
+    label: `${n} page${n === 1 ? ' looks' : 's look'} image-based — text inside pictures is invisible to an ATS`,
+    suggestion: 'Replace images of text (headers, skill charts, logos with text) with real text.',
+  }),
+  images: (n) => ({
+    severity: 'low',
+    label: `${n} image${n === 1 ? '' : 's'} found`,
+    suggestion: 'Photos, logos and skill bars are skipped by ATS parsers; make sure nothing important lives only in an image.',
+  }),
+  columns: (n) => ({
+    severity: 'medium',
+    label: `${n}-column layout`,
+    suggestion: 'Many ATS parsers read straight across columns. Use a single-column layout.',
+  }),
+  sidebar: (side) => ({
+    severity: 'medium',
+    label: `Sidebar on the ${side}`,
+    suggestion: 'Move sidebar content (skills, contact, languages) into the main column.',
+  }),
+  tables: (n) => ({
+    severity: 'medium',
+    label: `${n} table${n === 1 ? '' : 's'}`,
+    suggestion: 'Table cells are often read out of order or dropped. Use plain lines instead.',
+  }),
+  'header-footer-contact': () => ({
+    severity: 'medium',
+    label: 'Contact details in the page header/footer',
+    suggestion: 'Many ATS parsers ignore headers and footers. Put your name, email and phone in the body at the top of page 1.',
+  }),
+  'icon-bullets': (n) => ({
+    severity: 'low',
+    label: `${n} line${n === 1 ? '' : 's'} use icons or symbols as bullets`,
+    suggestion: 'Use standard round bullets (•) or hyphens; symbol-font bullets often come out as garbage characters.',
+  }),
+  'unusual-glyphs': (n, sample) => ({
+    severity: 'low',
+    label: `${n} unusual character${n === 1 ? '' : 's'} (${sample})`,
+    suggestion: 'Icon fonts, emoji and symbol characters turn into "?" or boxes in many ATS. Replace icons with words (e.g. "Email:").',
+  }),
+  ligatures: (n) => ({
+    severity: 'low',
+    label: `${n} typographic ligature${n === 1 ? '' : 's'} (ﬁ, ﬂ, …)`,
+    suggestion: 'Ligatures can split or hide keywords ("certiﬁed" ≠ "certified"). Turn them off in your editor or use a standard font.',
+  }),
+};
+
+/**
+ * Character-level checks that apply to any text (pasted, DOCX or PDF)
+ * @param {string} text - Resume text
+ * @returns {{iconBullets:number, unusualGlyphs:string[], ligatures:number}} Counts and the unusual characters found
+ */
+export function scanGlyphs(text) {
+  const lines = String(text || '').split('\n').map((l) => l.trim()).filter(Boolean);
+  const iconBullets = lines.filter((l) => {
+    const first = [...l][0];
+    return !STANDARD_BULLET_RE.test(first) && ICON_RE.test(first) && /\p{L}/u.test(l);
+  }).length;
+  return {
+    iconBullets,
+    unusualGlyphs: String(text || '').match(UNUSUAL_GLYPH_RE) || [],
+    ligatures: (String(text || '').match(LIGATURE_RE) || []).length,
+  };
+}
+
+/**
+ * Build the parse-fidelity report
+ * @param {Object} document - extractDocument output, or { text } for pasted text:
+ *   { text, format, pageCount, layout: pdfLayout report, pages: [{ chars, images }], structure: { images, tables, ... } hints for non-PDF formats,
+ *   headerFooterText: page header/footer lines }
+ * @returns {{score:number, plainText:string, problems:Array, stats:Object}} Score 0-100, the plain text an ATS
+ *   would ingest, problems (worst first) as { id, severity, label, suggestion, penalty }, and the raw counts
+ */
+export function analyzeParseFidelity(document = {}) {
+  const text = String(document.text || '');
+  const layout = document.layout || null;
+  const pages = document.pages || [];
+  const structure = document.structure || {};
+  const problems = [];
+  const add = (id, ...args) => problems.push({ id, ...PROBLEM_TEXT[id](...args), penalty: PENALTIES[id] });
+
+  const blankPages = pages.filter((p) => !p.chars).length;
+  const imagePages = pages.filter((p) => p.images && p.chars < IMAGE_PAGE_MIN_CHARS && p.chars > 0).length;
+  const images = pages.reduce((sum, p) => sum + (p.images || 0), 0) + (structure.images || 0);
+  if (blankPages) add('missing-text-layer', blankPages, pages.length);
+  if (imagePages) add('text-in-images', imagePages);
+  else if (images) add('images', images);
+
+  if (layout) {
+    if (layout.columns > 1) add('columns', layout.columns);
+    if (layout.sidebar) add('sidebar', layout.sidebar);
+  }
+  if ((layout && layout.contactInHeaderFooter) || (!layout && (document.headerFooterText || []).some(hasContactDetails))) add('header-footer-contact');
+  const tables = (layout && layout.tables) || structure.tables || 0;
+  if (tables) add('tables', tables);
+
+  const glyphs = scanGlyphs(layout && layout.atsText ? layout.atsText : text);
+  if (glyphs.iconBullets >= 2) add('icon-bullets', glyphs.iconBullets);
+  const otherGlyphs = glyphs.unusualGlyphs.length - (glyphs.iconBullets >= 2 ? glyphs.iconBullets : 0);
+  if (otherGlyphs > 0) add('unusual-glyphs', otherGlyphs, [...new Set(glyphs.unusualGlyphs)].slice(0, 5).join(' '));
+  if (glyphs.ligatures) add('ligatures', glyphs.ligatures);
+
+  const order = ['high', 'medium', 'low'];
+  problems.sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity) || b.penalty - a.penalty);
+  return {
+    score: Math.max(0, 100 - problems.reduce((sum, p) => sum + p.penalty, 0)),
+    plainText: (layout && layout.atsText) || text,
+    problems,
+    stats: { format: document.format || 'text', pageCount: document.pageCount || null, images, tables, blankPages, imagePages, ...glyphs, unusualGlyphs: glyphs.unusualGlyphs.length },
+  };
+}
+
+export default {
+  analyzeParseFidelity,
+  scanGlyphs,
+};
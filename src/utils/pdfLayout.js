@@ -0,0 +1,302 @@
+/**
+ * Layout-aware reading order for PDF text
+ * pdf.js returns positioned text runs in content-stream order, which for
+ * two-column templates and sidebars interleaves unrelated lines. This module
+ * rebuilds reading order from positions:
+ *
+ *   1. runs are grouped into lines by baseline, and lines into segments at
+ *      wide horizontal gaps (column gutters, table cells, right-aligned dates)
+ *   2. header/footer lines repeated on most pages are dropped
+ *   3. a vertical gutter crossed by (almost) no segment splits the page into
+ *      columns; a narrow side is reported as a sidebar. Right-aligned text,
+ *      text spaced out between the other side's lines (a date beside each job
+ *      title) and a short label list paired line for line with its values
+ *      ("Email:", "Languages") are rows, not columns. A sidebar paired line
+ *      for line with the main column still splits: its side is not made of
+ *      labels (long, broken into blocks, or sectioned by headings)
+ *   4. three or more aligned segments on consecutive lines form a table, read
+ *      row by row with cells joined by " | "
+ *
+ * Columns are read left to right, full-width lines (a name banner) stay in
+ * place. The report lists what was found and warns when the layout is likely
+ * to confuse real ATS parsers, which mostly read straight across the page;
+ * `atsText` is that straight-across reading, headers and footers included.
+ *
+ * Input pages: [{ width, height, items: [{ str, x, y, width, height }] }] in PDF
+ * coordinates (y grows upwards, baseline of the run). See textExtraction.js.
+ */
+
+import { hasContactDetails } from './contactInfo';
+import { matchSectionHeader } from './resumeParser';
+
+const HEADER_FOOTER_BAND = 0.08;
+const MIN_COLUMN_LINES = 3;
+const MIN_GUTTER = 12;
+const SIDEBAR_SHARE = 0.35;
+const MAX_COLUMN_DEPTH = 2;
+const MAX_LABEL_LENGTH = 24;
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Join the runs of one segment; letter-spaced headings ("E X P E R I E N C E") only get
+// a space where the gap is clearly wider than the letter spacing
+function joinRuns(runs) {
+  const gaps = runs.slice(1).map((r, i) => r.x - (runs[i].x + runs[i].width));
+  const singles = runs.filter((r) => r.str.trim().length === 1).length;
+  const letterGap = singles >= runs.length * 0.6 ? median(gaps.filter((g) => g > 0)) : 0;
+  let text = runs[0].str;
+  gaps.forEach((gap, i) => {
+    const next = runs[i + 1];
+    const threshold = Math.max(next.height * 0.15, letterGap * 1.8);
+    if (gap > threshold && !/\s$/.test(text) && !/^\s/.test(next.str)) text += ' ';
+    text += next.str;
+  });
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function toLines(items) {
+  const runs = items
+    .filter((it) => it.str && it.str.trim())
+    .map((it) => ({ ...it, height: it.height || 10, width: it.width || it.str.length * (it.height || 10) * 0.5 }))
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+  runs.forEach((run) => {
+    const line = lines.find((l) => Math.abs(l.y - run.y) <= Math.max(2, Math.min(l.height, run.height) * 0.4));
+    if (line) {
+      line.runs.push(run);
+      line.height = Math.max(line.height, run.height);
+    } else {
+      lines.push({ y: run.y, height: run.height, runs: [run] });
+    }
+  });
+  return lines
+    .sort((a, b) => b.y - a.y)
+    .map((line) => {
+      const sorted = line.runs.sort((a, b) => a.x - b.x);
+      const segments = [];
+      sorted.forEach((run) => {
+        const last = segments[segments.length - 1];
+        if (last && run.x - last.x1 <= line.height * 1.2) {
+          last.runs.push(run);
+          last.x1 = Math.max(last.x1, run.x + run.width);
+        } else {
+          segments.push({ x0: run.x, x1: run.x + run.width, runs: [run] });
+        }
+      });
+      return {
+        y: line.y,
+        height: line.height,
+        segments: segments.map(({ x0, x1, runs }) => ({ x0, x1, y: runs[0].y, height: line.height, text: joinRuns(runs) })),
+      };
+    });
+}
+
+const repeatKey = (text) => text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+
+// Lines in the top/bottom band whose text (digits ignored) repeats on at least half the pages
+function findHeadersFooters(pages) {
+  if (pages.length < 2) return new Set();
+  const counts = new Map();
+  pages.forEach((page) => {
+    const keys = new Set(page.lines
+      .filter((l) => l.y > page.height * (1 - HEADER_FOOTER_BAND) || l.y < page.height * HEADER_FOOTER_BAND)
+      .map((l) => repeatKey(l.segments.map((s) => s.text).join(' '))));
+    keys.forEach((k) => counts.set(k, (counts.get(k) || 0) + 1));
+  });
+  const needed = Math.max(2, Math.ceil(pages.length / 2));
+  return new Set([...counts].filter(([key, n]) => key && n >= needed).map(([key]) => key));
+}
+
+const isPageNumber = (text) => /^(?:page\s*)?#(?:\s*(?:of|\/)\s*#)?$/i.test(repeatKey(text));
+
+// Widest vertical gap in the middle of the region that few segments cross
+function findGutter(lines, left, right) {
+  const segments = lines.flatMap((l) => l.segments);
+  if (segments.length < MIN_COLUMN_LINES * 2) return null;
+  const width = right - left;
+  const allowedCrossings = Math.max(1, Math.floor(lines.length * 0.1));
+  let best = null;
+  const edges = [...new Set(segments.flatMap((s) => [s.x0, s.x1]))]
+    .filter((x) => x > left + width * 0.08 && x < right - width * 0.08)
+    .sort((a, b) => a - b);
+  edges.forEach((start) => {
+    const after = segments.map((s) => s.x0).filter((x) => x > start).sort((a, b) => a - b)[0];
+    if (after === undefined || after - start < MIN_GUTTER) return;
+    const mid = (start + after) / 2;
+    const crossing = segments.filter((s) => s.x0 < mid && s.x1 > mid).length;
+    if (crossing > allowedCrossings) return;
+    if (!best || after - start > best.width) best = { x: mid, width: after - start, crossing };
+  });
+  return best;
+}
+
+const spread = (values) => Math.max(...values) - Math.min(...values);
+
+// Share of a side's lines that follow the previous one at about the other side's line spacing
+function contiguity(ys, leading) {
+  if (ys.length < 2) return 0;
+  return ys.slice(1).filter((y, i) => ys[i] - y <= leading * 1.5).length / (ys.length - 1);
+}
+
+const isUpper = (text) => /[A-Z]/.test(text) && text === text.toUpperCase();
+
+// Left side of a line-for-line pairing reads as row labels: short, and colon-terminated or one
+// evenly spaced block. Section headings on the right, or upper-case ones on the left, mean each
+// side has sections of its own, which labels never do ("Languages" can still name a row)
+function looksLikeLabels(leftSegs, rightSegs, leftLines, leading) {
+  if (median(leftSegs.map((s) => s.text.length)) > MAX_LABEL_LENGTH) return false;
+  if (leftSegs.filter((s) => /:$/.test(s.text)).length >= leftSegs.length / 2) return true;
+  if (rightSegs.some((s) => matchSectionHeader(s.text))) return false;
+  if (leftSegs.some((s) => isUpper(s.text) && matchSectionHeader(s.text))) return false;
+  return contiguity(leftLines.map((l) => l.y), leading) === 1;
+}
+
+// Both sides of a gutter read as independent columns rather than rows of one layout
+function isColumnLayout(leftSegs, rightSegs, leftLines, rightLines) {
+  if (leftLines.length < MIN_COLUMN_LINES || rightLines.length < MIN_COLUMN_LINES) return false;
+  if ([leftSegs, rightSegs].some((segs) => median(segs.map((s) => s.text.length)) < 3)) return false;
+  // Right-aligned dates and locations: ragged starts, flush ends
+  if (spread(rightSegs.map((s) => s.x1)) < Math.min(6, spread(rightSegs.map((s) => s.x0)) / 2)) return false;
+  const leftYs = leftLines.map((l) => l.y);
+  const leading = median(leftYs.slice(1).map((y, i) => leftYs[i] - y)) || leftLines[0].height * 1.2;
+  if (contiguity(rightLines.map((l) => l.y), leading) < 0.6) return false;
+  // A label/value list pairs up line for line; a same-baseline sidebar does too but is not labels
+  const rightSet = new Set(rightLines);
+  const pairedRight = rightLines.filter((l) => leftLines.includes(l)).length / rightLines.length;
+  const pairedLeft = leftLines.filter((l) => rightSet.has(l)).length / leftLines.length;
+  if (pairedRight < 0.9 || pairedLeft < 0.9) return true;
+  return !looksLikeLabels(leftSegs, rightSegs, leftLines, leading);
+}
+
+function splitColumns(lines, left, right, depth, report) {
+  const gutter = depth < MAX_COLUMN_DEPTH ? findGutter(lines, left, right) : null;
+  if (gutter) {
+    const side = (s) => ((s.x0 + s.x1) / 2 < gutter.x ? 'left' : 'right');
+    const crosses = (s) => s.x0 < gutter.x && s.x1 > gutter.x;
+    const sideSegments = (s) => lines.flatMap((l) => l.segments.filter((seg) => !crosses(seg) && side(seg) === s));
+    const leftLines = lines.filter((l) => l.segments.some((s) => !crosses(s) && side(s) === 'left'));
+    const rightLines = lines.filter((l) => l.segments.some((s) => !crosses(s) && side(s) === 'right'));
+    const leftSegs = sideSegments('left');
+    const rightSegs = sideSegments('right');
+    if (isColumnLayout(leftSegs, rightSegs, leftLines, rightLines)) {
+      const leftWidth = Math.max(...leftSegs.map((s) => s.x1)) - left;
+      const rightWidth = right - Math.min(...rightSegs.map((s) => s.x0));
+      const total = leftWidth + rightWidth;
+      if (Math.min(leftWidth, rightWidth) / total < SIDEBAR_SHARE) report.sidebar = leftWidth < rightWidth ? 'left' : 'right';
+      else report.columns = Math.max(report.columns, depth + 2);
+      return readColumns(lines, gutter.x, crosses, side, left, right, depth, report);
+    }
+  }
+  return [lines];
+}
+
+// Walk top to bottom: full-width lines stay in place, runs of column lines are read column by column
+function readColumns(lines, gutterX, crosses, side, left, right, depth, report) {
+  const blocks = [];
+  let band = [];
+  const flush = () => {
+    if (!band.length) return;
+    ['left', 'right'].forEach((s) => {
+      const column = band
+        .map((l) => ({ ...l, segments: l.segments.filter((seg) => side(seg) === s) }))
+        .filter((l) => l.segments.length);
+      if (!column.length) return;
+      const [from, to] = s === 'left' ? [left, gutterX] : [gutterX, right];
+      blocks.push(...splitColumns(column, from, to, depth + 1, report));
+    });
+    band = [];
+  };
+  lines.forEach((line) => {
+    if (line.segments.some(crosses)) {
+      flush();
+      blocks.push([line]);
+    } else {
+      band.push(line);
+    }
+  });
+  flush();
+  return blocks;
+}
+
+function alignedStarts(a, b, tolerance) {
+  return a.segments.filter((s) => b.segments.some((t) => Math.abs(t.x0 - s.x0) <= tolerance)).length;
+}
+
+// Consecutive lines of 3+ segments with matching cell starts
+function markTables(block, report) {
+  const isRow = (l) => l && l.segments.length >= 3;
+  let rows = 0;
+  block.forEach((line, i) => {
+    const prev = block[i - 1];
+    const next = block[i + 1];
+    const tolerance = line.height;
+    line.table = isRow(line) && ((isRow(prev) && alignedStarts(line, prev, tolerance) >= 3) || (isRow(next) && alignedStarts(line, next, tolerance) >= 3));
+    if (line.table && !(prev && prev.table)) rows += 1;
+  });
+  report.tables += rows;
+}
+
+function blockText(block) {
+  let text = '';
+  let prev = null;
+  block.forEach((line) => {
+    // Baseline of the segments kept in this block; a merged line's own y may belong to the other column
+    const y = line.segments[0].y;
+    if (prev) text += prev.y - y > Math.max(prev.height, line.height) * 1.9 ? '\n\n' : '\n';
+    text += line.segments.map((s) => s.text).join(line.table ? ' | ' : ' ');
+    prev = { y, height: line.height };
+  });
+  return text;
+}
+
+/**
+ * Rebuild reading order and describe the layout of a PDF
+ * @param {Array<{width:number, height:number, items:Array}>} pages - Positioned text runs per page
+ * @returns {{text: string, layout: Object}} Text in reading order and the layout report
+ *   { pages, columns, sidebar ('left'|'right'|null), tables, headerFooterLines, headerFooterText, contactInHeaderFooter,
+ *     warnings, atsRisk, atsText }
+ */
+export function analyzePdfLayout(pages) {
+  const report = { pages: pages.length, columns: 1, sidebar: null, tables: 0, headerFooterLines: 0, headerFooterText: [], contactInHeaderFooter: false, warnings: [], atsRisk: false, atsText: '' };
+  const lined = pages.map((page) => ({ ...page, lines: toLines(page.items || []) }));
+  const repeated = findHeadersFooters(lined);
+
+  const texts = lined.map((page) => {
+    const inBand = (l) => l.y > page.height * (1 - HEADER_FOOTER_BAND) || l.y < page.height * HEADER_FOOTER_BAND;
+    const body = page.lines.filter((line) => {
+      const text = line.segments.map((s) => s.text).join(' ');
+      const drop = inBand(line) && (repeated.has(repeatKey(text)) || (pages.length > 1 && isPageNumber(text)));
+      if (drop) {
+        report.headerFooterLines += 1;
+        if (!report.headerFooterText.includes(text)) report.headerFooterText.push(text);
+      }
+      return !drop;
+    });
+    const segments = body.flatMap((l) => l.segments);
+    const left = segments.length ? Math.min(...segments.map((s) => s.x0)) : 0;
+    const right = segments.length ? Math.max(...segments.map((s) => s.x1)) : page.width;
+    const blocks = splitColumns(body, left, right, 0, report);
+    blocks.forEach((block) => markTables(block, report));
+    return blocks.map(blockText).filter(Boolean).join('\n\n');
+  });
+
+  if (report.columns > 1) report.warnings.push(`${report.columns}-column layout: many ATS parsers read straight across columns and mix up sections. A single-column layout parses reliably.`);
+  if (report.sidebar) report.warnings.push(`Sidebar on the ${report.sidebar}: ATS parsers often merge sidebar text (skills, contact) into neighbouring lines or drop it. Move it into the main column.`);
+  if (report.tables) report.warnings.push(`${report.tables} table${report.tables === 1 ? '' : 's'} detected: table cells are often read out of order or skipped. Use plain lines instead.`);
+  report.contactInHeaderFooter = report.headerFooterText.some(hasContactDetails);
+  if (report.contactInHeaderFooter) {
+    report.warnings.push('Contact details sit in the page header/footer, which many ATS parsers ignore. Put them in the body at the top of page 1.');
+  }
+  report.atsRisk = report.warnings.length > 0;
+  report.atsText = lined.map((page) => page.lines.map((l) => l.segments.map((s) => s.text).join(' ')).join('\n')).filter(Boolean).join('\n\n');
+
+  return { text: texts.filter(Boolean).join('\n\n'), layout: report };
+}
+
+export default {
+  analyzePdfLayout,
+};
@@ -0,0 +1,497 @@
+/**
+ * Structured resume import
+ * Maps resumes that already exist as data straight into the resumeParser model
+ * (contact, summary, positions, education, skills, certifications, projects,
+ * sections) instead of flattening them to text and parsing that back:
+ *
+ *   - JSON Resume files (https://jsonresume.org/schema/): rendered to plain
+ *     resume text, with the model built alongside so every entity's `lines`
+ *     point into that text
+ *   - LinkedIn "Save to PDF" profile exports: the PDF text is kept as the ATS
+ *     sees it and read with the export's fixed layout (sidebar with Contact /
+ *     Top Skills / Languages / Certifications, then name, headline, location,
+ *     Summary, Experience and Education)
+ *
+ * Imported fields carry confidence 1 (JSON Resume) or a layout-based estimate
+ * (LinkedIn). textExtraction.extractDocument calls these and returns the model
+ * as `model`; atsScoring uses it in place of parseResume.
+ */
+
+import { splitLines, findDateRanges, parseDate } from './resumeParser';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const emptySummary = () => ({ text: '', lines: [0, 0], confidence: 0 });
+
+const clean = (value) => String(value ?? '').replace(/\s+/g, ' ').trim();
+
+// ISO 8601 dates as JSON Resume uses them: "2019-03-01", "2019-03" or "2019"
+function isoDate(value) {
+  const m = clean(value).match(/^((?:19|20)\d{2})(?:-(\d{1,2}))?/);
+  return m ? { year: Number(m[1]), month: m[2] ? Number(m[2]) : null } : null;
+}
+
+const formatDate = (date) => (date ? `${date.month ? `${MONTHS[date.month - 1]} ` : ''}${date.year}` : '');
+
+function formatRange(start, end, current) {
+  if (!start || (!end && !current)) return formatDate(start || end);
+  return `${formatDate(start)} – ${current ? 'Present' : formatDate(end)}`;
+}
+
+// Lines of resume text with their offsets, plus the section list the model needs
+function createTextBuilder() {
+  const lines = [];
+  const offsets = [];
+  const sections = [];
+  let length = 0;
+  const add = (text) => {
+    const line = clean(text);
+    offsets.push(length);
+    lines.push(line);
+    length += line.length + 1;
+    const current = sections[sections.length - 1];
+    if (current && line) current.endLine = lines.length - 1;
+    return lines.length - 1;
+  };
+  return {
+    add,
+    bullet(text) {
+      const line = add(`• ${text}`);
+      return { text: clean(text), line, offset: offsets[line] };
+    },
+    section(key, header) {
+      if (lines.length) add('');
+      sections.push({ key, header, confidence: 1, startLine: lines.length, endLine: lines.length });
+      add(header);
+    },
+    get next() {
+      return lines.length;
+    },
+    text: () => lines.join('\n'),
+    sections,
+  };
+}
+
+/**
+ * Tell whether parsed JSON is a JSON Resume document
+ * @param {*} value - Parsed JSON
+ * @returns {boolean} True for objects with JSON Resume's basics/work/education shape
+ */
+export function isJsonResume(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value) || value['@type']) return false;
+  if (/jsonresume/i.test(String(value.$schema || ''))) return true;
+  return (!!value.basics && typeof value.basics === 'object') && (Array.isArray(value.work) || Array.isArray(value.education) || Array.isArray(value.skills));
+}
+
+/**
+ * Map a JSON Resume document to resume text and the resumeParser model
+ * @param {Object} resume - JSON Resume document
+ * @returns {{text: string, model: Object, links: Array<{url: string}>}} Rendered resume text (standard section
+ *   headings, "• " bullets), the model with line references into that text, and the profile/website URLs
+ */
+export function jsonResumeToModel(resume = {}) {
+  const out = createTextBuilder();
+  const basics = resume.basics || {};
+  const location = basics.location || {};
+  const locationText = typeof location === 'string'
+    ? clean(location)
+    : [location.city, location.region || location.countryCode].map(clean).filter(Boolean).join(', ');
+  const profiles = (basics.profiles || []).filter((p) => p && (p.url || p.username));
+  const links = [basics.url || basics.website, ...profiles.map((p) => p.url || (/linkedin/i.test(p.network) ? `https://www.linkedin.com/in/${p.username}` : /github/i.test(p.network) ? `https://github.com/${p.username}` : ''))]
+    .map(clean)
+    .filter(Boolean);
+
+  const headerStart = out.add(basics.name);
+  if (clean(basics.label)) out.add(basics.label);
+  out.add([basics.email, basics.phone, locationText].map(clean).filter(Boolean).join(' | '));
+  if (links.length) out.add(links.join(' | '));
+  const contact = {
+    name: clean(basics.name),
+    email: clean(basics.email),
+    phone: clean(basics.phone),
+    location: locationText,
+    links,
+    lines: [headerStart, out.next - 1],
+    confidence: {
+      name: basics.name ? 1 : 0,
+      email: basics.email ? 1 : 0,
+      phone: basics.phone ? 1 : 0,
+      location: locationText ? 1 : 0,
+      links: links.length ? 1 : 0,
+    },
+  };
+
+  let summary = emptySummary();
+  if (clean(basics.summary)) {
+    out.section('summary', 'Summary');
+    const line = out.add(basics.summary);
+    summary = { text: clean(basics.summary), lines: [line, line], confidence: 1 };
+  }
+
+  const positions = [];
+  const work = (resume.work || []).filter((w) => w && (w.position || w.name || w.company));
+  if (work.length) {
+    out.section('experience', 'Experience');
+    work.forEach((w) => {
+      const startDate = isoDate(w.startDate);
+      const endDate = isoDate(w.endDate);
+      const current = !!startDate && !endDate;
+      const dateText = formatRange(startDate, endDate, current);
+      const company = clean(w.name || w.company);
+      const title = clean(w.position);
+      const first = out.add([title, company, clean(w.location), dateText].filter(Boolean).join(' | '));
+      const bullets = [w.summary, ...(w.highlights || [])].map(clean).filter(Boolean).map((h) => out.bullet(h));
+      positions.push({
+        title,
+        company,
+        location: clean(w.location),
+        startDate,
+        endDate,
+        current,
+        dateText,
+        bullets,
+        lines: [first, out.next - 1],
+        confidence: { title: title ? 1 : 0, company: company ? 1 : 0, location: w.location ? 1 : 0, dates: startDate ? 1 : 0 },
+      });
+    });
+  }
+
+  const education = [];
+  const schools = (resume.education || []).filter((e) => e && (e.institution || e.studyType || e.area));
+  if (schools.length) {
+    out.section('education', 'Education');
+    schools.forEach((e) => {
+      const startDate = isoDate(e.startDate);
+      const endDate = isoDate(e.endDate);
+      const degree = clean(e.studyType);
+      const field = clean(e.area);
+      const gpa = Number.parseFloat(e.score);
+      const first = out.add([
+        [degree, field].filter(Boolean).join(degree && field ? ' in ' : ''),
+        clean(e.institution),
+        formatRange(startDate, endDate, !!startDate && !endDate),
+        Number.isFinite(gpa) && gpa <= 5 ? `GPA ${e.score}` : clean(e.score),
+      ].filter(Boolean).join(' | '));
+      if ((e.courses || []).length) out.add(`Courses: ${e.courses.map(clean).join(', ')}`);
+      education.push({
+        institution: clean(e.institution),
+        degree,
+        field,
+        startDate,
+        endDate,
+        gpa: Number.isFinite(gpa) && gpa <= 5 ? gpa : null,
+        lines: [first, out.next - 1],
+        confidence: { institution: e.institution ? 1 : 0, degree: degree ? 1 : 0, field: field ? 1 : 0, dates: startDate || endDate ? 1 : 0 },
+      });
+    });
+  }
+
+  const skills = [];
+  const skillGroups = (resume.skills || []).filter((s) => s && (s.name || (s.keywords || []).length));
+  if (skillGroups.length) {
+    out.section('skills', 'Skills');
+    skillGroups.forEach((s) => {
+      const keywords = (s.keywords || []).map(clean).filter(Boolean);
+      const line = out.add(keywords.length ? `${clean(s.name) ? `${clean(s.name)}: ` : ''}${keywords.join(', ')}` : s.name);
+      (keywords.length ? keywords : [clean(s.name)]).forEach((name) => skills.push({ name, category: keywords.length ? clean(s.name) : '', line }));
+    });
+  }
+
+  const certifications = [];
+  const certificates = (resume.certificates || []).filter((c) => c && c.name);
+  if (certificates.length) {
+    out.section('certifications', 'Certifications');
+    certificates.forEach((c) => {
+      const date = isoDate(c.date);
+      const line = out.add([c.name, c.issuer, formatDate(date)].map(clean).filter(Boolean).join(' | '));
+      certifications.push({
+        name: clean(c.name),
+        issuer: clean(c.issuer),
+        date,
+        line,
+        confidence: { name: 1, issuer: c.issuer ? 1 : 0, date: date ? 1 : 0 },
+      });
+    });
+  }
+
+  const projects = [];
+  const projectList = (resume.projects || []).filter((p) => p && p.name);
+  if (projectList.length) {
+    out.section('projects', 'Projects');
+    projectList.forEach((p) => {
+      const startDate = isoDate(p.startDate);
+      const endDate = isoDate(p.endDate);
+      const technologies = (p.keywords || []).map(clean).filter(Boolean);
+      const first = out.add([p.name, p.description, formatRange(startDate, endDate, !!startDate && !endDate)].map(clean).filter(Boolean).join(' | '));
+      const bullets = (p.highlights || []).map(clean).filter(Boolean).map((h) => out.bullet(h));
+      if (technologies.length) out.add(`Technologies: ${technologies.join(', ')}`);
+      projects.push({
+        name: clean(p.name),
+        description: clean(p.description),
+        technologies,
+        startDate,
+        endDate,
+        bullets,
+        lines: [first, out.next - 1],
+        confidence: { name: 1, technologies: technologies.length ? 1 : 0 },
+      });
+    });
+  }
+
+  // Sections the model has no entities for still go into the text and the section list
+  const extras = [
+    ['volunteer', 'Volunteer', resume.volunteer, (v) => [v.position, v.organization, formatRange(isoDate(v.startDate), isoDate(v.endDate), !!v.startDate && !v.endDate)]],
+    ['awards', 'Awards', resume.awards, (a) => [a.title, a.awarder, formatDate(isoDate(a.date))]],
+    ['publications', 'Publications', resume.publications, (p) => [p.name, p.publisher, formatDate(isoDate(p.releaseDate))]],
+    ['languages', 'Languages', resume.languages, (l) => [l.fluency ? `${clean(l.language)} (${clean(l.fluency)})` : l.language]],
+    ['interests', 'Interests', resume.interests, (i) => [i.name, (i.keywords || []).join(', ')]],
+  ];
+  extras.forEach(([key, header, items, describe]) => {
+    const rows = (items || []).filter(Boolean).map((item) => describe(item).map(clean).filter(Boolean).join(' | ')).filter(Boolean);
+    if (!rows.length) return;
+    out.section(key, header);
+    rows.forEach((row) => out.bullet(row));
+  });
+
+  return {
+    text: out.text(),
+    model: {
+      contact,
+      summary,
+      positions,
+      education,
+      skills,
+      certifications,
+      projects,
+      sections: [{ key: 'header', header: '', confidence: 1, startLine: contact.lines[0], endLine: contact.lines[1] }, ...out.sections],
+      confidence: { skills: skillGroups.length ? 1 : 0 },
+    },
+    links: links.map((url) => ({ url })),
+  };
+}
+
+// LinkedIn profile PDF headings, in English as LinkedIn renders them for every interface language
+const LINKEDIN_HEADINGS = {
+  Contact: 'header',
+  'Top Skills': 'skills',
+  Languages: 'languages',
+  Certifications: 'certifications',
+  'Honors-Awards': 'awards',
+  Publications: 'publications',
+  Patents: 'publications',
+  Summary: 'summary',
+  Experience: 'experience',
+  Education: 'education',
+  Projects: 'projects',
+  'Volunteer Experience': 'volunteer',
+};
+const LINKEDIN_MAIN = ['summary', 'experience', 'education', 'projects', 'volunteer'];
+const PAGE_FOOTER_RE = /^Page \d+ of \d+$/i;
+const DURATION_RE = /^\(?(?:less than a year|\d+ years?(?: \d+ months?)?|\d+ months?)\)?$/i;
+const LOCATION_LINE_RE = /^[\p{L} .'-]+(?:, [\p{L} .'-]+){1,2}$|\b(?:Area|Remote|Region)\b/u;
+const EMAIL_RE = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/;
+const CONTACT_LABEL_RE = /\s*\((LinkedIn|Mobile|Home|Work|Personal|Company|Portfolio|Blog|Other|RSS Feed)\)$/i;
+
+/**
+ * Tell whether extracted PDF text is a LinkedIn "Save to PDF" profile export
+ * @param {string} text - Extracted PDF text
+ * @returns {boolean} True when the profile URL and LinkedIn's section layout are present
+ */
+export function isLinkedInProfile(text) {
+  const lines = String(text || '').split('\n').map(clean);
+  const headings = new Set(lines.filter((l) => LINKEDIN_HEADINGS[l]));
+  const hasDates = lines.some((l) => /\((?:less than a year|\d+ years?|\d+ months?)[^)]*\)$/i.test(l) && findDateRanges(l).length);
+  return /linkedin\.com\/in\//i.test(text) && headings.has('Experience') && (headings.has('Top Skills') || headings.has('Contact') || hasDates);
+}
+
+const isDateLine = (text) => {
+  const range = findDateRanges(text)[0];
+  return !!range && !clean(text.replace(range.text, '').replace(/\([^)]*\)/g, ''));
+};
+
+const endsSentence = (text) => /[.!?:;]$/.test(text);
+
+// LinkedIn wraps long description lines; rejoin them into paragraphs/bullets
+function descriptionBullets(lines) {
+  const bullets = [];
+  lines.forEach((line) => {
+    const bullet = /^\s*(?:[•▪●◦‣*·]|[-–—](?=\s))\s*/.exec(line.text);
+    const text = clean(bullet ? line.text.slice(bullet[0].length) : line.text);
+    const last = bullets[bullets.length - 1];
+    if (last && !bullet && !endsSentence(last.text)) last.text = `${last.text} ${text}`;
+    else bullets.push({ text, line: line.index, offset: line.offset });
+  });
+  return bullets;
+}
+
+function linkedInPositions(lines) {
+  const dateAt = lines.map((l, i) => (isDateLine(l.text) ? i : -1)).filter((i) => i > 0);
+  const roles = [];
+  let company = '';
+  let companyConfidence = 0;
+  dateAt.forEach((d, n) => {
+    const previous = n ? dateAt[n - 1] : -1;
+    const candidate = d - 2 > previous ? lines[d - 2] : null;
+    let start = d - 1;
+    if (candidate && DURATION_RE.test(clean(candidate.text)) && d - 3 > previous) {
+      // "Company / 3 years 2 months / Title / dates": a company with several roles
+      company = clean(lines[d - 3].text);
+      companyConfidence = 0.9;
+      start = d - 3;
+    } else if (candidate && (n === 0 || d - 2 > previous + 1 || !LOCATION_LINE_RE.test(clean(candidate.text)))
+      && clean(candidate.text).length <= 60 && !endsSentence(clean(candidate.text))) {
+      company = clean(candidate.text);
+      companyConfidence = n === 0 ? 0.9 : 0.7;
+      start = d - 2;
+    }
+    roles.push({ start, title: d - 1, date: d, company, companyConfidence });
+  });
+  return roles.map((role, n) => {
+    const end = n + 1 < roles.length ? roles[n + 1].start - 1 : lines.length - 1;
+    const range = findDateRanges(lines[role.date].text)[0];
+    const locationLine = lines[role.date + 1] && role.date + 1 <= end && LOCATION_LINE_RE.test(clean(lines[role.date + 1].text)) ? lines[role.date + 1] : null;
+    const description = lines.slice(role.date + (locationLine ? 2 : 1), end + 1);
+    return {
+      title: clean(lines[role.title].text),
+      company: role.company,
+      location: locationLine ? clean(locationLine.text) : '',
+      startDate: range.start,
+      endDate: range.end,
+      current: range.current,
+      dateText: range.text,
+      bullets: descriptionBullets(description),
+      lines: [lines[role.start].index, lines[end].index],
+      confidence: { title: 0.9, company: role.companyConfidence, location: locationLine ? 0.8 : 0, dates: 0.95 },
+    };
+  });
+}
+
+// "School" followed by "Degree, Field · (2012 - 2016)"
+function linkedInEducation(lines) {
+  const entries = [];
+  for (let i = 0; i < lines.length; i++) {
+    const next = lines[i + 1] ? clean(lines[i + 1].text) : '';
+    const hasDetails = next && (/·|\((?:19|20)\d{2}/.test(next) || /\b(?:bachelor|master|doctor|ph\.?d|associate|diploma|degree|mba|b\.?sc?|m\.?sc?|certificate)\b/i.test(next));
+    const details = hasDetails ? next : '';
+    const [degreePart, datePart = ''] = details.split(/\s+·\s+/);
+    const range = findDateRanges(datePart)[0] || null;
+    const single = range ? null : (datePart.match(/(?:19|20)\d{2}/) || [])[0];
+    const [degree = '', ...field] = (degreePart || '').split(/,\s+/);
+    entries.push({
+      institution: clean(lines[i].text),
+      degree: clean(degree.replace(/\s+-\s+[A-Z][A-Za-z.]*$/, '')),
+      field: clean(field.join(', ')),
+      startDate: range ? range.start : null,
+      endDate: range ? range.end : single ? parseDate(single) : null,
+      gpa: null,
+      lines: [lines[i].index, lines[hasDetails ? i + 1 : i].index],
+      confidence: { institution: 0.9, degree: degree ? 0.85 : 0, field: field.length ? 0.8 : 0, dates: range || single ? 0.9 : 0 },
+    });
+    if (hasDetails) i += 1;
+  }
+  return entries;
+}
+
+function linkedInContact(lines) {
+  const joined = [];
+  lines.forEach((line) => {
+    const last = joined[joined.length - 1];
+    // Long profile URLs wrap onto the next line before their "(LinkedIn)" label
+    if (last && !CONTACT_LABEL_RE.test(last.text) && !EMAIL_RE.test(last.text) && /[/.-]$/.test(last.text) && CONTACT_LABEL_RE.test(line.text)) {
+      last.text += clean(line.text);
+    } else {
+      joined.push({ ...line, text: clean(line.text) });
+    }
+  });
+  const email = (joined.map((l) => l.text.match(EMAIL_RE)).find(Boolean) || [''])[0];
+  const phoneLine = joined.find((l) => /\((?:Mobile|Home|Work)\)$/i.test(l.text) || (/^\+?[\d ().-]{7,}$/.test(l.text) && l.text.replace(/\D/g, '').length >= 7));
+  const links = joined.filter((l) => /\((?:LinkedIn|Personal|Company|Portfolio|Blog|Other)\)$/i.test(l.text) || /linkedin\.com\/in\//i.test(l.text))
+    .map((l) => l.text.replace(CONTACT_LABEL_RE, ''));
+  return { email, phone: phoneLine ? phoneLine.text.replace(CONTACT_LABEL_RE, '') : '', links };
+}
+
+/**
+ * Read a LinkedIn "Save to PDF" profile export into the resumeParser model
+ * @param {string} text - Extracted PDF text (sidebar and main column in either order)
+ * @returns {Object} Resume model with line references into `text`
+ */
+export function linkedInToModel(text) {
+  const all = splitLines(text);
+  const lines = all.filter((l) => clean(l.text) && !PAGE_FOOTER_RE.test(clean(l.text)));
+  const sections = [];
+  let current = null;
+  const intro = [];
+  lines.forEach((line) => {
+    const key = LINKEDIN_HEADINGS[clean(line.text)];
+    if (key) {
+      current = { key, header: clean(line.text), confidence: 0.95, startLine: line.index, endLine: line.index, lines: [] };
+      sections.push(current);
+    } else if (current) {
+      current.lines.push(line);
+      current.endLine = line.index;
+    } else {
+      intro.push(line);
+    }
+  });
+  const linesOf = (key) => sections.filter((s) => s.key === key).flatMap((s) => s.lines);
+
+  // Name, headline and location sit just above the first main-column heading: at the top of the text when
+  // the main column comes first, otherwise at the end of the last sidebar section
+  const firstMain = sections.findIndex((s) => LINKEDIN_MAIN.includes(s.key));
+  const before = firstMain > 0 ? sections[firstMain - 1] : null;
+  const block = before && !LINKEDIN_MAIN.includes(before.key) ? before.lines : intro;
+  const tail = block.slice(-4);
+  const locationLine = tail.length >= 2 && LOCATION_LINE_RE.test(clean(tail[tail.length - 1].text)) ? tail[tail.length - 1] : null;
+  const headlineEnd = locationLine ? tail.length - 1 : tail.length;
+  const looksLikeName = (l) => {
+    const words = clean(l.text).split(' ');
+    return words.length >= 2 && words.length <= 4 && words.every((w) => /^\p{Lu}[\p{L}'.-]*$/u.test(w)) && !/[@\d]/.test(l.text);
+  };
+  // The headline between name and location takes one line, two when it wraps
+  const nameLine = [tail[headlineEnd - 2], tail[headlineEnd - 3]].find((l) => l && looksLikeName(l)) || null;
+  if (nameLine && before && block === before.lines) {
+    // The name block isn't part of the sidebar section it follows
+    const cut = block.indexOf(nameLine);
+    before.lines = block.slice(0, cut);
+    before.endLine = cut ? block[cut - 1].index : before.startLine;
+  }
+
+  const contactFields = linkedInContact(linesOf('header'));
+  const summaryLines = linesOf('summary');
+  const skillSections = sections.filter((s) => s.key === 'skills');
+  const headerLines = [nameLine, locationLine, ...linesOf('header')].filter(Boolean).map((l) => l.index);
+  return {
+    contact: {
+      name: nameLine ? clean(nameLine.text) : '',
+      email: contactFields.email,
+      phone: contactFields.phone,
+      location: locationLine ? clean(locationLine.text) : '',
+      links: contactFields.links,
+      lines: headerLines.length ? [Math.min(...headerLines), Math.max(...headerLines)] : [0, 0],
+      confidence: {
+        name: nameLine ? 0.85 : 0,
+        email: contactFields.email ? 0.95 : 0,
+        phone: contactFields.phone ? 0.9 : 0,
+        location: locationLine ? 0.8 : 0,
+        links: contactFields.links.length ? 0.95 : 0,
+      },
+    },
+    summary: summaryLines.length
+      ? { text: summaryLines.map((l) => clean(l.text)).join(' '), lines: [summaryLines[0].index, summaryLines[summaryLines.length - 1].index], confidence: 0.95 }
+      : emptySummary(),
+    positions: linkedInPositions(linesOf('experience')),
+    education: linkedInEducation(linesOf('education')),
+    skills: linesOf('skills').map((l) => ({ name: clean(l.text), category: '', line: l.index })),
+    certifications: linesOf('certifications').map((l) => ({ name: clean(l.text), issuer: '', date: null, line: l.index, confidence: { name: 0.9, issuer: 0, date: 0 } })),
+    projects: [],
+    sections: sections.map(({ key, header, confidence, startLine, endLine }) => ({ key, header, confidence, startLine, endLine })),
+    confidence: { skills: skillSections.length ? 0.95 : 0 },
+  };
+}
+
+export default {
+  isJsonResume,
+  jsonResumeToModel,
+  isLinkedInProfile,
+  linkedInToModel,
+};
@@ -0,0 +1,451 @@
+/**
+ * Structured resume parser
+ * Turns extracted resume text into a typed model (contact, summary, positions,
+ * education, skills, certifications, projects) with a confidence per field, so
+ * scoring, export and editing can work on real sections instead of flat text.
+ *
+ * Every entity keeps `lines` ([first, last] line index in the input) so callers
+ * can point back at the exact resume line.
+ *
+ * Dates are recognised in English, German, Spanish and French ("März 2019 – heute",
+ * "enero 2020 - actualidad"); localized section headers come from ./locales.js
+ * through options.headers.
+ */
+
+export const SECTION_HEADERS = Object.freeze({
+  summary: ['summary', 'professional summary', 'career summary', 'profile', 'professional profile', 'objective', 'career objective', 'about me', 'about'],
+  experience: ['experience', 'work experience', 'professional experience', 'relevant experience', 'employment', 'employment history', 'work history', 'career history', 'professional background'],
+  education: ['education', 'academic background', 'education and training', 'academic qualifications', 'education & training'],
+  skills: ['skills', 'technical skills', 'key skills', 'core skills', 'core competencies', 'competencies', 'technologies', 'tools', 'skills & tools', 'skills and tools', 'areas of expertise', 'expertise', 'tech stack'],
+  certifications: ['certifications', 'certificates', 'certification', 'licenses', 'licenses & certifications', 'licenses and certifications', 'certifications & licenses', 'certifications and licenses'],
+  projects: ['projects', 'personal projects', 'key projects', 'selected projects', 'side projects', 'academic projects'],
+  awards: ['awards', 'honors', 'awards & honors', 'honors & awards', 'achievements'],
+  publications: ['publications', 'papers'],
+  volunteer: ['volunteer', 'volunteering', 'volunteer experience', 'community involvement'],
+  languages: ['languages', 'spoken languages'],
+  interests: ['interests', 'hobbies', 'hobbies & interests'],
+});
+
+const BULLET_RE = /^\s*(?:[•▪●◦‣⁃∙*·]|[-–—](?=\s))\s*/;
+// Month name prefixes (accents stripped) in English, German, Spanish and French
+const MONTH_PREFIXES = {
+  jan: 1, ene: 1, feb: 2, fev: 2, mar: 3, apr: 4, abr: 4, avr: 4, may: 5, mai: 5, jun: 6, juin: 6, jul: 7, juil: 7,
+  aug: 8, ago: 8, aou: 8, sep: 9, set: 9, oct: 10, okt: 10, nov: 11, dec: 12, dez: 12, dic: 12,
+};
+const MONTH_PATTERN = '(?:jan(?:uary|uar|vier|v)?|jänner|ene(?:ro)?|feb(?:ruary|ruar|rero)?|f[ée]v(?:rier|r)?|m[äa]rz|mar(?:ch|zo|s)?|m[äa]r|apr(?:il)?|avr(?:il)?|abr(?:il)?|mayo?|mai|juin|june?|jun[io]o?|juil(?:let)?|july?|jul[io]o?|aug(?:ust)?|ago(?:sto)?|ao[ûu]t|sept?(?:ember|iembre|embre)?|set(?:iembre)?|o[ck]t(?:ober|ubre|obre)?|nov(?:ember|iembre|embre)?|d[eé][cz](?:ember|embre)?|dic(?:iembre)?)\\.?';
+const SEASON_PATTERN = '(?:spring|summer|fall|autumn|winter)';
+const DATE_PATTERN = `(?:(?:${MONTH_PATTERN}|${SEASON_PATTERN}),?\\s+(?:19|20)\\d{2}|(?:0?[1-9]|1[0-2])[/.](?:19|20)\\d{2}|(?:19|20)\\d{2}[/.-](?:0?[1-9]|1[0-2])(?!\\d)|(?:19|20)\\d{2})`;
+const PRESENT_PATTERN = "(?:present|current|currently|now|today|ongoing|date|heute|bis heute|aktuell|derzeit|laufend|actualidad|actualmente|presente|hoy|actual|aujourd['’]hui|à ce jour|présent|actuel|actuellement|en cours)";
+const RANGE_RE = new RegExp(`(${DATE_PATTERN})\\s*(?:-|–|—|~|to|until|through|thru|bis|hasta|a|al|à|au)\\s*(${DATE_PATTERN}|${PRESENT_PATTERN})`, 'gi');
+const SINGLE_DATE_RE = new RegExp(`(?:expected\\s+|graduated\\s+|class of\\s+)?(${DATE_PATTERN})`, 'gi');
+
+const TITLE_WORDS = /\b(engineer|developer|programmer|manager|analyst|designer|intern|director|lead|consultant|specialist|scientist|architect|administrator|coordinator|officer|associate|assistant|head|vp|vice president|president|owner|founder|co-founder|technician|representative|executive|accountant|editor|writer|teacher|nurse|researcher|strategist|supervisor|recruiter|advisor|agent|clerk|operator|partner|principal|fellow|trainee|apprentice|contractor|freelancer)\b/i;
+const COMPANY_SUFFIX = /\b(inc|llc|ltd|limited|corp|corporation|company|co|gmbh|ag|plc|sa|bv)\b\.?$/i;
+const COMPANY_WORDS = /\b(technologies|technology|labs|group|solutions|systems|software|consulting|partners|bank|university|hospital|agency|studio|studios|ventures|holdings|services)\b/i;
+const INSTITUTION_WORDS = /\b(university|college|institute|school|academy|polytechnic|universit[äéy]|hochschule|conservatory)\b/i;
+const DEGREE_RE = /\b(?:[Bb]achelor(?:'s)?(?: of [A-Za-z]+)?|[Mm]aster(?:'s)?(?: of [A-Za-z]+)?|[Aa]ssociate(?:'s)? (?:of|in|degree)(?: [A-Za-z]+)?|[Dd]octor(?:ate)?(?: of [A-Za-z]+)?|[Dd]iploma|(?:High School|GED)|B\.?S\.?c?|B\.?A|B\.?Eng|B\.?Tech|M\.?S\.?c?|M\.?A|M\.?Eng|M\.?Tech|M\.?B\.?A|Ph\.?D)\.?(?=\s|,|$|\)|\|)/;
+const LOCATION_RE = /(?:\b[Rr]emote\b|\b[Hh]ybrid\b|\b[A-Z][a-zA-Z.'-]+(?:\s[A-Z][a-zA-Z.'-]+){0,2},\s*(?:[A-Z]{2}|USA|UK|United States|United Kingdom|Canada|Germany|Deutschland|Spain|España|France|India|Australia|Ireland|Netherlands)\b)/;
+const EMAIL_RE = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/;
+const PHONE_RE = /(?:\+?\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)|\d{2,4})[\s.-]?\d{3,4}[\s.-]?\d{3,4}/;
+const URL_RE = /\b(?:https?:\/\/)?(?:www\.)?(?:[a-z0-9-]+\.)+[a-z]{2,}(?:\/[^\s,;|]*)?/gi;
+const SEPARATORS_RE = /\s*(?:\||•|·|—|–|\s-\s|,\s(?=[A-Z])|\bat\b|@)\s*/;
+
+function clean(line) {
+  return (line || '').replace(/\s+/g, ' ').trim();
+}
+
+function headerKey(line) {
+  return clean(line).toLowerCase().replace(/[:.]+$/, '').replace(/[^\p{L}&'’\s-]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split text into lines with their character offsets
+ * @param {string} text - Resume text
+ * @returns {Array<{index:number, offset:number, text:string}>} Lines
+ */
+export function splitLines(text) {
+  const lines = [];
+  let offset = 0;
+  String(text || '').split('\n').forEach((raw, index) => {
+    lines.push({ index, offset, text: raw.replace(/\r$/, '') });
+    offset += raw.length + 1;
+  });
+  return lines;
+}
+
+/**
+ * Classify a line as a section header
+ * @param {string} line - Line text
+ * @param {Object} [headers] - Section header dictionary (defaults to SECTION_HEADERS)
+ * @returns {{key:string, confidence:number}|null} Section key and confidence
+ */
+export function matchSectionHeader(line, headers = SECTION_HEADERS) {
+  const text = clean(line);
+  if (!text || text.length > 48 || BULLET_RE.test(line)) return null;
+  const key = headerKey(text);
+  if (!key || key.split(' ').length > 5) return null;
+  const isUpper = text === text.toUpperCase() && /[A-Z]/.test(text);
+  for (const [section, names] of Object.entries(headers)) {
+    if (names.includes(key)) return { key: section, confidence: isUpper || /:$/.test(text) ? 0.95 : 0.85 };
+  }
+  if (isUpper) {
+    for (const [section, names] of Object.entries(headers)) {
+      if (names.some((n) => key.includes(n))) return { key: section, confidence: 0.6 };
+    }
+  }
+  return null;
+}
+
+/**
+ * Split lines into sections by header
+ * @param {Array} lines - Output of splitLines
+ * @param {Object} [headers] - Section header dictionary
+ * @returns {Array<{key, header, confidence, startLine, endLine, lines}>} Sections (first may be 'header' for the contact block)
+ */
+export function detectResumeSections(lines, headers = SECTION_HEADERS) {
+  const sections = [];
+  let current = { key: 'header', header: '', confidence: 1, startLine: 0, endLine: 0, lines: [] };
+  for (const line of lines) {
+    const match = matchSectionHeader(line.text, headers);
+    if (match) {
+      if (current.lines.length || current.key !== 'header') sections.push(current);
+      current = { key: match.key, header: clean(line.text), confidence: match.confidence, startLine: line.index, endLine: line.index, lines: [] };
+      continue;
+    }
+    if (clean(line.text)) {
+      current.lines.push(line);
+      current.endLine = line.index;
+    }
+  }
+  if (current.lines.length || current.key !== 'header') sections.push(current);
+  return sections;
+}
+
+/**
+ * Parse a single date token ("Jan 2019", "03/2020", "2018", "Present")
+ * @param {string} token - Date text
+ * @returns {{year:number, month:number|null}|{present:true}|null} Parsed date
+ */
+export function parseDate(token) {
+  const t = clean(token).toLowerCase().replace(/,/g, '');
+  if (!t) return null;
+  if (new RegExp(`^${PRESENT_PATTERN}$`).test(t)) return { present: true };
+  let m = t.match(/^(\p{L}+)\.?\s+((?:19|20)\d{2})$/u);
+  if (m) {
+    const name = m[1].normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const month = MONTH_PREFIXES[name.slice(0, 4)] || MONTH_PREFIXES[name.slice(0, 3)];
+    if (month) return { year: Number(m[2]), month };
+    const season = { winter: 1, spring: 3, summer: 6, fall: 9, autumn: 9 }[m[1]];
+    if (season) return { year: Number(m[2]), month: season };
+    return null;
+  }
+  m = t.match(/^(\d{1,2})[/.](\d{4})$/);
+  if (m) return { year: Number(m[2]), month: Number(m[1]) };
+  m = t.match(/^(\d{4})[/.-](\d{1,2})$/);
+  if (m) return { year: Number(m[1]), month: Number(m[2]) };
+  m = t.match(/^(\d{4})$/);
+  if (m) return { year: Number(m[1]), month: null };
+  return null;
+}
+
+/**
+ * Find employment-style date ranges in a string
+ * @param {string} text - Text to scan
+ * @returns {Array<{start, end, current:boolean, text:string, index:number}>} Date ranges
+ */
+export function findDateRanges(text) {
+  const ranges = [];
+  const source = String(text || '');
+  RANGE_RE.lastIndex = 0;
+  let m;
+  while ((m = RANGE_RE.exec(source))) {
+    const start = parseDate(m[1]);
+    const endRaw = parseDate(m[2]);
+    if (!start || start.present || !endRaw) continue;
+    const current = !!endRaw.present;
+    ranges.push({ start, end: current ? null : endRaw, current, text: m[0], index: m.index });
+  }
+  return ranges;
+}
+
+function findSingleDate(text) {
+  SINGLE_DATE_RE.lastIndex = 0;
+  const m = SINGLE_DATE_RE.exec(String(text || ''));
+  if (!m) return null;
+  const date = parseDate(m[1]);
+  return date && !date.present ? { date, text: m[0], index: m.index } : null;
+}
+
+function stripText(line, fragment) {
+  return clean(line.replace(fragment, ' ').replace(/[(|,–—-]\s*$/, '').replace(/^\s*[)|,–—-]/, '').replace(/\(\s*\)/g, ''));
+}
+
+function isBullet(text) {
+  return BULLET_RE.test(text);
+}
+
+function bulletText(text) {
+  return clean(text.replace(BULLET_RE, ''));
+}
+
+// Group a section's lines into entries: header lines followed by bullets
+function groupEntries(lines, startsEntry) {
+  const entries = [];
+  let current = null;
+  for (const line of lines) {
+    const text = line.text;
+    const bullet = isBullet(text) || (current && current.header.length && clean(text).length > 100);
+    if (bullet) {
+      if (!current) current = { header: [], bullets: [] };
+      current.bullets.push(line);
+      continue;
+    }
+    if (!current || current.bullets.length || startsEntry(line, current)) {
+      if (current) entries.push(current);
+      current = { header: [], bullets: [] };
+    }
+    current.header.push(line);
+  }
+  if (current) entries.push(current);
+  return entries;
+}
+
+function entryLines(entry) {
+  const all = [...entry.header, ...entry.bullets].map((l) => l.index);
+  return all.length ? [Math.min(...all), Math.max(...all)] : [0, 0];
+}
+
+function toBullets(lines) {
+  return lines.map((l) => ({ text: bulletText(l.text), line: l.index, offset: l.offset }));
+}
+
+function parsePosition(entry) {
+  const headerText = entry.header.map((l) => clean(l.text));
+  let range = null;
+  let location = '';
+  const parts = [];
+  headerText.forEach((line) => {
+    const found = findDateRanges(line)[0];
+    let rest = line;
+    if (found && !range) {
+      range = found;
+      rest = stripText(rest, found.text);
+    }
+    const place = rest.match(LOCATION_RE);
+    if (place && !location) {
+      location = place[0];
+      rest = stripText(rest, place[0]);
+    }
+    rest.split(SEPARATORS_RE).map(clean).filter(Boolean).forEach((p) => parts.push(p));
+  });
+
+  let title = '';
+  let company = '';
+  const confidence = { title: 0, company: 0, location: location ? 0.8 : 0, dates: range ? 0.9 : 0 };
+  let remaining = parts;
+  const titlePart = remaining.find((p) => TITLE_WORDS.test(p) && !COMPANY_SUFFIX.test(p));
+  if (titlePart) {
+    title = titlePart;
+    confidence.title = 0.9;
+    remaining = remaining.filter((p) => p !== titlePart);
+  }
+  const companyPart = remaining.find((p) => COMPANY_SUFFIX.test(p)) || remaining.find((p) => COMPANY_WORDS.test(p));
+  if (companyPart) {
+    company = companyPart;
+    confidence.company = COMPANY_SUFFIX.test(companyPart) ? 0.9 : 0.75;
+    remaining = remaining.filter((p) => p !== companyPart);
+  }
+  if (!title && remaining.length) {
+    title = remaining.shift();
+    confidence.title = 0.5;
+  }
+  if (!company && remaining.length) {
+    company = remaining.shift();
+    confidence.company = 0.5;
+  }
+
+  return {
+    title,
+    company,
+    location,
+    startDate: range ? range.start : null,
+    endDate: range ? range.end : null,
+    current: range ? range.current : false,
+    dateText: range ? range.text : '',
+    bullets: toBullets(entry.bullets),
+    lines: entryLines(entry),
+    confidence,
+  };
+}
+
+function parseEducation(entry) {
+  const text = [...entry.header, ...entry.bullets].map((l) => bulletText(l.text)).join(' | ');
+  const range = findDateRanges(text)[0] || null;
+  const single = range ? null : findSingleDate(text);
+  const degreeMatch = text.match(DEGREE_RE);
+  const parts = text.split(SEPARATORS_RE).map(clean).filter(Boolean);
+  const institution = parts.find((p) => INSTITUTION_WORDS.test(p)) || '';
+  const degreeLine = degreeMatch ? parts.find((p) => DEGREE_RE.test(p)) || degreeMatch[0] : '';
+  const fieldMatch = degreeLine.match(/\b(?:in|of)\s+([A-Z][A-Za-z&,\s]+?)(?=\s*(?:\(|,|\||$|\d))/);
+  const gpaMatch = text.match(/\bgpa[:\s]*([0-4]\.\d{1,2})(?:\s*\/\s*([0-9.]+))?/i);
+  return {
+    institution,
+    degree: clean(degreeLine.replace(/\(.*?\)/g, '').split(/\s*(?:,|;|\bgpa\b|(?:19|20)\d{2})/i)[0]),
+    field: fieldMatch ? clean(fieldMatch[1]) : '',
+    startDate: range ? range.start : null,
+    endDate: range ? range.end : single ? single.date : null,
+    gpa: gpaMatch ? Number(gpaMatch[1]) : null,
+    lines: entryLines(entry),
+    confidence: {
+      institution: institution ? 0.85 : 0,
+      degree: degreeMatch ? 0.85 : 0,
+      field: fieldMatch ? 0.6 : 0,
+      dates: range || single ? 0.8 : 0,
+    },
+  };
+}
+
+function parseSkills(section) {
+  const skills = [];
+  for (const line of section.lines) {
+    let text = bulletText(line.text);
+    const labelled = text.match(/^(\p{L}[\p{L} &/-]{1,40}):\s*(.+)$/u);
+    const category = labelled ? clean(labelled[1]) : '';
+    if (labelled) text = labelled[2];
+    text.split(/\s*(?:,|;|\||•|·|•|\s{2,}|\t)\s*/).map(clean).filter((s) => s && s.length <= 48).forEach((name) => {
+      skills.push({ name, category, line: line.index });
+    });
+  }
+  return skills;
+}
+
+function parseCertifications(section) {
+  return section.lines.map((line) => {
+    const text = bulletText(line.text);
+    const dated = findSingleDate(text);
+    const rest = dated ? stripText(text, dated.text) : text;
+    const [name, issuer = ''] = rest.split(/\s*(?:\||—|–|\s-\s|,\s(?=[A-Z])|\bby\b|\bfrom\b)\s*/).map(clean);
+    return {
+      name: name || rest,
+      issuer,
+      date: dated ? dated.date : null,
+      line: line.index,
+      confidence: { name: 0.85, issuer: issuer ? 0.6 : 0, date: dated ? 0.8 : 0 },
+    };
+  });
+}
+
+function parseProjects(section) {
+  return groupEntries(section.lines, () => false).map((entry) => {
+    const header = entry.header.map((l) => clean(l.text)).join(' | ');
+    const range = findDateRanges(header)[0] || null;
+    const base = range ? stripText(header, range.text) : header;
+    const [name, ...rest] = base.replace(/\(.*?\)/g, ' ').split(SEPARATORS_RE).map(clean).filter(Boolean);
+    const techMatch = [header, ...entry.bullets.map((l) => l.text)].join(' ').match(/(?:tech(?:nologies)?|stack|tools|built with)\s*[:\-]\s*([^|\n]+)/i) || base.match(/\(([^)]+)\)/);
+    return {
+      name: name || '',
+      description: rest.join(' — '),
+      technologies: techMatch ? techMatch[1].split(/\s*[,/;]\s*/).map(clean).filter(Boolean) : [],
+      startDate: range ? range.start : null,
+      endDate: range ? range.end : null,
+      bullets: toBullets(entry.bullets),
+      lines: entryLines(entry),
+      confidence: { name: name ? 0.7 : 0, technologies: techMatch ? 0.7 : 0 },
+    };
+  });
+}
+
+function parseContact(lines) {
+  const top = lines.slice(0, 8);
+  const joined = top.map((l) => l.text).join(' \n ');
+  const email = (joined.match(EMAIL_RE) || [''])[0];
+  const withoutEmail = joined.replace(EMAIL_RE, ' ');
+  const phoneMatch = withoutEmail.replace(URL_RE, ' ').match(PHONE_RE);
+  const phone = phoneMatch && phoneMatch[0].replace(/\D/g, '').length >= 7 ? clean(phoneMatch[0]) : '';
+  const links = (withoutEmail.match(URL_RE) || []).filter((u) => /[a-z]\.[a-z]/i.test(u) && !/^\d/.test(u));
+  const nameLine = top.find((l) => {
+    const t = clean(l.text);
+    return t && !/[@\d|/]/.test(t) && t.split(' ').length >= 2 && t.split(' ').length <= 4 && t.split(' ').every((w) => /^\p{Lu}[\p{L}'.-]*$/u.test(w) || /^\p{Lu}+$/u.test(w));
+  });
+  const locationLine = top.map((l) => clean(l.text)).flatMap((t) => t.split(/\s*[|•·]\s*/)).find((t) => LOCATION_RE.test(t) && !EMAIL_RE.test(t) && t.length < 48 && !/\d{3}/.test(t));
+  return {
+    name: nameLine ? clean(nameLine.text) : '',
+    email,
+    phone,
+    location: locationLine ? (locationLine.match(LOCATION_RE) || [''])[0] : '',
+    links,
+    lines: top.length ? [top[0].index, top[top.length - 1].index] : [0, 0],
+    confidence: {
+      name: nameLine ? (nameLine === top[0] ? 0.9 : 0.7) : 0,
+      email: email ? 0.95 : 0,
+      phone: phone ? 0.8 : 0,
+      location: locationLine ? 0.6 : 0,
+      links: links.length ? 0.8 : 0,
+    },
+  };
+}
+
+/**
+ * Parse resume text into a structured model
+ * @param {string} text - Extracted resume text
+ * @param {Object} [options] - { headers } to override the section header dictionary
+ * @returns {Object} Resume model { contact, summary, positions, education, skills, certifications, projects, sections }
+ */
+export function parseResume(text, options = {}) {
+  const lines = splitLines(text);
+  const sections = detectResumeSections(lines, options.headers || SECTION_HEADERS);
+  const byKey = (key) => sections.filter((s) => s.key === key);
+  const linesOf = (key) => byKey(key).flatMap((s) => s.lines);
+
+  const headerSection = byKey('header')[0];
+  const contact = parseContact(headerSection ? headerSection.lines : lines.filter((l) => clean(l.text)));
+
+  let summary = { text: '', lines: [0, 0], confidence: 0 };
+  const summaryLines = linesOf('summary');
+  if (summaryLines.length) {
+    summary = { text: summaryLines.map((l) => bulletText(l.text)).join(' '), lines: [summaryLines[0].index, summaryLines[summaryLines.length - 1].index], confidence: 0.9 };
+  } else if (headerSection) {
+    const paragraph = headerSection.lines.filter((l) => clean(l.text).split(' ').length >= 15);
+    if (paragraph.length) summary = { text: paragraph.map((l) => clean(l.text)).join(' '), lines: [paragraph[0].index, paragraph[paragraph.length - 1].index], confidence: 0.4 };
+  }
+
+  const startsPosition = (line, current) => current.header.some((l) => findDateRanges(l.text).length) && findDateRanges(line.text).length > 0;
+  const positions = groupEntries(linesOf('experience'), startsPosition)
+    .map(parsePosition)
+    .filter((p) => p.title || p.company || p.bullets.length);
+
+  const startsEducation = (line, current) => {
+    const has = (re) => current.header.some((l) => re.test(l.text));
+    return (INSTITUTION_WORDS.test(line.text) && has(INSTITUTION_WORDS)) || (DEGREE_RE.test(line.text) && has(DEGREE_RE));
+  };
+  const education = groupEntries(linesOf('education'), startsEducation)
+    .map(parseEducation)
+    .filter((e) => e.institution || e.degree);
+
+  const skillSections = byKey('skills');
+  const skills = skillSections.flatMap(parseSkills);
+
+  return {
+    contact,
+    summary,
+    positions,
+    education,
+    skills,
+    certifications: byKey('certifications').flatMap(parseCertifications),
+    projects: byKey('projects').flatMap(parseProjects),
+    sections: sections.map(({ key, header, confidence, startLine, endLine }) => ({ key, header, confidence, startLine, endLine })),
+    confidence: {
+      skills: skillSections.length ? Math.max(...skillSections.map((s) => s.confidence)) : 0,
+    },
+  };
+}
+
+export default {
+  parseResume,
+  parseDate,
+  findDateRanges,
+  detectResumeSections,
+  matchSectionHeader,
+  splitLines,
+  SECTION_HEADERS,
+};
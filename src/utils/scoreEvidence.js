@@ -0,0 +1,120 @@
+/**
+ * Score evidence trace
+ * Turns the per-item evidence each sub-score records into points on the final
+ * 0-100 scale and locates every item in the resume and job description, so the
+ * UI can answer "why is my score 62" and jump to the exact resume line.
+ *
+ * Item shape coming from the scoring engine:
+ *   { label, group, status, share, max, jd?, match?, line?, lines? }
+ * share/max are fractions of the sub-score (0..1); points = weight * share * 100.
+ */
+
+const CATEGORY_PARTS = Object.freeze({
+  keywords: (p) => p.kw.evidence,
+  sections: (p) => p.sec.evidence,
+  formatting: (p) => p.fmt.evidence,
+  experience: (p) => p.exp.evidence,
+  education: (p) => p.edu.evidence,
+  skills: (p) => p.skl.evidence,
+  recency: (p) => p.exp.recencyEvidence,
+});
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a locator over a text that finds phrases and reports line/offset
+ * @param {string} text - Source text
+ * @returns {Function} (phrase) => { line, offset, length, text } | null
+ */
+export function createLocator(text) {
+  const source = String(text || '');
+  const lower = source.toLowerCase();
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) if (source[i] === '\n') lineStarts.push(i + 1);
+
+  const lineAt = (offset) => {
+    let lo = 0;
+    let hi = lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (lineStarts[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
+  };
+  const lineText = (line) => {
+    const start = lineStarts[line];
+    const end = line + 1 < lineStarts.length ? lineStarts[line + 1] - 1 : source.length;
+    return source.slice(start, end).trim();
+  };
+
+  const locate = (phrase) => {
+    const needle = String(phrase || '').toLowerCase().trim();
+    if (!needle) return null;
+    const bounded = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(needle)}(?![\\p{L}\\p{N}])`, 'u').exec(lower);
+    const offset = bounded ? bounded.index + bounded[1].length : lower.indexOf(needle);
+    if (offset < 0) return null;
+    const line = lineAt(offset);
+    return { line, offset, length: needle.length, text: lineText(line) };
+  };
+  locate.line = (line) => (line >= 0 && line < lineStarts.length ? { line, offset: lineStarts[line], length: 0, text: lineText(line) } : null);
+  return locate;
+}
+
+/**
+ * Build the evidence trace for a scored resume
+ * @param {Object} params - { resumeText, jobText, parts, weights, rules }
+ *   rules: custom rule results (scoringRules.runScoringRules); each becomes a category keyed by
+ *   rule id, weighted by the rule's weight and labelled with its name
+ * @returns {Object} Per category: { weight, score, points, maxPoints, items, label? }; maxPoints is the
+ *   category's full weight, which some items (e.g. optional keywords the JD never lists) cannot reach
+ */
+export function buildScoreEvidence({ resumeText, jobText, parts, weights, rules = [] }) {
+  const inResume = createLocator(resumeText);
+  const inJob = createLocator(jobText);
+  const trace = {};
+  const categories = [
+    ...Object.entries(CATEGORY_PARTS).map(([category, pick]) => ({ category, weight: weights[category] || 0, raw: pick(parts) || [] })),
+    ...rules.filter((r) => !r.error).map((r) => ({ category: r.id, weight: r.weight, raw: r.evidence, label: r.name })),
+  ];
+
+  categories.forEach(({ category, weight, raw, label }) => {
+    const items = raw.map((item) => {
+      let resume = null;
+      if (Array.isArray(item.lines)) resume = inResume.line(item.lines[0]);
+      else if (typeof item.line === 'number') resume = inResume.line(item.line);
+      if (!resume && item.match) resume = inResume(item.match);
+      return {
+        label: item.label,
+        group: item.group || null,
+        status: item.status,
+        points: round1(weight * item.share * 100),
+        maxPoints: round1(weight * item.max * 100),
+        jd: item.jd ? { phrase: item.jd, ...(inJob(item.jd) || {}) } : null,
+        resume,
+      };
+    });
+    const share = raw.reduce((sum, i) => sum + i.share, 0);
+    trace[category] = {
+      weight,
+      score: Math.round(Math.min(1, share) * 100),
+      points: round1(weight * Math.min(1, share) * 100),
+      maxPoints: round1(weight * 100),
+      items,
+      ...(label ? { label } : {}),
+    };
+  });
+
+  return trace;
+}
+
+export default {
+  buildScoreEvidence,
+  createLocator,
+};
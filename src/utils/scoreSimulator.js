@@ -0,0 +1,187 @@
+/**
+ * What-if score simulator
+ * Applies hypothetical edits to the resume text and re-scores it with
+ * scoreResume, so the UI can show the projected effect of each change
+ * ("adding 'Terraform' to Skills: +4 points") and of a set of changes combined
+ * before the user edits anything.
+ *
+ * Edits:
+ *   { type: 'add-keyword', keyword, section = 'skills' }  append to a section (created if missing)
+ *   { type: 'add-bullet', text, position = 0 }             add a bullet to a role (index or title/company text)
+ *   { type: 'rename-header', from, to }                    rename a section header (section key or header text)
+ *   { type: 'replace-text', find, replace }                replace the first occurrence of a phrase
+ *
+ * Sections are found with the resume language's headers ("Kenntnisse", "Compétences"),
+ * the same ones scoreResume parsed the resume with.
+ */
+
+import { scoreResume } from './atsScoring';
+import { parseResume, splitLines } from './resumeParser';
+import { resumeHeadersFor } from './locales';
+
+// Upper bound for keywordSuggestions: each suggestion is a full re-score
+const MAX_KEYWORD_SUGGESTIONS = 15;
+// Reuse the role's own bullet glyph so the added line parses like its siblings
+const BULLET_GLYPH_RE = /^\s*([•▪●◦‣⁃∙*·]|[-–—])\s/;
+
+const SECTION_TITLES = {
+  skills: 'Skills',
+  summary: 'Summary',
+  experience: 'Experience',
+  education: 'Education',
+  certifications: 'Certifications',
+  projects: 'Projects',
+};
+
+function findSection(model, name) {
+  const key = String(name || '').toLowerCase();
+  return model.sections.find((s) => s.key === key) || model.sections.find((s) => s.header.toLowerCase() === key) || null;
+}
+
+function findPosition(model, selector) {
+  if (typeof selector === 'number') return model.positions[selector] || null;
+  const needle = String(selector || '').toLowerCase();
+  return model.positions.find((p) => `${p.title} ${p.company}`.toLowerCase().includes(needle)) || null;
+}
+
+function insertAfter(lines, index, text) {
+  return [...lines.slice(0, index + 1), text, ...lines.slice(index + 1)];
+}
+
+/**
+ * Apply one hypothetical edit to resume text
+ * @param {string} resumeText - Resume text
+ * @param {Object} edit - Edit descriptor (see module header)
+ * @param {Object} [options] - { locale } resume language for section headers (default 'en')
+ * @returns {string} Edited resume text
+ */
+export function applyEdit(resumeText, edit, options = {}) {
+  const text = String(resumeText || '');
+  const lines = splitLines(text).map((l) => l.text);
+  const model = parseResume(text, { headers: resumeHeadersFor(options.locale) });
+
+  switch (edit && edit.type) {
+    case 'add-keyword': {
+      const keyword = String(edit.keyword || '').trim();
+      if (!keyword) throw new Error('add-keyword edit requires a keyword');
+      const sectionName = edit.section || 'skills';
+      const section = findSection(model, sectionName);
+      if (!section) {
+        const title = SECTION_TITLES[sectionName] || sectionName;
+        return `${text.replace(/\s+$/, '')}\n\n${title}\n${keyword}`;
+      }
+      const last = section.endLine;
+      if (last === section.startLine) return insertAfter(lines, last, keyword).join('\n');
+      const separator = sectionName === 'skills' ? ', ' : ' ';
+      lines[last] = `${lines[last].replace(/[\s,;.]+$/, '')}${separator}${keyword}`;
+      return lines.join('\n');
+    }
+    case 'add-bullet': {
+      const bullet = String(edit.text || '').trim();
+      if (!bullet) throw new Error('add-bullet edit requires text');
+      const position = findPosition(model, edit.position ?? 0);
+      if (!position) throw new Error(`No role matches "${edit.position}"`);
+      const glyph = (lines[position.lines[1]].match(BULLET_GLYPH_RE) || [null, '-'])[1];
+      return insertAfter(lines, position.lines[1], `${glyph} ${bullet}`).join('\n');
+    }
+    case 'rename-header': {
+      const section = findSection(model, edit.from);
+      if (!section || section.key === 'header') throw new Error(`No section header matches "${edit.from}"`);
+      lines[section.startLine] = String(edit.to || '').trim();
+      return lines.join('\n');
+    }
+    case 'replace-text': {
+      if (!edit.find) throw new Error('replace-text edit requires find');
+      if (!text.includes(edit.find)) throw new Error(`Text not found: "${edit.find}"`);
+      return text.replace(edit.find, String(edit.replace ?? ''));
+    }
+    default:
+      throw new Error(`Unknown edit type: ${edit && edit.type}`);
+  }
+}
+
+/**
+ * Human-readable label for an edit
+ * @param {Object} edit - Edit descriptor
+ * @returns {string} Label
+ */
+export function describeEdit(edit) {
+  switch (edit && edit.type) {
+    case 'add-keyword':
+      return `Add "${edit.keyword}" to ${SECTION_TITLES[edit.section || 'skills'] || edit.section}`;
+    case 'add-bullet':
+      return `Add bullet "${edit.text}"`;
+    case 'rename-header':
+      return `Rename "${edit.from}" to "${edit.to}"`;
+    case 'replace-text':
+      return `Replace "${edit.find}" with "${edit.replace}"`;
+    default:
+      return 'Unknown edit';
+  }
+}
+
+function breakdownDelta(after, before) {
+  const delta = {};
+  Object.keys(after).forEach((key) => {
+    delta[key] = after[key] - (before[key] || 0);
+  });
+  return delta;
+}
+
+/**
+ * Project the score effect of hypothetical edits
+ * @param {Object} base - { resumeText, jobText, options, result } (result: scoreResume output for the unedited resume; computed when omitted)
+ * @param {Array<Object>} edits - Edit descriptors
+ * @returns {Object} { baseScore, edits: [{ edit, label, score, delta, breakdownDelta, error }], combined: { score, delta, breakdownDelta, resumeText } }
+ */
+export function simulateEdits(base, edits = []) {
+  const { resumeText, jobText, options } = base || {};
+  if (!resumeText || !jobText) throw new Error('Resume text and job description are required');
+  const baseResult = (base && base.result) || scoreResume(resumeText, jobText, options);
+
+  const project = (text) => {
+    const result = scoreResume(text, jobText, options);
+    return { score: result.score, delta: result.score - baseResult.score, breakdownDelta: breakdownDelta(result.breakdown, baseResult.breakdown) };
+  };
+
+  const editOptions = { locale: baseResult.language?.resume };
+  let combinedText = resumeText;
+  const results = edits.map((edit) => {
+    const label = describeEdit(edit);
+    try {
+      const edited = applyEdit(resumeText, edit, editOptions);
+      combinedText = applyEdit(combinedText, edit, editOptions);
+      return { edit, label, ...project(edited), error: null };
+    } catch (error) {
+      return { edit, label, score: baseResult.score, delta: 0, breakdownDelta: {}, error: error.message };
+    }
+  });
+
+  const applied = results.filter((r) => !r.error);
+  const combined = applied.length ? { ...project(combinedText), resumeText: combinedText } : { score: baseResult.score, delta: 0, breakdownDelta: {}, resumeText };
+  return { baseScore: baseResult.score, edits: results, combined };
+}
+
+/**
+ * Projected gain of adding each missing JD keyword to the Skills section
+ * @param {Object} base - { resumeText, jobText, options, result }
+ * @param {Object} [options] - { limit } max keywords to simulate
+ * @returns {Array<{keyword, score, delta, edit}>} One entry per missing keyword, largest gain first
+ */
+export function keywordSuggestions(base, options = {}) {
+  const { limit = MAX_KEYWORD_SUGGESTIONS } = options;
+  const baseResult = (base && base.result) || scoreResume(base.resumeText, base.jobText, base.options);
+  const missing = (baseResult.keywordCoverage.missing || []).slice(0, limit);
+  const { edits } = simulateEdits({ ...base, result: baseResult }, missing.map((keyword) => ({ type: 'add-keyword', keyword, section: 'skills' })));
+  return edits
+    .filter((e) => !e.error)
+    .map((e) => ({ keyword: e.edit.keyword, score: e.score, delta: e.delta, edit: e.edit }))
+    .sort((a, b) => b.delta - a.delta);
+}
+
+export default {
+  applyEdit,
+  describeEdit,
+  simulateEdits,
+  keywordSuggestions,
+};
@@ -0,0 +1,177 @@
+/**
+ * Promise-based client for the scoring worker (./scoringWorker.js)
+ * Every call returns a promise for the handler result. Calls that share a
+ * channel supersede each other: when a newer request on the channel is queued
+ * before an older one starts, the older promise rejects with an error whose
+ * `superseded` flag is set (ignore those in UI code).
+ *
+ * Where Web Workers are unavailable (SSR, tests) or the options cannot be
+ * cloned (e.g. a custom ontology object), requests run in-thread on the next
+ * tick with the same handlers, so callers never need two code paths.
+ *
+ * The worker has its own module instance, so it does not see profiles and rules
+ * registered on this thread: a registered profile id is sent as the profile
+ * itself, and requests using a registered rule (which holds functions) run in-thread.
+ */
+
+import { createScoringHandlers } from './scoringHandlers';
+import { SCORING_PROFILES, resolveScoringProfile } from './scoringProfiles';
+import { BUILT_IN_RULES } from './scoringRules';
+
+function supersededError() {
+  const error = new Error('Superseded by a newer scoring request');
+  error.superseded = true;
+  return error;
+}
+
+// Options as the worker can resolve them, or null when the request must run in-thread
+function workerOptions(options) {
+  if (!options) return options;
+  let { profile } = options;
+  if (typeof profile === 'string' && !SCORING_PROFILES[profile]) {
+    try {
+      profile = resolveScoringProfile(profile);
+    } catch (error) {
+      return null; // unknown id or bad JSON: report the error from the in-thread run
+    }
+  }
+  const profileRules = profile && typeof profile === 'object' ? profile.rules || [] : [];
+  const customRule = [...(options.rules || []), ...profileRules].some((rule) => typeof rule === 'string' && !BUILT_IN_RULES[rule]);
+  if (customRule) return null;
+  return profile === options.profile ? options : { ...options, profile };
+}
+
+function createWorker() {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return new Worker(new URL('./scoringWorker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    console.warn('Scoring worker unavailable, scoring on the main thread:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Create a scoring client
+ * @param {Object} [options] - { worker } pass false to force in-thread scoring
+ * @returns {Object} { score, suggestions, simulate, terminate, usesWorker }
+ */
+export function createScoringClient(options = {}) {
+  let worker = options.worker === false ? null : createWorker();
+  let local = null;
+  let nextId = 1;
+  const pending = new Map();
+  const latest = new Map();
+
+  const settle = (id, fn) => {
+    const entry = pending.get(id);
+    if (!entry) return;
+    pending.delete(id);
+    fn(entry);
+  };
+
+  const runLocally = (id, type, payload, channel) => {
+    local = local || createScoringHandlers();
+    setTimeout(() => {
+      if (channel && latest.get(channel) !== id) {
+        settle(id, ({ reject }) => reject(supersededError()));
+        return;
+      }
+      try {
+        if (!local[type]) throw new Error(`Unknown scoring request: ${type}`);
+        const result = local[type](payload);
+        settle(id, ({ resolve }) => resolve(result));
+      } catch (error) {
+        settle(id, ({ reject }) => reject(error));
+      }
+    }, 0);
+  };
+
+  if (worker) {
+    worker.onmessage = (event) => {
+      const { id, result, error, superseded } = event.data || {};
+      if (superseded) settle(id, ({ reject }) => reject(supersededError()));
+      else if (error) settle(id, ({ reject }) => reject(new Error(error)));
+      else settle(id, ({ resolve }) => resolve(result));
+    };
+    worker.onerror = (event) => {
+      console.error('Scoring worker error:', event.message);
+      pending.forEach(({ reject }) => reject(new Error(event.message || 'Scoring worker failed')));
+      pending.clear();
+      worker.terminate();
+      worker = null;
+    };
+  }
+
+  const request = (type, payload, channel) => new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject });
+    if (channel) latest.set(channel, id);
+    const options = worker ? workerOptions(payload.options) : null;
+    if (worker && options !== null) {
+      try {
+        worker.postMessage({ id, type, payload: { ...payload, options }, channel });
+        return;
+      } catch (error) {
+        // DataCloneError: options hold functions (custom ontology); score in-thread instead
+      }
+    }
+    runLocally(id, type, payload, channel);
+  });
+
+  return {
+    /**
+     * Score a resume against a job description
+     * @param {string} resumeText - Resume text
+     * @param {string} jobText - Job description text
+     * @param {Object} [scoreOptions] - scoreResume options
+     * @param {Object} [requestOptions] - { channel } defaults to 'score'; null disables superseding
+     * @returns {Promise<Object>} scoreResume result (meta.cache.result is true when the previous result was reused)
+     */
+    score(resumeText, jobText, scoreOptions = {}, requestOptions = {}) {
+      const { channel = 'score' } = requestOptions;
+      return request('score', { resumeText, jobText, options: scoreOptions }, channel);
+    },
+    /**
+     * Projected gain for each missing keyword (see scoreSimulator.keywordSuggestions)
+     * @returns {Promise<Array>} Suggestions, largest gain first
+     */
+    suggestions(resumeText, jobText, scoreOptions = {}, requestOptions = {}) {
+      const { channel = 'suggestions', limit } = requestOptions;
+      return request('suggestions', { resumeText, jobText, options: scoreOptions, limit }, channel);
+    },
+    /**
+     * Project the effect of hypothetical edits (see scoreSimulator.simulateEdits)
+     * @returns {Promise<Object>} { baseScore, edits, combined }
+     */
+    simulate(resumeText, jobText, edits, scoreOptions = {}, requestOptions = {}) {
+      const { channel = 'simulate' } = requestOptions;
+      return request('simulate', { resumeText, jobText, options: scoreOptions, edits }, channel);
+    },
+    terminate() {
+      if (worker) worker.terminate();
+      worker = null;
+      pending.forEach(({ reject }) => reject(new Error('Scoring client terminated')));
+      pending.clear();
+    },
+    get usesWorker() {
+      return !!worker;
+    },
+  };
+}
+
+let sharedClient = null;
+
+/**
+ * App-wide client, so every view shares one worker and its JD cache
+ * @returns {Object} Scoring client
+ */
+export function getScoringClient() {
+  if (!sharedClient) sharedClient = createScoringClient();
+  return sharedClient;
+}
+
+export default {
+  createScoringClient,
+  getScoringClient,
+};
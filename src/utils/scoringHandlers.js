@@ -0,0 +1,55 @@
+/**
+ * Scoring request handlers with result reuse
+ * Remembers the previous request: repeating an identical one returns the
+ * previous result without scoring. Otherwise scoreResume runs, reusing the
+ * cached JD analysis and the per-bullet scores of untouched roles; the rest of
+ * the resume side is scored again in full.
+ *
+ * The result's `meta.cache` gains `result`: true when the previous result was returned as is.
+ * Shared by the scoring worker and the in-thread fallback of the scoring client.
+ */
+
+import { scoreResume } from './atsScoring';
+import { keywordSuggestions, simulateEdits } from './scoreSimulator';
+
+/**
+ * Create a scorer that remembers its previous request
+ * @returns {{score: Function, reset: Function}} score(resumeText, jobText, options) => scoreResume result
+ */
+export function createCachedScorer() {
+  let last = null;
+
+  return {
+    score(resumeText, jobText, options = {}) {
+      const optionsKey = JSON.stringify(options);
+      if (last && last.jobText === jobText && last.optionsKey === optionsKey && last.resumeText === resumeText) {
+        return { ...last.result, meta: { ...last.result.meta, cache: { ...last.result.meta.cache, job: true, result: true } } };
+      }
+      const result = scoreResume(resumeText, jobText, options);
+      result.meta.cache.result = false;
+      last = { resumeText, jobText, optionsKey, result };
+      return result;
+    },
+    reset() {
+      last = null;
+    },
+  };
+}
+
+/**
+ * Request handlers shared by the worker and the in-thread fallback
+ * @param {Object} [scorer] - Cached scorer (created when omitted)
+ * @returns {Object<string, Function>} { score, suggestions, simulate } keyed by request type
+ */
+export function createScoringHandlers(scorer = createCachedScorer()) {
+  return {
+    score: ({ resumeText, jobText, options }) => scorer.score(resumeText, jobText, options),
+    suggestions: ({ resumeText, jobText, options, limit }) => keywordSuggestions({ resumeText, jobText, options }, { limit }),
+    simulate: ({ resumeText, jobText, options, edits }) => simulateEdits({ resumeText, jobText, options }, edits),
+  };
+}
+
+export default {
+  createCachedScorer,
+  createScoringHandlers,
+};
@@ -0,0 +1,170 @@
+/**
+ * ATS scoring profiles
+ * Named emulations of how different applicant tracking systems rank resumes:
+ * category weights, keyword matching rules, expected sections and knockout
+ * criteria. Select one with scoreResume(resume, jd, { profile: 'strict-exact-match' })
+ * or pass a custom profile object / JSON string.
+ *
+ * Custom profile JSON:
+ *   {
+ *     "id": "my-ats", "name": "My ATS", "extends": "default",
+ *     "weights": { "keywords": 0.5, ... },
+ *     "matching": { "aliases": false, "stems": true, "partialCredit": 0.5 },
+ *     "sections": { "required": ["experience", "skills"], "optional": ["projects"] },
+ *     "knockouts": { "minRequiredCoverage": 0.5, "minYearsRatio": 1, "requireDegree": true, "requiredSections": ["experience"], "hardRequirements": true, "capScore": 35 },
+ *     "rules": ["github-link", "max-two-pages"]
+ *   }
+ * "rules" lists custom scoring rules by id (./scoringRules.js); options.rules adds more per call.
+ * Omitted keys are inherited from the profile named in "extends".
+ * Sections are named by the section keys of ./resumeParser.js; a header name ("work experience")
+ * counts as its key.
+ */
+
+const WEIGHT_KEYS = ['keywords', 'sections', 'formatting', 'experience', 'education', 'skills', 'recency'];
+
+const BASE_SECTIONS = Object.freeze({
+  required: ['summary', 'experience', 'education', 'skills'],
+  optional: ['projects', 'certifications', 'awards', 'publications'],
+});
+
+const NO_KNOCKOUTS = Object.freeze({ minRequiredCoverage: null, minYearsRatio: null, requireDegree: false, requiredSections: [], hardRequirements: false, capScore: 40 });
+
+export const SCORING_PROFILES = Object.freeze({
+  default: {
+    id: 'default',
+    name: 'Balanced',
+    description: 'General-purpose weighting with alias and stem matching.',
+    weights: {},
+    matching: { aliases: true, stems: true, partialCredit: 0.5 },
+    sections: BASE_SECTIONS,
+    knockouts: NO_KNOCKOUTS,
+  },
+  'strict-exact-match': {
+    id: 'strict-exact-match',
+    name: 'Strict exact match',
+    description: 'Older keyword-counting systems: only verbatim JD terms count, no synonyms or word variants.',
+    weights: { keywords: 0.5, sections: 0.1, formatting: 0.08, experience: 0.12, education: 0.06, skills: 0.1, recency: 0.04 },
+    matching: { aliases: false, stems: false, partialCredit: 0 },
+    sections: BASE_SECTIONS,
+    knockouts: NO_KNOCKOUTS,
+  },
+  semantic: {
+    id: 'semantic',
+    name: 'Semantic',
+    description: 'Modern systems that understand synonyms, acronyms and related skills and weigh experience more.',
+    weights: { keywords: 0.3, sections: 0.1, formatting: 0.06, experience: 0.22, education: 0.08, skills: 0.16, recency: 0.08 },
+    matching: { aliases: true, stems: true, partialCredit: 0.75 },
+    sections: BASE_SECTIONS,
+    knockouts: NO_KNOCKOUTS,
+  },
+  knockout: {
+    id: 'knockout',
+    name: 'Knockout questions',
+    description: 'Screens with hard minimums first (required keywords, years, degree, JD hard requirements); failing any caps the score.',
+    weights: { keywords: 0.36, sections: 0.1, formatting: 0.06, experience: 0.22, education: 0.12, skills: 0.1, recency: 0.04 },
+    matching: { aliases: true, stems: false, partialCredit: 0.25 },
+    sections: BASE_SECTIONS,
+    knockouts: { minRequiredCoverage: 0.6, minYearsRatio: 1, requireDegree: true, requiredSections: ['experience'], hardRequirements: true, capScore: 35 },
+  },
+  'section-heavy': {
+    id: 'section-heavy',
+    name: 'Section heavy',
+    description: 'Parsers that map resumes into fixed fields: standard headers and clean formatting matter most.',
+    weights: { keywords: 0.28, sections: 0.26, formatting: 0.16, experience: 0.12, education: 0.08, skills: 0.06, recency: 0.04 },
+    matching: { aliases: true, stems: true, partialCredit: 0.5 },
+    sections: {
+      required: ['summary', 'experience', 'education', 'skills'],
+      optional: ['certifications', 'projects', 'awards', 'languages'],
+    },
+    knockouts: { ...NO_KNOCKOUTS, requiredSections: ['experience', 'education'], capScore: 50 },
+  },
+});
+
+const customProfiles = new Map();
+
+function mergeProfile(base, overrides) {
+  return {
+    ...base,
+    ...overrides,
+    weights: { ...base.weights, ...(overrides.weights || {}) },
+    matching: { ...base.matching, ...(overrides.matching || {}) },
+    sections: { ...base.sections, ...(overrides.sections || {}) },
+    knockouts: { ...base.knockouts, ...(overrides.knockouts || {}) },
+  };
+}
+
+/**
+ * Parse and validate a custom profile definition
+ * @param {string|Object} input - JSON string or profile object
+ * @returns {Object} Complete profile (inherited keys filled in)
+ */
+export function parseScoringProfile(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`Invalid scoring profile: ${error.message}`);
+    }
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Invalid scoring profile: expected an object');
+  }
+  const baseId = data.extends || 'default';
+  const base = SCORING_PROFILES[baseId] || customProfiles.get(baseId);
+  if (!base) throw new Error(`Invalid scoring profile: unknown base profile "${baseId}"`);
+  if (data.rules !== undefined && (!Array.isArray(data.rules) || data.rules.some((r) => typeof r !== 'string'))) {
+    throw new Error('Invalid scoring profile: rules must be an array of rule ids');
+  }
+  Object.entries(data.weights || {}).forEach(([key, value]) => {
+    if (!WEIGHT_KEYS.includes(key)) throw new Error(`Invalid scoring profile: unknown weight "${key}"`);
+    if (typeof value !== 'number' || value < 0) throw new Error(`Invalid scoring profile: weight "${key}" must be a non-negative number`);
+  });
+  const { extends: _ignored, ...overrides } = data;
+  return mergeProfile(base, { id: data.id || 'custom', name: data.name || data.id || 'Custom', ...overrides });
+}
+
+/**
+ * Register a custom profile so it can be selected by id
+ * @param {string|Object} input - JSON string or profile object (must have an id)
+ * @returns {Object} Registered profile
+ */
+export function registerScoringProfile(input) {
+  const profile = parseScoringProfile(input);
+  if (!profile.id || profile.id === 'custom') throw new Error('Invalid scoring profile: an id is required to register it');
+  if (SCORING_PROFILES[profile.id]) throw new Error(`Invalid scoring profile: "${profile.id}" is a built-in profile`);
+  customProfiles.set(profile.id, profile);
+  return profile;
+}
+
+/**
+ * Resolve a profile id, object or JSON string into a complete profile
+ * @param {string|Object} [profile] - Profile selector
+ * @returns {Object} Profile
+ */
+export function resolveScoringProfile(profile) {
+  if (!profile) return SCORING_PROFILES.default;
+  if (typeof profile === 'string') {
+    if (SCORING_PROFILES[profile]) return SCORING_PROFILES[profile];
+    if (customProfiles.has(profile)) return customProfiles.get(profile);
+    if (profile.trim().startsWith('{')) return parseScoringProfile(profile);
+    throw new Error(`Unknown scoring profile: ${profile}`);
+  }
+  return parseScoringProfile(profile);
+}
+
+/**
+ * List built-in and registered profiles for selection UIs
+ * @returns {Array<{id, name, description}>} Profiles
+ */
+export function listScoringProfiles() {
+  return [...Object.values(SCORING_PROFILES), ...customProfiles.values()].map(({ id, name, description }) => ({ id, name, description: description || '' }));
+}
+
+export default {
+  SCORING_PROFILES,
+  parseScoringProfile,
+  registerScoringProfile,
+  resolveScoringProfile,
+  listScoringProfiles,
+};
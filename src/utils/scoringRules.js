@@ -0,0 +1,186 @@
+/**
+ * Custom scoring rules
+ * House rules plug into scoreResume without forking the engine:
+ *   scoreResume(resume, jd, { rules: ['github-link', myRule] })
+ * or through a profile's "rules" list. Each rule is an object:
+ *
+ *   {
+ *     id: 'github-link',            // breakdown / evidence key
+ *     name: 'GitHub link',
+ *     weight: 0.05,                 // share of the final score (0..1); built-in weights shrink to make room
+ *     evaluate(context) {           // context: { resume, job, resumeText, jobText, language, keywordCoverage,
+ *       return {                    //            experience, breakdown (built-ins), document }
+ *         points: 0..100,           // the rule's own score
+ *         insights: ['Add a GitHub link'],
+ *         evidence: [{ label, status: 'met'|'partial'|'missing', points, maxPoints, match, line }],
+ *       };
+ *     },
+ *   }
+ *
+ * evidence points/maxPoints are on the rule's 0-100 scale. A rule that throws is
+ * reported with its error and left out of the score. Rule ids share the breakdown
+ * with the built-in categories, so those names are rejected. Rule objects hold
+ * functions, and rules registered here only exist in the thread that registered
+ * them, so scoringClient scores both on the main thread; only built-in rule ids
+ * go to the worker.
+ */
+
+const MAX_RULE_WEIGHT = 0.5;
+// Breakdown / evidence keys of the built-in categories (see atsScoring and scoreEvidence)
+const RESERVED_IDS = new Set(['keywords', 'sections', 'formatting', 'experience', 'education', 'skills', 'recency']);
+
+function clampPoints(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.max(0, Math.min(100, n)) : 0;
+}
+
+function estimatePages(document, resumeText) {
+  if (document && document.pageCount) return document.pageCount;
+  const words = String(resumeText || '').split(/\s+/).filter(Boolean).length;
+  return Math.max(1, Math.ceil(words / 500));
+}
+
+export const BUILT_IN_RULES = Object.freeze({
+  'github-link': {
+    id: 'github-link',
+    name: 'GitHub link',
+    description: 'Resume must link a GitHub profile.',
+    weight: 0.05,
+    evaluate: ({ resume, resumeText }) => {
+      const links = (resume && resume.contact && resume.contact.links) || [];
+      const link = links.find((l) => /github\.com/i.test(l)) || (String(resumeText).match(/github\.com\/[\w-]+/i) || [])[0];
+      return link
+        ? { points: 100, evidence: [{ label: `GitHub link: ${link}`, status: 'met', points: 100, maxPoints: 100, match: link }] }
+        : { points: 0, insights: ['Add your GitHub profile link to the contact header'], evidence: [{ label: 'No GitHub link', status: 'missing', points: 0, maxPoints: 100 }] };
+    },
+  },
+  'max-two-pages': {
+    id: 'max-two-pages',
+    name: 'Two pages or fewer',
+    description: 'Penalizes resumes longer than two pages (page count from the document, else ~500 words per page).',
+    weight: 0.05,
+    evaluate: ({ document, resumeText }) => {
+      const pages = estimatePages(document, resumeText);
+      const label = `${pages} page${pages === 1 ? '' : 's'}${document && document.pageCount ? '' : ' (estimated)'}`;
+      return pages <= 2
+        ? { points: 100, evidence: [{ label, status: 'met', points: 100, maxPoints: 100 }] }
+        : { points: 0, insights: [`Trim the resume to two pages (currently ${label})`], evidence: [{ label, status: 'missing', points: 0, maxPoints: 100 }] };
+    },
+  },
+  'security-certifications': {
+    id: 'security-certifications',
+    name: 'Security certifications',
+    description: 'Bonus for security certifications (CISSP, CISM, CEH, OSCP, Security+, CCSP, GIAC).',
+    weight: 0.05,
+    evaluate: ({ resumeText }) => {
+      const found = [...new Set((String(resumeText).match(/\b(?:CISSP|CISM|CISA|CEH|OSCP|CCSP|GIAC|GSEC|Security\+)(?![\w+])/g) || []))];
+      // Two certifications earn the full bonus; each found one carries an equal share of it
+      const each = 100 / Math.max(2, found.length);
+      return {
+        points: Math.min(100, found.length * 50),
+        insights: found.length ? [] : ['A security certification (e.g. Security+, CISSP) would earn the security bonus'],
+        evidence: found.length
+          ? found.map((cert) => ({ label: cert, status: 'met', points: each, maxPoints: each, match: cert }))
+          : [{ label: 'No security certifications', status: 'missing', points: 0, maxPoints: 100 }],
+      };
+    },
+  },
+});
+
+const customRules = new Map();
+
+/**
+ * Validate a rule object
+ * @param {Object} rule - Rule definition
+ * @returns {Object} Normalized rule { id, name, description, weight, evaluate }
+ */
+export function defineScoringRule(rule) {
+  if (!rule || typeof rule !== 'object') throw new Error('Invalid scoring rule: expected an object');
+  if (!rule.id || typeof rule.id !== 'string') throw new Error('Invalid scoring rule: an id is required');
+  if (RESERVED_IDS.has(rule.id)) throw new Error(`Invalid scoring rule: "${rule.id}" is a built-in score category`);
+  if (typeof rule.evaluate !== 'function') throw new Error(`Invalid scoring rule "${rule.id}": evaluate must be a function`);
+  const weight = rule.weight === undefined ? 0.05 : rule.weight;
+  if (typeof weight !== 'number' || weight < 0 || weight > MAX_RULE_WEIGHT) {
+    throw new Error(`Invalid scoring rule "${rule.id}": weight must be a number between 0 and ${MAX_RULE_WEIGHT}`);
+  }
+  return { id: rule.id, name: rule.name || rule.id, description: rule.description || '', weight, evaluate: rule.evaluate };
+}
+
+/**
+ * Register a rule so it can be referenced by id in options.rules or a profile
+ * @param {Object} rule - Rule definition
+ * @returns {Object} Registered rule
+ */
+export function registerScoringRule(rule) {
+  const defined = defineScoringRule(rule);
+  if (BUILT_IN_RULES[defined.id]) throw new Error(`Invalid scoring rule: "${defined.id}" is a built-in rule`);
+  customRules.set(defined.id, defined);
+  return defined;
+}
+
+/**
+ * Resolve rule ids and objects into validated rules
+ * @param {Array<string|Object>} [rules] - Rule ids or definitions
+ * @returns {Array<Object>} Rules (duplicates by id dropped, last wins)
+ */
+export function resolveScoringRules(rules = []) {
+  const byId = new Map();
+  rules.forEach((rule) => {
+    if (typeof rule === 'string') {
+      const found = BUILT_IN_RULES[rule] || customRules.get(rule);
+      if (!found) throw new Error(`Unknown scoring rule: ${rule}`);
+      byId.set(rule, defineScoringRule(found));
+    } else {
+      const defined = defineScoringRule(rule);
+      byId.set(defined.id, defined);
+    }
+  });
+  const resolved = [...byId.values()];
+  const total = resolved.reduce((sum, r) => sum + r.weight, 0);
+  if (total > MAX_RULE_WEIGHT) throw new Error(`Invalid scoring rules: combined weight ${total} exceeds ${MAX_RULE_WEIGHT}`);
+  return resolved;
+}
+
+/**
+ * Run rules against a scoring context
+ * @param {Array<Object>} rules - Output of resolveScoringRules
+ * @param {Object} context - Rule context (see module header)
+ * @returns {Array<Object>} [{ id, name, weight, points, insights, evidence, error }]; evidence uses the engine's share/max item shape
+ */
+export function runScoringRules(rules, context) {
+  return rules.map((rule) => {
+    try {
+      const out = rule.evaluate(context) || {};
+      const points = clampPoints(out.points);
+      const evidence = (out.evidence && out.evidence.length ? out.evidence : [{ label: rule.name, points, maxPoints: 100 }]).map((item) => ({
+        label: item.label,
+        status: item.status || (clampPoints(item.points) >= clampPoints(item.maxPoints ?? 100) ? 'met' : item.points ? 'partial' : 'missing'),
+        share: clampPoints(item.points) / 100,
+        max: clampPoints(item.maxPoints ?? 100) / 100,
+        match: item.match || null,
+        line: typeof item.line === 'number' ? item.line : undefined,
+        jd: item.jd || null,
+      }));
+      return { id: rule.id, name: rule.name, weight: rule.weight, points, insights: (out.insights || []).map(String), evidence, error: null };
+    } catch (error) {
+      return { id: rule.id, name: rule.name, weight: 0, points: 0, insights: [], evidence: [], error: error.message || 'Rule failed' };
+    }
+  });
+}
+
+/**
+ * List built-in and registered rules for selection UIs
+ * @returns {Array<{id, name, description, weight}>} Rules
+ */
+export function listScoringRules() {
+  return [...Object.values(BUILT_IN_RULES), ...customRules.values()].map(({ id, name, description, weight }) => ({ id, name, description: description || '', weight }));
+}
+
+export default {
+  BUILT_IN_RULES,
+  defineScoringRule,
+  registerScoringRule,
+  resolveScoringRules,
+  runScoringRules,
+  listScoringRules,
+};
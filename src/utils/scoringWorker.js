@@ -0,0 +1,47 @@
+/**
+ * Scoring Web Worker
+ * Runs scoreResume, keyword suggestions and what-if simulations off the main
+ * thread. Messages: { id, type: 'score' | 'suggestions' | 'simulate', payload, channel }.
+ * Replies: { id, result } or { id, error } or { id, superseded: true }.
+ *
+ * One request is handled per task so messages posted meanwhile are queued first;
+ * a queued request is dropped (superseded) when a newer one on the same channel
+ * is waiting behind it, which keeps live typing from piling up stale scores.
+ * Use it through ./scoringClient.js.
+ */
+
+import { createScoringHandlers } from './scoringHandlers';
+
+const handlers = createScoringHandlers();
+const queue = [];
+let scheduled = false;
+
+function next() {
+  scheduled = false;
+  const message = queue.shift();
+  if (!message) return;
+  const { id, type, payload, channel } = message;
+  if (channel && queue.some((m) => m.channel === channel)) {
+    self.postMessage({ id, superseded: true });
+  } else {
+    try {
+      if (!handlers[type]) throw new Error(`Unknown scoring request: ${type}`);
+      self.postMessage({ id, result: handlers[type](payload) });
+    } catch (error) {
+      self.postMessage({ id, error: error.message || 'Scoring failed' });
+    }
+  }
+  schedule();
+}
+
+function schedule() {
+  if (!scheduled && queue.length) {
+    scheduled = true;
+    setTimeout(next, 0);
+  }
+}
+
+self.onmessage = (event) => {
+  queue.push(event.data);
+  schedule();
+};
@@ -0,0 +1,286 @@
+/**
+ * Skill ontology for keyword matching
+ * Maps canonical skills to their aliases, acronyms and parent categories so the
+ * ATS engine can treat "JS" and "JavaScript" or "k8s" and "Kubernetes" as the same term.
+ * Aliases are only other names for the same thing; competing products (GitHub and
+ * GitLab, EKS and AKS) are children of a category, so they satisfy a requirement
+ * for the category but never each other.
+ *
+ * Alias files (team extensions) are JSON in the same shape as DEFAULT_SKILLS:
+ *   [{ "name": "Terraform", "aliases": ["tf"], "acronyms": [], "parents": ["infrastructure as code"] }]
+ * or wrapped as { "skills": [...] }. Entries whose name or alias matches an existing
+ * skill are merged into it; everything else is added as a new skill.
+ */
+
+export const DEFAULT_SKILLS = Object.freeze([
+  // Categories
+  { name: 'programming languages', aliases: ['programming language', 'coding languages'] },
+  { name: 'javascript frameworks', aliases: ['javascript framework', 'js frameworks', 'js framework', 'frontend frameworks', 'front-end frameworks'] },
+  { name: 'cloud platforms', aliases: ['cloud platform', 'cloud providers', 'public cloud'] },
+  { name: 'databases', aliases: ['database', 'data stores', 'datastores'] },
+  { name: 'sql databases', aliases: ['relational databases', 'rdbms'], parents: ['databases'] },
+  { name: 'nosql databases', aliases: ['nosql', 'non-relational databases'], parents: ['databases'] },
+  { name: 'containerization', aliases: ['containers', 'container orchestration'] },
+  { name: 'infrastructure as code', aliases: [], acronyms: ['iac'] },
+  { name: 'version control', aliases: ['source control', 'vcs'] },
+  { name: 'machine learning', aliases: ['machine-learning'], acronyms: ['ml'] },
+  { name: 'agile methodologies', aliases: ['agile', 'agile methodology'] },
+  { name: 'search engines', aliases: ['search engine', 'full-text search'] },
+
+  // Languages
+  { name: 'javascript', aliases: ['java script', 'ecmascript', 'es6', 'es2015'], acronyms: ['js'], parents: ['programming languages'] },
+  { name: 'typescript', aliases: [], acronyms: ['ts'], parents: ['programming languages'] },
+  { name: 'python', aliases: ['python3', 'python 3'], acronyms: ['py'], parents: ['programming languages'] },
+  { name: 'java', aliases: ['java 8', 'java 11', 'java 17'], parents: ['programming languages'] },
+  { name: 'c#', aliases: ['c sharp', 'csharp'], parents: ['programming languages'] },
+  { name: 'c++', aliases: ['cpp', 'c plus plus'], parents: ['programming languages'] },
+  { name: 'go', aliases: ['golang'], parents: ['programming languages'] },
+  { name: 'ruby', aliases: [], parents: ['programming languages'] },
+  { name: 'php', aliases: [], parents: ['programming languages'] },
+  { name: 'kotlin', aliases: [], parents: ['programming languages'] },
+  { name: 'swift', aliases: [], parents: ['programming languages'] },
+  { name: 'rust', aliases: [], parents: ['programming languages'] },
+  { name: 'sql', aliases: ['structured query language', 't-sql', 'pl/sql'], parents: ['programming languages'] },
+
+  // Frameworks and libraries
+  { name: 'react', aliases: ['react.js', 'reactjs'], parents: ['javascript frameworks'] },
+  { name: 'angular', aliases: ['angular.js', 'angularjs'], parents: ['javascript frameworks'] },
+  { name: 'vue', aliases: ['vue.js', 'vuejs'], parents: ['javascript frameworks'] },
+  { name: 'svelte', aliases: ['sveltekit'], parents: ['javascript frameworks'] },
+  { name: 'next.js', aliases: ['nextjs'], parents: ['javascript frameworks'] },
+  { name: 'node.js', aliases: ['nodejs', 'node js'], parents: ['javascript'] },
+  { name: 'express', aliases: ['express.js', 'expressjs'] },
+  { name: 'django', aliases: [] },
+  { name: 'flask', aliases: [] },
+  { name: 'spring boot', aliases: ['springboot', 'spring framework'] },
+  { name: '.net', aliases: ['dotnet', 'asp.net', '.net core'] },
+  { name: 'graphql', aliases: ['graph ql'] },
+  { name: 'rest apis', aliases: ['restful', 'rest api', 'restful apis', 'restful services'] },
+  { name: 'tensorflow', aliases: [], parents: ['machine learning'] },
+  { name: 'pytorch', aliases: ['torch'], parents: ['machine learning'] },
+
+  // Cloud, infrastructure and tooling
+  { name: 'amazon web services', aliases: ['amazon aws'], acronyms: ['aws'], parents: ['cloud platforms'] },
+  { name: 'microsoft azure', aliases: ['azure'], parents: ['cloud platforms'] },
+  { name: 'google cloud platform', aliases: ['google cloud'], acronyms: ['gcp'], parents: ['cloud platforms'] },
+  { name: 'kubernetes', aliases: ['k8s', 'kube'], parents: ['containerization'] },
+  { name: 'managed kubernetes', aliases: ['managed kubernetes services'], parents: ['kubernetes'] },
+  { name: 'amazon eks', aliases: ['amazon elastic kubernetes service'], acronyms: ['eks'], parents: ['managed kubernetes'] },
+  { name: 'azure kubernetes service', aliases: [], acronyms: ['aks'], parents: ['managed kubernetes'] },
+  { name: 'google kubernetes engine', aliases: [], acronyms: ['gke'], parents: ['managed kubernetes'] },
+  { name: 'docker', aliases: ['docker compose', 'dockerfile'], parents: ['containerization'] },
+  { name: 'terraform', aliases: [], acronyms: ['tf'], parents: ['infrastructure as code'] },
+  { name: 'ansible', aliases: [], parents: ['infrastructure as code'] },
+  { name: 'ci/cd', aliases: ['cicd', 'continuous integration and delivery', 'continuous integration and deployment'] },
+  { name: 'continuous integration', aliases: [], acronyms: ['ci'], parents: ['ci/cd'] },
+  { name: 'continuous delivery', aliases: [], parents: ['ci/cd'] },
+  { name: 'continuous deployment', aliases: [], parents: ['ci/cd'] },
+  { name: 'git', aliases: [], parents: ['version control'] },
+  { name: 'git hosting', aliases: ['git hosting services'], parents: ['git'] },
+  { name: 'github', aliases: [], parents: ['git hosting'] },
+  { name: 'gitlab', aliases: [], parents: ['git hosting'] },
+  { name: 'bitbucket', aliases: [], parents: ['git hosting'] },
+  { name: 'postgresql', aliases: ['postgres', 'psql'], parents: ['sql databases'] },
+  { name: 'mysql', aliases: [], parents: ['sql databases'] },
+  { name: 'mariadb', aliases: [], parents: ['sql databases'] },
+  { name: 'microsoft sql server', aliases: ['sql server', 'mssql'], parents: ['sql databases'] },
+  { name: 'mongodb', aliases: ['mongo'], parents: ['nosql databases'] },
+  { name: 'redis', aliases: [], parents: ['nosql databases'] },
+  { name: 'dynamodb', aliases: ['dynamo db'], parents: ['nosql databases'] },
+  { name: 'elasticsearch', aliases: ['elastic search'], parents: ['search engines'] },
+  { name: 'opensearch', aliases: [], parents: ['search engines'] },
+
+  // Practices and domains
+  { name: 'scrum', aliases: [], parents: ['agile methodologies'] },
+  { name: 'kanban', aliases: [], parents: ['agile methodologies'] },
+  { name: 'test-driven development', aliases: ['test driven development'], acronyms: ['tdd'] },
+  { name: 'user experience', aliases: ['ux design'], acronyms: ['ux'] },
+  { name: 'user interface', aliases: ['ui design'], acronyms: ['ui'] },
+  { name: 'search engine optimization', aliases: [], acronyms: ['seo'] },
+  { name: 'customer relationship management', aliases: [], acronyms: ['crm'] },
+  { name: 'salesforce', aliases: [], parents: ['customer relationship management'] },
+  { name: 'hubspot', aliases: [], parents: ['customer relationship management'] },
+  { name: 'key performance indicators', aliases: ['key performance indicator'], acronyms: ['kpi', 'kpis'] },
+  { name: 'natural language processing', aliases: [], acronyms: ['nlp'], parents: ['machine learning'] },
+  { name: 'artificial intelligence', aliases: [], acronyms: ['ai'] },
+  { name: 'project management professional', aliases: ['pmp certified'], acronyms: ['pmp'] },
+]);
+
+/**
+ * Normalize a term the same way the scoring engine tokenizes text
+ * @param {string} term - Raw term
+ * @returns {string} Normalized term
+ */
+export function normalizeTerm(term) {
+  return String(term || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}+.#\-\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).map(normalizeTerm).filter(Boolean);
+}
+
+/**
+ * Parse a team alias file into ontology entries
+ * @param {string|Object|Array} input - JSON string, { skills: [...] } or an array of entries
+ * @returns {Array<Object>} Normalized entries
+ */
+export function parseAliasFile(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`Invalid skill alias file: ${error.message}`);
+    }
+  }
+  const entries = Array.isArray(data) ? data : data?.skills;
+  if (!Array.isArray(entries)) {
+    throw new Error('Invalid skill alias file: expected an array of skills or { skills: [...] }');
+  }
+  return entries.map((entry, index) => {
+    const name = normalizeTerm(entry?.name);
+    if (!name) throw new Error(`Invalid skill alias file: entry ${index} is missing a name`);
+    return {
+      name,
+      aliases: toList(entry.aliases),
+      acronyms: toList(entry.acronyms),
+      parents: toList(entry.parents),
+    };
+  });
+}
+
+/**
+ * Create a skill ontology from the bundled skills plus optional team extensions
+ * @param {Array<Object>} [baseEntries] - Base entries (defaults to DEFAULT_SKILLS)
+ * @param {Array<string|Object|Array>|Array<Object>} [extensions] - Alias files or entry arrays to
+ *   merge in; a plain array of entries ({ name, aliases, ... }) counts as a single extension
+ * @returns {Object} Ontology with resolve, forms, matcherFor
+ */
+export function createSkillOntology(baseEntries = DEFAULT_SKILLS, extensions = []) {
+  const skills = new Map(); // name -> { name, aliases:Set, acronyms:Set, parents:Set }
+  const index = new Map(); // surface form -> name
+
+  const addEntry = (entry) => {
+    const forms = [entry.name, ...entry.aliases, ...entry.acronyms];
+    const existingName = forms.map((f) => index.get(f)).find(Boolean);
+    const name = existingName || entry.name;
+    if (!skills.has(name)) {
+      skills.set(name, { name, aliases: new Set(), acronyms: new Set(), parents: new Set() });
+    }
+    const skill = skills.get(name);
+    if (entry.name !== name) skill.aliases.add(entry.name);
+    entry.aliases.forEach((a) => skill.aliases.add(a));
+    entry.acronyms.forEach((a) => skill.acronyms.add(a));
+    entry.parents.forEach((p) => skill.parents.add(p));
+    forms.forEach((f) => {
+      if (!index.has(f)) index.set(f, name);
+    });
+  };
+
+  parseAliasFile(baseEntries).forEach(addEntry);
+  const isEntryList = Array.isArray(extensions) && extensions.some((ext) => typeof ext?.name === 'string');
+  (Array.isArray(extensions) && !isEntryList ? extensions : [extensions])
+    .filter(Boolean)
+    .forEach((ext) => parseAliasFile(ext).forEach(addEntry));
+
+  // Parent names may themselves be aliases of another skill
+  const canonical = (name) => index.get(name) || name;
+  const children = new Map();
+  for (const skill of skills.values()) {
+    for (const parent of skill.parents) {
+      const key = canonical(parent);
+      if (!children.has(key)) children.set(key, new Set());
+      children.get(key).add(skill.name);
+    }
+  }
+
+  const descendants = (name, seen = new Set()) => {
+    for (const child of children.get(name) || []) {
+      if (seen.has(child)) continue;
+      seen.add(child);
+      descendants(child, seen);
+    }
+    return seen;
+  };
+
+  /** Resolve any surface form to its canonical skill name, or null */
+  const resolve = (term) => index.get(normalizeTerm(term)) || null;
+
+  /** All surface forms of a skill, tagged with how they relate to it */
+  const forms = (name) => {
+    const skill = skills.get(name);
+    if (!skill) return [];
+    return [
+      { form: skill.name, relation: 'exact' },
+      ...Array.from(skill.aliases, (form) => ({ form, relation: 'alias' })),
+      ...Array.from(skill.acronyms, (form) => ({ form, relation: 'acronym' })),
+    ];
+  };
+
+  /**
+   * Build a matcher over a text. The returned function takes a JD term and
+   * reports how the text covers it: { skill, matched, relation } or null.
+   * relation is 'exact' | 'alias' | 'acronym' | 'child' (a more specific skill
+   * such as React satisfying "JavaScript frameworks").
+   */
+  const matcherFor = (text) => {
+    const haystack = ` ${normalizeTerm(text)} `;
+    const cache = new Map();
+    const contains = (form) => {
+      if (!cache.has(form)) {
+        const re = new RegExp(`(^|[^\\p{L}\\p{N}+#])${escapeRegExp(form)}(?=$|[^\\p{L}\\p{N}+#])`, 'u');
+        cache.set(form, re.test(haystack));
+      }
+      return cache.get(form);
+    };
+    return (term) => {
+      const name = resolve(term);
+      if (!name) return null;
+      for (const { form, relation } of forms(name)) {
+        if (contains(form)) return { skill: name, matched: form, relation };
+      }
+      for (const child of descendants(name)) {
+        for (const { form } of forms(child)) {
+          if (contains(form)) return { skill: name, matched: form, relation: 'child', via: child };
+        }
+      }
+      return null;
+    };
+  };
+
+  return {
+    size: skills.size,
+    resolve,
+    forms,
+    descendants: (term) => Array.from(descendants(resolve(term) || normalizeTerm(term))),
+    matcherFor,
+  };
+}
+
+let defaultOntology = null;
+
+/**
+ * Get the shared ontology built from the bundled skills
+ * @returns {Object} Ontology
+ */
+export function getDefaultOntology() {
+  if (!defaultOntology) defaultOntology = createSkillOntology();
+  return defaultOntology;
+}
+
+export default {
+  DEFAULT_SKILLS,
+  createSkillOntology,
+  getDefaultOntology,
+  parseAliasFile,
+  normalizeTerm,
+};
@@ -1,88 +1,370 @@
 /**
- * Text extraction utilities for PDF and DOCX files
- * Supports extracting text content from resumes in various formats
+ * Text extraction utilities for resume and job description uploads
+ * Supports PDF, DOCX, legacy .doc, ODT, RTF, HTML/MHTML, Markdown and plain text. The
+ * format is sniffed from the file bytes (./documentFormats.js), so mislabelled
+ * files and files with an empty MIME type are read correctly.
+ *
+ * Runs in the browser: PDFs are read with pdf.js (its parser runs in a pdf.js
+ * worker) and put back into reading order by ./pdfLayout.js, which also reports
+ * columns, sidebars, tables and headers/footers; DOCX files are read with
+ * mammoth's browser build. Both libraries are loaded on first use so they stay
+ * out of the main bundle. Inputs may be a File/Blob, an ArrayBuffer or a
+ * Uint8Array (a Node Buffer is one). The other formats are handled by
+ * ./documentFormats.js; every format reports basic structure hints
+ * ({ paragraphs, headings, lists, tables, images }) for the parse-fidelity report,
+ * its hyperlink targets (`links`, e.g. PDF link annotations) and the text of its
+ * page headers/footers (`headerFooterText`) for ./contactInfo.js.
+ *
+ * JSON Resume files and LinkedIn "Save to PDF" profile exports are also mapped
+ * straight into a structured resume (`model`, see ./resumeImport.js) so scoring
+ * doesn't have to re-parse them from text.
+ *
+ * Failures throw an Error with a user-facing message and a `code`:
+ *   'encrypted'   password-protected file
+ *   'corrupt'     damaged or mislabelled file
+ *   'no-text'     nothing selectable (scanned PDF, empty document)
+ *   'unsupported' format not recognized
  */
 
-import pdfParse from 'pdf-parse';
-import mammoth from 'mammoth';
+import { analyzePdfLayout } from './pdfLayout';
+import { sniffFormat, decodeText, decodeEntities, extractDOC, extractODT, rtfToText, htmlToText, mhtmlToHtml, markdownToText } from './documentFormats';
+import { isJsonResume, jsonResumeToModel, isLinkedInProfile, linkedInToModel } from './resumeImport';
+
+const PDF_MIME = 'application/pdf';
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const DOC_MIME = 'application/msword';
+const ODT_MIME = 'application/vnd.oasis.opendocument.text';
+const RTF_MIMES = ['application/rtf', 'text/rtf'];
+const HTML_MIMES = ['text/html', 'application/xhtml+xml'];
+const MHTML_MIMES = ['multipart/related', 'message/rfc822', 'application/x-mimearchive'];
+
+const FORMAT_NAMES = {
+  pdf: 'PDF', docx: 'DOCX', doc: 'Word .doc', odt: 'ODT', rtf: 'RTF', html: 'HTML', mhtml: 'web archive', json: 'JSON',
+  markdown: 'Markdown', text: 'plain text',
+};
+
+function extractionError(code, message, cause) {
+  const error = new Error(message);
+  error.code = code;
+  if (cause) error.cause = cause;
+  return error;
+}
+
+async function toBytes(input) {
+  if (input instanceof Uint8Array) return input;
+  if (input instanceof ArrayBuffer) return new Uint8Array(input);
+  if (input && typeof input.arrayBuffer === 'function') return new Uint8Array(await input.arrayBuffer());
+  throw new Error('Invalid file input');
+}
+
+function startsWith(bytes, signature) {
+  return signature.every((byte, i) => bytes[i] === byte);
+}
 
 /**
- * Extract text from a PDF file
- * @param {Buffer} fileBuffer - The PDF file buffer
- * @returns {Promise<string>} - Extracted text content
+ * Infer the format a file claims to be from its MIME type and file name
+ * extractDocument trusts the bytes (sniffFormat) and only uses this to warn about mislabelled files.
+ * @param {string} [mimeType] - Browser-reported MIME type (often empty for .md)
+ * @param {string} [fileName] - File name, used when the MIME type is missing or generic
+ * @returns {'pdf'|'docx'|'doc'|'odt'|'rtf'|'html'|'mhtml'|'json'|'markdown'|'text'|null} Format, null when unknown
  */
-export async function extractTextFromPDF(fileBuffer) {
+export function detectFormat(mimeType, fileName = '') {
+  const ext = (String(fileName).match(/\.([a-z0-9]+)$/i) || [])[1]?.toLowerCase();
+  if (mimeType === PDF_MIME || ext === 'pdf') return 'pdf';
+  if (mimeType === DOCX_MIME || ext === 'docx') return 'docx';
+  if (mimeType === DOC_MIME || ext === 'doc') return 'doc';
+  if (mimeType === ODT_MIME || ext === 'odt') return 'odt';
+  if (RTF_MIMES.includes(mimeType) || ext === 'rtf') return 'rtf';
+  if (HTML_MIMES.includes(mimeType) || ['html', 'htm', 'xhtml'].includes(ext)) return 'html';
+  if (MHTML_MIMES.includes(mimeType) || ['mhtml', 'mht'].includes(ext)) return 'mhtml';
+  if (mimeType === 'application/json' || ['json', 'jsonld'].includes(ext)) return 'json';
+  if (mimeType === 'text/markdown' || ['md', 'markdown'].includes(ext)) return 'markdown';
+  if (mimeType === 'text/plain' || ['txt', 'text'].includes(ext)) return 'text';
+  return null;
+}
+
+let pdfjsPromise = null;
+
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist').then(async (pdfjs) => {
+      if (typeof window !== 'undefined' && !pdfjs.GlobalWorkerOptions.workerSrc) {
+        const { default: workerSrc } = await import('pdfjs-dist/build/pdf.worker.min.mjs?url');
+        pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+      }
+      return pdfjs;
+    });
+    pdfjsPromise.catch(() => { pdfjsPromise = null; });
+  }
+  return pdfjsPromise;
+}
+
+// Drawing operators that place a raster image on the page
+const IMAGE_OPS = ['paintImageXObject', 'paintInlineImageXObject', 'paintImageMaskXObject', 'paintImageXObjectRepeat'];
+
+// pdf.js text items -> positioned runs relative to the page box (see pdfLayout.js)
+function pageRuns(page, content) {
+  const [x0, y0, x1, y1] = page.view;
+  return {
+    width: x1 - x0,
+    height: y1 - y0,
+    items: content.items
+      .filter((item) => typeof item.str === 'string')
+      .map((item) => ({
+        str: item.str,
+        x: item.transform[4] - x0,
+        y: item.transform[5] - y0,
+        width: item.width,
+        height: item.height || Math.hypot(item.transform[2], item.transform[3]),
+      })),
+  };
+}
+
+/**
+ * Extract text, page count and layout from a PDF
+ * @param {File|Blob|ArrayBuffer|Uint8Array} input - PDF file
+ * @returns {Promise<{text: string, pageCount: number, layout: Object, pages: Array, links: Array, headerFooterText: string[]}>}
+ *   Text in reading order (pages separated by a blank line), page count, the pdfLayout report, per-page stats
+ *   [{ chars, images }], link annotation targets [{ url, page }] and the repeated header/footer lines
+ */
+export async function extractPDF(input) {
+  const data = await toBytes(input);
+  if (!startsWith(data, [0x25, 0x50, 0x44, 0x46])) {
+    throw extractionError('corrupt', 'This file is not a valid PDF. Re-export it from the original document and upload again.');
+  }
+  const pdfjs = await loadPdfjs();
+  let pdf;
+  try {
+    // pdf.js takes ownership of the buffer it is given; hand it a copy
+    pdf = await pdfjs.getDocument({ data: data.slice(), isEvalSupported: false }).promise;
+  } catch (error) {
+    if (error && error.name === 'PasswordException') {
+      throw extractionError('encrypted', 'This PDF is password-protected. Save a copy without a password and upload that instead.', error);
+    }
+    throw extractionError('corrupt', 'This PDF appears to be damaged and could not be read. Re-export it and upload again.', error);
+  }
   try {
-    const data = await pdfParse(fileBuffer);
-    return data.text;
+    const imageOps = new Set(IMAGE_OPS.map((name) => pdfjs.OPS[name]));
+    const pages = [];
+    const stats = [];
+    const links = [];
+    for (let n = 1; n <= pdf.numPages; n++) {
+      const page = await pdf.getPage(n);
+      const runs = pageRuns(page, await page.getTextContent());
+      const { fnArray } = await page.getOperatorList();
+      (await page.getAnnotations()).forEach((a) => {
+        const url = a.subtype === 'Link' && (a.url || a.unsafeUrl);
+        if (url && !links.some((l) => l.url === url)) links.push({ url, page: n });
+      });
+      pages.push(runs);
+      stats.push({
+        chars: runs.items.reduce((sum, item) => sum + item.str.trim().length, 0),
+        images: fnArray.filter((fn) => imageOps.has(fn)).length,
+      });
+      page.cleanup();
+    }
+    const { text, layout } = analyzePdfLayout(pages);
+    if (!text.trim()) {
+      throw extractionError('no-text', 'No selectable text found in this PDF — it looks scanned. Upload the original document or a text-based PDF export.');
+    }
+    return { text, pageCount: pdf.numPages, layout, pages: stats, links, headerFooterText: layout.headerFooterText };
   } catch (error) {
-    console.error('Error extracting text from PDF:', error);
-    throw new Error(`Failed to extract text from PDF: ${error.message}`);
+    if (error.code) throw error;
+    throw extractionError('corrupt', `Could not read the text of this PDF: ${error.message}`, error);
+  } finally {
+    pdf.destroy();
   }
 }
 
+// mammoth skips headers and footers; read their parts (and external link targets) straight from the package
+async function docxHeaderFooter(arrayBuffer) {
+  const { default: JSZip } = await import('jszip');
+  const zip = await JSZip.loadAsync(arrayBuffer);
+  const parts = zip.file(/^word\/(?:header|footer)\d*\.xml$/);
+  const lines = [];
+  const links = [];
+  for (const part of parts) {
+    const xml = await part.async('string');
+    xml.split(/<\/w:p>/).forEach((paragraph) => {
+      const line = decodeEntities(paragraph.replace(/<w:tab\/>/g, ' ').match(/<w:t(?:\s[^>]*)?>[^<]*<\/w:t>/g)?.map((t) => t.replace(/<[^>]+>/g, '')).join('') || '').trim();
+      if (line) lines.push(line);
+    });
+    const rels = zip.file(part.name.replace(/^word\/(.*)$/, 'word/_rels/$1.rels'));
+    if (rels) {
+      [...(await rels.async('string')).matchAll(/<Relationship\b[^>]*\bTarget="([^"]+)"[^>]*\bTargetMode="External"/g)]
+        .forEach((m) => links.push({ url: decodeEntities(m[1]) }));
+    }
+  }
+  return { lines, links };
+}
+
 /**
  * Extract text from a DOCX file
- * @param {Buffer} fileBuffer - The DOCX file buffer
- * @returns {Promise<string>} - Extracted text content
+ * @param {File|Blob|ArrayBuffer|Uint8Array} input - DOCX file
+ * @returns {Promise<{text: string, pageCount: null, structure: Object, links: Array, headerFooterText: string[], warnings: string[]}>}
+ *   Text, structure hints, hyperlink targets, header/footer lines and mammoth's conversion warnings; Word documents
+ *   have no fixed pages, so pageCount is null
  */
-export async function extractTextFromDOCX(fileBuffer) {
+export async function extractDOCX(input) {
+  const data = await toBytes(input);
+  // Encrypted DOCX files are OLE compound files, like legacy .doc
+  if (startsWith(data, [0xd0, 0xcf, 0x11, 0xe0])) {
+    throw extractionError('encrypted', 'This Word file is password-protected or in the old .doc format. Save it as an unprotected .docx and upload again.');
+  }
+  if (!startsWith(data, [0x50, 0x4b, 0x03, 0x04])) {
+    throw extractionError('corrupt', 'This file is not a valid DOCX document. Re-save it from Word and upload again.');
+  }
+  const mod = await import('mammoth/mammoth.browser.js');
+  const mammoth = mod.default || mod;
+  const arrayBuffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  let result;
+  let links = [];
+  let headerFooter;
+  const structure = { paragraphs: 0, headings: 0, lists: 0, tables: 0, images: 0 };
   try {
-    const result = await mammoth.extractRawText({ buffer: fileBuffer });
-    return result.value;
+    result = await mammoth.extractRawText({ arrayBuffer });
+    // The HTML conversion is only used for the structure the raw text flattens away
+    const html = await mammoth.convertToHtml({ arrayBuffer }, {
+      convertImage: mammoth.images.imgElement(() => {
+        structure.images += 1;
+        return Promise.resolve({ src: '' });
+      }),
+    });
+    const tags = (re) => (html.value.match(re) || []).length;
+    Object.assign(structure, { paragraphs: tags(/<p[\s>]/g), headings: tags(/<h[1-6][\s>]/g), lists: tags(/<li[\s>]/g), tables: tags(/<table[\s>]/g) });
+    links = [...new Set([...html.value.matchAll(/<a href="([^"#][^"]*)"/g)].map((m) => decodeEntities(m[1])))].map((url) => ({ url }));
+    headerFooter = await docxHeaderFooter(arrayBuffer);
   } catch (error) {
-    console.error('Error extracting text from DOCX:', error);
-    throw new Error(`Failed to extract text from DOCX: ${error.message}`);
+    throw extractionError('corrupt', 'This DOCX file appears to be damaged and could not be read. Re-save it from Word and upload again.', error);
   }
+  const text = String(result.value || '').replace(/\n{3,}/g, '\n\n').trim();
+  if (!text) throw extractionError('no-text', 'This Word document has no text.');
+  return {
+    text,
+    pageCount: null,
+    structure,
+    links: [...links, ...headerFooter.links.filter((l) => !links.some((k) => k.url === l.url))],
+    headerFooterText: headerFooter.lines,
+    warnings: (result.messages || []).map((m) => m.message),
+  };
+}
+
+// Formats without pages or a layout report: bytes -> { text, structure, links, headerFooterText }
+const TEXT_EXTRACTORS = {
+  doc: (bytes) => extractDOC(bytes),
+  odt: (bytes) => extractODT(bytes),
+  rtf: (bytes) => rtfToText(decodeText(bytes)),
+  html: (bytes) => htmlToText(decodeText(bytes)),
+  mhtml: (bytes) => htmlToText(mhtmlToHtml(decodeText(bytes)).html),
+  markdown: (bytes) => markdownToText(decodeText(bytes)),
+  text: (bytes) => ({ text: decodeText(bytes).replace(/\r\n?/g, '\n'), structure: null, links: [], headerFooterText: [] }),
+};
+
+// JSON Resume (jsonresume.org): rendered to resume text, with the structured model alongside
+function extractJsonResume(bytes) {
+  let value;
+  try {
+    value = JSON.parse(decodeText(bytes));
+  } catch (error) {
+    throw extractionError('corrupt', 'This JSON file could not be read. Check that it is valid JSON.', error);
+  }
+  if (!isJsonResume(value)) {
+    throw extractionError('unsupported', 'This JSON file is not a JSON Resume (jsonresume.org). Upload the resume as a JSON Resume, PDF, Word or text file.');
+  }
+  const { text, model, links } = jsonResumeToModel(value);
+  const structure = {
+    paragraphs: model.summary.text ? 1 : 0,
+    headings: model.sections.length - 1,
+    lists: model.positions.reduce((sum, p) => sum + p.bullets.length, 0) + model.projects.reduce((sum, p) => sum + p.bullets.length, 0),
+    tables: 0,
+    images: 0,
+  };
+  return { format: 'json', text, pageCount: null, layout: null, pages: [], structure, links, headerFooterText: [], model, source: 'json-resume' };
+}
+
+/**
+ * Extract text from an uploaded document
+ * @param {File|Blob|ArrayBuffer|Uint8Array} file - Document
+ * @param {Object} [options] - { mimeType, fileName } override what the File reports
+ * @returns {Promise<{text: string, format: string, pageCount: number|null, layout: Object|null, pages: Array, structure: Object|null,
+ *   links: Array, headerFooterText: string[], model: Object|null, source: 'json-resume'|'linkedin'|null, warnings: string[]}>}
+ *   Extracted document; for PDFs, warnings include the layout warnings. `model` is the resumeParser model for
+ *   structured imports (JSON Resume, LinkedIn profile PDF), named by `source`
+ */
+export async function extractDocument(file, options = {}) {
+  const bytes = await toBytes(file);
+  const mimeType = options.mimeType || file?.type;
+  const fileName = options.fileName || file?.name;
+  const format = sniffFormat(bytes, { mimeType, fileName });
+  if (!format) {
+    throw extractionError('unsupported', `Unsupported file type: ${mimeType || fileName || 'unknown'}. Upload a PDF, Word, ODT, RTF, HTML, Markdown or text file.`);
+  }
+  const claimed = detectFormat(mimeType, fileName);
+  // Markdown, HTML and JSON are plain text too; a .txt holding them is not mislabelled
+  const warnings = claimed && claimed !== format && !(claimed === 'text' && ['markdown', 'html', 'json'].includes(format))
+    ? [`The file is labelled ${FORMAT_NAMES[claimed]} but contains ${FORMAT_NAMES[format]}; it was read as ${FORMAT_NAMES[format]}.`]
+    : [];
+
+  if (format === 'pdf') {
+    const pdf = await extractPDF(bytes);
+    const model = isLinkedInProfile(pdf.text) ? linkedInToModel(pdf.text) : null;
+    return { format, structure: null, ...pdf, model, source: model ? 'linkedin' : null, warnings: [...warnings, ...pdf.layout.warnings] };
+  }
+  if (format === 'docx') {
+    const docx = await extractDOCX(bytes);
+    return { format, layout: null, pages: [], ...docx, model: null, source: null, warnings: [...warnings, ...docx.warnings] };
+  }
+  if (format === 'json') return { ...extractJsonResume(bytes), warnings };
+  const { text, structure, links, headerFooterText } = await TEXT_EXTRACTORS[format](bytes);
+  if (!text.trim()) throw extractionError('no-text', `This ${FORMAT_NAMES[format]} file has no text.`);
+  return { format, text, pageCount: null, layout: null, pages: [], structure, links, headerFooterText, model: null, source: null, warnings };
+}
+
+/**
+ * Extract text from a PDF file
+ * @param {File|Blob|ArrayBuffer|Uint8Array} fileBuffer - The PDF file
+ * @returns {Promise<string>} - Extracted text content
+ */
+export async function extractTextFromPDF(fileBuffer) {
+  return (await extractPDF(fileBuffer)).text;
+}
+
+/**
+ * Extract text from a DOCX file
+ * @param {File|Blob|ArrayBuffer|Uint8Array} fileBuffer - The DOCX file
+ * @returns {Promise<string>} - Extracted text content
+ */
+export async function extractTextFromDOCX(fileBuffer) {
+  return (await extractDOCX(fileBuffer)).text;
 }
 
 /**
  * Extract text from a file based on its MIME type
- * @param {Buffer} fileBuffer - The file buffer
+ * @param {File|Blob|ArrayBuffer|Uint8Array} fileBuffer - The file
  * @param {string} mimeType - The MIME type of the file
  * @returns {Promise<string>} - Extracted text content
  */
 export async function extractText(fileBuffer, mimeType) {
-  if (mimeType === 'application/pdf') {
-    return extractTextFromPDF(fileBuffer);
-  } else if (
-    mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
-    mimeType === 'application/msword'
-  ) {
-    return extractTextFromDOCX(fileBuffer);
-  } else {
-    throw new Error(`Unsupported file type: ${mimeType}`);
-  }
+  return (await extractDocument(fileBuffer, { mimeType })).text;
 }
 
 /**
  * Extract text from a resume file
- * @param {File|Buffer} file - The file object or buffer
- * @param {string} [mimeType] - Optional MIME type (will be inferred from file if not provided)
+ * @param {File|Blob|ArrayBuffer|Uint8Array} file - The file object or bytes
+ * @param {string} [mimeType] - Optional MIME type (inferred from the file when not provided)
  * @returns {Promise<string>} - Extracted text content
  */
 export async function extractResumeText(file, mimeType) {
-  try {
-    let buffer;
-    let type = mimeType;
-
-    // Handle File object (from browser)
-    if (file instanceof File || (file && file.arrayBuffer)) {
-      buffer = Buffer.from(await file.arrayBuffer());
-      type = type || file.type;
-    } else if (Buffer.isBuffer(file)) {
-      buffer = file;
-    } else {
-      throw new Error('Invalid file input');
-    }
-
-    if (!type) {
-      throw new Error('MIME type is required');
-    }
-
-    return await extractText(buffer, type);
-  } catch (error) {
-    console.error('Error extracting resume text:', error);
-    throw error;
-  }
+  return (await extractDocument(file, { mimeType })).text;
 }
+
+export default {
+  detectFormat,
+  extractDocument,
+  extractPDF,
+  extractDOCX,
+  extractText,
+  extractTextFromPDF,
+  extractTextFromDOCX,
+  extractResumeText,
+};
@@ -0,0 +1,199 @@
+/**
+ * Employment timeline red flags
+ * Looks at the dated positions from the resume parser the way a recruiter
+ * skims them: unexplained gaps, many short tenures, overlapping full-time
+ * roles, dates in the future, ranges that end before they start and a mix of
+ * date formats. Each flag carries a severity, the affected roles and resume
+ * lines, and a suggestion for addressing it. Flags are reported next to the
+ * score, not inside it.
+ *
+ * Month convention follows ./experience.js (month indexes, year-only dates taken
+ * as mid-year, "Present" runs to options.now), except that the future-date check
+ * reads a year-only date as January and intervals are cut off at options.now.
+ * Gaps and overlaps are only flagged when the dates prove them: for gaps a
+ * year-only start is read as January and a year-only end as December, for
+ * overlaps the other way round, so "2018 – 2019" followed by "2020 – Present"
+ * is continuous.
+ */
+
+import { toInterval, mergeIntervals } from './experience';
+
+const DEFAULTS = Object.freeze({
+  gapMonths: 6,
+  shortTenureMonths: 12,
+  minShortTenures: 3,
+  overlapMonths: 2,
+});
+
+// Roles that legitimately run alongside a full-time job
+const CONCURRENT_ROLE_RE = /\b(part[- ]time|freelance|contract(?:or)?|consult(?:ant|ing)|advis(?:or|er|ory)|volunteer|board|founder|co-founder|teaching assistant|adjunct|mentor|side project|open source)\b/i;
+
+const SEVERITY_ORDER = ['high', 'medium', 'low'];
+
+function monthIndex(date) {
+  return date && date.year ? date.year * 12 + ((date.month || 6) - 1) : null;
+}
+
+// Earliest month a date can mean: a year-only "2026" is only in the future once 2026 has not begun
+function earliestMonthIndex(date) {
+  return date && date.year ? date.year * 12 + ((date.month || 1) - 1) : null;
+}
+
+// Interval a role can stretch to (widest) or must at least cover (narrowest) when its dates are year-only
+function yearOnlyBounds(position, interval, widest) {
+  const startYear = !position.startDate.month && position.startDate.year;
+  const endYear = !position.current && position.endDate && !position.endDate.month && position.endDate.year;
+  const start = startYear ? startYear * 12 + (widest ? 0 : 11) : interval.start;
+  const end = endYear ? endYear * 12 + (widest ? 12 : 1) : interval.end;
+  return { start, end: Math.max(end, start + 1) };
+}
+
+function formatMonth(index) {
+  const date = new Date(Math.floor(index / 12), index % 12, 1);
+  return date.toLocaleString('en-US', { month: 'short', year: 'numeric' });
+}
+
+function formatDuration(months) {
+  if (months < 12) return `${months} month${months === 1 ? '' : 's'}`;
+  const years = Math.round((months / 12) * 10) / 10;
+  return `${years} year${years === 1 ? '' : 's'}`;
+}
+
+function roleLabel(position) {
+  return [position.title, position.company].filter(Boolean).join(' at ') || 'Untitled role';
+}
+
+/**
+ * Classify the format of a single date token
+ * @param {string} token - Date text ("Jan 2019", "January 2019", "01/2019", "2019")
+ * @returns {string|null} Format label, null for "Present" and unknown tokens
+ */
+export function dateFormatOf(token) {
+  const t = String(token || '').trim();
+  if (/^\d{1,2}\s*[/.-]\s*(?:19|20)\d{2}$/.test(t)) return 'MM/YYYY';
+  if (/^(?:19|20)\d{2}\s*[/.-]\s*\d{1,2}$/.test(t)) return 'YYYY-MM';
+  if (/^(?:19|20)\d{2}$/.test(t)) return 'YYYY';
+  const named = t.match(/^(\p{L}+)\.?,?\s+(?:19|20)\d{2}$/u);
+  if (named) return named[1].length <= 4 ? 'Mon YYYY' : 'Month YYYY';
+  return null;
+}
+
+function rangeFormats(dateText) {
+  return String(dateText || '')
+    .split(/\s*(?:–|—|~|\s-\s|-(?=\s*\p{L})|\bto\b|\buntil\b|\bthrough\b|\bthru\b)\s*/u)
+    .map(dateFormatOf)
+    .filter(Boolean);
+}
+
+/**
+ * Analyze the employment timeline of a parsed resume
+ * @param {Object} model - Output of parseResume
+ * @param {Object} [options] - { now, gapMonths, shortTenureMonths, minShortTenures, overlapMonths }
+ * @returns {{flags:Array, counts:Object, positions:Array}} Red flags (most severe first), counts per type and the dated roles
+ */
+export function analyzeTimeline(model, options = {}) {
+  const cfg = { ...DEFAULTS, ...options };
+  const now = cfg.now instanceof Date ? cfg.now : cfg.now ? new Date(cfg.now) : new Date();
+  const nowMonth = now.getFullYear() * 12 + now.getMonth();
+  const flags = [];
+  const flag = (type, severity, message, suggestion, positions) => {
+    const lines = positions.map((p) => p.lines[0]);
+    flags.push({ type, severity, message, suggestion, roles: positions.map(roleLabel), lines });
+  };
+
+  const dated = (model?.positions || []).filter((p) => p.startDate);
+  const positions = [];
+  dated.forEach((p) => {
+    const start = monthIndex(p.startDate);
+    const end = p.current ? nowMonth : monthIndex(p.endDate);
+    const futureStart = earliestMonthIndex(p.startDate) > nowMonth;
+    const futureEnd = !p.current && p.endDate && earliestMonthIndex(p.endDate) > nowMonth;
+    if (futureStart || futureEnd) {
+      const when = formatMonth(earliestMonthIndex(futureStart ? p.startDate : p.endDate));
+      flag('future-date', 'high', `${roleLabel(p)} has a date in the future (${when})`, p.current || futureStart
+        ? 'Check the year for a typo; upcoming roles belong in a cover letter, not the work history'
+        : 'If you still work there, write "Present" instead of a future end date', [p]);
+      // Already flagged; a role that has not started would only add a bogus gap
+      if (futureStart) return;
+    }
+    if (end !== null && end < start) {
+      flag('end-before-start', 'high', `${roleLabel(p)} ends (${formatMonth(end)}) before it starts (${formatMonth(start)})`,
+        'Swap or correct the dates — parsers drop ranges they cannot order, so this role adds no experience', [p]);
+      return;
+    }
+    const interval = toInterval(p, now);
+    if (interval) {
+      const until = Math.min(interval.end, nowMonth + 1);
+      const cut = ({ start, end }) => ({ start, end: Math.min(end, nowMonth + 1) });
+      positions.push({
+        position: p, start: interval.start, end: until, months: until - interval.start,
+        widest: cut(yearOnlyBounds(p, interval, true)), narrowest: cut(yearOnlyBounds(p, interval, false)),
+      });
+    }
+  });
+
+  // Gaps between merged employment periods, and since the last role ended
+  const merged = mergeIntervals(positions.map((p) => p.widest));
+  for (let i = 1; i < merged.length; i++) {
+    const gap = merged[i].start - merged[i - 1].end;
+    if (gap > cfg.gapMonths) {
+      const around = positions.filter((p) => p.widest.end === merged[i - 1].end || p.widest.start === merged[i].start).map((p) => p.position);
+      flag('gap', gap >= 12 ? 'medium' : 'low', `${formatDuration(gap)} gap between ${formatMonth(merged[i - 1].end - 1)} and ${formatMonth(merged[i].start)}`,
+        'Account for it in one line (study, caregiving, freelance work, relocation, sabbatical) — unexplained gaps draw more attention than explained ones', around);
+    }
+  }
+  const latest = merged[merged.length - 1];
+  if (latest && !positions.some((p) => p.position.current) && nowMonth - latest.end + 1 > cfg.gapMonths) {
+    const gap = nowMonth - latest.end + 1;
+    flag('gap', gap >= 12 ? 'medium' : 'low', `No role listed for the last ${formatDuration(gap)} (since ${formatMonth(latest.end - 1)})`,
+      'Add what you have been doing since (courses, freelance, projects, caregiving) or mark the latest role "Present" if it is ongoing',
+      positions.filter((p) => p.widest.end === latest.end).map((p) => p.position));
+  }
+
+  // Many short tenures among completed roles
+  const short = positions.filter((p) => !p.position.current && p.months < cfg.shortTenureMonths && !CONCURRENT_ROLE_RE.test(`${p.position.title} ${p.position.company}`));
+  if (short.length >= cfg.minShortTenures) {
+    flag('job-hopping', 'medium', `${short.length} roles lasted under ${formatDuration(cfg.shortTenureMonths)}`,
+      'Group contracts under one "Contract roles" entry and give the reason for short stints (contract end, acquisition, layoff) in a few words',
+      short.map((p) => p.position));
+  }
+
+  // Overlapping full-time roles
+  for (let i = 0; i < positions.length; i++) {
+    for (let j = i + 1; j < positions.length; j++) {
+      const a = positions[i];
+      const b = positions[j];
+      const overlap = Math.min(a.narrowest.end, b.narrowest.end) - Math.max(a.narrowest.start, b.narrowest.start);
+      if (overlap <= cfg.overlapMonths) continue;
+      if ([a, b].some((p) => CONCURRENT_ROLE_RE.test(`${p.position.title} ${p.position.company} ${p.position.location || ''}`))) continue;
+      flag('overlap', 'medium', `${roleLabel(a.position)} and ${roleLabel(b.position)} overlap by ${formatDuration(overlap)}`,
+        'If both were real, label one as part-time, freelance or advisory; otherwise correct the dates', [a.position, b.position]);
+    }
+  }
+
+  // Mixed date formats across roles
+  const formats = new Map();
+  dated.forEach((p) => rangeFormats(p.dateText).forEach((f) => {
+    if (!formats.has(f)) formats.set(f, []);
+    if (!formats.get(f).includes(p)) formats.get(f).push(p);
+  }));
+  if (formats.size > 1) {
+    const [common] = [...formats.entries()].sort((a, b) => b[1].length - a[1].length)[0];
+    const odd = [...formats.entries()].filter(([f]) => f !== common).flatMap(([, ps]) => ps);
+    flag('date-format', 'low', `Dates mix ${[...formats.keys()].join(', ')} formats`,
+      `Use one format for every role, e.g. "${common === 'MM/YYYY' ? '01/2019 – Present' : 'Jan 2019 – Present'}"; mixed formats can confuse ATS date parsing`, odd);
+  }
+
+  flags.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+  const counts = flags.reduce((acc, f) => ({ ...acc, [f.type]: (acc[f.type] || 0) + 1 }), {});
+  return {
+    flags,
+    counts,
+    positions: positions.map(({ position, start, end, months }) => ({ role: roleLabel(position), start: formatMonth(start), end: position.current ? 'Present' : formatMonth(end - 1), months, line: position.lines[0] })),
+  };
+}
+
+export default {
+  analyzeTimeline,
+  dateFormatOf,
+};